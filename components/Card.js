@@ -1,5 +1,18 @@
 import { useState } from 'react';
-import { TIER_NAMES, TIER_COLORS, POSITION_COLORS, isHOFTier } from '../lib/api';
+import { TIER_NAMES, TIER_COLORS, POSITION_COLORS, isHOFTier, isInjured, injuryLabel } from '../lib/api';
+
+// Red tag on an injured card: compact shows games out, otherwise the full label
+export function InjuryTag({ card, compact, className = '' }) {
+  if (!isInjured(card)) return null;
+  return (
+    <span
+      className={`px-1 rounded font-bold text-white bg-red-600 ${compact ? 'text-[9px]' : 'text-[10px]'} ${className}`}
+      title={injuryLabel(card)}
+    >
+      {compact ? `INJ ${card.injury_games_left}` : injuryLabel(card)}
+    </span>
+  );
+}
 
 export default function Card({ card, onClick, selected, small, showImage = true }) {
   const [imageError, setImageError] = useState(false);
@@ -57,6 +70,8 @@ export default function Card({ card, onClick, selected, small, showImage = true
           onError={() => setImageError(true)}
         />
         
+        <InjuryTag card={card} className="absolute bottom-2 left-2" />
+        
         {/* HOF Shimmer Animation */}
         {isHOF && (
           <div 
@@ -135,6 +150,8 @@ export default function Card({ card, onClick, selected, small, showImage = true
             </h3>
           </div>
           
+          <InjuryTag card={card} compact className="self-center mb-0.5" />
+          
           {/* Bottom: Season & Team */}
           <div className="text-[10px] text-gray-400 text-center truncate">
             {card.season} · {card.team || ''}
@@ -211,6 +228,8 @@ export default function Card({ card, onClick, selected, small, showImage = true
           {card.season} {card.team && `• ${card.team}`}
         </p>
         
+        <InjuryTag card={card} className="inline-block mt-1" />
+        
         {/* Score */}
         {card.composite_score && (
           <div className="mt-2 flex items-center gap-2">
@@ -306,6 +325,11 @@ export function MiniCard({ card, position, onClick, empty, fieldSize }) {
             {card.tier}
           </span>
         </div>
+        {isInjured(card) && (
+          <div className="absolute bottom-0 left-0 right-0 flex justify-center p-0.5">
+            <InjuryTag card={card} compact />
+          </div>
+        )}
       </button>
       
       {/* Player name below card */}
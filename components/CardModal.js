@@ -1,14 +1,38 @@
-import { useState } from 'react';
-import { TIER_NAMES, TIER_COLORS, POSITION_COLORS, isHOFTier, getStrategicAdvantage } from '../lib/api';
+import { useState, useEffect } from 'react';
+import { TIER_NAMES, TIER_COLORS, POSITION_COLORS, isHOFTier, getStrategicAdvantage, getCardCareerStats, isInjured, injuryLabel } from '../lib/api';
+import { InjuryTag } from './Card';
+
+// Career line shown per position: [label, stat key]
+const CAREER_STATS = {
+  QB: [['Yds', 'pass_yds'], ['TD', 'pass_td'], ['INT', 'pass_int'], ['Cmp%', 'cmp_pct']],
+  RB: [['Yds', 'rush_yds'], ['TD', 'rush_td'], ['Att', 'rush_att'], ['Rec', 'rec']],
+  WR: [['Yds', 'rec_yds'], ['TD', 'rec_td'], ['Rec', 'rec'], ['Tgt', 'targets']],
+  TE: [['Yds', 'rec_yds'], ['TD', 'rec_td'], ['Rec', 'rec'], ['Tgt', 'targets']],
+  DL: [['Sacks', 'sacks'], ['Tkl', 'tackles'], ['FF', 'forced_fumbles']],
+  LB: [['Tkl', 'tackles'], ['Sacks', 'sacks'], ['INT', 'def_int']],
+  DB: [['INT', 'def_int'], ['Tkl', 'tackles'], ['FF', 'forced_fumbles']],
+  K: [['FGM', 'fg_made'], ['FGA', 'fg_att'], ['FG%', 'fg_pct'], ['XP', 'xp_made']],
+  P: [['Punts', 'punts'], ['Avg', 'punt_avg']],
+};
 
 /**
  * Full-screen card modal with flip animation
  * Front: Card image
  * Back: Player stats
+ * onRetire (optional): shows a button to retire the card for retirePoints
  */
-export default function CardModal({ card, onClose }) {
+export default function CardModal({ card, onClose, onRetire, retirePoints }) {
   const [isFlipped, setIsFlipped] = useState(false);
   const [imageError, setImageError] = useState(false);
+  const [career, setCareer] = useState(null);
+  
+  // Load the card's First & 10 stat ledger the first time the back is shown
+  useEffect(() => {
+    if (!isFlipped || !card?.id || career?.cardId === card.id) return;
+    getCardCareerStats(card.id)
+      .then(setCareer)
+      .catch(err => console.error('Failed to load career stats:', err));
+  }, [isFlipped, career?.cardId, card?.id]);
   
   if (!card) return null;
   
@@ -110,6 +134,7 @@ export default function CardModal({ card, onClose }) {
     if (pos === 'LB') return pickKeys(['runD', 'passD', 'blitz']);
     if (pos === 'DB') return pickKeys(['coverage', 'ballSkills', 'tackling']);
     if (pos === 'K') return pickKeys(['accuracy', 'range', 'clutch']);
+    if (pos === 'P') return pickKeys(['power', 'hang', 'placement']);
     return pickKeys(Object.keys(engineTraits));
   };
 
@@ -149,11 +174,17 @@ export default function CardModal({ card, onClose }) {
       accuracy: 'Accuracy',
       range: 'Range',
       clutch: 'Clutch',
+      // P (power shared with RB)
+      hang: 'Hang Time',
+      placement: 'Placement',
     };
     return map[k] || k;
   };
 
   const traitExplanation = (k) => {
+    if (card.position === 'P') {
+      return { power: 'Punt distance', hang: 'Fewer return yards', placement: 'Pins inside the 10' }[k] || '';
+    }
     const explanations = {
       // QB
       arm: 'Accuracy & deep ball',
@@ -278,6 +309,7 @@ export default function CardModal({ card, onClose }) {
                 </div>
               </div>
             )}
+            <InjuryTag card={card} className="absolute top-3 left-3" />
           </div>
           
           {/* BACK - Stats */}
@@ -307,6 +339,11 @@ export default function CardModal({ card, onClose }) {
                 <p className="text-sm" style={{ color: tierColor }}>
                   {card.position} · {card.season} · {card.team}
                 </p>
+                {isInjured(card) && (
+                  <div className="mt-2 text-xs font-semibold text-red-300">
+                    Injured · {injuryLabel(card)} · can&apos;t be rostered until healed
+                  </div>
+                )}
               </div>
               
               {/* Strategic Advantage */}
@@ -368,6 +405,35 @@ export default function CardModal({ card, onClose }) {
                 </div>
               )}
               
+              {/* Career in First & 10 */}
+              {career && career.cardId === card.id && (
+                <div className="mb-3 p-2 rounded-lg bg-white/5 border border-white/10">
+                  <div className="flex items-center justify-between mb-1">
+                    <div className="text-xs text-gray-500 uppercase tracking-wider">
+                      Career in First &amp; 10
+                    </div>
+                    <div className="text-[10px] text-gray-500">
+                      {career.career.league.games} GP
+                      {career.career.practice.games > 0 && ` · ${career.career.practice.games} practice`}
+                    </div>
+                  </div>
+                  {career.career.league.games > 0 ? (
+                    <div className="flex justify-around">
+                      {(CAREER_STATS[card.position] || []).map(([label, key]) => (
+                        <div key={key} className="text-center">
+                          <div className="text-sm font-bold text-white">{career.career.league[key] ?? '-'}</div>
+                          <div className="text-[10px] text-gray-500">{label}</div>
+                        </div>
+                      ))}
+                    </div>
+                  ) : (
+                    <div className="text-[11px] text-gray-500 text-center py-1">
+                      No league games yet
+                    </div>
+                  )}
+                </div>
+              )}
+              
               {/* Stats */}
               <div className="flex-1 overflow-y-auto">
                 <div className="text-xs text-gray-500 uppercase tracking-wider mb-2">
@@ -412,6 +478,16 @@ export default function CardModal({ card, onClose }) {
         </div>
       </div>
       
+      {onRetire && (
+        <button
+          onClick={() => onRetire(card)}
+          className="absolute bottom-16 left-1/2 -translate-x-1/2 px-4 py-1.5 text-xs font-semibold rounded-lg text-red-300 border border-red-500/40 hover:bg-red-500/10 transition-colors"
+          style={{ fontFamily: 'var(--f10-display-font)' }}
+        >
+          Retire{retirePoints ? ` for ${retirePoints} crafting points` : ''}
+        </button>
+      )}
+
       {/* Flip indicator */}
       <div className="absolute bottom-8 left-1/2 -translate-x-1/2 flex items-center gap-2 text-white/40">
         <div className={`w-2 h-2 rounded-full ${!isFlipped ? 'bg-white' : 'bg-white/30'}`} />
@@ -2,10 +2,17 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Card from './Card';
 import CardModal from './CardModal';
-import { getCards, getPackInfo } from '../lib/api';
+import CollectionsPanel from './CollectionsPanel';
+import CraftingPanel from './CraftingPanel';
+import { getCards, getPackInfo, getCrafting, retireCard } from '../lib/api';
 
 const POSITIONS = ['ALL', 'QB', 'RB', 'WR', 'TE', 'OL', 'DL', 'LB', 'DB', 'K', 'P'];
 const TIERS = ['ALL', 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1];
+const VIEWS = [
+  { id: 'cards', label: 'Cards' },
+  { id: 'collections', label: 'Collections' },
+  { id: 'crafting', label: 'Crafting' },
+];
 
 export default function CardsView({ user }) {
   const router = useRouter();
@@ -17,11 +24,14 @@ export default function CardsView({ user }) {
   const [selectedCard, setSelectedCard] = useState(null);
   const [packsRemaining, setPacksRemaining] = useState(0);
   const [packInfoLoaded, setPackInfoLoaded] = useState(false);
+  const [view, setView] = useState('cards'); // 'cards' | 'collections' | 'crafting'
+  const [crafting, setCrafting] = useState(null);
 
   useEffect(() => {
     if (!user) return;
     loadCards();
     loadPackInfo();
+    loadCrafting();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [user]);
 
@@ -47,6 +57,33 @@ export default function CardsView({ user }) {
     }
   };
 
+  const loadCrafting = async () => {
+    try {
+      setCrafting(await getCrafting());
+    } catch (err) {
+      console.error('Failed to load crafting:', err);
+    }
+  };
+
+  const handleRetire = async (card) => {
+    const points = crafting?.retireValues?.[card.tier];
+    if (!confirm(`Retire ${card.player_name} (${card.season})${points ? ` for ${points} crafting points` : ''}? The card is gone for good.`)) return;
+    try {
+      const result = await retireCard(card.id);
+      setCards(prev => prev.filter(c => c.id !== card.id));
+      setCrafting(prev => prev && { ...prev, points: result.craftingPoints });
+      setSelectedCard(null);
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  const handleCrafted = (result) => {
+    setCrafting(prev => prev && { ...prev, points: result.craftingPoints });
+    if (result.card) loadCards();
+    if (result.packs) loadPackInfo();
+  };
+
   // Filter and sort cards
   const filteredCards = cards
     .filter(c => filter === 'ALL' || c.position === filter)
@@ -78,7 +115,7 @@ export default function CardsView({ user }) {
       {/* Top row: Sort by (left) + All Tiers (right) — pulled up 30px into endzone */}
       <div className="flex items-center justify-between" style={{ marginTop: '-6px' }}>
         {/* Sort Dropdown — left */}
-        <div className="relative">
+        <div className={`relative ${view === 'cards' ? '' : 'invisible'}`}>
           <select
             value={sortBy}
             onChange={(e) => setSortBy(e.target.value)}
@@ -101,8 +138,27 @@ export default function CardsView({ user }) {
           </div>
         </div>
 
+        {/* Cards / Collections tabs — center */}
+        <div className="flex rounded-lg overflow-hidden" style={{ border: '1px solid rgba(255,255,255,0.12)' }}>
+          {VIEWS.map(v => (
+            <button
+              key={v.id}
+              onClick={() => setView(v.id)}
+              className={`px-3 py-1.5 text-xs font-semibold transition-colors ${
+                view === v.id ? 'bg-blue-600 text-white' : 'text-gray-300 hover:bg-gray-600'
+              }`}
+              style={{
+                background: view === v.id ? undefined : btnStyle.background,
+                fontFamily: btnStyle.fontFamily,
+              }}
+            >
+              {v.label}
+            </button>
+          ))}
+        </div>
+
         {/* Tier Filter Dropdown — right */}
-        <div className="relative">
+        <div className={`relative ${view === 'cards' ? '' : 'invisible'}`}>
           <select
             value={tierFilter}
             onChange={(e) => setTierFilter(e.target.value === 'ALL' ? 'ALL' : Number(e.target.value))}
@@ -125,32 +181,46 @@ export default function CardsView({ user }) {
         </div>
       </div>
 
+      {view === 'collections' && (
+        <div style={{ marginTop: '100px' }}>
+          <CollectionsPanel user={user} />
+        </div>
+      )}
+
+      {view === 'crafting' && (
+        <div style={{ marginTop: '100px' }}>
+          <CraftingPanel info={crafting} onCrafted={handleCrafted} />
+        </div>
+      )}
+
       {/* Position Filter Buttons — pushed down 50px */}
-      <div className="flex items-center gap-1.5 mb-4 overflow-x-auto hide-scrollbar" style={{ WebkitOverflowScrolling: 'touch', marginTop: '100px' }}>
-        {POSITIONS.map(pos => (
-          <button
-            key={pos}
-            onClick={() => setFilter(pos)}
-            className={`flex-shrink-0 px-3 py-1.5 rounded-lg text-xs font-semibold transition-colors ${
-              filter === pos
-                ? 'bg-blue-600 text-white'
-                : 'text-gray-300 hover:bg-gray-600'
-            }`}
-            style={{
-              background: filter === pos ? undefined : btnStyle.background,
-              fontFamily: btnStyle.fontFamily,
-            }}
-          >
-            {pos === 'ALL'
-              ? `ALL (${stats.total})`
-              : `${pos}${stats.byPosition[pos] ? ` (${stats.byPosition[pos]})` : ''}`
-            }
-          </button>
-        ))}
-      </div>
+      {view === 'cards' && (
+        <div className="flex items-center gap-1.5 mb-4 overflow-x-auto hide-scrollbar" style={{ WebkitOverflowScrolling: 'touch', marginTop: '100px' }}>
+          {POSITIONS.map(pos => (
+            <button
+              key={pos}
+              onClick={() => setFilter(pos)}
+              className={`flex-shrink-0 px-3 py-1.5 rounded-lg text-xs font-semibold transition-colors ${
+                filter === pos
+                  ? 'bg-blue-600 text-white'
+                  : 'text-gray-300 hover:bg-gray-600'
+              }`}
+              style={{
+                background: filter === pos ? undefined : btnStyle.background,
+                fontFamily: btnStyle.fontFamily,
+              }}
+            >
+              {pos === 'ALL'
+                ? `ALL (${stats.total})`
+                : `${pos}${stats.byPosition[pos] ? ` (${stats.byPosition[pos]})` : ''}`
+              }
+            </button>
+          ))}
+        </div>
+      )}
 
       {/* Cards Grid - 3 columns on mobile */}
-      {loading ? (
+      {view === 'cards' && (loading ? (
         <div className="text-center text-gray-400 py-12">Loading cards...</div>
       ) : filteredCards.length === 0 ? (
         <div className="text-center text-gray-400 py-12">
@@ -166,13 +236,15 @@ export default function CardsView({ user }) {
             />
           ))}
         </div>
-      )}
+      ))}
 
       {/* Card Detail Modal */}
       {selectedCard && (
         <CardModal
           card={selectedCard}
           onClose={() => setSelectedCard(null)}
+          onRetire={handleRetire}
+          retirePoints={crafting?.retireValues?.[selectedCard.tier]}
         />
       )}
 
@@ -27,6 +27,7 @@ const OFFENSE_SLOTS = ['wr1_card_id', 'te_card_id', 'ol_card_id', 'rb_card_id',
 const OFFENSE_QB_SLOT = 'qb_card_id';
 const DEFENSE_SLOTS = ['db1_card_id', 'dl_card_id', 'lb_card_id', 'db2_card_id'];
 const DEFENSE_K_SLOT = 'k_card_id';
+const DEFENSE_P_SLOT = 'p_card_id';
 
 // For onSlotClick: slot id -> position (used by card picker modal).
 const SLOT_TO_POSITION = {
@@ -41,6 +42,7 @@ const SLOT_TO_POSITION = {
   lb_card_id: 'LB',
   db2_card_id: 'DB',
   k_card_id: 'K',
+  p_card_id: 'P',
 };
 
 function frayNoise(seed, i) {
@@ -234,9 +236,13 @@ export default function ChalkPlayDiagram({ mode, roster, onSlotClick, tierInfo }
       y: line10Y + yOffsets[i],
       label: { db1_card_id: 'DB1', dl_card_id: 'DL', lb_card_id: 'LB', db2_card_id: 'DB2' }[slotId],
     }));
-    const kX = w * (marginD + 1.5 * stepD);
-    // K moved down by NAME_HEIGHT to account for name text below card
-    return [...positions, { slotId: DEFENSE_K_SLOT, x: kX, y: line10Y + PX_PER_YARD * 4 + NAME_HEIGHT, label: 'K' }];
+    // K and P side by side, moved down by NAME_HEIGHT to account for name text below card
+    const specialY = line10Y + PX_PER_YARD * 4 + NAME_HEIGHT;
+    return [
+      ...positions,
+      { slotId: DEFENSE_K_SLOT, x: w * (marginD + stepD), y: specialY, label: 'K' },
+      { slotId: DEFENSE_P_SLOT, x: w * (marginD + 2 * stepD), y: specialY, label: 'P' },
+    ];
   }, [w, mode, line10Y]);
 
   const initOffensePlay = useCallback(() => {
@@ -284,9 +290,10 @@ export default function ChalkPlayDiagram({ mode, roster, onSlotClick, tierInfo }
       y: line10Y + yOffsets[i],
       label: { db1_card_id: 'DB1', dl_card_id: 'DL', lb_card_id: 'LB', db2_card_id: 'DB2' }[slotId],
     }));
-    const kX = w * (margin + 1.5 * step);
-    const k = { slotId: DEFENSE_K_SLOT, x: kX, y: line10Y + PX_PER_YARD * 4 + NAME_HEIGHT, label: 'K' };
-    const cardPositions = [...positions, k];
+    const specialY = line10Y + PX_PER_YARD * 4 + NAME_HEIGHT;
+    const k = { slotId: DEFENSE_K_SLOT, x: w * (margin + step), y: specialY, label: 'K' };
+    const p = { slotId: DEFENSE_P_SLOT, x: w * (margin + 2 * step), y: specialY, label: 'P' };
+    const cardPositions = [...positions, k, p];
     const xCoords = [
       { x: w * 0.15 + Math.random() * w * 0.12, y: goalLineY + PX_PER_YARD * 2.5 + Math.random() * 35 },
       { x: w * 0.32 + Math.random() * w * 0.18, y: goalLineY + PX_PER_YARD * 3 + Math.random() * 40 },
@@ -480,6 +487,20 @@ export default function ChalkPlayDiagram({ mode, roster, onSlotClick, tierInfo }
               <span style={{ color: tierInfo.isOverCap ? '#ef4444' : '#00e5ff' }}>{tierInfo.sum}</span>
               <span className="text-cyan-400/50">/{tierInfo.cap}</span>
             </div>
+            {tierInfo.specialTeams && (
+              <div 
+                className="px-1 py-0.5 rounded text-[9px] font-bold whitespace-nowrap"
+                style={{ 
+                  backgroundColor: 'rgba(0,229,255,0.15)',
+                  border: `1px solid ${tierInfo.specialTeams.sum > tierInfo.specialTeams.cap ? 'rgba(239,68,68,0.5)' : 'rgba(0,229,255,0.3)'}`,
+                  fontFamily: "'Rajdhani', sans-serif",
+                }}
+              >
+                <span className="text-cyan-400/70">K + P Sum = </span>
+                <span style={{ color: tierInfo.specialTeams.sum > tierInfo.specialTeams.cap ? '#ef4444' : '#00e5ff' }}>{tierInfo.specialTeams.sum}</span>
+                <span className="text-cyan-400/50">/{tierInfo.specialTeams.cap}</span>
+              </div>
+            )}
           </div>
         )}
       </div>
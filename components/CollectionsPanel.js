@@ -0,0 +1,136 @@
+/**
+ * CollectionsPanel - Collection sets tab of CardsView
+ * Progress on each set (from /api/collections), earned badges, and a banner
+ * for sets completed since the last visit. Tap a set for its checklist.
+ */
+import { useState, useEffect } from 'react';
+import { getCollections, TIER_NAMES, TIER_COLORS } from '../lib/api';
+
+const DISPLAY_FONT = { fontFamily: 'var(--f10-display-font)' };
+const COMPLETE_COLOR = '#00ff7f';
+
+function tierColor(tier) {
+  return tier >= 11 ? '#fde68a' : TIER_COLORS[tier];
+}
+
+function SetDetails({ set }) {
+  if (set.slots) {
+    return (
+      <div className="grid grid-cols-2 sm:grid-cols-3 gap-1.5 mt-3">
+        {set.slots.map(slot => (
+          <div key={slot.position} className="px-2 py-1 rounded-lg bg-black/30 text-xs">
+            <span className="text-gray-400 mr-1.5">{slot.position}</span>
+            {slot.card ? (
+              <span style={{ color: tierColor(slot.card.tier) }}>{slot.card.player} &apos;{String(slot.card.season).slice(-2)}</span>
+            ) : (
+              <span className="text-gray-600">—</span>
+            )}
+          </div>
+        ))}
+      </div>
+    );
+  }
+  if (set.checklist) {
+    return (
+      <ul className="mt-3 space-y-0.5 text-xs">
+        {set.checklist.map(item => (
+          <li key={`${item.player}_${item.season}`} className="flex items-center gap-2">
+            <span style={{ color: item.owned ? COMPLETE_COLOR : 'rgba(255,255,255,0.25)' }}>{item.owned ? '✓' : '○'}</span>
+            <span className={item.owned ? 'text-white' : 'text-gray-500'}>{item.player}</span>
+            <span className="text-gray-500">{item.season} · {item.position}</span>
+            <span className="ml-auto" style={{ color: tierColor(item.tier) }}>{TIER_NAMES[item.tier]}</span>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+  return (
+    <p className="mt-3 text-xs text-gray-500">
+      {set.goal.type === 'count' ? `Any ${set.required} different cards that fit this set count.` : 'Too many cards to list.'}
+    </p>
+  );
+}
+
+export default function CollectionsPanel({ user }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [newlyCompleted, setNewlyCompleted] = useState([]);
+
+  useEffect(() => {
+    if (!user) return;
+    getCollections()
+      .then(result => {
+        setData(result);
+        setNewlyCompleted(result.newlyCompleted || []);
+      })
+      .catch(err => setError(err.message));
+  }, [user]);
+
+  if (error) return <div className="text-center text-red-400 py-12 text-sm">{error}</div>;
+  if (!data) return <div className="text-center text-gray-400 py-12">Loading collections...</div>;
+
+  return (
+    <div className="space-y-3">
+      {newlyCompleted.length > 0 && (
+        <div className="f10-panel p-3 flex items-start justify-between gap-3">
+          <div className="text-sm text-white" style={DISPLAY_FONT}>
+            {newlyCompleted.map(c => `${c.name} complete! You earned ${c.description}.`).join(' ')}
+          </div>
+          <button type="button" onClick={() => setNewlyCompleted([])} className="text-gray-400 hover:text-white text-sm">
+            ✕
+          </button>
+        </div>
+      )}
+
+      {data.badges.length > 0 && (
+        <div className="flex flex-wrap gap-1.5">
+          {data.badges.map(b => (
+            <span
+              key={b.badge + b.set}
+              title={`${b.set} · ${new Date(b.earnedAt).toLocaleDateString()}`}
+              className="px-2.5 py-1 rounded-full text-[11px] font-bold"
+              style={{ ...DISPLAY_FONT, color: '#fde68a', border: '1px solid rgba(253,230,138,0.4)', background: 'rgba(253,230,138,0.08)' }}
+            >
+              🏅 {b.badge}
+            </span>
+          ))}
+        </div>
+      )}
+
+      {data.sets.length === 0 && <div className="text-center text-gray-400 py-12">No collections yet.</div>}
+
+      {data.sets.map(set => {
+        const percent = set.required > 0 ? Math.round((set.owned / set.required) * 100) : 0;
+        const done = !!set.completedAt;
+        return (
+          <div key={set.slug} className="f10-panel p-4">
+            <button
+              type="button"
+              onClick={() => setExpanded(expanded === set.slug ? null : set.slug)}
+              className="w-full text-left"
+            >
+              <div className="flex items-baseline justify-between gap-2">
+                <span className="text-white font-bold" style={DISPLAY_FONT}>{set.name}</span>
+                <span className="text-xs font-mono" style={{ color: done ? COMPLETE_COLOR : 'rgba(255,255,255,0.6)' }}>
+                  {set.owned}/{set.required}
+                </span>
+              </div>
+              {set.description && <p className="text-xs text-gray-400 mt-0.5">{set.description}</p>}
+              <div className="h-1.5 mt-2 bg-white/10 rounded-full overflow-hidden">
+                <div
+                  className="h-full rounded-full"
+                  style={{ width: `${done ? 100 : percent}%`, background: done ? COMPLETE_COLOR : '#00e5ff' }}
+                />
+              </div>
+              <p className="text-[11px] mt-1.5" style={{ color: done ? COMPLETE_COLOR : 'rgba(255,255,255,0.5)' }}>
+                {done ? `Completed · earned ${set.rewardDescription}` : `Reward: ${set.rewardDescription}`}
+              </p>
+            </button>
+            {expanded === set.slug && <SetDetails set={set} />}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+/**
+ * CraftingPanel - Crafting tab of CardsView
+ * Spend crafting points (earned by retiring cards) on a pack or a targeted
+ * pull: a fresh card of a chosen position and tier.
+ */
+import { useState } from 'react';
+import Card from './Card';
+import { craft, TIER_NAMES, TIER_COLORS } from '../lib/api';
+
+const DISPLAY_FONT = { fontFamily: 'var(--f10-display-font)' };
+const NAV_CYAN = '#00e5ff';
+
+const selectClass = 'px-3 py-1.5 rounded-lg text-xs font-semibold text-white bg-white/5 border border-white/10';
+
+export default function CraftingPanel({ info, onCrafted }) {
+  const [position, setPosition] = useState('QB');
+  const [tier, setTier] = useState(6);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [result, setResult] = useState(null);
+
+  if (!info) return <div className="text-center text-gray-400 py-12">Loading crafting...</div>;
+
+  const tiers = Object.keys(info.pullCosts).map(Number).sort((a, b) => b - a);
+  const pullCost = info.pullCosts[tier];
+
+  const handleCraft = async (order) => {
+    setBusy(true);
+    setError(null);
+    setResult(null);
+    try {
+      const data = await craft(order);
+      setResult(data);
+      onCrafted(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const craftButton = (label, cost, order) => (
+    <button
+      type="button"
+      disabled={busy || info.points < cost}
+      onClick={() => handleCraft(order)}
+      className="px-4 py-1.5 text-xs font-bold rounded-lg text-black disabled:opacity-40"
+      style={{ ...DISPLAY_FONT, background: NAV_CYAN }}
+    >
+      {label} · {cost} pts
+    </button>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="f10-panel p-4 text-center">
+        <div className="text-3xl font-bold text-white" style={DISPLAY_FONT}>{info.points}</div>
+        <div className="text-xs text-gray-400">crafting points</div>
+        <p className="text-[11px] text-gray-500 mt-2">
+          Retire cards you won&apos;t roster (open a card and tap Retire) to earn points. Its player-season goes back into packs.
+        </p>
+      </div>
+
+      {error && <div className="text-sm text-red-400 text-center">{error}</div>}
+      {result && (
+        <div className="f10-panel p-3 text-center text-sm text-white" style={DISPLAY_FONT}>
+          {result.recipe === 'pack' ? 'Crafted a pack! Open it from the Packs tab.' : 'Crafted:'}
+          {result.card && (
+            <div className="flex justify-center mt-2">
+              <Card card={result.card} small />
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="f10-panel p-4 flex items-center justify-between gap-3">
+        <div>
+          <div className="text-white font-bold text-sm" style={DISPLAY_FONT}>Bonus Pack</div>
+          <div className="text-xs text-gray-400">One more pack to open</div>
+        </div>
+        {craftButton('Craft', info.packCost, { recipe: 'pack' })}
+      </div>
+
+      <div className="f10-panel p-4">
+        <div className="text-white font-bold text-sm" style={DISPLAY_FONT}>Targeted Pull</div>
+        <div className="text-xs text-gray-400 mb-3">A random unminted card of the position and tier you pick</div>
+        <div className="flex flex-wrap items-center gap-2">
+          <select className={selectClass} value={position} onChange={e => setPosition(e.target.value)}>
+            {info.positions.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+          </select>
+          <select className={selectClass} value={tier} onChange={e => setTier(Number(e.target.value))}>
+            {tiers.map(t => <option key={t} value={t}>{TIER_NAMES[t]} · {info.pullCosts[t]} pts</option>)}
+          </select>
+          <div className="ml-auto">
+            {craftButton('Craft', pullCost, { recipe: 'pull', position, tier })}
+          </div>
+        </div>
+      </div>
+
+      <div className="f10-panel p-4">
+        <div className="text-white font-bold text-sm mb-2" style={DISPLAY_FONT}>Retire values</div>
+        <div className="grid grid-cols-2 gap-x-4 gap-y-0.5 text-xs">
+          {Object.entries(info.retireValues).sort((a, b) => b[0] - a[0]).map(([t, points]) => (
+            <div key={t} className="flex justify-between">
+              <span style={{ color: Number(t) === 11 ? '#fde68a' : TIER_COLORS[t] }}>{TIER_NAMES[t]}</span>
+              <span className="text-gray-300 font-mono">{points}</span>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
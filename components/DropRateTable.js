@@ -0,0 +1,72 @@
+/**
+ * DropRateTable - Published odds for one pack product (from /api/packs/info)
+ * Shows guaranteed slots, pack filters, the pity rule and, per tier, the
+ * chance for each random card and the chance of at least one in the pack.
+ */
+import { TIER_NAMES, TIER_COLORS } from '../lib/api';
+import { pityTierLabel } from './PityMeter';
+
+const DISPLAY_FONT = { fontFamily: 'var(--f10-display-font)' };
+
+// "Seasons 1990-1999 · DL, LB, DB only · No Hall of Fame"
+function filterSummary(product) {
+  const parts = [];
+  if (product.seasons) parts.push(`Seasons ${product.seasons.from}-${product.seasons.to}`);
+  if (product.positions) parts.push(`${product.positions.join(', ')} only`);
+  if (!product.includeHof) parts.push('No Hall of Fame');
+  return parts.join(' · ');
+}
+
+export default function DropRateTable({ product, compact = false }) {
+  if (!product) return null;
+  const { perCard = {}, perPack = {} } = product.odds || {};
+  const tiers = Object.keys(TIER_NAMES)
+    .map(Number)
+    .filter(tier => perCard[tier] || perPack[tier])
+    .sort((a, b) => b - a);
+  const filters = filterSummary(product);
+
+  return (
+    <div className={compact ? 'text-xs' : 'text-sm'}>
+      <div className="flex items-baseline justify-between gap-2 mb-1">
+        <span className="text-white font-bold" style={DISPLAY_FONT}>{product.name}</span>
+        <span className="text-gray-400 text-xs">{product.cardCount} card{product.cardCount === 1 ? '' : 's'}</span>
+      </div>
+      {product.description && <p className="text-gray-400 mb-2">{product.description}</p>}
+      {product.guaranteed?.length > 0 && (
+        <p className="text-gray-300 mb-1">Guaranteed: {product.guaranteed.join(', ')}</p>
+      )}
+      {filters && <p className="text-gray-400 mb-2">{filters}</p>}
+      {product.pity && (
+        <p className="text-gray-300 mb-2">
+          Bad-luck protection: after {product.pity.afterPacks} pack{product.pity.afterPacks === 1 ? '' : 's'} in a row
+          without {pityTierLabel(product.pity)}, the next one guarantees it.
+        </p>
+      )}
+
+      <table className="w-full mt-1">
+        <thead>
+          <tr className="text-gray-500 text-[11px] uppercase tracking-wide">
+            <th className="text-left font-normal pb-1">Tier</th>
+            <th className="text-right font-normal pb-1">Per card</th>
+            <th className="text-right font-normal pb-1">Per pack</th>
+          </tr>
+        </thead>
+        <tbody>
+          {tiers.map(tier => (
+            <tr key={tier} className="border-t border-white/5">
+              <td className="py-0.5" style={{ color: tier === 11 ? '#fde68a' : TIER_COLORS[tier] }}>
+                {TIER_NAMES[tier]}
+              </td>
+              <td className="py-0.5 text-right text-gray-300 font-mono">{perCard[tier] || '—'}</td>
+              <td className="py-0.5 text-right text-gray-300 font-mono">{perPack[tier] || '—'}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <p className="text-gray-500 text-[11px] mt-1">
+        Per pack = chance of at least one card of that tier. Guaranteed slots aren&apos;t counted in per-card odds.
+      </p>
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { useState, useRef, useEffect, useCallback } from 'react';
 import Card from './Card';
+import PityMeter from './PityMeter';
 
 /**
  * FoilPackOpening - Premium pack opening animation
@@ -9,12 +10,15 @@ import Card from './Card';
  * 2. User swipes down to tear open
  * 3. Cards revealed one by one
  * 4. Swipe cards away to collection
+ *
+ * pity: bad-luck protection progress before this pack (see PityMeter)
  */
 export default function FoilPackOpening({ 
   isOpen, 
   onComplete, 
   cards = [],
   packType = 'starter',
+  pity = null,
 }) {
   const [phase, setPhase] = useState('idle');
   // Phases: idle -> packAppear -> readyToOpen -> tearing -> cardsRevealed -> browsing -> complete
@@ -544,6 +548,7 @@ export default function FoilPackOpening({
               >
                 or tap here to skip
               </button>
+              <PityMeter pity={pity} className="mt-3" />
             </div>
           )}
           
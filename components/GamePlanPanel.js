@@ -0,0 +1,126 @@
+/**
+ * GamePlanPanel - Coach's play-calling tendencies on the Team page
+ * Five settings (run/pass mix, deep shots, 4th down, two-minute tempo, blitz
+ * rate), each a level from -2 to +2 where the middle is the engine default.
+ * Locked along with the roster before games.
+ */
+import { useEffect, useState } from 'react';
+import { getGamePlan, updateGamePlan } from '../lib/api';
+
+const DISPLAY_FONT = { fontFamily: 'var(--f10-display-font)' };
+const NAV_CYAN = '#00e5ff';
+
+export default function GamePlanPanel({ user, disabled = false }) {
+  const [info, setInfo] = useState(null);
+  const [plan, setPlan] = useState(null);
+  const [open, setOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    if (!user) return;
+    getGamePlan()
+      .then(data => {
+        setInfo(data);
+        setPlan(data.gamePlan);
+      })
+      .catch(err => console.error('Failed to load game plan:', err));
+  }, [user]);
+
+  if (!info || !plan) return null;
+
+  const dirty = info.settings.some(s => plan[s.key] !== info.gamePlan[s.key]);
+  const changed = info.settings.filter(s => info.gamePlan[s.key] !== 0).length;
+
+  const handleChange = (key, value) => {
+    setPlan(p => ({ ...p, [key]: value }));
+    setSaved(false);
+    setError(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const data = await updateGamePlan(plan);
+      setInfo(data);
+      setPlan(data.gamePlan);
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const levelLabel = (setting, value) => setting.levels[value - info.minLevel];
+
+  return (
+    <div className="f10-panel mt-4 max-w-2xl mx-auto">
+      <button
+        type="button"
+        onClick={() => setOpen(o => !o)}
+        className="w-full flex items-center justify-between px-4 py-3"
+      >
+        <span className="text-white font-bold text-sm" style={DISPLAY_FONT}>Game Plan</span>
+        <span className="text-xs text-gray-400">
+          {changed === 0 ? 'Engine defaults' : `${changed} adjustment${changed === 1 ? '' : 's'}`} {open ? '▲' : '▼'}
+        </span>
+      </button>
+
+      {open && (
+        <div className="px-4 pb-4 space-y-3">
+          {disabled && (
+            <div className="text-xs text-red-400" style={DISPLAY_FONT}>Locked until the game is played</div>
+          )}
+          {info.settings.map(setting => (
+            <div key={setting.key}>
+              <div className="flex items-baseline justify-between">
+                <span className="text-xs font-bold text-white" style={DISPLAY_FONT}>{setting.label}</span>
+                <span className="text-xs font-semibold" style={{ ...DISPLAY_FONT, color: plan[setting.key] === 0 ? '#a3a3a3' : NAV_CYAN }}>
+                  {levelLabel(setting, plan[setting.key])}
+                </span>
+              </div>
+              <input
+                type="range"
+                min={info.minLevel}
+                max={info.maxLevel}
+                step={1}
+                value={plan[setting.key]}
+                disabled={disabled || saving}
+                onChange={e => handleChange(setting.key, Number(e.target.value))}
+                className="w-full disabled:opacity-40"
+                style={{ accentColor: NAV_CYAN }}
+              />
+              <div className="text-[11px] text-gray-500">{setting.description}</div>
+            </div>
+          ))}
+
+          {error && <div className="text-sm text-red-400 text-center">{error}</div>}
+          <div className="flex items-center justify-end gap-3">
+            {saved && !dirty && <span className="text-xs text-gray-400">Saved</span>}
+            <button
+              type="button"
+              disabled={disabled || saving || !dirty}
+              onClick={() => setPlan(info.gamePlan)}
+              className="px-3 py-1.5 text-xs font-bold rounded-lg text-gray-300 border border-white/10 disabled:opacity-40"
+              style={DISPLAY_FONT}
+            >
+              Reset
+            </button>
+            <button
+              type="button"
+              disabled={disabled || saving || !dirty}
+              onClick={handleSave}
+              className="px-4 py-1.5 text-xs font-bold rounded-lg text-black disabled:opacity-40"
+              style={{ ...DISPLAY_FONT, background: NAV_CYAN }}
+            >
+              {saving ? 'Saving...' : 'Save Plan'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
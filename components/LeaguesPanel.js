@@ -0,0 +1,366 @@
+import { useState, useEffect } from 'react';
+import {
+  getMyLeagues,
+  createLeague,
+  joinLeague,
+  updateLeague,
+  regenerateLeagueInviteCode,
+  setLeagueCommissioner,
+  removeLeagueMember,
+  leaveLeague,
+  updateLeagueSeasonConfig,
+} from '../lib/api';
+
+const PLAYOFF_SIZES = [2, 4, 6, 8];
+const TIMEZONES = ['EST', 'America/New_York', 'America/Chicago', 'America/Denver', 'America/Los_Angeles', 'UTC', 'Europe/London'];
+const HOURS = Array.from({ length: 24 }, (_, h) => h);
+
+function hourLabel(h) {
+  return `${h % 12 === 0 ? 12 : h % 12} ${h < 12 ? 'AM' : 'PM'}`;
+}
+
+/**
+ * Commissioner editor for weeks, game times, timezone and playoff format
+ */
+function SeasonFormatForm({ league, busy, onSave }) {
+  const [form, setForm] = useState(league.seasonConfig);
+  const set = (key, value) => setForm(f => ({ ...f, [key]: value }));
+  const toggleHour = (h) => set('gameTimes', form.gameTimes.includes(h)
+    ? form.gameTimes.filter(x => x !== h)
+    : [...form.gameTimes, h].sort((a, b) => a - b));
+
+  return (
+    <form
+      onSubmit={(e) => { e.preventDefault(); onSave(form); }}
+      className="space-y-2 text-sm text-gray-400"
+    >
+      <div className="text-white font-semibold">Season format</div>
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={form.regularSeasonWeeks}
+          onChange={(e) => set('regularSeasonWeeks', parseInt(e.target.value))}
+          className="f10-input px-2 py-1 text-white rounded-lg bg-black/40"
+        >
+          {Array.from({ length: 12 }, (_, i) => i + 1).map(w => (
+            <option key={w} value={w}>{w}</option>
+          ))}
+        </select>
+        week regular season, playoffs for top
+        <select
+          value={form.playoffTeams}
+          onChange={(e) => set('playoffTeams', parseInt(e.target.value))}
+          className="f10-input px-2 py-1 text-white rounded-lg bg-black/40"
+        >
+          {PLAYOFF_SIZES.map(n => <option key={n} value={n}>{n}</option>)}
+        </select>
+        <label className="flex items-center gap-1">
+          <input
+            type="checkbox"
+            checked={form.thirdPlaceGame}
+            onChange={(e) => set('thirdPlaceGame', e.target.checked)}
+          />
+          Third-place game
+        </label>
+      </div>
+      <div>
+        <div className="mb-1">Game times (up to 4 per day)</div>
+        <div className="flex flex-wrap gap-1">
+          {HOURS.map(h => (
+            <button
+              key={h}
+              type="button"
+              onClick={() => toggleHour(h)}
+              className={`px-2 py-0.5 rounded text-xs ${form.gameTimes.includes(h) ? 'bg-cyan-600 text-white' : 'bg-black/40 text-gray-500'}`}
+            >
+              {hourLabel(h)}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="flex items-center gap-2">
+        Timezone
+        <select
+          value={form.timezone}
+          onChange={(e) => set('timezone', e.target.value)}
+          className="f10-input px-2 py-1 text-white rounded-lg bg-black/40"
+        >
+          {[...new Set([form.timezone, ...TIMEZONES])].map(tz => (
+            <option key={tz} value={tz}>{tz}</option>
+          ))}
+        </select>
+        <button
+          type="submit"
+          disabled={busy || form.gameTimes.length === 0 || form.gameTimes.length > 4}
+          className="ml-auto px-3 py-1 rounded-lg bg-purple-600 text-white text-xs font-semibold disabled:opacity-50"
+        >
+          Save format
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * My leagues: create a private league, join one with an invite code,
+ * and (as commissioner) manage members, invite code, roster-lock window and season format.
+ */
+export default function LeaguesPanel({ user }) {
+  const [leagues, setLeagues] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [newName, setNewName] = useState('');
+  const [inviteCode, setInviteCode] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    loadLeagues();
+  }, []);
+
+  const loadLeagues = async () => {
+    try {
+      const data = await getMyLeagues();
+      setLeagues(data.leagues || []);
+    } catch (err) {
+      console.error('Failed to load leagues:', err);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Run an action, surface its error, then refresh the list
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    setNotice(null);
+    try {
+      await action();
+      await loadLeagues();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    run(async () => {
+      const data = await createLeague(newName.trim());
+      setNewName('');
+      setExpandedId(data.league.id);
+    });
+  };
+
+  const handleJoin = (e) => {
+    e.preventDefault();
+    if (!inviteCode.trim()) return;
+    run(async () => {
+      const data = await joinLeague(inviteCode.trim());
+      setInviteCode('');
+      setExpandedId(data.league.id);
+    });
+  };
+
+  const handleLockMinutes = (league, value) => {
+    run(() => updateLeague(league.id, { rosterLockMinutes: value }));
+  };
+
+  const handleSeasonFormat = (league, config) => {
+    run(async () => {
+      const data = await updateLeagueSeasonConfig(league.id, config);
+      setNotice(data.appliesTo === 'current'
+        ? 'Season format saved for the current season.'
+        : 'Season format saved. It takes effect next season.');
+    });
+  };
+
+  const handleRemove = (league, member) => {
+    if (!confirm(`Remove ${member.team_name || member.username} from ${league.name}?`)) return;
+    run(() => removeLeagueMember(league.id, member.id));
+  };
+
+  const handleLeave = (league) => {
+    if (!confirm(`Leave ${league.name}? Your unplayed games in it will be cancelled.`)) return;
+    run(() => leaveLeague(league.id));
+  };
+
+  return (
+    <div className="f10-panel p-4 max-w-2xl mx-auto">
+      <h2 className="text-xl f10-title text-white mb-4">My Leagues</h2>
+
+      {error && (
+        <div className="mb-3 p-2 bg-red-900/50 border border-red-600 rounded-lg text-red-300 text-sm">
+          {error}
+        </div>
+      )}
+
+      {notice && (
+        <div className="mb-3 p-2 bg-green-900/40 border border-green-600 rounded-lg text-green-300 text-sm">
+          {notice}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-gray-400 text-center py-4">Loading leagues...</p>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {leagues.map(league => {
+            const expanded = expandedId === league.id;
+            return (
+              <div key={league.id} className="f10-panel-soft rounded-xl p-3">
+                <button
+                  type="button"
+                  onClick={() => setExpandedId(expanded ? null : league.id)}
+                  className="w-full flex justify-between items-center text-left"
+                >
+                  <div>
+                    <div className="font-semibold text-white flex items-center gap-2">
+                      {league.name}
+                      {league.isCommissioner && (
+                        <span className="bg-purple-600 text-white text-[10px] px-2 py-0.5 rounded-full">Commissioner</span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      {league.memberCount} team{league.memberCount === 1 ? '' : 's'}
+                      {` · ${league.seasonConfig.regularSeasonWeeks} wk, top ${league.seasonConfig.playoffTeams} playoffs`}
+                      {league.seasonStart ? ` · Season started ${league.seasonStart}` : ' · Season starts when 2 teams have full rosters'}
+                    </div>
+                  </div>
+                  <span className="text-gray-500 text-sm">{expanded ? '▲' : '▼'}</span>
+                </button>
+
+                {expanded && (
+                  <div className="mt-3 pt-3 border-t border-white/10 space-y-3">
+                    {league.inviteCode && (
+                      <div className="flex items-center justify-between gap-2">
+                        <div className="text-sm text-gray-400">
+                          Invite code: <span className="font-mono font-bold text-white tracking-widest">{league.inviteCode}</span>
+                        </div>
+                        {league.isCommissioner && (
+                          <button
+                            type="button"
+                            disabled={busy}
+                            onClick={() => run(() => regenerateLeagueInviteCode(league.id))}
+                            className="text-xs text-cyan-300 hover:text-cyan-200 disabled:opacity-50"
+                          >
+                            New code
+                          </button>
+                        )}
+                      </div>
+                    )}
+
+                    {league.isCommissioner && (
+                      <div className="flex items-center gap-2 text-sm text-gray-400">
+                        Rosters lock
+                        <select
+                          value={league.rosterLockMinutes}
+                          disabled={busy}
+                          onChange={(e) => handleLockMinutes(league, e.target.value)}
+                          className="f10-input px-2 py-1 text-white rounded-lg bg-black/40"
+                        >
+                          {[0, 5, 10, 15, 30, 60].map(m => (
+                            <option key={m} value={m}>{m}</option>
+                          ))}
+                        </select>
+                        minutes before game time
+                      </div>
+                    )}
+
+                    {league.isCommissioner && (
+                      <SeasonFormatForm
+                        key={JSON.stringify(league.seasonConfig)}
+                        league={league}
+                        busy={busy}
+                        onSave={(config) => handleSeasonFormat(league, config)}
+                      />
+                    )}
+
+                    <div className="space-y-1">
+                      {league.members.map(member => (
+                        <div key={member.id} className="flex items-center justify-between text-sm">
+                          <span className={member.id === user.id ? 'text-blue-400' : 'text-white'}>
+                            {member.team_name || member.username}
+                            {member.id === league.commissionerUserId && <span className="ml-1 text-xs text-purple-400">(C)</span>}
+                          </span>
+                          {league.isCommissioner && member.id !== user.id && (
+                            <span className="flex gap-2">
+                              <button
+                                type="button"
+                                disabled={busy}
+                                onClick={() => run(() => setLeagueCommissioner(league.id, member.id))}
+                                className="text-xs text-gray-400 hover:text-white disabled:opacity-50"
+                              >
+                                Make commissioner
+                              </button>
+                              <button
+                                type="button"
+                                disabled={busy}
+                                onClick={() => handleRemove(league, member)}
+                                className="text-xs text-red-400 hover:text-red-300 disabled:opacity-50"
+                              >
+                                Remove
+                              </button>
+                            </span>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+
+                    {!league.isMain && (
+                      <button
+                        type="button"
+                        disabled={busy}
+                        onClick={() => handleLeave(league)}
+                        className="text-xs text-red-400 hover:text-red-300 disabled:opacity-50"
+                      >
+                        Leave league
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <div className="grid sm:grid-cols-2 gap-3">
+        <form onSubmit={handleCreate} className="flex gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="New league name"
+            maxLength={40}
+            className="flex-1 min-w-0 f10-input px-3 py-2 text-white rounded-xl bg-black/40 text-sm"
+          />
+          <button
+            type="submit"
+            disabled={busy || !newName.trim()}
+            className="px-3 py-2 rounded-xl bg-purple-600 text-white text-sm font-semibold disabled:opacity-50"
+          >
+            Create
+          </button>
+        </form>
+        <form onSubmit={handleJoin} className="flex gap-2">
+          <input
+            value={inviteCode}
+            onChange={(e) => setInviteCode(e.target.value.toUpperCase())}
+            placeholder="Invite code"
+            maxLength={8}
+            className="flex-1 min-w-0 f10-input px-3 py-2 text-white rounded-xl bg-black/40 text-sm font-mono tracking-widest"
+          />
+          <button
+            type="submit"
+            disabled={busy || !inviteCode.trim()}
+            className="px-3 py-2 rounded-xl bg-blue-600 text-white text-sm font-semibold disabled:opacity-50"
+          >
+            Join
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+}
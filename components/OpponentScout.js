@@ -7,7 +7,7 @@ import { useState, useEffect, useMemo, useCallback, useRef } from 'react';
 import Link from 'next/link';
 import { MiniCard } from './Card';
 import CardModal from './CardModal';
-import { getUserPresets } from '../lib/api';
+import { getUserPresets, isInjured, injuryLabel } from '../lib/api';
 import { 
   STRATEGY_LABELS, 
   STRATEGY_COLORS, 
@@ -117,6 +117,9 @@ export default function OpponentScout({
       });
   }, [opponentId, showSide]);
 
+  // Injury report: rostered cards (starters and bench) still out from earlier games
+  const injuredCards = useMemo(() => Object.values(rosterCards).filter(isInjured), [rosterCards]);
+
   // Get current preset
   const currentPreset = presets[currentIndex] || null;
 
@@ -640,6 +643,26 @@ export default function OpponentScout({
         )}
       </div>
       
+      {/* Injury Report */}
+      {injuredCards.length > 0 && (
+        <div
+          className="mx-1 mt-2 px-2 py-1 rounded text-[10px]"
+          style={{ backgroundColor: 'rgba(239,68,68,0.12)', border: '1px solid rgba(239,68,68,0.3)', fontFamily: "'Rajdhani', sans-serif" }}
+        >
+          <span className="font-bold text-red-400">Injury Report: </span>
+          {injuredCards.map((card, i) => (
+            <button
+              key={card.id}
+              type="button"
+              className="text-red-200 hover:text-white"
+              onClick={() => setViewingCard(card)}
+            >
+              {i > 0 && ', '}{card.player_name || card.player} ({card.position}) · {injuryLabel(card)}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* VS Divider - positioned lower */}
       <div className="flex items-center justify-center mb-4" style={{ marginTop: '83px' }}>
         <span className="text-xs text-white font-bold" style={{ fontFamily: 'var(--f10-display-font)' }}>
@@ -1,9 +1,11 @@
 import { useState, useRef, useEffect } from 'react';
+import PityMeter from './PityMeter';
 
 export default function PackOpeningAnimation({ 
   isOpen, 
   onComplete, 
   packType = 'starter',
+  pity = null, // Bad-luck protection progress before this pack
   children 
 }) {
   const [phase, setPhase] = useState('idle'); // idle, showing, wiping, revealing, complete
@@ -212,6 +214,7 @@ export default function PackOpeningAnimation({
             <div className="text-white/40 text-xs mt-1">
               or tap to skip
             </div>
+            <PityMeter pity={pity} className="mt-2" />
           </div>
         )}
         
@@ -1,9 +1,11 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useRouter } from 'next/router';
 import Card from './Card';
 import CardModal from './CardModal';
 import FoilPackOpening from './FoilPackOpening';
-import { getPackInfo, getCards, openPack, openSinglePack, openAllPacks, TIER_NAMES } from '../lib/api';
+import DropRateTable from './DropRateTable';
+import PityMeter from './PityMeter';
+import { getPackInfo, getCards, openPack, openSinglePack, openAllPacks, getChainPacks, openChainPack, newIdempotencyKey, TIER_NAMES } from '../lib/api';
 
 /**
  * Packs UI: Simplified field view with pack and best card.
@@ -25,17 +27,37 @@ export default function PacksContent({ user, onViewCollection }) {
   const [showPackAnimation, setShowPackAnimation] = useState(false);
   const [pendingPackData, setPendingPackData] = useState(null);
   const [currentPackType, setCurrentPackType] = useState('starter');
+  const [currentPity, setCurrentPity] = useState(null); // Pity progress going into the pack being opened
+  const [pityPacks, setPityPacks] = useState(0); // Opened packs upgraded by bad-luck protection
+  const [showOdds, setShowOdds] = useState(false);
+  const [claimedGrants, setClaimedGrants] = useState([]);
+  const [chainPacks, setChainPacks] = useState([]); // Minted on-chain packs not opened yet
+  // One idempotency key per open action, kept until it succeeds so a double tap or retry can't open twice
+  const openKeys = useRef({});
+
+  const openKeyFor = (kind) => {
+    if (!openKeys.current[kind]) openKeys.current[kind] = newIdempotencyKey();
+    return openKeys.current[kind];
+  };
+  const clearOpenKey = (kind) => {
+    delete openKeys.current[kind];
+  };
 
   useEffect(() => {
     if (!user) return;
     loadPackInfo();
     loadBestCard();
+    loadChainPacks();
   }, [user]);
 
   const loadPackInfo = async () => {
     try {
       const data = await getPackInfo();
       setPackInfo(data);
+      if (data.claimedGrants?.length > 0) {
+        setClaimedGrants(data.claimedGrants);
+        loadBestCard(); // A granted card may be the new best
+      }
     } catch (err) {
       console.error('Failed to load pack info:', err);
     } finally {
@@ -43,6 +65,15 @@ export default function PacksContent({ user, onViewCollection }) {
     }
   };
 
+  const loadChainPacks = async () => {
+    try {
+      const data = await getChainPacks();
+      setChainPacks((data.packs || []).filter(p => p.status === 'fulfilled'));
+    } catch (err) {
+      console.error('Failed to load on-chain packs:', err);
+    }
+  };
+
   const loadBestCard = async () => {
     try {
       const data = await getCards();
@@ -64,10 +95,12 @@ export default function PacksContent({ user, onViewCollection }) {
     setOpenedCards([]);
     setRevealIndex(-1);
     setImagesGenerating(false);
-    const isStarter = packInfo.packsOpened < 3;
-    setCurrentPackType(isStarter ? 'starter' : 'bonus');
+    setCurrentPackType(packInfo.nextPack?.packType || 'bonus');
+    setCurrentPity(packInfo.pity || null);
     try {
-      const data = await openPack();
+      const data = await openPack(openKeyFor('pack'));
+      clearOpenKey('pack');
+      setPityPacks(data.pity ? 1 : 0);
       setPendingPackData(data);
       setOpenedCards(data.cards);
       setImagesGenerating(data.imagesGenerating || false);
@@ -87,8 +120,11 @@ export default function PacksContent({ user, onViewCollection }) {
     setRevealIndex(-1);
     setImagesGenerating(false);
     setCurrentPackType('bonus');
+    setCurrentPity(null); // The test pack is its own product
     try {
-      const data = await openSinglePack();
+      const data = await openSinglePack(openKeyFor('single'));
+      clearOpenKey('single');
+      setPityPacks(data.pity ? 1 : 0);
       setPendingPackData(data);
       setOpenedCards(data.cards);
       setImagesGenerating(data.imagesGenerating || false);
@@ -100,6 +136,30 @@ export default function PacksContent({ user, onViewCollection }) {
     }
   };
 
+  const handleOpenChainPack = async () => {
+    const pack = chainPacks[0];
+    if (!pack) return;
+    setOpening(true);
+    setShowResults(false);
+    setOpenedCards([]);
+    setRevealIndex(-1);
+    setImagesGenerating(false);
+    setCurrentPackType('bonus');
+    setCurrentPity(null); // On-chain packs were picked when they were minted
+    try {
+      const data = await openChainPack(pack.pack_id);
+      setPityPacks(0);
+      setPendingPackData(data);
+      setOpenedCards(data.cards);
+      setImagesGenerating(data.imagesGenerating || false);
+      setShowPackAnimation(true);
+    } catch (err) {
+      console.error('Failed to open on-chain pack:', err);
+      alert(err.message);
+      setOpening(false);
+    }
+  };
+
   const handleAnimationComplete = async () => {
     setShowPackAnimation(false);
     setPendingPackData(null);
@@ -107,6 +167,7 @@ export default function PacksContent({ user, onViewCollection }) {
     setRevealIndex(openedCards.length - 1);
     if (imagesGenerating) setShowAiPopup(true);
     loadPackInfo();
+    loadChainPacks();
     setOpening(false);
   };
 
@@ -119,7 +180,9 @@ export default function PacksContent({ user, onViewCollection }) {
     setRevealIndex(-1);
     setImagesGenerating(false);
     try {
-      const data = await openAllPacks();
+      const data = await openAllPacks(openKeyFor('all'));
+      clearOpenKey('all');
+      setPityPacks(new Set(data.cards.filter(c => c.pityPack).map(c => c.packNumber)).size);
       setOpenedCards(data.cards);
       setShowResults(true);
       setRevealIndex(data.cards.length - 1);
@@ -142,7 +205,11 @@ export default function PacksContent({ user, onViewCollection }) {
   const openedBestCard = openedCards.length > 0
     ? openedCards.reduce((best, card) => card.tier > best.tier ? card : best, openedCards[0])
     : null;
-  const canOpenSinglePack = user?.username === 'Will!' || user?.username === 'TestUser';
+  const canOpenSinglePack = user?.role === 'admin'; // 1-card test pack for the foil animation
+
+  // Odds for the pack the button opens next (the bonus pack once all are opened)
+  const oddsProduct = packInfo?.products?.find(p => p.slug === packInfo.nextPack?.slug)
+    || packInfo?.products?.find(p => p.channel === 'bonus');
 
   // Pack label text
   const getPackLabel = () => {
@@ -159,8 +226,23 @@ export default function PacksContent({ user, onViewCollection }) {
         onComplete={handleAnimationComplete}
         packType={currentPackType}
         cards={openedCards}
+        pity={currentPity}
       />
       
+      {/* Promotions delivered on this visit */}
+      {!showResults && claimedGrants.length > 0 && (
+        <div className="max-w-md mx-auto mt-4 px-4">
+          <div className="f10-panel p-3 flex items-start justify-between gap-3">
+            <div className="text-sm text-white" style={{ fontFamily: 'var(--f10-display-font)' }}>
+              You received: {claimedGrants.map(g => g.description).join(', ')}
+            </div>
+            <button type="button" onClick={() => setClaimedGrants([])} className="text-gray-400 hover:text-white text-sm">
+              ✕
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Main field view - pack on left, best card on right */}
       {!showResults && (
         <div className="flex items-center justify-center gap-8 px-4" style={{ marginTop: '200px' }}>
@@ -190,6 +272,28 @@ export default function PacksContent({ user, onViewCollection }) {
             >
               {getPackLabel()}
             </div>
+            {oddsProduct && (
+              <button
+                type="button"
+                onClick={() => setShowOdds(true)}
+                className="mt-1 text-xs text-gray-400 hover:text-white underline underline-offset-2 transition-colors"
+              >
+                Drop rates
+              </button>
+            )}
+            {packInfo?.packsRemaining > 0 && <PityMeter pity={packInfo.pity} className="mt-2 max-w-[160px]" />}
+            {chainPacks.length > 0 && (
+              <button
+                type="button"
+                onClick={handleOpenChainPack}
+                disabled={opening}
+                className="mt-2 px-3 py-1 text-xs text-white rounded-lg transition-colors disabled:opacity-50"
+                style={{ background: 'rgba(0,229,255,0.16)', border: '1px solid rgba(0,229,255,0.22)', fontFamily: 'var(--f10-display-font)' }}
+              >
+                Open on-chain pack #{chainPacks[0].pack_id}
+                {chainPacks.length > 1 ? ` (+${chainPacks.length - 1})` : ''}
+              </button>
+            )}
           </div>
 
           {/* Best card section */}
@@ -240,6 +344,11 @@ export default function PacksContent({ user, onViewCollection }) {
                 You got a {TIER_NAMES[openedBestCard.tier]}!
               </p>
             )}
+            {pityPacks > 0 && (
+              <p className="text-sm text-gray-300 mt-1" style={{ fontFamily: 'var(--f10-display-font)' }}>
+                Bad-luck protection upgraded {pityPacks === 1 ? 'a card' : `a card in ${pityPacks} packs`}
+              </p>
+            )}
             <p className="text-sm text-gray-400 mt-2" style={{ fontFamily: 'var(--f10-display-font)' }}>
               Tap any card to view details
             </p>
@@ -274,12 +383,30 @@ export default function PacksContent({ user, onViewCollection }) {
               className="px-6 py-2 text-white rounded-lg transition-colors"
               style={{ background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.10)', fontFamily: 'var(--f10-display-font)' }}
             >
-              {packInfo?.packsRemaining > 0 ? 'Open Another' : 'Done'}
+              {packInfo?.packsRemaining > 0 || chainPacks.length > 0 ? 'Open Another' : 'Done'}
             </button>
           </div>
         </div>
       )}
 
+      {showOdds && oddsProduct && (
+        <div className="fixed inset-0 bg-black/80 flex items-center justify-center z-50 p-4" onClick={() => setShowOdds(false)}>
+          <div className="f10-panel p-5 max-w-sm w-full shadow-2xl" onClick={e => e.stopPropagation()}>
+            <DropRateTable product={oddsProduct} />
+            <div className="text-center mt-4">
+              <button
+                type="button"
+                onClick={() => setShowOdds(false)}
+                className="px-6 py-2 text-white rounded-lg transition-colors"
+                style={{ background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.10)', fontFamily: 'var(--f10-display-font)' }}
+              >
+                Close
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
       {selectedCard && (
         <CardModal card={selectedCard} onClose={() => setSelectedCard(null)} />
       )}
@@ -0,0 +1,41 @@
+/**
+ * PityMeter - Bad-luck protection progress (pity from /api/packs/info)
+ * One segment per dry pack; full means the next pack guarantees a card of
+ * pity.minTier or better.
+ */
+import { TIER_NAMES, TIER_COLORS } from '../lib/api';
+
+export function pityTierLabel(pity) {
+  return pity.minTier >= 11 ? TIER_NAMES[11] : `${TIER_NAMES[pity.minTier]}+`;
+}
+
+export default function PityMeter({ pity, className = '' }) {
+  if (!pity) return null;
+  const color = pity.minTier >= 11 ? '#fde68a' : TIER_COLORS[pity.minTier];
+  const label = pity.guaranteedNext
+    ? `${pityTierLabel(pity)} guaranteed in this pack`
+    : `${pityTierLabel(pity)} guaranteed after ${pity.packsUntilGuarantee} more pack${pity.packsUntilGuarantee === 1 ? '' : 's'} without one`;
+
+  return (
+    <div className={`text-center ${className}`}>
+      <div className="flex justify-center gap-1 mb-1">
+        {Array.from({ length: pity.afterPacks }, (_, i) => (
+          <div
+            key={i}
+            className="h-1.5 rounded-full"
+            style={{
+              width: `${Math.max(6, Math.min(16, 80 / pity.afterPacks))}px`,
+              background: i < pity.dryPacks ? color : 'rgba(255,255,255,0.15)',
+            }}
+          />
+        ))}
+      </div>
+      <div
+        className="text-[11px] tracking-wide"
+        style={{ color: pity.guaranteedNext ? color : 'rgba(255,255,255,0.6)', fontFamily: 'var(--f10-display-font)' }}
+      >
+        {label}
+      </div>
+    </div>
+  );
+}
@@ -237,13 +237,44 @@ const ARROW_TRAVEL_MS = 4800;   // arrows take 4.8s to travel (20% slower)
 // Plays on every 10-yard line
 const BAND_YARDS = [10, 20, 30, 40, 50, 60, 70, 80, 90];
 
-export default function PlayfieldBackground() {
+// Live game mode: the field follows the ball instead of looping
+const LIVE_BALL_SCREEN_Y = 0.6; // ball sits 60% of the way down the screen
+const LIVE_SCROLL_EASE_MS = 450; // how quickly the field catches up to the ball
+const LIVE_ARROW_MS = 1400; // last play's arrow draw time
+const LIVE_COLORS = {
+  scrimmage: "#C7EEFF",
+  firstDown: "#FFD400",
+  run: "#6CFF3E",
+  pass: "#FF4FA3",
+  ball: "#A0522D",
+};
+
+// Offense always attacks the top endzone: yards from its own goal -> field y
+function liveFieldY(fieldPosition) {
+  const yards = Math.max(0, Math.min(fieldCycleYards, fieldPosition));
+  return (ENDZONE_DEPTH_YARDS + fieldCycleYards - yards) * pxPerYard;
+}
+
+/**
+ * @param {object} [props.live] - Follow a live game instead of looping:
+ *   { ballOn, firstDownAt, play: { id, from, to, kind } }, all in yards from
+ *   the offense's own goal line (firstDownAt and play optional)
+ */
+export default function PlayfieldBackground({ live = null } = {}) {
   const canvasRef = useRef(null);
   const playsRef = useRef([]);
   const rafRef = useRef(null);
   const startTimeRef = useRef(0);
   const nextBandRef = useRef(0);
   const lastSpawnTimeRef = useRef(0);
+  const liveRef = useRef(live);
+  const liveScrollRef = useRef(null);
+  const liveArrowRef = useRef({ id: null, t0: 0 });
+  const lastFrameRef = useRef(0);
+
+  useEffect(() => {
+    liveRef.current = live;
+  }, [live]);
 
   const fieldHeightPx = fieldTotalYards * pxPerYard;
 
@@ -713,9 +744,100 @@ export default function PlayfieldBackground() {
       ctx.restore();
     };
 
+    const drawLive = (live, w, scrollPx, now) => {
+      const toScreenY = (fieldPosition) => liveFieldY(fieldPosition) - scrollPx;
+      const line = (y, color, width, alpha) => {
+        ctx.save();
+        ctx.globalAlpha = alpha;
+        ctx.strokeStyle = color;
+        ctx.shadowColor = color;
+        ctx.shadowBlur = 14;
+        ctx.lineWidth = width;
+        ctx.beginPath();
+        ctx.moveTo(20, y);
+        ctx.lineTo(w - 20, y);
+        ctx.stroke();
+        ctx.restore();
+      };
+
+      line(toScreenY(live.ballOn), LIVE_COLORS.scrimmage, 3, 0.8);
+      if (live.firstDownAt != null && live.firstDownAt < fieldCycleYards) {
+        line(toScreenY(live.firstDownAt), LIVE_COLORS.firstDown, 3, 0.8);
+      }
+
+      // Last play: straight for a run, arcing for a pass
+      const play = live.play;
+      if (play) {
+        if (liveArrowRef.current.id !== play.id) liveArrowRef.current = { id: play.id, t0: now };
+        const u = Math.min(1, (now - liveArrowRef.current.t0) / LIVE_ARROW_MS);
+        const color = LIVE_COLORS[play.kind] || COLORS.icy;
+        const p0 = { x: w / 2, y: toScreenY(play.from) };
+        const p3 = { x: w / 2 + (play.kind === "pass" ? w * 0.12 : 0), y: toScreenY(play.to) };
+        const b = play.kind === "pass" ? buildPost(p0, p3, w / 2 - w * 0.2) : buildStraight(p0, p3);
+        const headT = easeOutCubic(u);
+
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.shadowColor = color;
+        ctx.lineCap = "round";
+        ctx.beginPath();
+        const segments = 80;
+        for (let i = 0; i <= Math.ceil(headT * segments); i++) {
+          const P = bezierPoint(b.p0, b.p1, b.p2, b.p3, Math.min(headT, i / segments));
+          if (i === 0) ctx.moveTo(P.x, P.y);
+          else ctx.lineTo(P.x, P.y);
+        }
+        ctx.globalAlpha = 0.9;
+        ctx.shadowBlur = 18;
+        ctx.lineWidth = 3;
+        ctx.stroke();
+        if (Math.abs(p3.y - p0.y) > 4) {
+          drawArrowhead(bezierPoint(b.p0, b.p1, b.p2, b.p3, headT), bezierTangent(b.p0, b.p1, b.p2, b.p3, headT), color, 3);
+        }
+        ctx.restore();
+      }
+
+      // The ball
+      const ballY = toScreenY(live.ballOn);
+      ctx.save();
+      ctx.shadowColor = COLORS.icyBright;
+      ctx.shadowBlur = 16;
+      ctx.fillStyle = LIVE_COLORS.ball;
+      ctx.beginPath();
+      ctx.ellipse(w / 2, ballY, 9, 14, 0, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.shadowBlur = 0;
+      ctx.strokeStyle = "#FFFFFF";
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      ctx.moveTo(w / 2, ballY - 6);
+      ctx.lineTo(w / 2, ballY + 6);
+      for (const dy of [-3, 0, 3]) {
+        ctx.moveTo(w / 2 - 3, ballY + dy);
+        ctx.lineTo(w / 2 + 3, ballY + dy);
+      }
+      ctx.stroke();
+      ctx.restore();
+    };
+
     const frame = (now) => {
       const w = window.innerWidth;
       const h = window.innerHeight;
+      const dt = lastFrameRef.current ? now - lastFrameRef.current : 0;
+      lastFrameRef.current = now;
+
+      const live = liveRef.current;
+      if (live) {
+        // Ease the field so the ball settles at LIVE_BALL_SCREEN_Y
+        const target = liveFieldY(live.ballOn) - h * LIVE_BALL_SCREEN_Y;
+        const current = liveScrollRef.current ?? target;
+        liveScrollRef.current = current + (target - current) * Math.min(1, dt / LIVE_SCROLL_EASE_MS);
+        drawField(w, h, liveScrollRef.current, now);
+        drawLive(live, w, liveScrollRef.current, now);
+        rafRef.current = requestAnimationFrame(frame);
+        return;
+      }
+      liveScrollRef.current = null;
 
       const t = (now - startTimeRef.current) % loopMs;
       // Start aligned to the 0-yard line (goal line) rather than mid-field.
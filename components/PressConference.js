@@ -1,5 +1,5 @@
 import { useState, useEffect, useRef } from 'react';
-import { getConferenceMessages, sendConferenceMessage } from '../lib/api';
+import { getConferenceMessages, sendConferenceMessage, subscribeToEvents } from '../lib/api';
 
 /**
  * Post-Game Press Conference Chat
@@ -15,6 +15,7 @@ export default function PressConference({ gameId, onClose }) {
   const [error, setError] = useState(null);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const lastTimestampRef = useRef(null);
   
   // Load messages
   const loadMessages = async (since = null) => {
@@ -51,17 +52,24 @@ export default function PressConference({ gameId, onClose }) {
     loadMessages();
   }, [gameId]);
   
-  // Poll for new messages every 3 seconds
+  useEffect(() => {
+    lastTimestampRef.current = messages[messages.length - 1]?.timestamp || null;
+  }, [messages]);
+  
+  // Fetch new messages when the server says one arrived (fetching marks them read)
   useEffect(() => {
     if (!conference?.active) return;
     
-    const interval = setInterval(() => {
-      const lastMessage = messages[messages.length - 1];
-      loadMessages(lastMessage?.timestamp || null);
-    }, 3000);
-    
-    return () => clearInterval(interval);
-  }, [conference?.active, messages]);
+    const loadNew = () => loadMessages(lastTimestampRef.current);
+    const unsubscribeMessage = subscribeToEvents('conference_message', (event) => {
+      if (event.gameId === Number(gameId)) loadNew();
+    });
+    const unsubscribeReady = subscribeToEvents('ready', loadNew);
+    return () => {
+      unsubscribeMessage();
+      unsubscribeReady();
+    };
+  }, [conference?.active, gameId]);
   
   // Countdown timer
   useEffect(() => {
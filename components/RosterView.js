@@ -2,7 +2,7 @@ import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import ChalkPlayDiagram from './ChalkPlayDiagram';
 import CardModal from './CardModal';
-import { getRoster, getCards, updateRoster, getRosterStrategy } from '../lib/api';
+import { getRoster, getCards, updateRoster, getRosterStrategy, isInjured, injuryLabel } from '../lib/api';
 import {
   detectOffensiveStrategy,
   detectDefensiveStrategy,
@@ -14,12 +14,16 @@ import {
 // Tier caps for roster building (separate for offense and defense)
 const OFFENSE_TIER_CAP = 42; // 6 slots: QB, RB, WR1, WR2, TE, OL (avg ~T7)
 const DEFENSE_TIER_CAP = 28; // 4 slots: DL, LB, DB1, DB2 (avg ~T7)
-// K is uncapped (just 1 slot)
+const SPECIAL_TEAMS_TIER_CAP = 14; // 2 slots: K, P (avg ~T7)
 
 const OFFENSE_SLOTS = ['qb_card_id', 'rb_card_id', 'wr1_card_id', 'wr2_card_id', 'te_card_id', 'ol_card_id'];
 const DEFENSE_SLOTS = ['dl_card_id', 'lb_card_id', 'db1_card_id', 'db2_card_id'];
+const SPECIAL_TEAMS_SLOTS = ['k_card_id', 'p_card_id'];
 
-// 11-player roster: QB, RB, WR×2, TE, OL, DL, LB, DB×2, K
+const CAP_LABELS = { offense: 'Offense', defense: 'Defense', specialTeams: 'Special Teams' };
+const CAPS = { offense: OFFENSE_TIER_CAP, defense: DEFENSE_TIER_CAP, specialTeams: SPECIAL_TEAMS_TIER_CAP };
+
+// 12-player roster: QB, RB, WR×2, TE, OL, DL, LB, DB×2, K, P
 const ROSTER_LAYOUT = [
   { section: 'Offense', slots: [
     { id: 'qb_card_id', label: 'QB', position: 'QB', required: true },
@@ -37,12 +41,26 @@ const ROSTER_LAYOUT = [
   ]},
   { section: 'Special Teams', slots: [
     { id: 'k_card_id', label: 'K', position: 'K' },
+    { id: 'p_card_id', label: 'P', position: 'P' },
   ]},
 ];
 
-// Calculate tier sums from roster (separate offense and defense)
+// Bench: one backup per position, subbed in mid-game for an injured or tired
+// starter. Not counted toward the tier caps.
+const BENCH_SLOTS = [
+  { id: 'bench_qb_card_id', label: 'Backup QB', position: 'QB', side: 'offense', bench: true },
+  { id: 'bench_rb_card_id', label: 'Backup RB', position: 'RB', side: 'offense', bench: true },
+  { id: 'bench_wr_card_id', label: 'Backup WR', position: 'WR', side: 'offense', bench: true },
+  { id: 'bench_te_card_id', label: 'Backup TE', position: 'TE', side: 'offense', bench: true },
+  { id: 'bench_ol_card_id', label: 'Backup OL', position: 'OL', side: 'offense', bench: true },
+  { id: 'bench_dl_card_id', label: 'Backup DL', position: 'DL', side: 'defense', bench: true },
+  { id: 'bench_lb_card_id', label: 'Backup LB', position: 'LB', side: 'defense', bench: true },
+  { id: 'bench_db_card_id', label: 'Backup DB', position: 'DB', side: 'defense', bench: true },
+];
+
+// Calculate tier sums from roster (separate offense, defense and special teams)
 function calculateTierSums(rosterCards) {
-  if (!rosterCards) return { offense: 0, defense: 0 };
+  if (!rosterCards) return { offense: 0, defense: 0, specialTeams: 0 };
   
   let offenseSum = 0;
   for (const slotId of OFFENSE_SLOTS) {
@@ -56,7 +74,13 @@ function calculateTierSums(rosterCards) {
     if (card?.tier) defenseSum += card.tier;
   }
   
-  return { offense: offenseSum, defense: defenseSum };
+  let specialTeamsSum = 0;
+  for (const slotId of SPECIAL_TEAMS_SLOTS) {
+    const card = rosterCards[slotId];
+    if (card?.tier) specialTeamsSum += card.tier;
+  }
+  
+  return { offense: offenseSum, defense: defenseSum, specialTeams: specialTeamsSum };
 }
 
 export default function RosterView({ user, diagramSide = 'offense', refreshTrigger = 0, disabled = false }) {
@@ -127,6 +151,7 @@ export default function RosterView({ user, diagramSide = 'offense', refreshTrigg
       
       const isOffenseSlot = OFFENSE_SLOTS.includes(selectedSlot.id);
       const isDefenseSlot = DEFENSE_SLOTS.includes(selectedSlot.id);
+      const isSpecialTeamsSlot = SPECIAL_TEAMS_SLOTS.includes(selectedSlot.id);
       
       if (isOffenseSlot) {
         const newOffenseSum = sums.offense - currentTierInSlot + card.tier;
@@ -140,8 +165,13 @@ export default function RosterView({ user, diagramSide = 'offense', refreshTrigg
           setShowCapWarning('defense');
           return;
         }
+      } else if (isSpecialTeamsSlot) {
+        const newSpecialTeamsSum = sums.specialTeams - currentTierInSlot + card.tier;
+        if (newSpecialTeamsSum > SPECIAL_TEAMS_TIER_CAP) {
+          setShowCapWarning('specialTeams');
+          return;
+        }
       }
-      // K slot is uncapped
     }
 
     setSaving(true);
@@ -187,6 +217,7 @@ export default function RosterView({ user, diagramSide = 'offense', refreshTrigg
   const currentCap = diagramSide === 'offense' ? OFFENSE_TIER_CAP : DEFENSE_TIER_CAP;
   const isOverCap = diagramSide === 'offense' ? isOffenseOverCap : isDefenseOverCap;
   const sideLabel = diagramSide === 'offense' ? 'Offense' : 'Defense';
+  const benchSlots = BENCH_SLOTS.filter(slot => slot.side === diagramSide);
 
   return (
     <div className="space-y-6 relative">
@@ -198,8 +229,44 @@ export default function RosterView({ user, diagramSide = 'offense', refreshTrigg
             mode={diagramSide}
             roster={roster}
             onSlotClick={handleSlotClick}
-            tierInfo={{ cap: currentCap, sum: currentSum, isOverCap, sideLabel }}
+            tierInfo={{
+              cap: currentCap,
+              sum: currentSum,
+              isOverCap,
+              sideLabel,
+              specialTeams: diagramSide === 'defense' ? { sum: tierSums.specialTeams, cap: SPECIAL_TEAMS_TIER_CAP } : null,
+            }}
           />
+
+          {/* Bench */}
+          <div className="f10-panel p-3">
+            <div className="flex items-baseline justify-between gap-2 mb-2">
+              <span className="text-sm f10-title text-white">{sideLabel} Bench</span>
+              <span className="text-[11px] text-gray-500 text-right">Backups come in for injured or tired starters · no tier cap</span>
+            </div>
+            <div className={`grid gap-2 ${benchSlots.length > 3 ? 'grid-cols-5' : 'grid-cols-3'}`}>
+              {benchSlots.map(slot => {
+                const card = roster?.cards?.[slot.id];
+                return (
+                  <button
+                    key={slot.id}
+                    onClick={() => handleSlotClick(slot)}
+                    className="rounded-lg p-2 text-left bg-black/30 border border-white/10 hover:border-white/25 transition-colors min-w-0"
+                  >
+                    <div className="text-[10px] text-gray-400">{slot.position}</div>
+                    <div className={`text-xs truncate ${card ? 'text-white' : 'text-gray-600'}`}>
+                      {card ? (card.player_name || card.player) : 'Empty'}
+                    </div>
+                    {card && (
+                      <div className="text-[10px]" style={{ color: card.tier >= 9 ? '#EAB308' : card.tier >= 7 ? '#A855F7' : '#3B82F6' }}>
+                        Tier {card.tier}
+                      </div>
+                    )}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
         </>
       )}
 
@@ -215,14 +282,14 @@ export default function RosterView({ user, diagramSide = 'offense', refreshTrigg
           >
             <div className="text-4xl mb-4">⚠️</div>
             <h3 className="text-xl font-bold text-white mb-3">
-              {showCapWarning === 'offense' ? 'Offense' : 'Defense'} Over Cap
+              {CAP_LABELS[showCapWarning]} Over Cap
             </h3>
             <p className="text-gray-300 mb-4">
-              Adding this player would put your {showCapWarning} over the tier cap of{' '}
-              {showCapWarning === 'offense' ? OFFENSE_TIER_CAP : DEFENSE_TIER_CAP}.
+              Adding this player would put your {CAP_LABELS[showCapWarning].toLowerCase()} over the tier cap of{' '}
+              {CAPS[showCapWarning]}.
             </p>
             <p className="text-gray-400 text-sm mb-6">
-              Remove or swap {showCapWarning} players with lower tiers to make room.
+              Remove or swap {CAP_LABELS[showCapWarning].toLowerCase()} players with lower tiers to make room.
             </p>
             <button
               onClick={() => setShowCapWarning(null)}
@@ -335,7 +402,7 @@ export default function RosterView({ user, diagramSide = 'offense', refreshTrigg
             </div>
 
             {/* Current Strategy Indicator */}
-            {detectedStrategy && (
+            {detectedStrategy && !selectedSlot.bench && (
               <div 
                 className="mb-3 p-2 rounded-lg text-sm"
                 style={{ 
@@ -391,6 +458,7 @@ export default function RosterView({ user, diagramSide = 'offense', refreshTrigg
                   .map(card => {
                     const isUsed = usedCardIds.has(card.id) && roster?.cards?.[selectedSlot.id]?.id !== card.id;
                     const isCurrentlySelected = roster?.cards?.[selectedSlot.id]?.id === card.id;
+                    const injured = isInjured(card) && !isCurrentlySelected;
                     const tierColor = card.tier >= 9 ? '#EAB308' : card.tier >= 7 ? '#A855F7' : card.tier >= 5 ? '#3B82F6' : '#6B7280';
                     
                     // Calculate strategy preview for this card
@@ -403,18 +471,18 @@ export default function RosterView({ user, diagramSide = 'offense', refreshTrigg
                     const currentStrategy = isOffenseSlot 
                       ? detectedStrategy?.offensiveStrategy 
                       : detectedStrategy?.defensiveStrategy;
-                    const strategyWillChange = previewStrategy !== currentStrategy && !isCurrentlySelected;
+                    const strategyWillChange = previewStrategy !== currentStrategy && !isCurrentlySelected && !selectedSlot.bench;
 
                     return (
                       <button
                         key={card.id}
-                        onClick={() => !isUsed && handleCardSelect(card)}
-                        disabled={isUsed || saving}
+                        onClick={() => !isUsed && !injured && handleCardSelect(card)}
+                        disabled={isUsed || injured || saving}
                         className={`
                           relative text-left p-3 rounded-xl transition-all
                           ${isCurrentlySelected
                             ? 'bg-green-600/30 ring-2 ring-green-500'
-                            : isUsed
+                            : isUsed || injured
                               ? 'bg-gray-700/50 opacity-50 cursor-not-allowed'
                               : 'bg-gray-700 active:bg-gray-600 active:scale-95'
                           }
@@ -459,6 +527,11 @@ export default function RosterView({ user, diagramSide = 'offense', refreshTrigg
                             <span className="text-xs text-gray-400 bg-black/70 px-2 py-1 rounded">In Use</span>
                           </div>
                         )}
+                        {injured && !isUsed && (
+                          <div className="absolute inset-0 flex items-center justify-center">
+                            <span className="text-xs text-red-300 bg-black/70 px-2 py-1 rounded">Injured · {injuryLabel(card)}</span>
+                          </div>
+                        )}
                       </button>
                     );
                   })}
@@ -20,6 +20,9 @@ export function setToken(token) {
   } else {
     localStorage.removeItem('token');
   }
+  // The event stream is tied to the session it was opened with
+  closeEventSource();
+  if (token && eventHandlers.size > 0) openEventSource();
 }
 
 // API request helper
@@ -49,6 +52,69 @@ async function request(endpoint, options = {}) {
   return data;
 }
 
+// =============================================================================
+// SERVER EVENTS
+// =============================================================================
+
+// One stream per tab (GET /api/events) shared by every subscriber. Types:
+// direct_message, conference_message, game_started, game_finished,
+// roster_lock, pack_fulfilled, card_transferred, plus 'ready' on every (re)connect so
+// subscribers can refetch anything they may have missed while disconnected.
+const eventHandlers = new Map(); // type -> Set of handlers
+let eventSource = null;
+let listeningFor = new Set(); // types with a listener on the current eventSource
+
+function listenFor(type) {
+  if (listeningFor.has(type)) return;
+  listeningFor.add(type);
+  eventSource.addEventListener(type, (e) => {
+    let data;
+    try {
+      data = JSON.parse(e.data);
+    } catch (err) {
+      return;
+    }
+    for (const handler of eventHandlers.get(type) || []) handler(data);
+  });
+}
+
+function openEventSource() {
+  const token = getToken();
+  if (typeof window === 'undefined' || !token || eventSource) return;
+  eventSource = new EventSource(`${API_BASE}/events?token=${encodeURIComponent(token)}`);
+  listeningFor = new Set();
+  for (const type of eventHandlers.keys()) listenFor(type);
+  // The browser retries dropped connections itself; a rejected one (bad session) stays closed
+  eventSource.onerror = () => {
+    if (eventSource?.readyState === EventSource.CLOSED) eventSource = null;
+  };
+}
+
+function closeEventSource() {
+  eventSource?.close();
+  eventSource = null;
+}
+
+/**
+ * Listen for a server event; opens the stream with the first subscriber
+ * @param {string} type - e.g. 'direct_message'
+ * @param {function} handler - Called with the event's data
+ * @returns {function} - Unsubscribe (the stream closes with the last one)
+ */
+export function subscribeToEvents(type, handler) {
+  if (!eventHandlers.has(type)) eventHandlers.set(type, new Set());
+  eventHandlers.get(type).add(handler);
+  if (!eventSource) openEventSource();
+  else listenFor(type);
+
+  return () => {
+    const handlers = eventHandlers.get(type);
+    handlers?.delete(handler);
+    if (handlers?.size === 0) eventHandlers.delete(type);
+    if (eventHandlers.size === 0) closeEventSource();
+  };
+}
+
 // =============================================================================
 // AUTH
 // =============================================================================
@@ -86,6 +152,22 @@ export async function logout() {
   setToken(null);
 }
 
+export async function logoutEverywhere() {
+  try {
+    await request('/auth/logout-all', { method: 'POST' });
+  } finally {
+    setToken(null);
+  }
+}
+
+export async function getSessions() {
+  return request('/auth/sessions');
+}
+
+export async function endSession(sessionId) {
+  return request(`/auth/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+}
+
 export async function getMe() {
   return request('/auth/me');
 }
@@ -105,16 +187,26 @@ export async function getPackInfo() {
   return request('/packs/info');
 }
 
-export async function openPack() {
-  return request('/packs/open', { method: 'POST' });
+// Key identifying one "open" intent; resend the same key on retry so the server opens at most once
+export function newIdempotencyKey() {
+  if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+function idempotencyHeaders(idempotencyKey) {
+  return idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
 }
 
-export async function openSinglePack() {
-  return request('/packs/open-single', { method: 'POST' });
+export async function openPack(idempotencyKey) {
+  return request('/packs/open', { method: 'POST', headers: idempotencyHeaders(idempotencyKey) });
 }
 
-export async function openAllPacks() {
-  return request('/packs/open-all', { method: 'POST' });
+export async function openSinglePack(idempotencyKey) {
+  return request('/packs/open-single', { method: 'POST', headers: idempotencyHeaders(idempotencyKey) });
+}
+
+export async function openAllPacks(idempotencyKey) {
+  return request('/packs/open-all', { method: 'POST', headers: idempotencyHeaders(idempotencyKey) });
 }
 
 // =============================================================================
@@ -133,6 +225,32 @@ export async function getCard(id) {
   return request(`/cards/${id}`);
 }
 
+// Retire a card for crafting points (its player-season goes back into packs)
+export async function retireCard(id) {
+  return request(`/cards/${id}/retire`, { method: 'POST' });
+}
+
+// =============================================================================
+// CRAFTING
+// =============================================================================
+
+export async function getCrafting() {
+  return request('/crafting');
+}
+
+// order: { recipe: 'pack' } or { recipe: 'pull', position, tier }
+export async function craft(order) {
+  return request('/crafting/craft', {
+    method: 'POST',
+    body: JSON.stringify(order),
+  });
+}
+
+// Collection sets: progress per set, earned badges, and sets just completed
+export async function getCollections() {
+  return request('/collections');
+}
+
 // =============================================================================
 // ROSTER
 // =============================================================================
@@ -185,6 +303,17 @@ export async function getRosterLockStatus() {
   return request('/roster/lock-status');
 }
 
+export async function getGamePlan() {
+  return request('/roster/game-plan');
+}
+
+export async function updateGamePlan(gamePlan) {
+  return request('/roster/game-plan', {
+    method: 'PUT',
+    body: JSON.stringify({ gamePlan }),
+  });
+}
+
 // =============================================================================
 // GAMES
 // =============================================================================
@@ -208,6 +337,26 @@ export async function getGame(id) {
   return request(`/game/${id}`);
 }
 
+// Follow a game as it is broadcast. handlers: { snapshot, play, final, error }, each
+// called with the event's data. Returns a function that stops watching.
+export function watchLiveGame(id, handlers = {}) {
+  const token = getToken();
+  const source = new EventSource(`${API_BASE}/game/${id}/live?token=${encodeURIComponent(token || '')}`);
+  for (const event of ['snapshot', 'play', 'final']) {
+    source.addEventListener(event, (e) => {
+      if (event === 'final') source.close();
+      handlers[event]?.(JSON.parse(e.data));
+    });
+  }
+  source.onerror = () => handlers.error?.();
+  return () => source.close();
+}
+
+// Re-run a game from its stored seed and verify the play-by-play matches
+export async function verifyGameReplay(id) {
+  return request(`/game/${id}/replay`);
+}
+
 export async function getGameHistory(limit = 20) {
   return request(`/games?limit=${limit}`);
 }
@@ -233,6 +382,80 @@ export async function simulatePractice(opponentId) {
   });
 }
 
+// =============================================================================
+// CARD STATS
+// =============================================================================
+
+// Top cards at a position. scope: 'season' | 'career', source: 'league' | 'practice'
+export async function getStatLeaders(position, { scope = 'season', source = 'league', limit = 10 } = {}) {
+  const params = new URLSearchParams({ position, scope, source, limit: String(limit) });
+  return request(`/stats/leaders?${params}`);
+}
+
+export async function getCardCareerStats(cardId) {
+  return request(`/stats/cards/${cardId}`);
+}
+
+// =============================================================================
+// LEAGUES
+// =============================================================================
+
+export async function getMyLeagues() {
+  return request('/leagues');
+}
+
+export async function getLeague(leagueId) {
+  return request(`/leagues/${leagueId}`);
+}
+
+export async function createLeague(name) {
+  return request('/leagues', {
+    method: 'POST',
+    body: JSON.stringify({ name }),
+  });
+}
+
+export async function joinLeague(code) {
+  return request('/leagues/join', {
+    method: 'POST',
+    body: JSON.stringify({ code }),
+  });
+}
+
+export async function updateLeague(leagueId, settings) {
+  return request(`/leagues/${leagueId}`, {
+    method: 'PUT',
+    body: JSON.stringify(settings),
+  });
+}
+
+export async function regenerateLeagueInviteCode(leagueId) {
+  return request(`/leagues/${leagueId}/invite-code`, { method: 'POST' });
+}
+
+export async function setLeagueCommissioner(leagueId, userId) {
+  return request(`/leagues/${leagueId}/commissioner`, {
+    method: 'POST',
+    body: JSON.stringify({ userId }),
+  });
+}
+
+export async function removeLeagueMember(leagueId, userId) {
+  return request(`/leagues/${leagueId}/members/${userId}`, { method: 'DELETE' });
+}
+
+// Season format: { regularSeasonWeeks, gameTimes: [hours], timezone, playoffTeams, thirdPlaceGame }
+export async function updateLeagueSeasonConfig(leagueId, config) {
+  return request(`/leagues/${leagueId}/season-config`, {
+    method: 'PUT',
+    body: JSON.stringify(config),
+  });
+}
+
+export async function leaveLeague(leagueId) {
+  return request(`/leagues/${leagueId}/leave`, { method: 'POST' });
+}
+
 // =============================================================================
 // VIEW OTHER USERS
 // =============================================================================
@@ -273,6 +496,9 @@ export async function sendConferenceMessage(gameId, content) {
 // DIRECT MESSAGES
 // =============================================================================
 
+// Notices from the game itself arrive from this sender; they can't be answered
+export const SYSTEM_USER_ID = 0;
+
 export async function getUnreadCount() {
   return request('/messages/unread-count');
 }
@@ -292,6 +518,96 @@ export async function sendMessage(toUserId, content) {
   });
 }
 
+// =============================================================================
+// TRADES
+// =============================================================================
+
+export async function getTrades(status = null) {
+  const params = status ? `?status=${encodeURIComponent(status)}` : '';
+  return request(`/trades${params}`);
+}
+
+export async function getTrade(tradeId) {
+  return request(`/trades/${tradeId}`);
+}
+
+// terms: { recipient_user_id, offer_card_ids, request_card_ids, offer_packs, request_packs, message }
+export async function proposeTrade(terms) {
+  return request('/trades', {
+    method: 'POST',
+    body: JSON.stringify(terms),
+  });
+}
+
+export async function counterTrade(tradeId, terms) {
+  return request(`/trades/${tradeId}/counter`, {
+    method: 'POST',
+    body: JSON.stringify(terms),
+  });
+}
+
+export async function acceptTrade(tradeId) {
+  return request(`/trades/${tradeId}/accept`, { method: 'POST' });
+}
+
+export async function declineTrade(tradeId) {
+  return request(`/trades/${tradeId}/decline`, { method: 'POST' });
+}
+
+export async function cancelTrade(tradeId) {
+  return request(`/trades/${tradeId}/cancel`, { method: 'POST' });
+}
+
+// =============================================================================
+// WALLET
+// =============================================================================
+
+export async function getLinkedWallet() {
+  return request('/wallet');
+}
+
+// Sign-In with Ethereum message for `address`; single use, expires in minutes
+export async function getWalletSignMessage(address) {
+  return request(`/wallet/sign-message?address=${encodeURIComponent(address)}`);
+}
+
+export async function linkWallet({ message, signature, walletType }) {
+  return request('/wallet/link', {
+    method: 'POST',
+    body: JSON.stringify({ message, signature, walletType }),
+  });
+}
+
+// Packs bought on-chain by the linked wallet (status: purchased, fulfilled, opened, failed)
+export async function getChainPacks() {
+  return request('/my-packs');
+}
+
+// Turn a fulfilled on-chain pack's tokens into cards; same response shape as openPack
+export async function openChainPack(packId) {
+  return request(`/my-packs/${encodeURIComponent(packId)}/open`, { method: 'POST' });
+}
+
+// =============================================================================
+// ADMIN: PROMOTIONS
+// =============================================================================
+
+export async function getPromotions(includeInactive = false) {
+  return request(`/admin/promotions${includeInactive ? '?all=1' : ''}`);
+}
+
+// grant: { type, usernames: [...], params, expiresAt?, note? }
+export async function createPromotion(grant) {
+  return request('/admin/promotions', {
+    method: 'POST',
+    body: JSON.stringify(grant),
+  });
+}
+
+export async function revokePromotion(id) {
+  return request(`/admin/promotions/${id}`, { method: 'DELETE' });
+}
+
 // =============================================================================
 // HELPERS
 // =============================================================================
@@ -327,6 +643,14 @@ export const TIER_COLORS = {
 // Special flag for HOF rainbow effect
 export const isHOFTier = (tier) => tier === 11;
 
+// Injured cards (hurt in a league game) sit out until injury_games_left reaches 0
+export const isInjured = (card) => (card?.injury_games_left || 0) > 0;
+
+export function injuryLabel(card) {
+  const games = card.injury_games_left;
+  return `Out ${games} game${games === 1 ? '' : 's'} (${card.injury_severity || 'injury'})`;
+}
+
 export const POSITION_COLORS = {
   QB: '#DC2626',
   RB: '#16A34A',
@@ -3,7 +3,7 @@ import { useRouter } from 'next/router';
 import dynamic from 'next/dynamic';
 import { Graduate } from 'next/font/google';
 import '../styles/globals.css';
-import { getMe, setToken, getActiveConferences, getUnreadCount } from '../lib/api';
+import { getMe, setToken, getActiveConferences, getUnreadCount, subscribeToEvents } from '../lib/api';
 import PressConference, { PressConferenceBadge } from '../components/PressConference';
 import PlayfieldBackground from '../components/PlayfieldBackground';
 import StaticFieldBackground from '../components/StaticFieldBackground';
@@ -85,11 +85,22 @@ export default function App({ Component, pageProps }) {
     
     checkConferences();
     
-    // Poll every 30 seconds
-    const interval = setInterval(checkConferences, 30000);
-    return () => clearInterval(interval);
+    // Conferences open when a game finishes; their unread counts move with each message
+    const unsubscribers = ['ready', 'game_finished', 'conference_message']
+      .map(type => subscribeToEvents(type, checkConferences));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
   }, [user]);
   
+  // Drop press conferences as their 30-minute windows close
+  useEffect(() => {
+    if (activeConferences.length === 0) return;
+    const soonest = Math.min(...activeConferences.map(c => new Date(c.expiresAt).getTime()));
+    const timeout = setTimeout(() => {
+      setActiveConferences(list => list.filter(c => new Date(c.expiresAt) > new Date()));
+    }, Math.max(0, soonest - Date.now()) + 1000);
+    return () => clearTimeout(timeout);
+  }, [activeConferences]);
+  
   // Check for unread messages
   useEffect(() => {
     if (!user) {
@@ -108,9 +119,9 @@ export default function App({ Component, pageProps }) {
     
     checkUnread();
     
-    // Poll every 30 seconds
-    const interval = setInterval(checkUnread, 30000);
-    return () => clearInterval(interval);
+    const unsubscribers = ['ready', 'direct_message']
+      .map(type => subscribeToEvents(type, checkUnread));
+    return () => unsubscribers.forEach(unsubscribe => unsubscribe());
   }, [user]);
   
   // Detect if we're running as a Farcaster Mini App
@@ -0,0 +1,174 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import Link from 'next/link';
+import Layout from '../components/Layout';
+import { getSessions, endSession, logout, logoutEverywhere } from '../lib/api';
+
+const NAV_CYAN = '#00e5ff';
+const DISPLAY_FONT = { fontFamily: 'var(--f10-display-font)' };
+
+// Short "Chrome on Windows" style label from a user agent string
+function deviceLabel(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser = /Edg\//.test(userAgent) ? 'Edge'
+    : /Firefox\//.test(userAgent) ? 'Firefox'
+    : /Chrome\//.test(userAgent) ? 'Chrome'
+    : /Safari\//.test(userAgent) ? 'Safari'
+    : 'Browser';
+  const os = /iPhone|iPad/.test(userAgent) ? 'iOS'
+    : /Android/.test(userAgent) ? 'Android'
+    : /Windows/.test(userAgent) ? 'Windows'
+    : /Mac OS X/.test(userAgent) ? 'macOS'
+    : /Linux/.test(userAgent) ? 'Linux'
+    : null;
+  return os ? `${browser} on ${os}` : browser;
+}
+
+function formatWhen(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+export default function Account({ user, onLogout, unreadMessages }) {
+  const router = useRouter();
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!user) router.push('/');
+  }, [user, router]);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      const data = await getSessions();
+      setSessions(data.sessions || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (user) loadSessions();
+  }, [user, loadSessions]);
+
+  const signedOut = () => {
+    if (onLogout) onLogout();
+    router.push('/');
+  };
+
+  const handleLogout = async () => {
+    await logout();
+    signedOut();
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Log out of First & 10 on every device, including this one?')) return;
+    try {
+      await logoutEverywhere();
+    } catch (err) {
+      // Token is cleared either way
+    }
+    signedOut();
+  };
+
+  const handleEndSession = async (session) => {
+    try {
+      const result = await endSession(session.id);
+      if (result.current) {
+        await logout();
+        signedOut();
+        return;
+      }
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!user) return null;
+
+  return (
+    <Layout user={user} onLogout={onLogout} unreadMessages={unreadMessages}>
+      <div className="max-w-2xl mx-auto pb-8">
+        <h1 className="text-2xl font-bold text-white mb-1 text-center" style={DISPLAY_FONT}>
+          Account
+        </h1>
+        <p className="text-center text-sm text-gray-400 mb-6">
+          {user.username}{user.team_name ? ` · ${user.team_name}` : ''}
+        </p>
+
+        <div className="f10-panel p-5">
+          <h2 className="text-lg font-bold text-white mb-3" style={{ ...DISPLAY_FONT, color: NAV_CYAN }}>
+            Active Sessions
+          </h2>
+
+          {error && <div className="mb-3 text-sm text-red-400">{error}</div>}
+
+          {loading ? (
+            <div className="text-gray-400 text-sm">Loading...</div>
+          ) : sessions.length === 0 ? (
+            <div className="text-gray-400 text-sm">No active sessions.</div>
+          ) : (
+            <ul className="space-y-2">
+              {sessions.map(session => (
+                <li
+                  key={session.id}
+                  className="flex items-center justify-between gap-3 p-3 rounded-xl bg-black/30 border border-white/10"
+                >
+                  <div className="min-w-0">
+                    <div className="text-white font-semibold text-sm truncate">
+                      {deviceLabel(session.user_agent)}
+                      {session.current && (
+                        <span className="ml-2 text-[10px] font-bold px-1.5 py-0.5 rounded" style={{ color: NAV_CYAN, border: `1px solid ${NAV_CYAN}60` }}>
+                          THIS DEVICE
+                        </span>
+                      )}
+                    </div>
+                    <div className="text-xs text-gray-400">
+                      Last active {formatWhen(session.last_used_at)} · Signed in {formatWhen(session.created_at)}
+                      {session.ip_address ? ` · ${session.ip_address}` : ''}
+                    </div>
+                  </div>
+                  <button
+                    type="button"
+                    onClick={() => handleEndSession(session)}
+                    className="shrink-0 px-3 py-1.5 text-xs font-bold rounded-lg text-gray-300 border border-white/20 hover:text-white hover:border-white/40 transition-colors"
+                  >
+                    {session.current ? 'Log out' : 'End'}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
+        <div className="mt-6 flex flex-col items-center gap-2">
+          {user.role === 'admin' && (
+            <Link href="/admin" className="px-6 py-2 text-sm font-bold rounded-xl border transition-colors" style={{ ...DISPLAY_FONT, color: NAV_CYAN, borderColor: `${NAV_CYAN}60` }}>
+              Admin
+            </Link>
+          )}
+          <button
+            type="button"
+            onClick={handleLogoutEverywhere}
+            className="px-6 py-2 text-sm font-bold rounded-xl text-red-300 border border-red-500/40 hover:bg-red-500/10 transition-colors"
+            style={DISPLAY_FONT}
+          >
+            Log Out Everywhere
+          </button>
+          <button
+            type="button"
+            onClick={handleLogout}
+            className="px-6 py-2 text-sm text-gray-400 hover:text-white transition-colors"
+          >
+            Logout
+          </button>
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -0,0 +1,292 @@
+/**
+ * Admin Page
+ * ==========
+ * Promotions: grants for specific users (guaranteed tier in their next packs,
+ * bonus packs, a card, or staying off the schedule), with expiry. Admins only.
+ */
+import { useState, useEffect, useCallback } from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../components/Layout';
+import { getPromotions, createPromotion, revokePromotion, TIER_NAMES } from '../lib/api';
+
+const NAV_CYAN = '#00e5ff';
+const DISPLAY_FONT = { fontFamily: 'var(--f10-display-font)' };
+const POSITIONS = ['QB', 'RB', 'WR', 'TE', 'OL', 'DL', 'LB', 'DB', 'K', 'P'];
+
+const TYPE_LABELS = {
+  guaranteed_tier: 'Guaranteed tier in next pack',
+  bonus_packs: 'Bonus packs',
+  card: 'Card',
+  schedule_exclusion: 'Schedule exclusion',
+};
+
+const STATUS_COLORS = {
+  active: '#00ff7f',
+  used: '#9ca3af',
+  expired: '#f59e0b',
+  revoked: '#ef4444',
+};
+
+const EMPTY_FORM = {
+  type: 'guaranteed_tier',
+  usernames: '',
+  tier: '11',
+  position: '',
+  packs: '1',
+  count: '1',
+  player: '',
+  season: '',
+  leagueId: '',
+  expiresAt: '',
+  note: '',
+};
+
+const inputClass = 'w-full px-3 py-2 rounded-lg bg-black/40 border border-white/15 text-white text-sm focus:outline-none focus:border-cyan-400';
+
+function formatWhen(iso) {
+  if (!iso) return '—';
+  return new Date(iso).toLocaleString([], { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+}
+
+// Form fields -> params for the chosen type
+function paramsFor(form) {
+  switch (form.type) {
+    case 'guaranteed_tier':
+      return { tier: form.tier, position: form.position || null, packs: form.packs === '' ? null : form.packs };
+    case 'bonus_packs':
+      return { count: form.count };
+    case 'card':
+      return form.player.trim()
+        ? { player: form.player.trim(), season: form.season }
+        : { tier: form.tier, position: form.position || null };
+    default:
+      return { leagueId: form.leagueId || null };
+  }
+}
+
+function Field({ label, children }) {
+  return (
+    <label className="block">
+      <span className="block text-xs text-gray-400 mb-1">{label}</span>
+      {children}
+    </label>
+  );
+}
+
+export default function Admin({ user, onLogout, unreadMessages }) {
+  const router = useRouter();
+  const [grants, setGrants] = useState([]);
+  const [showInactive, setShowInactive] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const isAdmin = user?.role === 'admin';
+
+  useEffect(() => {
+    if (!user) router.push('/');
+    else if (!isAdmin) router.replace('/team');
+  }, [user, isAdmin, router]);
+
+  const loadGrants = useCallback(async () => {
+    try {
+      const data = await getPromotions(showInactive);
+      setGrants(data.grants || []);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [showInactive]);
+
+  useEffect(() => {
+    if (isAdmin) loadGrants();
+  }, [isAdmin, loadGrants]);
+
+  const setField = (key) => (e) => setForm(prev => ({ ...prev, [key]: e.target.value }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await createPromotion({
+        type: form.type,
+        usernames: form.usernames.split(',').map(n => n.trim()).filter(Boolean),
+        params: paramsFor(form),
+        expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : null,
+        note: form.note,
+      });
+      setForm(EMPTY_FORM);
+      await loadGrants();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (grant) => {
+    if (!window.confirm(`Revoke "${grant.description}"?`)) return;
+    try {
+      await revokePromotion(grant.id);
+      await loadGrants();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (!user || !isAdmin) return null;
+
+  const showTier = form.type === 'guaranteed_tier' || (form.type === 'card' && !form.player.trim());
+
+  return (
+    <Layout user={user} onLogout={onLogout} unreadMessages={unreadMessages}>
+      <div className="max-w-3xl mx-auto pb-8">
+        <h1 className="text-2xl font-bold text-white mb-6 text-center" style={DISPLAY_FONT}>
+          Admin
+        </h1>
+
+        {error && <div className="mb-4 text-sm text-red-400 text-center">{error}</div>}
+
+        <form onSubmit={handleCreate} className="f10-panel p-5 mb-6 space-y-3">
+          <h2 className="text-lg font-bold mb-1" style={{ ...DISPLAY_FONT, color: NAV_CYAN }}>
+            New Promotion
+          </h2>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+            <Field label="Type">
+              <select className={inputClass} value={form.type} onChange={setField('type')}>
+                {Object.entries(TYPE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </Field>
+            <Field label="Users (comma-separated usernames)">
+              <input className={inputClass} value={form.usernames} onChange={setField('usernames')} placeholder="john!, sam" required />
+            </Field>
+
+            {form.type === 'card' && (
+              <>
+                <Field label="Player (optional: a specific card)">
+                  <input className={inputClass} value={form.player} onChange={setField('player')} placeholder="Jerry Rice" />
+                </Field>
+                <Field label="Season">
+                  <input className={inputClass} type="number" value={form.season} onChange={setField('season')} disabled={!form.player.trim()} />
+                </Field>
+              </>
+            )}
+
+            {showTier && (
+              <>
+                <Field label="Tier">
+                  <select className={inputClass} value={form.tier} onChange={setField('tier')}>
+                    {Object.keys(TIER_NAMES).map(Number).sort((a, b) => b - a).map(tier => (
+                      <option key={tier} value={tier}>{tier} · {TIER_NAMES[tier]}</option>
+                    ))}
+                  </select>
+                </Field>
+                <Field label="Position">
+                  <select className={inputClass} value={form.position} onChange={setField('position')}>
+                    <option value="">Any</option>
+                    {POSITIONS.map(pos => <option key={pos} value={pos}>{pos}</option>)}
+                  </select>
+                </Field>
+              </>
+            )}
+
+            {form.type === 'guaranteed_tier' && (
+              <Field label="Packs (blank = every pack until it expires)">
+                <input className={inputClass} type="number" min="1" value={form.packs} onChange={setField('packs')} />
+              </Field>
+            )}
+
+            {form.type === 'bonus_packs' && (
+              <Field label="Packs to add">
+                <input className={inputClass} type="number" min="1" value={form.count} onChange={setField('count')} required />
+              </Field>
+            )}
+
+            {form.type === 'schedule_exclusion' && (
+              <Field label="League id (blank = every league)">
+                <input className={inputClass} type="number" min="1" value={form.leagueId} onChange={setField('leagueId')} />
+              </Field>
+            )}
+
+            <Field label="Expires (blank = never)">
+              <input className={inputClass} type="datetime-local" value={form.expiresAt} onChange={setField('expiresAt')} />
+            </Field>
+            <Field label="Note">
+              <input className={inputClass} value={form.note} onChange={setField('note')} maxLength={200} />
+            </Field>
+          </div>
+
+          <button
+            type="submit"
+            disabled={saving}
+            className="px-5 py-2 text-sm font-bold rounded-xl text-black disabled:opacity-50"
+            style={{ ...DISPLAY_FONT, background: NAV_CYAN }}
+          >
+            {saving ? 'Saving...' : 'Create'}
+          </button>
+        </form>
+
+        <div className="f10-panel p-5">
+          <div className="flex items-center justify-between mb-3">
+            <h2 className="text-lg font-bold" style={{ ...DISPLAY_FONT, color: NAV_CYAN }}>
+              Promotions
+            </h2>
+            <label className="flex items-center gap-2 text-xs text-gray-400">
+              <input type="checkbox" checked={showInactive} onChange={e => setShowInactive(e.target.checked)} />
+              Show expired and revoked
+            </label>
+          </div>
+
+          {loading ? (
+            <div className="text-gray-400 text-sm">Loading...</div>
+          ) : grants.length === 0 ? (
+            <div className="text-gray-400 text-sm">No promotions.</div>
+          ) : (
+            <ul className="space-y-2">
+              {grants.map(grant => (
+                <li key={grant.id} className="p-3 rounded-xl bg-black/30 border border-white/10">
+                  <div className="flex items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="text-white font-semibold text-sm">
+                        {grant.description}
+                        <span
+                          className="ml-2 text-[10px] font-bold px-1.5 py-0.5 rounded uppercase"
+                          style={{ color: STATUS_COLORS[grant.status], border: `1px solid ${STATUS_COLORS[grant.status]}60` }}
+                        >
+                          {grant.status}
+                        </span>
+                      </div>
+                      <div className="text-xs text-gray-400 mt-0.5">
+                        {TYPE_LABELS[grant.type]} · {grant.targets.map(t => `${t.username || `#${t.id}`}${t.uses ? ` (used ${t.uses})` : ''}`).join(', ')}
+                      </div>
+                      <div className="text-xs text-gray-500 mt-0.5">
+                        Expires {formatWhen(grant.expiresAt)} · Created {formatWhen(grant.createdAt)}
+                        {grant.createdBy ? ` by ${grant.createdBy.username}` : ' by the server'}
+                        {grant.note ? ` · ${grant.note}` : ''}
+                      </div>
+                    </div>
+                    {grant.status === 'active' && (
+                      <button
+                        type="button"
+                        onClick={() => handleRevoke(grant)}
+                        className="shrink-0 px-3 py-1.5 text-xs font-bold rounded-lg text-red-300 border border-red-500/40 hover:bg-red-500/10 transition-colors"
+                      >
+                        Revoke
+                      </button>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </Layout>
+  );
+}
@@ -153,6 +153,23 @@ function StrategyTab() {
         </div>
       </section>
 
+      {/* Game Plan */}
+      <section className="p-4 rounded-xl" style={{ backgroundColor: 'rgba(0,229,255,0.08)', border: '1px solid rgba(0,229,255,0.2)' }}>
+        <h3 className="text-white font-semibold mb-2" style={{ fontFamily: 'var(--f10-display-font)' }}>
+          Your Game Plan
+        </h3>
+        <div className="space-y-2 text-sm text-gray-300">
+          <p><strong className="text-cyan-400">Run / Pass Mix</strong> = Lean your play-calling toward the run or the pass</p>
+          <p><strong className="text-cyan-400">Deep Shots</strong> = Throw deep more (big plays, more risk) or stay underneath</p>
+          <p><strong className="text-cyan-400">4th Down</strong> = Go for it more often, or kick it away</p>
+          <p><strong className="text-cyan-400">Two-Minute Tempo</strong> = Hurry up (or slow down) at the end of a half</p>
+          <p><strong className="text-cyan-400">Blitz Rate</strong> = Send extra rushers for sacks, or drop into coverage</p>
+        </div>
+        <div className="mt-3 p-2 rounded-lg bg-black/30 text-xs text-gray-400">
+          Set it under Game Plan on the My Team page. It locks with your roster before games, and opponents can&apos;t scout it.
+        </div>
+      </section>
+
       {/* Opponent Scouting */}
       <section className="p-4 rounded-xl" style={{ backgroundColor: 'rgba(168,85,247,0.08)', border: '1px solid rgba(168,85,247,0.2)' }}>
         <h3 className="text-white font-semibold mb-2" style={{ fontFamily: 'var(--f10-display-font)' }}>
@@ -184,6 +201,11 @@ function StrategyTab() {
             <div className="text-xs text-gray-400">Defense Cap</div>
             <div className="text-xs text-gray-500 mt-1">4 positions</div>
           </div>
+          <div className="col-span-2 p-3 rounded-xl text-center" style={{ backgroundColor: 'rgba(163,163,163,0.1)', border: '1px solid rgba(163,163,163,0.2)' }}>
+            <div className="text-2xl font-bold text-gray-300">14</div>
+            <div className="text-xs text-gray-400">Special Teams Cap</div>
+            <div className="text-xs text-gray-500 mt-1">K + P</div>
+          </div>
         </div>
         <p className="text-xs text-gray-500 mt-3">
           Your total card tiers can't exceed the cap. This prevents stacking all legendary cards and keeps games competitive.
@@ -487,6 +509,12 @@ export default function HowToPlay({ user, onLogout, unreadMessages }) {
                 Build Your Team
               </Link>
               <div>
+                <Link
+                  href="/account"
+                  className="px-6 py-2 text-sm text-gray-400 hover:text-white transition-colors"
+                >
+                  Account
+                </Link>
                 <button
                   type="button"
                   onClick={handleLogout}
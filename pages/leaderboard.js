@@ -3,11 +3,25 @@ import { useRouter } from 'next/router';
 import Layout from '../components/Layout';
 import Card from '../components/Card';
 import CardModal from '../components/CardModal';
-import { getLeaderboard, getH2HRecords, getUserCards } from '../lib/api';
+import { getLeaderboard, getH2HRecords, getUserCards, getStatLeaders, POSITION_COLORS } from '../lib/api';
 
 const NAV_PURPLE = '#a855f7';
 const DISPLAY_FONT = { fontFamily: 'var(--f10-display-font)' };
 
+const STAT_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'DL', 'LB', 'DB', 'K'];
+
+// Columns shown in the card rankings: [label, stat key]
+const LEADER_COLUMNS = {
+  QB: [['Yds', 'pass_yds'], ['TD', 'pass_td'], ['INT', 'pass_int']],
+  RB: [['Yds', 'rush_yds'], ['TD', 'rush_td'], ['Att', 'rush_att']],
+  WR: [['Yds', 'rec_yds'], ['TD', 'rec_td'], ['Rec', 'rec']],
+  TE: [['Yds', 'rec_yds'], ['TD', 'rec_td'], ['Rec', 'rec']],
+  DL: [['Sacks', 'sacks'], ['Tkl', 'tackles'], ['FF', 'forced_fumbles']],
+  LB: [['Tkl', 'tackles'], ['Sacks', 'sacks'], ['INT', 'def_int']],
+  DB: [['INT', 'def_int'], ['Tkl', 'tackles'], ['FF', 'forced_fumbles']],
+  K: [['FGM', 'fg_made'], ['FGA', 'fg_att'], ['FG%', 'fg_pct']],
+};
+
 export default function Leaderboard({ user, onLogout, unreadMessages }) {
   const router = useRouter();
   const [leaderboard, setLeaderboard] = useState([]);
@@ -18,6 +32,12 @@ export default function Leaderboard({ user, onLogout, unreadMessages }) {
   const [viewingCards, setViewingCards] = useState([]);
   const [loadingCards, setLoadingCards] = useState(false);
   const [selectedCard, setSelectedCard] = useState(null);
+  // Card rankings state
+  const [view, setView] = useState('managers');
+  const [statPosition, setStatPosition] = useState('QB');
+  const [statScope, setStatScope] = useState('season');
+  const [cardLeaders, setCardLeaders] = useState([]);
+  const [loadingLeaders, setLoadingLeaders] = useState(false);
   
   useEffect(() => {
     if (!user) {
@@ -28,6 +48,17 @@ export default function Leaderboard({ user, onLogout, unreadMessages }) {
     loadH2H();
   }, [user, router]);
   
+  useEffect(() => {
+    if (!user || view !== 'cards') return;
+    let cancelled = false;
+    setLoadingLeaders(true);
+    getStatLeaders(statPosition, { scope: statScope, limit: 25 })
+      .then(data => { if (!cancelled) setCardLeaders(data.leaders || []); })
+      .catch(err => console.error('Failed to load card rankings:', err))
+      .finally(() => { if (!cancelled) setLoadingLeaders(false); });
+    return () => { cancelled = true; };
+  }, [user, view, statPosition, statScope]);
+  
   const loadLeaderboard = async () => {
     try {
       const data = await getLeaderboard(50);
@@ -115,7 +146,115 @@ export default function Leaderboard({ user, onLogout, unreadMessages }) {
         
         {/* Content positioned below endzone */}
         <div style={{ marginTop: 'max(150px, calc(26vh - 30px))' }}>
-        {loading ? (
+        {/* Managers / Cards toggle */}
+        <div className="flex justify-center mb-4">
+          <div className="flex p-0.5 bg-black/30 border border-white/10 rounded-xl">
+            {[['managers', 'Managers'], ['cards', 'Cards']].map(([key, label]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setView(key)}
+                className={`px-4 py-1 rounded-lg text-xs font-bold transition-all duration-200 ${
+                  view === key ? 'text-white' : 'text-gray-400 hover:text-white'
+                }`}
+                style={view === key ? { ...activeSegmentStyle, ...DISPLAY_FONT } : DISPLAY_FONT}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+        
+        {view === 'cards' ? (
+          <div className="max-w-2xl mx-auto">
+            {/* Position + scope pickers */}
+            <div className="flex flex-wrap items-center justify-center gap-1 mb-3">
+              {STAT_POSITIONS.map(pos => (
+                <button
+                  key={pos}
+                  type="button"
+                  onClick={() => setStatPosition(pos)}
+                  className="px-2.5 py-1 rounded-lg text-xs font-bold transition-colors"
+                  style={{
+                    background: statPosition === pos ? `${POSITION_COLORS[pos] || NAV_PURPLE}40` : 'rgba(255,255,255,0.05)',
+                    border: `1px solid ${statPosition === pos ? POSITION_COLORS[pos] || NAV_PURPLE : 'rgba(255,255,255,0.1)'}`,
+                    color: statPosition === pos ? '#fff' : '#9ca3af',
+                    ...DISPLAY_FONT,
+                  }}
+                >
+                  {pos}
+                </button>
+              ))}
+              <div className="w-px h-5 bg-white/10 mx-1" />
+              {[['season', 'Season'], ['career', 'Career']].map(([key, label]) => (
+                <button
+                  key={key}
+                  type="button"
+                  onClick={() => setStatScope(key)}
+                  className={`px-2.5 py-1 rounded-lg text-xs font-bold ${statScope === key ? 'text-white bg-white/15' : 'text-gray-400 bg-white/5'}`}
+                  style={DISPLAY_FONT}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            
+            {loadingLeaders ? (
+              <div className="text-center text-gray-400 py-12" style={DISPLAY_FONT}>Loading card rankings...</div>
+            ) : cardLeaders.length === 0 ? (
+              <div className="text-center text-gray-400 py-12" style={DISPLAY_FONT}>
+                No {statPosition} stats recorded {statScope === 'season' ? 'this season' : 'yet'}
+              </div>
+            ) : (
+              <div className="space-y-2">
+                <div className="grid grid-cols-12 gap-2 px-4 py-2 text-sm text-gray-400 font-medium" style={DISPLAY_FONT}>
+                  <div className="col-span-1">Rank</div>
+                  <div className="col-span-5">Card</div>
+                  <div className="col-span-1 text-center">GP</div>
+                  {LEADER_COLUMNS[statPosition].map(([label]) => (
+                    <div key={label} className="col-span-1 text-center">{label}</div>
+                  ))}
+                </div>
+                {cardLeaders.map(entry => {
+                  const isMine = entry.card?.user_id === user.id;
+                  return (
+                    <button
+                      key={entry.card_id}
+                      type="button"
+                      onClick={() => entry.card && setSelectedCard(entry.card)}
+                      className={`w-full text-left rounded-2xl border f10-panel-soft ${getRankStyle(entry.rank)} ${
+                        isMine ? 'ring-2 ring-white/20' : ''
+                      }`}
+                    >
+                      <div className="grid grid-cols-12 gap-2 px-4 py-3 items-center" style={DISPLAY_FONT}>
+                        <div className="col-span-1">
+                          <span className={`${entry.rank <= 3 ? 'text-xl' : 'text-gray-400'}`}>
+                            {getRankIcon(entry.rank)}
+                          </span>
+                        </div>
+                        <div className="col-span-5 min-w-0">
+                          <div className="font-medium text-sm text-white truncate">
+                            {entry.card?.player_name || `Card #${entry.card_id}`}
+                          </div>
+                          <div className="text-[11px] text-gray-500 truncate">
+                            {entry.card?.season} · {entry.owner_team_name || entry.owner_username || 'Unowned'}
+                            {isMine && ' (You)'}
+                          </div>
+                        </div>
+                        <div className="col-span-1 text-center text-sm text-gray-400">{entry.games}</div>
+                        {LEADER_COLUMNS[statPosition].map(([label, key]) => (
+                          <div key={key} className="col-span-1 text-center text-sm text-white">
+                            {entry[key] ?? '-'}
+                          </div>
+                        ))}
+                      </div>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        ) : loading ? (
           <div className="text-center text-gray-400 py-12" style={DISPLAY_FONT}>Loading leaderboard...</div>
         ) : leaderboard.length === 0 ? (
           <div className="text-center text-gray-400 py-12" style={DISPLAY_FONT}>
@@ -232,7 +371,7 @@ export default function Leaderboard({ user, onLogout, unreadMessages }) {
         )}
         
         {/* Stats Cards */}
-        {leaderboard.length > 0 && (
+        {view === 'managers' && leaderboard.length > 0 && (
           <div className="max-w-2xl mx-auto grid grid-cols-3 gap-4 mt-8">
             <div className="f10-panel p-4 text-center">
               <div className="text-3xl font-bold text-yellow-400" style={DISPLAY_FONT}>
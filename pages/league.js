@@ -3,6 +3,7 @@ import { useRouter } from 'next/router';
 import Layout from '../components/Layout';
 import Card from '../components/Card';
 import CardModal from '../components/CardModal';
+import LeaguesPanel from '../components/LeaguesPanel';
 import { 
   getAllUsers, 
   getUserCards, 
@@ -12,6 +13,7 @@ import {
   sendMessage,
   getUnreadCount,
   getLeaderboard,
+  SYSTEM_USER_ID,
 } from '../lib/api';
 
 export default function League({ user, onLogout, unreadMessages, onMessageRead }) {
@@ -191,6 +193,7 @@ export default function League({ user, onLogout, unreadMessages, onMessageRead }
       { key: 'db1_card_id', label: 'DB1', position: 'DB' },
       { key: 'db2_card_id', label: 'DB2', position: 'DB' },
       { key: 'k_card_id', label: 'K', position: 'K' },
+      { key: 'p_card_id', label: 'P', position: 'P' },
     ];
     
     // teamRoster structure: { user: {...}, roster: { roster: {...}, cards: {...} } }
@@ -309,6 +312,9 @@ export default function League({ user, onLogout, unreadMessages, onMessageRead }
           </div>
         )}
         
+        {/* Leagues: create / join / commissioner tools */}
+        <LeaguesPanel user={user} />
+        
         {/* Teams List - Ranked */}
         {loading ? (
           <div className="text-center text-gray-400 py-12">Loading teams...</div>
@@ -444,6 +450,11 @@ export default function League({ user, onLogout, unreadMessages, onMessageRead }
               </div>
               
               {/* Input */}
+              {selectedTeam.id === SYSTEM_USER_ID ? (
+                <p className="p-4 border-t border-white/10 safe-area-pb text-xs text-gray-400 text-center">
+                  Notices from the league office can't be replied to.
+                </p>
+              ) : (
               <form onSubmit={handleSendMessage} className="p-4 border-t border-white/10 safe-area-pb">
                 <div className="flex gap-2">
                   <input
@@ -468,6 +479,7 @@ export default function League({ user, onLogout, unreadMessages, onMessageRead }
                   </button>
                 </div>
               </form>
+              )}
             </div>
           </div>
         )}
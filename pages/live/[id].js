@@ -0,0 +1,220 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useRouter } from 'next/router';
+import Layout from '../../components/Layout';
+import PlayfieldBackground from '../../components/PlayfieldBackground';
+import { watchLiveGame } from '../../lib/api';
+
+const DISPLAY_FONT = { fontFamily: 'var(--f10-display-font)' };
+const HOME_COLOR = '#00e5ff';
+const AWAY_COLOR = '#a855f7';
+const FEED_LENGTH = 40;
+
+function ordinal(n) {
+  return ['1st', '2nd', '3rd', '4th'][n - 1] || `${n}th`;
+}
+
+function formatClock(seconds) {
+  const s = Math.max(0, Math.round(seconds || 0));
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, '0')}`;
+}
+
+function quarterLabel(quarter) {
+  return quarter > 4 ? 'OT' : `Q${quarter}`;
+}
+
+export default function LiveGame({ user, onLogout, unreadMessages }) {
+  const router = useRouter();
+  const { id } = router.query;
+
+  const [live, setLive] = useState(null);
+  const [plays, setPlays] = useState([]);
+  const [caughtUp, setCaughtUp] = useState(0);
+  const [reconnecting, setReconnecting] = useState(false);
+
+  useEffect(() => {
+    if (!user) router.push('/');
+  }, [user, router]);
+
+  useEffect(() => {
+    if (!user || !id) return;
+
+    // A reconnect sends a fresh snapshot, so each one replaces everything
+    const stop = watchLiveGame(id, {
+      snapshot: ({ plays: soFar, ...state }) => {
+        setLive(state);
+        setPlays(soFar);
+        setCaughtUp(state.status === 'live' ? soFar.length : 0);
+        setReconnecting(false);
+      },
+      play: ({ play, ...update }) => {
+        setPlays(prev => {
+          if (update.index < prev.length) return prev;
+          return [...prev, play];
+        });
+        setLive(prev => (prev && update.index >= prev.index ? { ...prev, ...update } : prev));
+      },
+      final: ({ score }) => {
+        setLive(prev => prev && { ...prev, status: 'final', score, situation: null });
+      },
+      error: () => setReconnecting(true),
+    });
+    return stop;
+  }, [user, id]);
+
+  // Ball, sticks and the last snap, oriented for the team with the ball
+  const fieldView = useMemo(() => {
+    if (!live) return null;
+    const { situation, lastPlay } = live;
+    const ballOn = situation?.fieldPosition ?? lastPlay?.to ?? 35;
+    const sameDrive = lastPlay && (!situation || situation.possession === lastPlay.possession);
+    return {
+      ballOn,
+      firstDownAt: situation ? situation.fieldPosition + situation.yardsToGo : null,
+      play: sameDrive ? { id: live.index, ...lastPlay } : null,
+    };
+  }, [live]);
+
+  if (!user) return null;
+
+  const teams = live?.teams;
+  const teamName = (side) => teams?.[side]?.username || (side === 'home' ? 'Home' : 'Away');
+  const situation = live?.situation;
+  const homePct = Math.round((live?.homeWinProbability ?? 0.5) * 100);
+
+  const spotText = (s) => {
+    if (s.fieldPosition === 50) return 'midfield';
+    const otherSide = s.possession === 'home' ? 'away' : 'home';
+    return s.fieldPosition < 50
+      ? `${teamName(s.possession)} ${s.fieldPosition}`
+      : `${teamName(otherSide)} ${100 - s.fieldPosition}`;
+  };
+
+  const downText = (s) => {
+    const goalToGo = s.fieldPosition + s.yardsToGo >= 100;
+    return `${ordinal(s.down)} & ${goalToGo ? 'Goal' : s.yardsToGo}`;
+  };
+
+  const feed = plays.slice(-FEED_LENGTH).reverse();
+
+  return (
+    <Layout user={user} onLogout={onLogout} unreadMessages={unreadMessages}>
+      <PlayfieldBackground live={fieldView} />
+      <div className="space-y-4 pb-28 md:pb-0">
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <h1 className="text-3xl f10-title text-white">Game Day</h1>
+            <p className="f10-subtitle">{teamName('home')} vs {teamName('away')}</p>
+          </div>
+          <button
+            type="button"
+            onClick={() => router.back()}
+            className="px-4 py-2 rounded-xl text-sm text-gray-200 hover:text-white transition-colors"
+            style={{ background: 'rgba(255,255,255,0.06)', border: '1px solid rgba(255,255,255,0.10)' }}
+          >
+            Back
+          </button>
+        </div>
+
+        {!live ? (
+          <div className="text-center text-gray-400 py-12" style={DISPLAY_FONT}>Connecting to the broadcast...</div>
+        ) : (
+          <>
+            {/* Score bug */}
+            <div className="f10-panel p-5">
+              <div className="flex items-center justify-between gap-4">
+                {['home', 'away'].map((side, i) => (
+                  <div key={side} className={`min-w-0 flex-1 ${i === 1 ? 'text-right order-3' : ''}`}>
+                    <div className="text-sm text-gray-400" style={DISPLAY_FONT}>
+                      {side === 'home' ? 'Home' : 'Away'}
+                      {situation?.possession === side && <span className="ml-1 text-yellow-300" title="Has the ball">●</span>}
+                    </div>
+                    <div className="text-lg font-bold truncate" style={{ ...DISPLAY_FONT, color: side === 'home' ? HOME_COLOR : AWAY_COLOR }}>
+                      {teamName(side)}
+                    </div>
+                  </div>
+                ))}
+                <div className="text-center order-2">
+                  <div className="text-4xl font-bold text-white" style={DISPLAY_FONT}>
+                    {live.score.home}
+                    <span className="text-gray-500 mx-3">-</span>
+                    {live.score.away}
+                  </div>
+                  <div className="text-xs mt-1" style={DISPLAY_FONT}>
+                    {live.status === 'final' ? (
+                      <span className="text-gray-400">Final{live.quarter > 4 ? ' / OT' : ''}</span>
+                    ) : (
+                      <span className="text-red-400 font-bold">
+                        ● LIVE · {quarterLabel(live.quarter)} {formatClock(live.clock)}
+                      </span>
+                    )}
+                  </div>
+                </div>
+              </div>
+
+              {live.status === 'live' && (
+                <div className="mt-3 text-center text-sm text-white" style={DISPLAY_FONT}>
+                  {situation ? `${downText(situation)} at ${spotText(situation)}` : 'Special teams'}
+                </div>
+              )}
+
+              {/* Win probability */}
+              <div className="mt-4">
+                <div className="flex justify-between text-[11px] text-gray-400 mb-1" style={DISPLAY_FONT}>
+                  <span>{teamName('home')} {homePct}%</span>
+                  <span>Win probability</span>
+                  <span>{100 - homePct}% {teamName('away')}</span>
+                </div>
+                <div className="h-2 rounded-full overflow-hidden flex" style={{ background: AWAY_COLOR }}>
+                  <div className="h-full transition-all duration-700" style={{ width: `${homePct}%`, background: HOME_COLOR }} />
+                </div>
+              </div>
+
+              {reconnecting && (
+                <div className="mt-3 text-center text-xs text-yellow-300" style={DISPLAY_FONT}>Reconnecting...</div>
+              )}
+              {caughtUp > 0 && (
+                <div className="mt-3 text-center text-xs text-gray-500" style={DISPLAY_FONT}>
+                  Joined in progress: caught up on {caughtUp} plays
+                </div>
+              )}
+              {live.status === 'final' && (
+                <div className="mt-3 text-center">
+                  <button
+                    type="button"
+                    onClick={() => router.push(`/post-game/${id}`)}
+                    className="text-[11px] text-cyan-300 hover:text-cyan-200 underline underline-offset-2"
+                    style={DISPLAY_FONT}
+                  >
+                    Post-game report
+                  </button>
+                </div>
+              )}
+            </div>
+
+            {/* Play feed */}
+            <div className="f10-panel p-5">
+              <h2 className="text-xl f10-title text-white mb-3">Play-by-Play</h2>
+              {feed.length === 0 ? (
+                <div className="text-gray-400 text-sm">Waiting for kickoff...</div>
+              ) : (
+                <div className="space-y-2">
+                  {feed.map((play, i) => (
+                    <div
+                      key={plays.length - i}
+                      className={`flex gap-3 text-sm ${i === 0 && live.status === 'live' ? 'text-white' : 'text-gray-300'}`}
+                    >
+                      <span className="text-xs text-gray-500 w-16 shrink-0" style={DISPLAY_FONT}>
+                        {play.quarter ? `${quarterLabel(play.quarter)} ${play.time || ''}` : ''}
+                      </span>
+                      <span className={play.touchdown ? 'text-green-300 font-semibold' : ''}>{play.description}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </Layout>
+  );
+}
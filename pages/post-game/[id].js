@@ -24,6 +24,7 @@ function isHighlightPlay(play) {
   const d = String(play?.description || '').toLowerCase();
   return (
     isScoringPlay(play) ||
+    (t === 'substitution' && play.reason === 'injury') ||
     r === 'interception' ||
     r === 'fumble' ||
     r === 'sack' ||
@@ -44,9 +45,116 @@ function playBadge(play) {
   if (r === 'interception') return { label: 'INT', cls: 'bg-orange-600/20 border-orange-500/40 text-orange-200' };
   if (r === 'fumble') return { label: 'FUM', cls: 'bg-orange-600/20 border-orange-500/40 text-orange-200' };
   if (r === 'sack') return { label: 'SACK', cls: 'bg-blue-600/20 border-blue-500/40 text-blue-200' };
+  if (t === 'substitution') {
+    return play.reason === 'injury'
+      ? { label: 'INJURY', cls: 'bg-red-600/20 border-red-500/40 text-red-200' }
+      : { label: 'SUB', cls: 'bg-gray-600/20 border-gray-500/40 text-gray-200' };
+  }
   return null;
 }
 
+const BOX_SCORE_SECTIONS = [
+  {
+    key: 'passing',
+    title: 'Passing',
+    columns: [
+      { label: 'C/ATT', value: (r) => `${r.completions}/${r.attempts}` },
+      { label: 'YDS', value: (r) => r.yards },
+      { label: 'TD', value: (r) => r.touchdowns },
+      { label: 'INT', value: (r) => r.interceptions },
+      { label: 'SCK', value: (r) => r.sacked },
+    ],
+  },
+  {
+    key: 'rushing',
+    title: 'Rushing',
+    columns: [
+      { label: 'CAR', value: (r) => r.attempts },
+      { label: 'YDS', value: (r) => r.yards },
+      { label: 'TD', value: (r) => r.touchdowns },
+      { label: 'LNG', value: (r) => r.long },
+    ],
+  },
+  {
+    key: 'receiving',
+    title: 'Receiving',
+    columns: [
+      { label: 'REC', value: (r) => `${r.receptions}/${r.targets}` },
+      { label: 'YDS', value: (r) => r.yards },
+      { label: 'TD', value: (r) => r.touchdowns },
+      { label: 'LNG', value: (r) => r.long },
+    ],
+  },
+  {
+    key: 'defense',
+    title: 'Defense',
+    columns: [
+      { label: 'TKL', value: (r) => r.tackles },
+      { label: 'SCK', value: (r) => r.sacks },
+      { label: 'INT', value: (r) => r.interceptions },
+      { label: 'FF', value: (r) => r.forcedFumbles },
+    ],
+  },
+  {
+    key: 'kicking',
+    title: 'Kicking',
+    columns: [
+      { label: 'FG', value: (r) => `${r.fgMade}/${r.fgAttempts}` },
+      { label: 'LNG', value: (r) => r.long },
+      { label: 'XP', value: (r) => `${r.xpMade}/${r.xpAttempts}` },
+    ],
+  },
+  {
+    key: 'punting',
+    title: 'Punting',
+    columns: [
+      { label: 'NO', value: (r) => r.punts },
+      { label: 'AVG', value: (r) => (r.punts ? (r.yards / r.punts).toFixed(1) : '0.0') },
+      { label: 'LNG', value: (r) => r.long },
+    ],
+  },
+];
+
+function BoxScore({ box }) {
+  if (!box) return null;
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+      {BOX_SCORE_SECTIONS.map((section) => {
+        const rows = box[section.key] || [];
+        if (rows.length === 0) return null;
+        return (
+          <div key={section.key} className="rounded-xl p-3 bg-black/20 border border-white/10">
+            <div className="text-sm font-bold text-white mb-2">{section.title}</div>
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-gray-500">
+                  <th className="text-left font-normal pb-1">Player</th>
+                  {section.columns.map((c) => (
+                    <th key={c.label} className="text-right font-normal pb-1 pl-2">{c.label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((r) => (
+                  <tr key={`${r.cardId ?? r.name}`} className="text-gray-200">
+                    <td className="py-0.5 truncate max-w-[140px]">
+                      {r.name}
+                      <span className="text-gray-500 ml-1">{r.position}</span>
+                    </td>
+                    {section.columns.map((c) => (
+                      <td key={c.label} className="text-right py-0.5 pl-2">{c.value(r)}</td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
 export default function PostGameReport({ user, onLogout, unreadMessages }) {
   const router = useRouter();
   const { id } = router.query;
@@ -55,6 +163,7 @@ export default function PostGameReport({ user, onLogout, unreadMessages }) {
   const [game, setGame] = useState(null);
   const [error, setError] = useState(null);
   const [showAllPlays, setShowAllPlays] = useState(false);
+  const [boxScoreTeam, setBoxScoreTeam] = useState('home');
 
   useEffect(() => {
     if (!user) {
@@ -72,6 +181,11 @@ export default function PostGameReport({ user, onLogout, unreadMessages }) {
       setError(null);
       try {
         const data = await getGame(id);
+        // Still on the air: the result isn't out yet, so watch it live instead
+        if (data.game?.live) {
+          router.replace(`/live/${id}`);
+          return;
+        }
         if (!cancelled) setGame(data.game || null);
       } catch (e) {
         if (!cancelled) setError(e?.message || 'Failed to load game');
@@ -155,6 +269,34 @@ export default function PostGameReport({ user, onLogout, unreadMessages }) {
               </div>
             </div>
 
+            {/* Box score */}
+            {game.box_score && (
+              <div className="f10-panel p-5">
+                <div className="flex items-center justify-between mb-3">
+                  <h2 className="text-xl f10-title text-white">Box Score</h2>
+                  <div className="flex gap-2">
+                    {['home', 'away'].map((team) => (
+                      <button
+                        key={team}
+                        type="button"
+                        onClick={() => setBoxScoreTeam(team)}
+                        className="px-3 py-1 rounded-lg text-xs font-semibold transition-colors"
+                        style={{
+                          background: boxScoreTeam === team ? 'rgba(168,85,247,0.2)' : 'rgba(255,255,255,0.06)',
+                          border: boxScoreTeam === team ? '1px solid rgba(168,85,247,0.4)' : '1px solid rgba(255,255,255,0.12)',
+                          color: boxScoreTeam === team ? '#c084fc' : '#9ca3af',
+                          fontFamily: 'var(--f10-display-font)',
+                        }}
+                      >
+                        {team === 'home' ? (game.home_username || 'Home') : (game.away_username || 'Away')}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+                <BoxScore box={game.box_score[boxScoreTeam]} />
+              </div>
+            )}
+
             {/* Play-by-play */}
             <div className="f10-panel p-5">
               <div className="flex items-center justify-between mb-3">
@@ -1,7 +1,7 @@
 import { useState, useEffect } from 'react';
 import { useRouter } from 'next/router';
 import Layout from '../components/Layout';
-import { getAllUsers, simulatePractice } from '../lib/api';
+import { getAllUsers, simulatePractice, getMyLeagues } from '../lib/api';
 
 const NAV_PURPLE = '#a855f7';
 const DISPLAY_FONT = { fontFamily: 'var(--f10-display-font)' };
@@ -12,8 +12,11 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
   const [tomorrowGames, setTomorrowGames] = useState([]);
   const [myGames, setMyGames] = useState([]);
   const [standings, setStandings] = useState([]);
+  const [tiebreakers, setTiebreakers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('practice');
+  const [myLeagues, setMyLeagues] = useState([]);
+  const [leagueId, setLeagueId] = useState(null);
   
   // Practice sim state
   const [teams, setTeams] = useState([]);
@@ -27,19 +30,32 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
       router.push('/');
       return;
     }
-    loadSchedule();
+    getMyLeagues()
+      .then(data => {
+        const list = data.leagues || [];
+        setMyLeagues(list);
+        // Default is the main league; fall back to your first league if you're not in it
+        if (list.length > 0 && !list.some(l => l.isMain)) setLeagueId(list[0].id);
+      })
+      .catch(err => console.error('Failed to load leagues:', err));
   }, [user, router]);
   
+  useEffect(() => {
+    if (!user) return;
+    loadSchedule();
+  }, [user, leagueId]);
+  
   const loadSchedule = async () => {
     try {
       const token = localStorage.getItem('token');
       const headers = { Authorization: `Bearer ${token}` };
+      const query = leagueId ? `?league=${leagueId}` : '';
       
       const [todayRes, tomorrowRes, myRes, standingsRes, teamsData] = await Promise.all([
-        fetch('/api/schedule/today', { headers }),
-        fetch('/api/schedule/tomorrow', { headers }),
-        fetch('/api/schedule/my-games', { headers }),
-        fetch('/api/schedule/standings', { headers }),
+        fetch(`/api/schedule/today${query}`, { headers }),
+        fetch(`/api/schedule/tomorrow${query}`, { headers }),
+        fetch(`/api/schedule/my-games${query}`, { headers }),
+        fetch(`/api/schedule/standings${query}`, { headers }),
         getAllUsers(),
       ]);
       
@@ -52,6 +68,7 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
       setTomorrowGames(tomorrowData.games || []);
       setMyGames(myData.games || []);
       setStandings(standingsData.standings || []);
+      setTiebreakers(standingsData.tiebreakers || []);
       setTeams((teamsData.users || []).filter(t => t.id !== user?.id));
     } catch (err) {
       console.error('Failed to load schedule:', err);
@@ -60,6 +77,16 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
     }
   };
   
+  // Results of games on the air come out when their broadcast ends; reload then
+  useEffect(() => {
+    const endings = [...todayGames, ...myGames]
+      .map(g => (g.status === 'completed' && g.result?.liveUntil ? new Date(g.result.liveUntil).getTime() : 0))
+      .filter(t => t > Date.now());
+    if (endings.length === 0) return;
+    const timer = setTimeout(loadSchedule, Math.min(...endings) - Date.now() + 1000);
+    return () => clearTimeout(timer);
+  }, [todayGames, myGames]);
+  
   const runPracticeSim = async () => {
     if (!selectedOpponent) return;
     
@@ -78,7 +105,15 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
     }
   };
 
+  // Completed games are broadcast play by play until result.liveUntil
+  const isLive = (game) => (
+    game.status === 'completed' && !!game.result?.liveUntil && new Date(game.result.liveUntil) > new Date()
+  );
+
   const formatGameStatus = (game) => {
+    if (isLive(game)) {
+      return <span className="text-red-400">Live now</span>;
+    }
     if (game.status === 'completed') {
       return (
         <span className="text-green-400">
@@ -95,11 +130,93 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
     return <span className="text-yellow-400">{game.timeDisplay}</span>;
   };
   
+  const playoffLabel = (game) => {
+    if (!game.phase || game.phase === 'regular') return null;
+    if (game.phase === 'superbowl') return 'Super Bowl';
+    if (game.phase === 'playoff_semi') return 'Semifinal';
+    if (game.phase === 'playoff_third') return 'Third-Place Game';
+    if (game.phase.startsWith('playoff_round_')) return `Playoffs · Round ${game.round}`;
+    return null;
+  };
+
+  const OUTCOME_COLORS = { W: 'bg-green-500', L: 'bg-red-500', T: 'bg-gray-400' };
+
+  const renderStandings = () => {
+    if (standings.length === 0) {
+      return (
+        <div className="text-center text-gray-400 py-12" style={DISPLAY_FONT}>
+          No standings yet. Check back when the season starts!
+        </div>
+      );
+    }
+    const seeded = standings.filter(s => s.seed).length;
+    return (
+      <div className="f10-panel p-3 overflow-x-auto">
+        <table className="w-full text-sm text-white" style={DISPLAY_FONT}>
+          <thead>
+            <tr className="text-xs text-gray-400 border-b border-white/10">
+              <th className="text-left py-2 pr-2">#</th>
+              <th className="text-left py-2 pr-2">Team</th>
+              <th className="py-2 px-1">W-L-T</th>
+              <th className="py-2 px-1">Pct</th>
+              <th className="py-2 px-1">PF</th>
+              <th className="py-2 px-1">PA</th>
+              <th className="py-2 px-1">Diff</th>
+              <th className="py-2 px-1">Strk</th>
+              <th className="py-2 px-1">Last 5</th>
+            </tr>
+          </thead>
+          <tbody>
+            {standings.map(row => {
+              const isMe = row.userId === user?.id;
+              return (
+                <tr
+                  key={row.userId}
+                  className={`border-b border-white/5 ${row.rank === seeded ? 'border-b-2 border-b-purple-500/60' : ''} ${row.eliminated ? 'text-gray-500' : ''}`}
+                >
+                  <td className="py-2 pr-2 text-gray-400">{row.rank}</td>
+                  <td className={`py-2 pr-2 ${isMe ? 'text-blue-400' : ''}`}>
+                    {row.user?.team_name || row.user?.username || 'Unknown'}
+                    {row.clinched && <span className="ml-1 text-xs text-green-400" title="Clinched playoff spot">x</span>}
+                    {row.eliminated && <span className="ml-1 text-xs text-red-400" title="Eliminated">e</span>}
+                    {row.tiebreaker && (
+                      <span className="ml-1 text-[10px] text-gray-500" title={`Tie broken by ${row.tiebreaker.toLowerCase()}`}>*</span>
+                    )}
+                  </td>
+                  <td className="py-2 px-1 text-center">{row.wins}-{row.losses}-{row.ties}</td>
+                  <td className="py-2 px-1 text-center">{row.winPct.toFixed(3).replace(/^0/, '')}</td>
+                  <td className="py-2 px-1 text-center">{row.pointsFor}</td>
+                  <td className="py-2 px-1 text-center">{row.pointsAgainst}</td>
+                  <td className={`py-2 px-1 text-center ${row.pointDiff > 0 ? 'text-green-400' : row.pointDiff < 0 ? 'text-red-400' : ''}`}>
+                    {row.pointDiff > 0 ? `+${row.pointDiff}` : row.pointDiff}
+                  </td>
+                  <td className="py-2 px-1 text-center">{row.streak || '-'}</td>
+                  <td className="py-2 px-1">
+                    <div className="flex gap-0.5 justify-center">
+                      {row.last5.map((outcome, i) => (
+                        <span key={i} className={`w-2 h-2 rounded-full ${OUTCOME_COLORS[outcome]}`} title={outcome} />
+                      ))}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <div className="mt-3 text-[11px] text-gray-500" style={DISPLAY_FONT}>
+          x = clinched playoff spot · e = eliminated · * = tie broken by tiebreakers
+          {tiebreakers.length > 0 && ` (${tiebreakers.join(', ')})`}
+        </div>
+      </div>
+    );
+  };
+
   const renderGameCard = (game, showDate = false) => {
     const isMyGame = game.homeUserId === user?.id || game.awayUserId === user?.id;
     const amHome = game.homeUserId === user?.id;
     const reportId = game.dbGameId;
-    const canOpenReport = !!reportId && (game.status === 'completed' || game.status === 'forfeit');
+    const live = !!reportId && isLive(game);
+    const canOpenReport = !!reportId && !live && (game.status === 'completed' || game.status === 'forfeit');
     
     return (
       <div
@@ -109,6 +226,12 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
         {showDate && (
           <div className="text-xs text-gray-500 mb-2" style={DISPLAY_FONT}>{game.date}</div>
         )}
+        {playoffLabel(game) && (
+          <div className="text-xs text-purple-300 mb-2" style={DISPLAY_FONT}>
+            {playoffLabel(game)}
+            {game.seedHome && ` · #${game.seedHome} vs #${game.seedAway}`}
+          </div>
+        )}
         
         <div className="flex items-center justify-between">
           {/* Home Team */}
@@ -122,7 +245,17 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
           
           {/* VS / Score */}
           <div className="px-4 text-center">
-            {game.status === 'completed' ? (
+            {live ? (
+              <button
+                type="button"
+                onClick={() => router.push(`/live/${reportId}`)}
+                className="text-sm font-bold text-red-400 hover:text-red-300 transition-colors"
+                title="Watch play by play"
+                style={DISPLAY_FONT}
+              >
+                ● LIVE · Watch
+              </button>
+            ) : game.status === 'completed' ? (
               <button
                 type="button"
                 disabled={!canOpenReport}
@@ -201,8 +334,27 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
         </div>
         
         {/* Tabs - positioned below endzone */}
-        <div className="flex gap-1 border-b border-white/10 overflow-x-auto mb-4" style={{ marginTop: 'max(150px, calc(26vh - 30px))' }}>
-          {['practice', 'today', 'tomorrow', 'my-games'].map(tab => (
+        <div style={{ marginTop: 'max(150px, calc(26vh - 30px))' }}>
+        {/* League picker (only when you're in more than one league) */}
+        {myLeagues.length > 1 && (
+          <div className="flex justify-center mb-3">
+            <select
+              value={leagueId || (myLeagues.find(l => l.isMain) || myLeagues[0]).id}
+              onChange={(e) => {
+                setLoading(true);
+                setLeagueId(parseInt(e.target.value));
+              }}
+              className="f10-input px-3 py-1.5 text-sm text-white rounded-xl"
+              style={{ ...DISPLAY_FONT, backgroundColor: 'rgba(0,0,0,0.4)', border: '1px solid rgba(168,85,247,0.3)' }}
+            >
+              {myLeagues.map(league => (
+                <option key={league.id} value={league.id}>{league.name}</option>
+              ))}
+            </select>
+          </div>
+        )}
+        <div className="flex gap-1 border-b border-white/10 overflow-x-auto mb-4">
+          {['practice', 'today', 'tomorrow', 'my-games', 'standings'].map(tab => (
             <button
               key={tab}
               onClick={() => setActiveTab(tab)}
@@ -217,9 +369,11 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
               {tab === 'today' && 'Today'}
               {tab === 'tomorrow' && 'Tomorrow'}
               {tab === 'my-games' && 'My Games'}
+              {tab === 'standings' && 'Standings'}
             </button>
           ))}
         </div>
+        </div>
         
         {/* Content */}
         {loading ? (
@@ -446,6 +600,8 @@ export default function Schedule({ user, onLogout, unreadMessages }) {
               )
             )}
             
+            {activeTab === 'standings' && renderStandings()}
+
             {activeTab === 'my-games' && (
               myGames.length === 0 ? (
                 <div className="text-center text-gray-400 py-12" style={DISPLAY_FONT}>
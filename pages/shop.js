@@ -13,12 +13,20 @@ import { OnrampCard } from '../components/CoinbaseOnramp';
 import { BuyPackButton } from '../components/BuyPackButton';
 import { CURRENT_NETWORK, BASE_SEPOLIA_CHAIN_ID } from '../lib/contracts';
 import { cryptoShopEnabled } from '../lib/env';
+import { getPackInfo, subscribeToEvents, getLinkedWallet, getWalletSignMessage, linkWallet } from '../lib/api';
+import DropRateTable from '../components/DropRateTable';
 
 export default function Shop({ user, onLogout, unreadMessages, inFarcaster }) {
   const router = useRouter();
   const wallet = useWallet();
   const { isConnected, address, chainId, isCorrectNetwork, disconnect, getSigner, switchNetwork } = wallet;
   const [balance, setBalance] = useState(null);
+  const [shopProduct, setShopProduct] = useState(null);
+  const [awaitingMint, setAwaitingMint] = useState(false);
+  const [fulfilledPack, setFulfilledPack] = useState(null);
+  const [linkedWallet, setLinkedWallet] = useState(null);
+  const [linking, setLinking] = useState(false);
+  const [linkError, setLinkError] = useState(null);
   
   // In Farcaster, balance comes from wagmi's useBalance hook via context
   const farcasterBalance = wallet.balance;
@@ -40,6 +48,42 @@ export default function Shop({ user, onLogout, unreadMessages, inFarcaster }) {
     }
   }, [user, router]);
 
+  // Published odds for the pack sold here
+  useEffect(() => {
+    if (!cryptoShopEnabled || !user) return;
+    getPackInfo()
+      .then(info => setShopProduct(info.products?.find(p => p.channel === 'shop') || null))
+      .catch(err => console.error('Failed to load pack odds:', err));
+  }, [user]);
+
+  // Wallet linked to the account (packs and cards follow this address)
+  useEffect(() => {
+    if (!cryptoShopEnabled || !user) return;
+    getLinkedWallet()
+      .then(data => setLinkedWallet(data.wallet))
+      .catch(err => console.error('Failed to load linked wallet:', err));
+  }, [user]);
+
+  const isLinked = !!(linkedWallet && address && linkedWallet.address.toLowerCase() === address.toLowerCase());
+
+  // Prove ownership by signing a one-time Sign-In with Ethereum message
+  const handleLinkWallet = async () => {
+    setLinking(true);
+    setLinkError(null);
+    try {
+      const signer = await getSigner();
+      if (!signer) throw new Error('Wallet is not ready to sign');
+      const { message } = await getWalletSignMessage(address);
+      const signature = await signer.signMessage(message);
+      const data = await linkWallet({ message, signature, walletType: wallet.walletType });
+      setLinkedWallet(data.wallet);
+    } catch (err) {
+      setLinkError(err.message);
+    } finally {
+      setLinking(false);
+    }
+  };
+
   // Load balance when connected (only needed for non-Farcaster mode)
   useEffect(() => {
     // In Farcaster, balance is provided by wagmi's useBalance hook
@@ -86,11 +130,22 @@ export default function Shop({ user, onLogout, unreadMessages, inFarcaster }) {
     return () => clearInterval(interval);
   }, [isConnected, address, getSigner, inFarcaster, farcasterBalance]);
 
+  // The server mints the cards after it sees the purchase on-chain and tells us when they're in
+  useEffect(() => {
+    if (!user) return;
+    return subscribeToEvents('pack_fulfilled', (pack) => {
+      setFulfilledPack(pack);
+      setAwaitingMint(false);
+    });
+  }, [user]);
+
   if (!cryptoShopEnabled) return null;
   if (!user) return null;
 
   const handlePurchaseSuccess = ({ txHash }) => {
     console.log('Purchase successful:', txHash);
+    setFulfilledPack(null);
+    setAwaitingMint(true);
   };
 
   return (
@@ -99,7 +154,7 @@ export default function Shop({ user, onLogout, unreadMessages, inFarcaster }) {
         <div className="text-center mb-8">
           <h1 className="text-3xl font-bold text-white mb-2">Pack Shop</h1>
           <p className="text-gray-400">
-            Purchase card packs with ETH. Each pack contains 5 random player cards.
+            Purchase card packs with ETH. Each pack contains {shopProduct?.cardCount || 5} player cards.
           </p>
           {CURRENT_NETWORK === 'baseSepolia' && (
             <div className="mt-2 inline-block px-3 py-1 rounded-full bg-yellow-900/30 border border-yellow-500/30">
@@ -181,6 +236,23 @@ export default function Shop({ user, onLogout, unreadMessages, inFarcaster }) {
                   )}
                 </div>
               </div>
+
+              {/* Account link */}
+              <div className="flex items-center justify-between p-3 rounded-lg bg-black/30">
+                <span className="text-gray-400 text-sm">Account</span>
+                {isLinked ? (
+                  <span className="text-sm text-green-400">Linked ✓</span>
+                ) : (
+                  <button
+                    onClick={handleLinkWallet}
+                    disabled={linking}
+                    className="text-xs px-2 py-1 bg-cyan-600 hover:bg-cyan-500 disabled:opacity-50 text-white rounded transition-colors"
+                  >
+                    {linking ? 'Sign in wallet...' : linkedWallet ? 'Link this wallet instead' : 'Link to account'}
+                  </button>
+                )}
+              </div>
+              {linkError && <div className="text-xs text-red-400 text-right">{linkError}</div>}
             </div>
           )}
         </div>
@@ -195,6 +267,31 @@ export default function Shop({ user, onLogout, unreadMessages, inFarcaster }) {
           <BuyPackButton onSuccess={handlePurchaseSuccess} />
         )}
 
+        {awaitingMint && (
+          <div className="mt-4 p-4 f10-panel text-center text-sm text-gray-300">
+            Purchase confirmed. Minting your cards...
+          </div>
+        )}
+        {fulfilledPack && (
+          <div className="mt-4 p-4 f10-panel">
+            <div className="text-sm font-bold text-green-400 mb-2">Pack #{fulfilledPack.packId} minted to your wallet</div>
+            <ul className="space-y-1 text-sm text-gray-300">
+              {fulfilledPack.cards.map((card, i) => (
+                <li key={i}>
+                  {card.player} <span className="text-gray-500">· {card.season} {card.position} · Tier {card.tier}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {shopProduct && (
+          <div className="mt-8 p-6 f10-panel">
+            <h3 className="text-lg font-bold text-white mb-4">Drop Rates</h3>
+            <DropRateTable product={shopProduct} />
+          </div>
+        )}
+
         <div className="mt-8 p-6 f10-panel">
           <h3 className="text-lg font-bold text-white mb-4">How It Works</h3>
           <ol className="space-y-3 text-gray-400">
@@ -4,7 +4,8 @@ import Layout from '../components/Layout';
 import RosterView from '../components/RosterView';
 import StrategySlider from '../components/StrategySlider';
 import OpponentScout from '../components/OpponentScout';
-import { getRosterStrategy, getUserRoster, getRosterLockStatus } from '../lib/api';
+import GamePlanPanel from '../components/GamePlanPanel';
+import { getRosterStrategy, getUserRoster, getRosterLockStatus, subscribeToEvents } from '../lib/api';
 
 const NAV_CYAN = '#00e5ff';
 const NAV_PURPLE = '#a855f7';
@@ -24,6 +25,7 @@ export default function Team({ user, onLogout, unreadMessages }) {
   
   // Roster lock state
   const [rosterLock, setRosterLock] = useState({ locked: false });
+  const [transferNotice, setTransferNotice] = useState(null); // Card that left with its NFT
 
   useEffect(() => {
     if (!user) {
@@ -32,7 +34,7 @@ export default function Team({ user, onLogout, unreadMessages }) {
     }
   }, [user, router]);
 
-  // Check roster lock status periodically
+  // Roster lock status: fetched on load, then pushed by the server as lock windows open and close
   useEffect(() => {
     if (!user) return;
     const checkLock = async () => {
@@ -44,9 +46,12 @@ export default function Team({ user, onLogout, unreadMessages }) {
       }
     };
     checkLock();
-    // Check every 30 seconds to catch when lock window starts
-    const interval = setInterval(checkLock, 30000);
-    return () => clearInterval(interval);
+    const unsubscribeLock = subscribeToEvents('roster_lock', setRosterLock);
+    const unsubscribeReady = subscribeToEvents('ready', checkLock);
+    return () => {
+      unsubscribeLock();
+      unsubscribeReady();
+    };
   }, [user]);
 
   // Fetch upcoming games
@@ -109,6 +114,15 @@ export default function Team({ user, onLogout, unreadMessages }) {
     if (user) fetchStrategy();
   }, [user, refreshTrigger, fetchStrategy]);
 
+  // A card whose NFT was transferred away leaves the roster; the server has already refilled its slot
+  useEffect(() => {
+    if (!user) return;
+    return subscribeToEvents('card_transferred', ({ direction, card }) => {
+      if (direction === 'out') setTransferNotice(card);
+      setRefreshTrigger((t) => t + 1);
+    });
+  }, [user]);
+
   // Called when slider applies a preset - refresh roster view and strategy
   const handlePresetApplied = useCallback(() => {
     setRefreshTrigger((t) => t + 1);
@@ -193,6 +207,23 @@ export default function Team({ user, onLogout, unreadMessages }) {
           </div>
         )}
 
+        {transferNotice && (
+          <div className="flex justify-center mb-2">
+            <div
+              className="flex items-center gap-2 px-3 py-1.5 rounded-lg text-xs font-bold"
+              style={{
+                backgroundColor: 'rgba(234, 179, 8, 0.15)',
+                border: '1px solid rgba(234, 179, 8, 0.4)',
+                color: '#facc15',
+                fontFamily: 'var(--f10-display-font)',
+              }}
+            >
+              {transferNotice.player_name} ({transferNotice.season}) left your team: the NFT was transferred to another wallet
+              <button type="button" onClick={() => setTransferNotice(null)} className="ml-1 text-gray-300 hover:text-white">✕</button>
+            </div>
+          </div>
+        )}
+
         {/* Desktop: bar at top, same row */}
         <div className="hidden md:block max-w-md mb-4 relative z-50">
           <div className="flex gap-2 items-center">
@@ -214,6 +245,8 @@ export default function Team({ user, onLogout, unreadMessages }) {
         <div style={{ marginTop: opponentRoster ? '21px' : '5px' }}>
           <RosterView user={user} diagramSide={diagramSide} refreshTrigger={refreshTrigger} disabled={rosterLock.locked} />
         </div>
+
+        <GamePlanPanel user={user} disabled={rosterLock.locked} />
       </div>
 
       {/* Mobile: bar fixed above bottom nav with clearance so buttons aren't cut off by tiles */}
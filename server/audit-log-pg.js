@@ -0,0 +1,48 @@
+/**
+ * Admin Audit Log (Postgres)
+ * ===========================
+ * Used when DATABASE_URL is set. Same API as audit-log.js; table from
+ * migrations/13_roles_audit_log.sql. All functions are async.
+ */
+
+const { query } = require('./db');
+
+/**
+ * Record an admin action
+ * @param {object} entry - { actor: {id, username} | null, action, target: {id, username} | null, before, after }
+ */
+async function record({ actor = null, action, target = null, before = null, after = null }) {
+  const r = await query(
+    `INSERT INTO audit_log (actor_user_id, actor_username, action, target_user_id, target_username, before_value, after_value)
+     VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+    [
+      actor?.id ?? null,
+      actor?.username ?? null,
+      action,
+      target?.id ?? null,
+      target?.username ?? null,
+      before == null ? null : JSON.stringify(before),
+      after == null ? null : JSON.stringify(after),
+    ]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Newest entries first
+ * @param {object} filters - { action, targetUserId, limit }
+ */
+async function list({ action = null, targetUserId = null, limit = 100 } = {}) {
+  const r = await query(
+    `SELECT * FROM audit_log
+     WHERE ($1::text IS NULL OR action = $1) AND ($2::int IS NULL OR target_user_id = $2)
+     ORDER BY created_at DESC, id DESC LIMIT $3`,
+    [action, targetUserId, limit]
+  );
+  return r.rows;
+}
+
+module.exports = {
+  record,
+  list,
+};
@@ -0,0 +1,77 @@
+/**
+ * Admin Audit Log
+ * ================
+ * Who did what to whom from the admin tools (promotions, pack products, password
+ * resets, role changes), with the values before and after.
+ * Uses Postgres when DATABASE_URL is set (audit-log-pg.js), otherwise
+ * audit-log.json. All functions are async.
+ */
+
+const dbPool = require('./db');
+if (dbPool.useDatabase()) {
+  module.exports = require('./audit-log-pg');
+  return;
+}
+
+// ========== JSON file-based implementation (when DATABASE_URL not set) ==========
+
+const fs = require('fs');
+const path = require('path');
+
+// Use persistent disk in production, local file in development
+const DATA_DIR = fs.existsSync('/var/data') ? '/var/data' : __dirname;
+const AUDIT_FILE = path.join(DATA_DIR, 'audit-log.json');
+
+function loadLog() {
+  try {
+    if (fs.existsSync(AUDIT_FILE)) {
+      return JSON.parse(fs.readFileSync(AUDIT_FILE, 'utf8'));
+    }
+  } catch (e) {
+    console.error('Error loading audit log:', e);
+  }
+  return { entries: [], nextId: 1 };
+}
+
+function saveLog(data) {
+  fs.writeFileSync(AUDIT_FILE, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Record an admin action
+ * @param {object} entry - { actor: {id, username} | null, action, target: {id, username} | null, before, after }
+ *   A null actor means the server did it on its own (e.g. a startup task).
+ */
+async function record({ actor = null, action, target = null, before = null, after = null }) {
+  const data = loadLog();
+  const entry = {
+    id: data.nextId++,
+    actor_user_id: actor?.id ?? null,
+    actor_username: actor?.username ?? null,
+    action,
+    target_user_id: target?.id ?? null,
+    target_username: target?.username ?? null,
+    before_value: before,
+    after_value: after,
+    created_at: new Date().toISOString(),
+  };
+  data.entries.push(entry);
+  saveLog(data);
+  return entry;
+}
+
+/**
+ * Newest entries first
+ * @param {object} filters - { action, targetUserId, limit }
+ */
+async function list({ action = null, targetUserId = null, limit = 100 } = {}) {
+  return loadLog().entries
+    .filter(e => (!action || e.action === action) && (targetUserId == null || e.target_user_id === targetUserId))
+    .reverse()
+    .slice(0, limit);
+}
+
+module.exports = {
+  record,
+  list,
+};
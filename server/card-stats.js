@@ -0,0 +1,160 @@
+/**
+ * Card Stat Ledger
+ * =================
+ * Season and career totals for every card, built from game box scores.
+ * League (scheduled) games and practice games are tracked as separate sources
+ * so practice runs can't pad a card's real numbers.
+ */
+
+const db = require('./database');
+
+const SOURCES = ['league', 'practice'];
+const OFFSEASON = 'offseason';
+
+// Box score category/field -> ledger field
+const BOX_SCORE_FIELDS = {
+  passing: { attempts: 'pass_att', completions: 'pass_cmp', yards: 'pass_yds', touchdowns: 'pass_td', interceptions: 'pass_int' },
+  rushing: { attempts: 'rush_att', yards: 'rush_yds', touchdowns: 'rush_td', fumbles: 'fumbles' },
+  receiving: { receptions: 'rec', targets: 'targets', yards: 'rec_yds', touchdowns: 'rec_td' },
+  defense: { tackles: 'tackles', sacks: 'sacks', interceptions: 'def_int', forcedFumbles: 'forced_fumbles' },
+  kicking: { fgMade: 'fg_made', fgAttempts: 'fg_att', xpMade: 'xp_made', xpAttempts: 'xp_att' },
+  punting: { punts: 'punts', yards: 'punt_yds' },
+};
+
+// How each position is ranked on the leaderboard (primary, then tiebreak)
+const POSITION_RANKING = {
+  QB: ['pass_yds', 'pass_td'],
+  RB: ['rush_yds', 'rush_td'],
+  WR: ['rec_yds', 'rec_td'],
+  TE: ['rec_yds', 'rec_td'],
+  DL: ['sacks', 'tackles'],
+  LB: ['tackles', 'sacks'],
+  DB: ['def_int', 'tackles'],
+  K: ['fg_made', 'fg_pct'],
+  P: ['punt_avg', 'punts'],
+};
+
+function collectRosterCardIds(roster) {
+  if (!roster) return [];
+  const ids = [];
+  for (const value of Object.values(roster)) {
+    const players = Array.isArray(value) ? value : [value];
+    for (const p of players) {
+      if (p && p.cardId != null) ids.push(p.cardId);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Turn a game's box score into per-card ledger deltas
+ * @param {object} boxScore - { home, away } from the game engine
+ * @param {object} rosters - Engine roster snapshot { home, away } (every starter gets a game played)
+ * @param {array} plays - Play-by-play; bench players get a game played if they were subbed in
+ * @returns {array} - [{ cardId, stats }]
+ */
+function boxScoreToLines(boxScore, rosters, plays = []) {
+  const byCard = new Map();
+  const lineFor = (cardId) => {
+    if (!byCard.has(cardId)) byCard.set(cardId, { games: 0 });
+    return byCard.get(cardId);
+  };
+
+  for (const play of plays || []) {
+    if (play.type === 'substitution' && play.in?.cardId != null) lineFor(play.in.cardId).games = 1;
+  }
+
+  for (const side of ['home', 'away']) {
+    for (const cardId of new Set(collectRosterCardIds(rosters?.[side]))) {
+      lineFor(cardId).games = 1;
+    }
+    const box = boxScore?.[side];
+    if (!box) continue;
+    for (const [category, fields] of Object.entries(BOX_SCORE_FIELDS)) {
+      for (const row of box[category] || []) {
+        if (row.cardId == null) continue; // Default fill-in players
+        const stats = lineFor(row.cardId);
+        for (const [from, to] of Object.entries(fields)) {
+          stats[to] = (stats[to] || 0) + (row[from] || 0);
+        }
+      }
+    }
+  }
+
+  return Array.from(byCard.entries()).map(([cardId, stats]) => ({ cardId, stats }));
+}
+
+/**
+ * Add a finished game to the ledger
+ * @param {object} result - simulateGameFromDB result ({ boxScore, rosters, plays })
+ * @param {object} options - { source: 'league' | 'practice', season }
+ */
+async function recordGameStats(result, { source, season } = {}) {
+  if (!SOURCES.includes(source)) throw new Error(`Unknown stat source: ${source}`);
+  const lines = boxScoreToLines(result?.boxScore, result?.rosters, result?.plays);
+  if (lines.length === 0) return 0;
+  await db.recordCardStats(lines, season || OFFSEASON, source);
+  return lines.length;
+}
+
+/**
+ * Add derived rate stats to a totals row
+ */
+function withRates(row) {
+  const fgAtt = Number(row.fg_att) || 0;
+  const punts = Number(row.punts) || 0;
+  const passAtt = Number(row.pass_att) || 0;
+  return {
+    ...row,
+    fg_pct: fgAtt > 0 ? Math.round((Number(row.fg_made) / fgAtt) * 1000) / 10 : null,
+    punt_avg: punts > 0 ? Math.round((Number(row.punt_yds) / punts) * 10) / 10 : null,
+    cmp_pct: passAtt > 0 ? Math.round((Number(row.pass_cmp) / passAtt) * 1000) / 10 : null,
+  };
+}
+
+/**
+ * Top cards at a position
+ * @param {string} position - QB, RB, WR, TE, DL, LB, DB, K, P
+ * @param {object} options - { season (null = career), source, limit }
+ */
+async function getLeaders(position, { season = null, source = 'league', limit = 10 } = {}) {
+  const ranking = POSITION_RANKING[position];
+  if (!ranking) throw new Error(`Unknown position: ${position}`);
+  const rows = (await db.getCardStatTotals({ position, season, source })).map(withRates);
+  const value = (row, key) => (row[key] == null ? -1 : Number(row[key]));
+  return rows
+    .filter(row => Number(row.games) > 0)
+    .sort((a, b) => value(b, ranking[0]) - value(a, ranking[0]) || value(b, ranking[1]) - value(a, ranking[1]))
+    .slice(0, limit)
+    .map((row, i) => ({ rank: i + 1, ...row }));
+}
+
+/**
+ * Season-by-season and career totals for one card, per source
+ */
+async function getCardCareer(cardId) {
+  const lines = await db.getCardStatLines(cardId);
+  const career = {};
+  for (const source of SOURCES) {
+    const totals = { games: 0 };
+    for (const line of lines.filter(l => l.source === source)) {
+      for (const [key, value] of Object.entries(line.stats)) {
+        totals[key] = (totals[key] || 0) + (Number(value) || 0);
+      }
+    }
+    career[source] = withRates(totals);
+  }
+  return {
+    seasons: lines.map(l => ({ season: l.season, source: l.source, ...withRates(l.stats) })),
+    career,
+  };
+}
+
+module.exports = {
+  SOURCES,
+  POSITION_RANKING,
+  boxScoreToLines,
+  recordGameStats,
+  getLeaders,
+  getCardCareer,
+};
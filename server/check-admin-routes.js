@@ -0,0 +1,153 @@
+#!/usr/bin/env node
+/**
+ * Admin Routes Check
+ * ===================
+ * Boots the API server on a throwaway copy of this directory (JSON storage,
+ * fresh data files) and checks that the admin-only routes turn a player
+ * away with 403 while letting an admin through. Never touches data.json here.
+ *
+ * Usage:
+ *   node check-admin-routes.js             # Run the check
+ *   node check-admin-routes.js --verbose   # Also show the server's output
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+
+const verbose = process.argv.includes('--verbose');
+
+const PORT = 41000 + Math.floor(Math.random() * 9000);
+const BASE = `http://127.0.0.1:${PORT}`;
+const PASSWORD = 'check-password';
+
+// Admin-only routes with a body that gets past validation
+const ADMIN_ROUTES = [
+  ['POST', '/api/schedule/init', { reset: false }],
+  ['POST', '/api/schedule/run-now', {}],
+  ['POST', '/api/schedule/swap-user', { fromUsername: 'checkplayer', toUsername: 'checkadmin' }],
+  ['GET', '/api/admin/users'],
+  ['GET', '/api/admin/audit-log'],
+];
+
+// =============================================================================
+// THROWAWAY SERVER
+// =============================================================================
+
+// Everything but node_modules and the JSON data stores kept next to the code
+function copyServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'first-and-10-check-'));
+  fs.cpSync(__dirname, dir, {
+    recursive: true,
+    filter: (src) => {
+      const rel = path.relative(__dirname, src);
+      if (rel === 'node_modules' || rel === '.env') return false;
+      return !(path.dirname(rel) === '.' && rel.endsWith('.json') && !rel.startsWith('package'));
+    },
+  });
+  fs.symlinkSync(path.join(__dirname, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+
+  // The server loads the player pool at startup; without generated stats a token list will do
+  const playersPath = path.join(dir, 'game-engine/data/normalized_players.json');
+  if (!fs.existsSync(playersPath)) {
+    const players = ['QB', 'RB', 'WR', 'TE', 'OL', 'DL', 'LB', 'DB', 'K', 'P'].map((pos, i) => ({
+      player: `${pos} Player`, season: 2000 + i, pos_group: pos, team: 'CHI', tier: 5, composite_score: 70,
+    }));
+    fs.writeFileSync(playersPath, JSON.stringify(players));
+  }
+  return dir;
+}
+
+function seedUsers(dir, env) {
+  execFileSync(process.execPath, ['-e', `
+    const db = require('./database');
+    (async () => {
+      await db.createUser('checkplayer', ${JSON.stringify(PASSWORD)}, 'Players');
+      const admin = await db.createUser('checkadmin', ${JSON.stringify(PASSWORD)}, 'Admins');
+      await db.setUserRole(admin.id, 'admin');
+    })().catch((err) => { console.error(err); process.exit(1); });
+  `], { cwd: dir, env, stdio: verbose ? 'inherit' : 'ignore', timeout: 30000 });
+}
+
+async function waitForServer(server) {
+  for (let i = 0; i < 60; i++) {
+    if (server.exitCode !== null) throw new Error(`server exited with code ${server.exitCode}`);
+    try {
+      if ((await fetch(`${BASE}/health`)).ok) return;
+    } catch (err) {
+      // Not listening yet
+    }
+    await new Promise(resolve => setTimeout(resolve, 500));
+  }
+  throw new Error('server did not start within 30s');
+}
+
+async function request(method, route, { token, body } = {}) {
+  const res = await fetch(`${BASE}${route}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      Origin: 'http://localhost:3000',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json().catch(() => null) };
+}
+
+async function login(username) {
+  const { status, body } = await request('POST', '/api/auth/login', { body: { username, password: PASSWORD } });
+  if (status !== 200 || !body?.token) throw new Error(`login as ${username} failed (${status})`);
+  return body.token;
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function runChecks() {
+  const playerToken = await login('checkplayer');
+  const adminToken = await login('checkadmin');
+  let failed = 0;
+
+  for (const [method, route, body] of ADMIN_ROUTES) {
+    const anonymous = await request(method, route, { body });
+    const player = await request(method, route, { token: playerToken, body });
+    const admin = await request(method, route, { token: adminToken, body });
+    const ok = anonymous.status === 401 && player.status === 403 && admin.status !== 401 && admin.status !== 403;
+    if (!ok) failed++;
+    console.log(`  ${ok ? 'ok  ' : 'FAIL'}  ${method.padEnd(4)} ${route.padEnd(28)} anonymous ${anonymous.status}, player ${player.status}, admin ${admin.status}`);
+  }
+  return failed;
+}
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('ADMIN ROUTES CHECK');
+  console.log('='.repeat(60));
+
+  const dir = copyServer();
+  const env = { ...process.env, PORT: String(PORT), NODE_ENV: 'development' };
+  delete env.DATABASE_URL;
+  delete env.PRIVATE_KEY;
+
+  let server = null;
+  let failed = 1;
+  try {
+    seedUsers(dir, env);
+    server = spawn(process.execPath, ['index.js'], { cwd: dir, env, stdio: verbose ? 'inherit' : 'ignore' });
+    await waitForServer(server);
+    failed = await runChecks();
+    console.log('-'.repeat(60));
+    console.log(`${ADMIN_ROUTES.length - failed}/${ADMIN_ROUTES.length} passed`);
+  } catch (err) {
+    console.error(err.message);
+  } finally {
+    if (server && server.exitCode === null) server.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+/**
+ * Live Scores Check
+ * ==================
+ * Simulates seeded games and checks that the live feed's running score
+ * (live-games.js) ends on the score the engine recorded, overtime included,
+ * and never goes down along the way.
+ *
+ * Usage:
+ *   node check-live-scores.js              # 1000 games
+ *   node check-live-scores.js --games 5000
+ */
+
+const { simulateGame, createTestRoster } = require('./game-engine/simulation');
+const liveGames = require('./live-games');
+
+const gamesArg = process.argv.indexOf('--games');
+const GAMES = gamesArg > -1 ? parseInt(process.argv[gamesArg + 1]) || 1000 : 1000;
+
+// Vary the matchups so games run long, short and into overtime
+function rosterFor(seed, side) {
+  const tier = (n) => 1 + (seed * n) % 10;
+  return side === 'home'
+    ? createTestRoster({ QB: tier(3), RB: tier(5), DB: tier(7), K: tier(11) })
+    : createTestRoster({ QB: tier(13), WR: tier(17), DL: tier(19), K: tier(23) });
+}
+
+function checkGame(seed) {
+  const result = simulateGame(rosterFor(seed, 'home'), rosterFor(seed, 'away'), { seed });
+  const expected = { home: result.homeScore, away: result.awayScore };
+  const scores = liveGames.runningScores(result.plays);
+  const problems = [];
+
+  const last = scores[scores.length - 1];
+  if (last.home !== expected.home || last.away !== expected.away) {
+    problems.push(`running score ends ${last.home}-${last.away}, game ended ${expected.home}-${expected.away}`);
+  }
+  const drop = scores.findIndex((s, i) => i > 0 && (s.home < scores[i - 1].home || s.away < scores[i - 1].away));
+  if (drop > -1) problems.push(`score goes down at play ${drop}`);
+
+  // What a viewer sees once the broadcast is over
+  const game = { id: seed, play_by_play: result.plays, home_score: expected.home, away_score: expected.away, played_at: new Date(0) };
+  const final = liveGames.getLiveState(game, Date.now());
+  if (final.status !== 'final' || final.score.home !== expected.home || final.score.away !== expected.away) {
+    problems.push(`final update shows ${final.score.home}-${final.score.away} (${final.status})`);
+  }
+
+  return { overtime: result.overtime, problems };
+}
+
+function main() {
+  console.log('='.repeat(60));
+  console.log('LIVE SCORES CHECK');
+  console.log('='.repeat(60));
+
+  let failed = 0;
+  let overtimeGames = 0;
+  for (let seed = 1; seed <= GAMES; seed++) {
+    const { overtime, problems } = checkGame(seed);
+    if (overtime) overtimeGames++;
+    if (problems.length) {
+      failed++;
+      console.log(`  FAIL  seed ${seed}${overtime ? ' (OT)' : ''}: ${problems.join('; ')}`);
+    }
+  }
+
+  console.log('-'.repeat(60));
+  console.log(`${GAMES - failed}/${GAMES} games match (${overtimeGames} went to overtime)`);
+  if (overtimeGames === 0) {
+    console.log('No overtime games in this sample; run more with --games');
+    failed++;
+  }
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,299 @@
+#!/usr/bin/env node
+/**
+ * Pack Fulfillment Check
+ * =======================
+ * Runs pack-fulfillment.js's event polling against an in-process chain
+ * (getBlockNumber/getLogs over hand-encoded logs) and in-memory tables, and
+ * checks Transfer indexing: a transferred token's card follows it to the
+ * receiving account, mints from the zero address are skipped, and polling
+ * the same blocks again changes nothing. Then opens packs through
+ * database-pg.js's commitChainPackOpening (transactions roll back the
+ * in-memory tables): a failure halfway leaves the pack as it was, a retry
+ * saves one card per token, and opening again only returns cards still held.
+ * No database or RPC needed.
+ *
+ * Usage:
+ *   node check-pack-fulfillment.js             # Run the check
+ *   node check-pack-fulfillment.js --verbose   # Also show the service's logs
+ */
+
+const { ethers } = require('ethers');
+
+const verbose = process.argv.includes('--verbose');
+if (!verbose) console.log = () => {};
+const report = (...args) => process.stdout.write(args.join(' ') + '\n');
+
+// =============================================================================
+// IN-MEMORY TABLES (stand in for pack-fulfillment's modules before it loads)
+// =============================================================================
+
+const ALICE = ethers.Wallet.createRandom().address;
+const BOB = ethers.Wallet.createRandom().address;
+const UNLINKED = ethers.Wallet.createRandom().address;
+
+const wallets = [{ user_id: 1, address: ALICE }, { user_id: 2, address: BOB }];
+const cards = new Map([
+  [101, { id: 101, user_id: 1, player_name: 'Barry Sanders', season: 1997, position: 'RB', tier: 10 }],
+  [102, { id: 102, user_id: 1, player_name: 'Jerry Rice', season: 1995, position: 'WR', tier: 9 }],
+]);
+const packRows = [
+  { id: 1, pack_id: '7', status: 'fulfilled', user_id: 1, buyer_wallet: ALICE },
+  { id: 2, pack_id: '8', status: 'fulfilled', user_id: 1, buyer_wallet: ALICE },
+  { id: 3, pack_id: '9', status: 'opening', user_id: 1, buyer_wallet: ALICE }, // Stuck in the old two-step open
+];
+const packCards = [
+  { id: 1, pack_id: 1, token_id: '1', card_id: 101, owner_wallet: ALICE },
+  { id: 2, pack_id: 1, token_id: '2', card_id: 102, owner_wallet: ALICE },
+  { id: 3, pack_id: 1, token_id: '3', card_id: null, owner_wallet: ALICE }, // Not opened yet
+  { id: 4, pack_id: 2, token_id: '11', card_id: null, owner_wallet: ALICE, player_name: 'Walter Payton', season: 1977, position: 'RB', tier: 10 },
+  { id: 5, pack_id: 2, token_id: '12', card_id: null, owner_wallet: BOB, player_name: 'Dan Marino', season: 1984, position: 'QB', tier: 10 },
+  { id: 6, pack_id: 2, token_id: '13', card_id: null, owner_wallet: ALICE, player_name: 'Reggie White', season: 1987, position: 'DL', tier: 9 },
+  { id: 7, pack_id: 3, token_id: '21', card_id: null, owner_wallet: ALICE, player_name: 'Steve Young', season: 1994, position: 'QB', tier: 9 },
+];
+const syncState = { lastBlock: null };
+const failures = { cardInsertsLeft: Infinity };
+
+const notices = [];
+const pushes = [];
+const reassignments = [];
+const shopLookups = [];
+
+function standIn(request, exports) {
+  const id = require.resolve(request);
+  require.cache[id] = { id, filename: id, loaded: true, exports };
+}
+
+function query(sql, params) {
+  const rows = (list) => ({ rows: list, rowCount: list.length });
+  if (sql.startsWith('SELECT last_block FROM blockchain_sync_state')) {
+    return rows(syncState.lastBlock == null ? [] : [{ last_block: String(syncState.lastBlock) }]);
+  }
+  if (sql.startsWith('INSERT INTO blockchain_sync_state')) {
+    syncState.lastBlock = params[2];
+    return rows([]);
+  }
+  if (sql.startsWith('UPDATE blockchain_sync_state')) {
+    syncState.lastBlock = params[0];
+    return rows([]);
+  }
+  if (sql.startsWith('SELECT id, status FROM blockchain_packs')) {
+    return rows(packRows.filter(p => p.pack_id === params[2]));
+  }
+  if (sql.startsWith('UPDATE blockchain_pack_cards bpc SET owner_wallet')) {
+    const updated = packCards.filter(c => c.token_id === params[3]);
+    for (const c of updated) c.owner_wallet = params[0];
+    return rows(updated.map(c => ({ ...c })));
+  }
+  if (sql.startsWith('SELECT * FROM blockchain_packs WHERE chain_id')) {
+    return rows(packRows.filter(p => p.pack_id === params[2]).map(p => ({ ...p })));
+  }
+  if (sql.startsWith('SELECT status FROM blockchain_packs WHERE id = $1 FOR UPDATE')) {
+    return rows(packRows.filter(p => p.id === params[0]).map(p => ({ status: p.status })));
+  }
+  if (sql.startsWith("UPDATE blockchain_packs SET status = 'opened'")) {
+    for (const p of packRows.filter(p => p.id === params[0])) Object.assign(p, { status: 'opened', user_id: params[1] });
+    return rows([]);
+  }
+  if (/^SELECT (\*|id, card_id|card_id) FROM blockchain_pack_cards WHERE pack_id = \$1/.test(sql)) {
+    const moved = sql.includes('owner_wallet IS NOT NULL');
+    return rows(packCards.filter(c => c.pack_id === params[0] && (!moved || c.owner_wallet)).map(c => ({ ...c })));
+  }
+  if (sql.startsWith('UPDATE blockchain_pack_cards SET card_id')) {
+    for (const c of packCards.filter(c => c.id === params[1])) c.card_id = params[0];
+    return rows([]);
+  }
+  if (sql.startsWith('INSERT INTO cards')) {
+    if (failures.cardInsertsLeft-- <= 0) throw new Error('connection lost');
+    const id = Math.max(...cards.keys()) + 1;
+    cards.set(id, { id, user_id: params[0], player_name: params[2], season: params[3], position: params[5], tier: params[6] });
+    return rows([{ id }]);
+  }
+  throw new Error(`Unexpected query: ${sql.split('\n')[0]}`);
+}
+
+// Like db.transaction: every change made inside is undone if the callback throws
+async function transaction(callback) {
+  const saved = { cards: new Map([...cards].map(([id, c]) => [id, { ...c }])), packRows: structuredClone(packRows), packCards: structuredClone(packCards) };
+  try {
+    return await callback({ query: async (sql, params) => query(sql.trim(), params) });
+  } catch (err) {
+    cards.clear();
+    for (const [id, c] of saved.cards) cards.set(id, c);
+    packRows.splice(0, packRows.length, ...saved.packRows);
+    packCards.splice(0, packCards.length, ...saved.packCards);
+    throw err;
+  }
+}
+
+standIn('./db', { query: async (sql, params) => query(sql.trim(), params), transaction, useDatabase: () => true });
+standIn('./database', {
+  getWalletByAddress: async (address) => wallets.find(w => w.address.toLowerCase() === address.toLowerCase()) || null,
+  getUserWallet: async (userId) => wallets.find(w => w.user_id === userId) || null,
+  getCard: async (cardId) => (cards.has(cardId) ? { ...cards.get(cardId) } : null),
+  commitChainPackOpening: (...args) => require('./database-pg').commitChainPackOpening(...args),
+  reassignCard: async (cardId, fromUserId, toUserId) => {
+    const card = cards.get(cardId);
+    if (card.user_id !== fromUserId) throw new Error(`card ${cardId} is not user ${fromUserId}'s`);
+    card.user_id = toUserId;
+    reassignments.push({ cardId, fromUserId, toUserId });
+    return { ...card };
+  },
+});
+standIn('./trades', { planRosterRepair: async () => ({}) });
+standIn('./messages', {
+  SYSTEM_SENDER: { from_username: 'First & 10', from_team_name: 'League Office' },
+  sendSystemMessage: async (userId, content) => {
+    notices.push({ userId, content });
+    return { id: notices.length, to_user_id: userId, content };
+  },
+});
+standIn('./push', {
+  EVENT_TYPES: { DIRECT_MESSAGE: 'direct_message', PACK_FULFILLED: 'pack_fulfilled', CARD_TRANSFERRED: 'card_transferred' },
+  publish: (userId, type, data) => pushes.push({ userId, type, data }),
+});
+standIn('./pack-products', { getChannelProduct: async (channel) => { shopLookups.push(channel); return null; } });
+standIn('./packs', { getPlayerByKey: () => null });
+standIn('./minting-ledger', {});
+standIn('./pack-opening', {
+  dressCard: async (player) => ({ ...player, engine_v: 1, engine_traits: {}, engine_percentiles: {}, image_pending: false }),
+  generateImagesLater: () => {},
+});
+standIn('./game-bridge', { BENCH_SLOTS: {} });
+
+const packFulfillment = require('./pack-fulfillment');
+
+// =============================================================================
+// IN-PROCESS CHAIN
+// =============================================================================
+
+const contractInterface = new ethers.Interface([
+  'event PackPurchased(address indexed buyer, uint256 packId, uint256[] tokenIds, uint256 price)',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
+]);
+
+const chainLogs = [];
+
+function addLog(blockNumber, eventName, args) {
+  const { data, topics } = contractInterface.encodeEventLog(eventName, args);
+  chainLogs.push({
+    address: packFulfillment.CONTRACT_ADDRESS,
+    data,
+    topics,
+    blockNumber,
+    blockHash: ethers.id(`block ${blockNumber}`),
+    transactionHash: ethers.id(`tx ${chainLogs.length}`),
+    index: chainLogs.length,
+    transactionIndex: 0,
+    removed: false,
+  });
+}
+
+addLog(5, 'Transfer', [ethers.ZeroAddress, UNLINKED, 2]);     // Mint: must not re-point token 2
+addLog(6, 'Transfer', [ALICE, BOB, 1]);                       // Card 101 follows its token to Bob
+addLog(7, 'Transfer', [ALICE, UNLINKED, 3]);                  // Unopened token changes hands
+addLog(8, 'Transfer', [BOB, ALICE, 99]);                      // Not one of our tokens
+addLog(8, 'PackPurchased', [ALICE, 7, [1, 2, 3], 0]);         // Already fulfilled
+
+const HEAD_BLOCK = 8;
+
+const provider = {
+  async getBlockNumber() {
+    return HEAD_BLOCK;
+  },
+  async getLogs({ address, topics = [], fromBlock, toBlock }) {
+    return chainLogs.filter(log =>
+      log.address.toLowerCase() === String(address).toLowerCase()
+      && log.blockNumber >= fromBlock && log.blockNumber <= toBlock
+      && topics.every((topic, i) => topic == null || log.topics[i] === topic)
+    );
+  },
+};
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+const packCard = (tokenId) => packCards.find(c => c.token_id === String(tokenId));
+let failed = 0;
+let checked = 0;
+
+function check(name, ok, detail) {
+  checked++;
+  if (ok) {
+    report(`  ok    ${name}`);
+  } else {
+    failed++;
+    report(`  FAIL  ${name}${detail ? `: ${detail}` : ''}`);
+  }
+}
+
+async function main() {
+  report('='.repeat(60));
+  report('PACK FULFILLMENT CHECK');
+  report('='.repeat(60));
+
+  const signer = ethers.Wallet.createRandom().connect(provider);
+  if (!(await packFulfillment.initialize({ provider, signer }))) throw new Error('initialize failed');
+
+  await packFulfillment.pollForEvents();
+
+  check('transfer re-points the token at the receiving wallet', packCard(1).owner_wallet === BOB, packCard(1).owner_wallet);
+  check('transfer moves the card to the linked account', cards.get(101).user_id === 2, `card 101 is user ${cards.get(101).user_id}'s`);
+  check('both owners get an inbox notice',
+    notices.some(n => n.userId === 1 && /left your team/.test(n.content)) && notices.some(n => n.userId === 2 && /joined your collection/.test(n.content)),
+    JSON.stringify(notices));
+  check('both owners get a card_transferred push',
+    pushes.filter(p => p.type === 'card_transferred').map(p => `${p.userId}:${p.data.direction}`).sort().join() === '1:out,2:in');
+  check('mint from the zero address is skipped', packCard(2).owner_wallet === ALICE && cards.get(102).user_id === 1, packCard(2).owner_wallet);
+  check('unopened token records its new holder', packCard(3).owner_wallet === UNLINKED, packCard(3).owner_wallet);
+  check('a fulfilled pack is not fulfilled again', shopLookups.length === 0, `${shopLookups.length} shop lookups`);
+  check('last processed block advances to the head', syncState.lastBlock === HEAD_BLOCK, `at ${syncState.lastBlock}`);
+
+  // Replay every block, as after a restart that lost the sync state
+  const before = JSON.stringify({ packCards, cards: [...cards.values()], notices, pushes, reassignments });
+  syncState.lastBlock = 0;
+  await packFulfillment.pollForEvents();
+  const after = JSON.stringify({ packCards, cards: [...cards.values()], notices, pushes, reassignments });
+
+  check('replaying the same blocks changes nothing', before === after && reassignments.length === 1,
+    `${reassignments.length} card moves, ${notices.length} notices`);
+  check('replay finishes at the head again', syncState.lastBlock === HEAD_BLOCK, `at ${syncState.lastBlock}`);
+
+  // Opening pack #8: its second card fails to save, then the open is retried
+  const packCardIds = (packRowId) => packCards.filter(c => c.pack_id === packRowId).map(c => c.card_id);
+  const cardCount = cards.size;
+  failures.cardInsertsLeft = 1;
+  const failedOpen = await packFulfillment.openPack(1, '8').then(() => null, err => err);
+  failures.cardInsertsLeft = Infinity;
+  check('a failure halfway leaves the pack as it was',
+    failedOpen && packRows[1].status === 'fulfilled' && packCardIds(2).every(id => id === null) && cards.size === cardCount,
+    failedOpen ? `status ${packRows[1].status}, card ids ${packCardIds(2)}, ${cards.size - cardCount} new cards` : 'open went through');
+
+  const opened = await packFulfillment.openPack(1, '8');
+  const linked = packCardIds(2);
+  check('a retry saves exactly one card per token',
+    packRows[1].status === 'opened' && linked.every(Boolean) && new Set(linked).size === 3 && cards.size === cardCount + 3,
+    `status ${packRows[1].status}, card ids ${linked}, ${cards.size - cardCount} new cards`);
+  const soldOn = packCards.find(c => c.token_id === '12').card_id;
+  check('a token sold before opening hands its card to the holder', cards.get(soldOn)?.user_id === 2, `user ${cards.get(soldOn)?.user_id}`);
+  check('the opener gets back only the cards they hold',
+    opened.cards.length === 2 && !opened.cards.some(c => c.id === soldOn), opened.cards.map(c => c.id).join());
+
+  const reopened = await packFulfillment.openPack(1, '8');
+  check('opening again returns the held cards without saving more',
+    reopened.replayed && cards.size === cardCount + 3 && reopened.cards.map(c => c.id).join() === opened.cards.map(c => c.id).join(),
+    `${reopened.cards.map(c => c.id)} (${cards.size - cardCount} new cards)`);
+
+  const recovered = await packFulfillment.openPack(1, '9').catch(err => ({ error: err.message }));
+  check("a pack stuck in 'opening' can still be opened", packRows[2].status === 'opened' && recovered.cards?.length === 1,
+    recovered.error || `status ${packRows[2].status}`);
+
+  report('-'.repeat(60));
+  report(`${checked - failed}/${checked} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * Replay Check
+ * =============
+ * Records a seeded game the way the server does (plays, play hash, roster
+ * snapshot) and checks game-bridge.js verifyReplay, which backs
+ * GET /api/game/:id/replay: an untouched game matches, also with its plays'
+ * keys reordered as Postgres JSONB returns them, and any tampering with the
+ * stored plays, hash or score is caught.
+ *
+ * Usage:
+ *   node check-replay.js
+ */
+
+const { createTestRoster } = require('./game-engine/simulation');
+const gameEngine = require('./game-bridge');
+
+const SEED = 20240917;
+
+// A game row as db.getGame returns it after recordGame
+function recordedGame() {
+  const rosters = {
+    home: createTestRoster({ QB: 8, WR: 7 }),
+    away: createTestRoster({ RB: 8, DL: 7 }),
+    homeForceBalanced: false,
+    awayForceBalanced: false,
+    homeGamePlan: null,
+    awayGamePlan: null,
+  };
+  const result = gameEngine.replayGame(rosters, SEED);
+  return JSON.parse(JSON.stringify({
+    id: 1,
+    seed: SEED,
+    replay_rosters: rosters,
+    play_by_play: result.plays,
+    play_hash: gameEngine.hashPlays(result.plays),
+    home_score: result.homeScore,
+    away_score: result.awayScore,
+  }));
+}
+
+// Same values, keys in reverse order
+function reverseKeys(value) {
+  if (Array.isArray(value)) return value.map(reverseKeys);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).reverse().map(key => [key, reverseKeys(value[key])]));
+  }
+  return value;
+}
+
+function firstScrimmagePlay(plays) {
+  return plays.find(p => p.type === 'run' || p.type === 'pass');
+}
+
+const CASES = [
+  ['an untouched game matches', true, () => {}],
+  ['plays read back with keys reordered still match', true, (game) => {
+    game.play_by_play = reverseKeys(game.play_by_play);
+  }],
+  ['a tampered play is caught even with the hash left alone', false, (game) => {
+    firstScrimmagePlay(game.play_by_play).yards += 1;
+  }],
+  ['a dropped play is caught', false, (game) => {
+    game.play_by_play.splice(5, 1);
+  }],
+  ['an added field on a play is caught', false, (game) => {
+    firstScrimmagePlay(game.play_by_play).note = 'edited';
+  }],
+  ['a tampered hash is caught', false, (game) => {
+    game.play_hash = gameEngine.hashPlays([]);
+  }],
+  ['a tampered score is caught', false, (game) => {
+    game.home_score += 7;
+  }],
+  ['an old row without a hash matches on its plays', true, (game) => {
+    game.play_hash = null;
+  }],
+  ['an old row without a hash still catches a tampered play', false, (game) => {
+    game.play_hash = null;
+    firstScrimmagePlay(game.play_by_play).yards += 1;
+  }],
+  ['plays stored as a JSON string are read', true, (game) => {
+    game.play_by_play = JSON.stringify(game.play_by_play);
+  }],
+];
+
+function main() {
+  console.log('='.repeat(60));
+  console.log('REPLAY CHECK');
+  console.log('='.repeat(60));
+
+  let failed = 0;
+  for (const [name, shouldMatch, tamper] of CASES) {
+    const game = recordedGame();
+    tamper(game);
+    const { matches, playsMatch } = gameEngine.verifyReplay(game);
+    const ok = matches === shouldMatch;
+    if (!ok) failed++;
+    console.log(`  ${ok ? 'ok  ' : 'FAIL'}  ${name}${ok ? '' : `: matches ${matches}, plays match ${playsMatch}`}`);
+  }
+
+  console.log('-'.repeat(60));
+  console.log(`${CASES.length - failed}/${CASES.length} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,174 @@
+#!/usr/bin/env node
+/**
+ * Sessions Check
+ * ===============
+ * Checks that login sessions are stored as a hash of their token, in both
+ * stores: JSON storage (on a throwaway copy of this directory, so data.json
+ * here is never touched) and Postgres (against an in-memory sessions table).
+ * A token still signs in and logs out, the stored hash does not work as a
+ * token, and JSON sessions from before the change are hashed on load.
+ *
+ * Usage:
+ *   node check-sessions.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const passwords = require('./passwords');
+
+const LEGACY_TOKEN = 'a'.repeat(64);
+const IN_A_DAY = () => new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+// =============================================================================
+// JSON STORAGE (throwaway copy with one session saved before the change)
+// =============================================================================
+
+function copyServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'first-and-10-sessions-'));
+  fs.cpSync(__dirname, dir, {
+    recursive: true,
+    filter: (src) => {
+      const rel = path.relative(__dirname, src);
+      if (rel === 'node_modules' || rel === '.env') return false;
+      return !(path.dirname(rel) === '.' && rel.endsWith('.json') && !rel.startsWith('package'));
+    },
+  });
+  fs.symlinkSync(path.join(__dirname, 'node_modules'), path.join(dir, 'node_modules'), 'dir');
+
+  const now = new Date().toISOString();
+  fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify({
+    users: [{ id: 1, username: 'checkplayer', team_name: 'Players', role: 'player' }],
+    sessions: [{ id: 'legacy', token: LEGACY_TOKEN, user_id: 1, created_at: now, last_used_at: now, expires_at: IN_A_DAY() }],
+    nextUserId: 2,
+  }));
+  return dir;
+}
+
+function loadJsonStore(dir) {
+  delete process.env.DATABASE_URL;
+  const store = require(path.join(dir, 'database'));
+  const stored = () => fs.readFileSync(path.join(dir, 'data.json'), 'utf-8');
+  return { store, stored };
+}
+
+// =============================================================================
+// POSTGRES (in-memory sessions table behind a stand-in ./db)
+// =============================================================================
+
+const sessionRows = [];
+
+function query(sql, params) {
+  const rows = (list) => ({ rows: list, rowCount: list.length });
+  if (sql.startsWith('DELETE FROM sessions WHERE user_id = $1 AND expires_at <= NOW()')) return rows([]);
+  if (sql.startsWith('INSERT INTO sessions')) {
+    const [tokenHash, sessionId, userId, expiresAt] = params;
+    sessionRows.push({ token_hash: tokenHash, session_id: sessionId, user_id: userId, expires_at: expiresAt, params });
+    return rows([]);
+  }
+  if (sql.startsWith('SELECT s.session_id')) {
+    if (!/WHERE s\.token_hash = \$1/.test(sql)) throw new Error(`unexpected lookup: ${sql}`);
+    const found = sessionRows.filter(s => s.token_hash === params[0]);
+    return rows(found.map(s => ({ ...s, username: 'checkplayer', team_name: 'Players', role: 'player' })));
+  }
+  if (sql.startsWith('UPDATE sessions SET last_used_at')) return rows([]);
+  if (sql.startsWith('DELETE FROM sessions WHERE token_hash = $1')) {
+    const before = sessionRows.length;
+    sessionRows.splice(0, sessionRows.length, ...sessionRows.filter(s => s.token_hash !== params[0]));
+    return { rows: [], rowCount: before - sessionRows.length };
+  }
+  throw new Error(`unexpected query: ${sql.split('\n')[0]}`);
+}
+
+function loadPgStore() {
+  const id = require.resolve('./db');
+  require.cache[id] = { id, filename: id, loaded: true, exports: { query, transaction: null, useDatabase: () => true } };
+  return require('./database-pg');
+}
+
+// =============================================================================
+// CASES
+// =============================================================================
+
+function expect(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function casesFor(name, { store, stored, legacy }) {
+  const cases = [
+    [`${name}: a new token signs in and is not stored`, async () => {
+      const token = await store.createSession(1, 'checkplayer', 'Players', IN_A_DAY());
+      const session = await store.getSession(token);
+      expect(session?.user_id === 1, 'token did not sign in');
+      expect(!('token' in session), 'session hands the token back');
+      expect(!stored().includes(token), 'raw token is stored');
+      expect(stored().includes(passwords.hashSessionToken(token)), 'token hash is not stored');
+    }],
+    [`${name}: the stored hash does not work as a token`, async () => {
+      const token = await store.createSession(1, 'checkplayer', 'Players', IN_A_DAY());
+      expect(await store.getSession(passwords.hashSessionToken(token)) === null, 'hash signed in');
+    }],
+    [`${name}: logging out ends the session`, async () => {
+      const token = await store.createSession(1, 'checkplayer', 'Players', IN_A_DAY());
+      await store.deleteSession(token);
+      expect(await store.getSession(token) === null, 'token still signs in');
+    }],
+  ];
+  if (legacy) {
+    cases.push([`${name}: a session saved before the change still signs in`, async () => {
+      expect(!stored().includes(LEGACY_TOKEN), 'raw token left in the file');
+      const session = await store.getSession(LEGACY_TOKEN);
+      expect(session?.id === 'legacy', 'legacy token did not sign in');
+    }]);
+  }
+  return cases;
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('SESSIONS CHECK');
+  console.log('='.repeat(60));
+
+  const dir = copyServer();
+  let failed = 0;
+  let total = 0;
+  try {
+    const json = loadJsonStore(dir);
+    const pg = { store: loadPgStore(), stored: () => JSON.stringify(sessionRows) };
+    const cases = [
+      ...casesFor('JSON', { ...json, legacy: true }),
+      ...casesFor('Postgres', pg),
+    ];
+    total = cases.length;
+
+    const log = console.log;
+    for (const [name, run] of cases) {
+      try {
+        console.log = () => {}; // The JSON store logs its loads and migrations
+        await run();
+        console.log = log;
+        console.log(`  ok    ${name}`);
+      } catch (err) {
+        console.log = log;
+        failed++;
+        console.log(`  FAIL  ${name}: ${err.message}`);
+      }
+    }
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  console.log('-'.repeat(60));
+  console.log(`${total - failed}/${total} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Standings Check
+ * ================
+ * Runs standings.js computeStandings on small hand-made seasons and checks
+ * the clinched/eliminated flags: a tie counts as half a win, and a season
+ * without a playoff field marks nobody either way.
+ *
+ * Usage:
+ *   node check-standings.js
+ */
+
+const { computeStandings } = require('./standings');
+
+const A = 1;
+const B = 2;
+const C = 3;
+
+let day = 0;
+function game(homeUserId, awayUserId, homeScore, awayScore) {
+  const winner = homeScore > awayScore ? 'home' : awayScore > homeScore ? 'away' : 'tie';
+  day++;
+  return {
+    date: `2025-09-${String(day).padStart(2, '0')}`,
+    homeUserId,
+    awayUserId,
+    phase: 'regular',
+    status: 'completed',
+    result: { homeScore, awayScore, winner },
+  };
+}
+
+// A tied C and beat B; B still has a game left
+const TIED_SEASON = [game(A, C, 17, 17), game(A, B, 24, 10)];
+const TIED_REMAINING = { [A]: 0, [B]: 1, [C]: 0 };
+
+const CASES = [
+  {
+    name: 'a tie puts a team out of reach (A clinches at 1-0-1)',
+    games: TIED_SEASON,
+    options: { playoffTeams: 1, gamesRemaining: id => TIED_REMAINING[id] },
+    expect: { [A]: { clinched: true, eliminated: false } },
+  },
+  {
+    name: 'a tie counts as half a win against a team still playing (B is out)',
+    games: TIED_SEASON,
+    options: { playoffTeams: 1, gamesRemaining: id => TIED_REMAINING[id] },
+    expect: { [B]: { clinched: false, eliminated: true }, [C]: { clinched: false, eliminated: true } },
+  },
+  {
+    name: 'a tie within reach keeps a team alive',
+    games: [game(A, C, 17, 17), game(B, C, 20, 13)],
+    options: { playoffTeams: 1, gamesRemaining: id => (id === C ? 0 : 1) },
+    expect: {
+      [A]: { clinched: false, eliminated: false },
+      [B]: { clinched: false, eliminated: false },
+      [C]: { clinched: false, eliminated: true },
+    },
+  },
+  {
+    name: 'the finished season seeds by win percentage (1-0-1, 1-1, 0-1-1)',
+    games: [...TIED_SEASON, game(B, C, 3, 0)],
+    options: { playoffTeams: 2 },
+    expect: {
+      [A]: { seed: 1, clinched: true, eliminated: false },
+      [B]: { seed: 2, clinched: true, eliminated: false },
+      [C]: { seed: null, clinched: false, eliminated: true },
+    },
+  },
+  {
+    name: 'no playoff field: nobody clinched or eliminated mid-season',
+    games: TIED_SEASON,
+    options: { playoffTeams: 0, gamesRemaining: id => TIED_REMAINING[id] },
+    expect: Object.fromEntries([A, B, C].map(id => [id, { seed: null, clinched: false, eliminated: false }])),
+  },
+  {
+    name: 'no playoff field: nobody clinched or eliminated at season end',
+    games: [...TIED_SEASON, game(B, C, 3, 0)],
+    options: { playoffTeams: 0 },
+    expect: Object.fromEntries([A, B, C].map(id => [id, { seed: null, clinched: false, eliminated: false }])),
+  },
+];
+
+function main() {
+  console.log('='.repeat(60));
+  console.log('STANDINGS CHECK');
+  console.log('='.repeat(60));
+
+  let failed = 0;
+  for (const { name, games, options, expect } of CASES) {
+    const rows = computeStandings(games, options);
+    const problems = [];
+    for (const [userId, fields] of Object.entries(expect)) {
+      const row = rows.find(r => r.userId === Number(userId));
+      for (const [field, value] of Object.entries(fields)) {
+        if (row?.[field] !== value) problems.push(`team ${userId} ${field} is ${row?.[field]}, expected ${value}`);
+      }
+    }
+    if (problems.length) failed++;
+    console.log(`  ${problems.length ? 'FAIL' : 'ok  '}  ${name}${problems.length ? `: ${problems.join('; ')}` : ''}`);
+  }
+
+  console.log('-'.repeat(60));
+  console.log(`${CASES.length - failed}/${CASES.length} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+/**
+ * Wallet Auth Check
+ * ==================
+ * Runs wallet-auth.js sign-ins end to end against an in-memory nonce table
+ * and an in-process chain: a plain wallet, and a smart-contract wallet that
+ * answers EIP-1271 for its owner key. No database or RPC needed.
+ *
+ * Usage:
+ *   node check-wallet-auth.js             # Run every case
+ *   node check-wallet-auth.js --verbose   # Also print the sign-in message
+ */
+
+const { ethers } = require('ethers');
+
+const verbose = process.argv.includes('--verbose');
+
+// =============================================================================
+// IN-MEMORY NONCES (stand in for ./database before wallet-auth loads it)
+// =============================================================================
+
+const nonces = new Map();
+
+require.cache[require.resolve('./database')] = {
+  id: require.resolve('./database'),
+  loaded: true,
+  exports: {
+    createWalletNonce(userId, nonce, message, expiresAt) {
+      nonces.set(nonce, { nonce, user_id: userId, message, expires_at: expiresAt, used_at: null });
+    },
+    consumeWalletNonce(nonce) {
+      const row = nonces.get(nonce);
+      if (!row || row.used_at) return null;
+      row.used_at = new Date().toISOString();
+      return { nonce: row.nonce, user_id: row.user_id, message: row.message, expires_at: row.expires_at };
+    },
+  },
+};
+
+const walletAuth = require('./wallet-auth');
+
+// =============================================================================
+// IN-PROCESS CHAIN
+// =============================================================================
+
+const EIP1271 = new ethers.Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)',
+]);
+
+/**
+ * Provider with one deployed smart wallet; it accepts signatures by `owner`
+ */
+function createChain(smartWalletAddress, owner) {
+  return {
+    async getCode(address) {
+      return address.toLowerCase() === smartWalletAddress.toLowerCase() ? '0x6080' : '0x';
+    },
+    async call({ to, data }) {
+      if (to.toLowerCase() !== smartWalletAddress.toLowerCase()) return '0x';
+      const [hash, signature] = EIP1271.decodeFunctionData('isValidSignature', data);
+      let valid = false;
+      try {
+        valid = ethers.recoverAddress(hash, signature) === owner.address;
+      } catch (err) {
+        // Not a signature from the owner key
+      }
+      return EIP1271.encodeFunctionResult('isValidSignature', [valid ? '0x1626ba7e' : '0xffffffff']);
+    },
+  };
+}
+
+// Smart wallets sign the EIP-191 hash with their owner key
+function signAsSmartWallet(owner, message) {
+  return owner.signingKey.sign(ethers.hashMessage(message)).serialized;
+}
+
+// ERC-6492 wrapper around a signature for a counterfactual wallet
+function wrapErc6492(signature) {
+  const factory = ethers.Wallet.createRandom().address;
+  const wrapped = ethers.AbiCoder.defaultAbiCoder().encode(['address', 'bytes', 'bytes'], [factory, '0x1234', signature]);
+  return ethers.concat([wrapped, '0x' + '6492'.repeat(16)]);
+}
+
+// =============================================================================
+// CASES
+// =============================================================================
+
+const USER_ID = 1;
+const OTHER_USER_ID = 2;
+const ORIGIN = 'https://firstand10.app';
+
+const wallet = ethers.Wallet.createRandom();
+const stranger = ethers.Wallet.createRandom();
+const smartWalletOwner = ethers.Wallet.createRandom();
+const smartWallet = ethers.Wallet.createRandom().address;
+const undeployedWallet = ethers.Wallet.createRandom().address;
+const provider = createChain(smartWallet, smartWalletOwner);
+
+async function signIn(address, sign, { userId = USER_ID, origin = ORIGIN, edit = m => m, verifyAs = userId } = {}) {
+  const { message } = await walletAuth.createSignInMessage(userId, address, origin);
+  if (verbose) console.log(`\n${message}\n`);
+  const sent = edit(message);
+  const signature = await sign(sent);
+  return { message: sent, signature, result: () => walletAuth.verifySignIn(verifyAs, { message: sent, signature }, { provider }) };
+}
+
+const CASES = [
+  ['plain wallet signs in', async () => {
+    const { result } = await signIn(wallet.address, m => wallet.signMessage(m));
+    return expectAddress(result(), wallet.address);
+  }],
+  ['the same message cannot be used twice', async () => {
+    const { message, signature, result } = await signIn(wallet.address, m => wallet.signMessage(m));
+    await result();
+    return expectError(walletAuth.verifySignIn(USER_ID, { message, signature }, { provider }), 401, /already used/);
+  }],
+  ['an expired message is refused', async () => {
+    const { message, result } = await signIn(wallet.address, m => wallet.signMessage(m));
+    const { nonce } = walletAuth.parseSignInMessage(message);
+    nonces.get(nonce).expires_at = new Date(Date.now() - 1000).toISOString();
+    return expectError(result(), 401, /expired/);
+  }],
+  ['a message issued to another account is refused', async () => {
+    const { result } = await signIn(wallet.address, m => wallet.signMessage(m), { verifyAs: OTHER_USER_ID });
+    return expectError(result(), 401, /another account/);
+  }],
+  ['a message re-pointed at another domain is refused', async () => {
+    const { result } = await signIn(wallet.address, m => wallet.signMessage(m), {
+      edit: m => m.replace('firstand10.app', 'firstand10.example'),
+    });
+    return expectError(result(), 401, /does not match the one issued/);
+  }],
+  ['a signature from another wallet is refused', async () => {
+    const { result } = await signIn(wallet.address, m => stranger.signMessage(m));
+    return expectError(result(), 401, /does not match the wallet/);
+  }],
+  ['a nonce spent on a bad signature cannot be retried', async () => {
+    const { message, result } = await signIn(wallet.address, m => stranger.signMessage(m));
+    await result().catch(() => {});
+    const signature = await wallet.signMessage(message);
+    return expectError(walletAuth.verifySignIn(USER_ID, { message, signature }, { provider }), 401, /already used/);
+  }],
+  ['text that is not a sign-in message is refused', async () => {
+    const signature = await wallet.signMessage('hello');
+    return expectError(walletAuth.verifySignIn(USER_ID, { message: 'hello', signature }, { provider }), 400, /Not a sign-in message/);
+  }],
+  ['smart wallet signs in (EIP-1271)', async () => {
+    const { result } = await signIn(smartWallet, m => signAsSmartWallet(smartWalletOwner, m));
+    return expectAddress(result(), smartWallet);
+  }],
+  ['smart wallet refuses a key that is not its owner (EIP-1271)', async () => {
+    const { result } = await signIn(smartWallet, m => signAsSmartWallet(stranger, m));
+    return expectError(result(), 401, /does not match the wallet/);
+  }],
+  ['deployed smart wallet signs in with an ERC-6492 wrapper', async () => {
+    const { result } = await signIn(smartWallet, m => wrapErc6492(signAsSmartWallet(smartWalletOwner, m)));
+    return expectAddress(result(), smartWallet);
+  }],
+  ['undeployed smart wallet (ERC-6492) is refused', async () => {
+    const { result } = await signIn(undeployedWallet, m => wrapErc6492(signAsSmartWallet(smartWalletOwner, m)));
+    return expectError(result(), 401, /must be deployed/);
+  }],
+];
+
+async function expectAddress(promise, address) {
+  const { address: linked } = await promise;
+  if (linked !== ethers.getAddress(address)) throw new Error(`linked ${linked}, expected ${address}`);
+}
+
+async function expectError(promise, status, pattern) {
+  let err = null;
+  try {
+    await promise;
+  } catch (e) {
+    err = e;
+  }
+  if (!err) throw new Error('sign-in went through');
+  if (err.status !== status || !pattern.test(err.message)) {
+    throw new Error(`got ${err.status || 'no status'}: ${err.message}`);
+  }
+}
+
+// =============================================================================
+// MAIN
+// =============================================================================
+
+async function main() {
+  console.log('='.repeat(60));
+  console.log('WALLET AUTH CHECK');
+  console.log('='.repeat(60));
+
+  let failed = 0;
+  for (const [name, run] of CASES) {
+    try {
+      await run();
+      console.log(`  ok    ${name}`);
+    } catch (err) {
+      failed++;
+      console.log(`  FAIL  ${name}: ${err.message}`);
+    }
+  }
+
+  console.log('-'.repeat(60));
+  console.log(`${CASES.length - failed}/${CASES.length} passed`);
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
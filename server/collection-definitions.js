@@ -0,0 +1,275 @@
+/**
+ * Collection Definitions
+ * =======================
+ * Pure helpers for card collection sets (no I/O). Stored by collections.js;
+ * progress and rewards are worked out in collection-progress.js.
+ *
+ * A set:
+ * - slug, name, description, sortOrder, active
+ * - filter: which player-seasons belong to the set (null fields = any)
+ *   - teams: team abbreviations, e.g. ['CHI']
+ *   - seasons: { from, to }
+ *   - positions: e.g. ['DL', 'LB', 'DB']
+ *   - minTier / maxTier (11 = Hall of Fame)
+ * - goal: what completes it
+ *   - { type: 'every' }: own every player-season that fits the filter
+ *   - { type: 'one_per_position' }: one fitting card at each of the filter's
+ *     positions (every roster position if it has none)
+ *   - { type: 'count', count }: any `count` different fitting cards
+ * - reward: { packs, badge } - bonus packs and/or a badge, given once
+ */
+
+const { POSITIONS } = require('./pack-definitions');
+
+const GOAL_TYPES = ['every', 'one_per_position', 'count'];
+const MIN_TIER = 1;
+const MAX_TIER = 11;
+const MAX_NAME_LENGTH = 40;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_BADGE_LENGTH = 40;
+const MAX_REWARD_PACKS = 10;
+const MAX_GOAL_COUNT = 100;
+const MAX_CHECKLIST = 60; // "every" sets up to this size list each player
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+// Sets a fresh install starts with
+const DEFAULT_SETS = [
+  {
+    slug: '85-bears-defense',
+    name: '1985 Bears Defense',
+    description: 'Every defender from the 1985 Chicago Bears.',
+    sortOrder: 1,
+    filter: { teams: ['CHI'], seasons: { from: 1985, to: 1985 }, positions: ['DL', 'LB', 'DB'] },
+    goal: { type: 'every' },
+    reward: { packs: 2, badge: 'Monsters of the Midway' },
+  },
+  {
+    slug: '2000s-lineup',
+    name: '2000s Lineup',
+    description: 'One card at every position from the 2000s.',
+    sortOrder: 2,
+    filter: { seasons: { from: 2000, to: 2009 } },
+    goal: { type: 'one_per_position' },
+    reward: { packs: 1, badge: null },
+  },
+  {
+    slug: 'legendary-wrs',
+    name: 'Legendary Receivers',
+    description: 'Every tier 10 WR.',
+    sortOrder: 3,
+    filter: { positions: ['WR'], minTier: 10, maxTier: 10 },
+    goal: { type: 'every' },
+    reward: { packs: 3, badge: 'Legendary Hands' },
+  },
+  {
+    slug: 'hof-qbs',
+    name: 'Hall of Fame QBs',
+    description: 'Every Hall of Fame quarterback season.',
+    sortOrder: 4,
+    filter: { positions: ['QB'], minTier: 11 },
+    goal: { type: 'every' },
+    reward: { packs: 5, badge: 'Canton Quarterback Club' },
+  },
+];
+
+const BASE_SET = {
+  description: '',
+  sortOrder: 0,
+  filter: {},
+  goal: { type: 'every' },
+  reward: { packs: 0, badge: null },
+  active: true,
+};
+
+function parseTier(value, label) {
+  const tier = parseInt(value);
+  if (!Number.isInteger(tier) || tier < MIN_TIER || tier > MAX_TIER) {
+    throw new Error(`${label} must be a tier ${MIN_TIER}-${MAX_TIER}`);
+  }
+  return tier;
+}
+
+function normalizeFilter(filter) {
+  if (!filter || typeof filter !== 'object' || Array.isArray(filter)) throw new Error('filter must be an object');
+  const out = { teams: null, seasons: null, positions: null, minTier: null, maxTier: null };
+
+  if (filter.teams != null && !(Array.isArray(filter.teams) && filter.teams.length === 0)) {
+    if (!Array.isArray(filter.teams)) throw new Error('filter.teams must be a list of team abbreviations');
+    out.teams = [...new Set(filter.teams.map(t => String(t).trim().toUpperCase()).filter(Boolean))];
+  }
+  if (filter.seasons != null) {
+    const from = parseInt(filter.seasons.from);
+    const to = parseInt(filter.seasons.to);
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from > to) {
+      throw new Error('filter.seasons must be { from, to } with from <= to');
+    }
+    out.seasons = { from, to };
+  }
+  if (filter.positions != null && !(Array.isArray(filter.positions) && filter.positions.length === 0)) {
+    if (!Array.isArray(filter.positions)) throw new Error('filter.positions must be a list of positions');
+    const unknown = filter.positions.find(p => !POSITIONS.includes(p));
+    if (unknown) throw new Error(`Unknown position: ${unknown}`);
+    out.positions = [...new Set(filter.positions)];
+  }
+  if (filter.minTier != null) out.minTier = parseTier(filter.minTier, 'filter.minTier');
+  if (filter.maxTier != null) out.maxTier = parseTier(filter.maxTier, 'filter.maxTier');
+  if (out.minTier && out.maxTier && out.minTier > out.maxTier) throw new Error('minTier cannot be above maxTier');
+  return out;
+}
+
+function normalizeGoal(goal) {
+  if (!goal || !GOAL_TYPES.includes(goal.type)) throw new Error(`goal.type must be one of: ${GOAL_TYPES.join(', ')}`);
+  if (goal.type !== 'count') return { type: goal.type };
+  const count = parseInt(goal.count);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_GOAL_COUNT) {
+    throw new Error(`goal.count must be 1-${MAX_GOAL_COUNT}`);
+  }
+  return { type: 'count', count };
+}
+
+function normalizeReward(reward) {
+  if (!reward || typeof reward !== 'object') throw new Error('reward must be { packs, badge }');
+  const packs = reward.packs == null ? 0 : parseInt(reward.packs);
+  if (!Number.isInteger(packs) || packs < 0 || packs > MAX_REWARD_PACKS) {
+    throw new Error(`reward.packs must be 0-${MAX_REWARD_PACKS}`);
+  }
+  const badge = reward.badge == null ? '' : String(reward.badge).trim();
+  if (badge.length > MAX_BADGE_LENGTH) throw new Error(`reward.badge must be ${MAX_BADGE_LENGTH} characters or less`);
+  if (!packs && !badge) throw new Error('A set needs a reward: packs, a badge or both');
+  return { packs, badge: badge || null };
+}
+
+/**
+ * Validate a set, applying `changes` on top of `base` (an existing set when
+ * updating). Throws with a user-facing message.
+ */
+function normalizeSet(changes = {}, base = null) {
+  const set = { ...BASE_SET, ...base };
+
+  if (!base) {
+    if (!SLUG_PATTERN.test(String(changes.slug || ''))) {
+      throw new Error('Slug must be 2-40 lowercase letters, numbers or dashes');
+    }
+    set.slug = changes.slug;
+  }
+
+  if (changes.name !== undefined || !base) {
+    const name = String(changes.name || '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) throw new Error(`Name must be 1-${MAX_NAME_LENGTH} characters`);
+    set.name = name;
+  }
+
+  if (changes.description !== undefined) {
+    const description = String(changes.description || '').trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(`Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`);
+    }
+    set.description = description;
+  }
+
+  if (changes.sortOrder !== undefined) {
+    const sortOrder = parseInt(changes.sortOrder);
+    if (!Number.isInteger(sortOrder)) throw new Error('sortOrder must be a whole number');
+    set.sortOrder = sortOrder;
+  }
+
+  if (changes.filter !== undefined) set.filter = changes.filter;
+  set.filter = normalizeFilter(set.filter);
+  if (changes.goal !== undefined) set.goal = changes.goal;
+  set.goal = normalizeGoal(set.goal);
+  if (changes.reward !== undefined) set.reward = changes.reward;
+  set.reward = normalizeReward(set.reward);
+
+  if (changes.active !== undefined) {
+    set.active = changes.active === true || changes.active === 'true';
+  }
+  return set;
+}
+
+/**
+ * Sets as a fresh install has them
+ */
+function defaultSets() {
+  return DEFAULT_SETS.map(s => normalizeSet(s));
+}
+
+function sortSets(sets) {
+  return [...sets].sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+}
+
+/**
+ * Does a player (from the dataset) or a card belong to the set?
+ */
+function inSet(set, item) {
+  const { teams, seasons, positions, minTier, maxTier } = set.filter;
+  const tier = item.tier || 1;
+  if (teams && !teams.includes(String(item.team || '').toUpperCase())) return false;
+  if (seasons && (item.season < seasons.from || item.season > seasons.to)) return false;
+  if (positions && !positions.includes(item.position)) return false;
+  if (minTier && tier < minTier) return false;
+  if (maxTier && tier > maxTier) return false;
+  return true;
+}
+
+/**
+ * A user's progress on one set
+ * @param {Array} pool - every player-season in the dataset
+ * @param {Array} cards - the user's cards
+ * @param {(item) => string} keyOf - player-season key (minting-ledger.getCardKey)
+ * @returns {{ owned, required, complete, slots?, checklist? }}
+ */
+function setProgress(set, pool, cards, keyOf) {
+  const ownedCards = cards.filter(c => inSet(set, c));
+  const ownedKeys = new Set(ownedCards.map(keyOf));
+
+  if (set.goal.type === 'one_per_position') {
+    const slots = (set.filter.positions || POSITIONS).map(position => {
+      const card = ownedCards
+        .filter(c => c.position === position)
+        .sort((a, b) => (b.tier || 1) - (a.tier || 1))[0];
+      return { position, card: card ? { id: card.id, player: card.player_name, season: card.season, tier: card.tier } : null };
+    });
+    const owned = slots.filter(s => s.card).length;
+    return { owned, required: slots.length, complete: owned === slots.length, slots };
+  }
+
+  if (set.goal.type === 'count') {
+    const required = set.goal.count;
+    const owned = Math.min(ownedKeys.size, required);
+    return { owned, required, complete: owned >= required };
+  }
+
+  // Every fitting player-season; one that isn't in the dataset can't be required
+  const members = new Map();
+  for (const player of pool) {
+    if (inSet(set, player)) members.set(keyOf(player), player);
+  }
+  const owned = [...members.keys()].filter(key => ownedKeys.has(key)).length;
+  const progress = { owned, required: members.size, complete: members.size > 0 && owned === members.size };
+  if (members.size <= MAX_CHECKLIST) {
+    progress.checklist = [...members.entries()]
+      .map(([key, p]) => ({ player: p.player, season: p.season, position: p.position, tier: p.tier, owned: ownedKeys.has(key) }))
+      .sort((a, b) => a.season - b.season || a.position.localeCompare(b.position) || a.player.localeCompare(b.player));
+  }
+  return progress;
+}
+
+/**
+ * "2 bonus packs + Monsters of the Midway badge"
+ */
+function describeReward(reward) {
+  const parts = [];
+  if (reward.packs) parts.push(`${reward.packs} bonus pack${reward.packs === 1 ? '' : 's'}`);
+  if (reward.badge) parts.push(`${reward.badge} badge`);
+  return parts.join(' + ');
+}
+
+module.exports = {
+  GOAL_TYPES,
+  normalizeSet,
+  defaultSets,
+  sortSets,
+  inSet,
+  setProgress,
+  describeReward,
+};
@@ -0,0 +1,67 @@
+/**
+ * Collection Progress
+ * ====================
+ * A user's progress on every active collection set (collections.js,
+ * collection-definitions.js), worked out from the cards they own now.
+ * Completing a set pays its reward once: bonus packs are added right away
+ * and a badge stays with the user even if they later trade the cards away.
+ */
+
+const db = require('./database');
+const packs = require('./packs');
+const mintingLedger = require('./minting-ledger');
+const collections = require('./collections');
+const definitions = require('./collection-definitions');
+
+// Player-season key for a dataset player or a saved card
+const keyOf = (item) => mintingLedger.getCardKey({ player: item.player || item.player_name, season: item.season });
+
+/**
+ * Progress on every active set; pays out sets completed since the last look
+ * @returns {Promise<{ sets, badges, newlyCompleted }>}
+ */
+async function getUserCollections(userId) {
+  const [sets, cards, completions] = await Promise.all([
+    collections.listSets(),
+    db.getUserCards(userId),
+    collections.getCompletions(userId),
+  ]);
+  const pool = packs.loadPlayers();
+  const completed = new Map(completions.map(c => [c.slug, c]));
+  const newlyCompleted = [];
+
+  const progress = [];
+  for (const set of sets.filter(s => s.active)) {
+    const result = definitions.setProgress(set, pool, cards, keyOf);
+    if (result.complete && !completed.has(set.slug)) {
+      const completion = await collections.recordCompletion(userId, set);
+      if (completion) {
+        if (completion.reward.packs) {
+          const user = await db.getUser(userId);
+          await db.updateUserMaxPacks(userId, (user.max_packs || 0) + completion.reward.packs);
+        }
+        completed.set(set.slug, completion);
+        newlyCompleted.push({ ...completion, description: definitions.describeReward(completion.reward) });
+      }
+    }
+    progress.push({
+      slug: set.slug,
+      name: set.name,
+      description: set.description,
+      goal: set.goal,
+      reward: set.reward,
+      rewardDescription: definitions.describeReward(set.reward),
+      completedAt: completed.get(set.slug)?.completedAt || null,
+      ...result,
+    });
+  }
+
+  const badges = [...completed.values()]
+    .filter(c => c.reward.badge)
+    .map(c => ({ badge: c.reward.badge, set: c.name, earnedAt: c.completedAt }));
+  return { sets: progress, badges, newlyCompleted };
+}
+
+module.exports = {
+  getUserCollections,
+};
@@ -0,0 +1,110 @@
+/**
+ * Collections (Postgres)
+ * =======================
+ * Used when DATABASE_URL is set. Same API as collections.js; tables from
+ * migrations/18_collections.sql. Each set row holds its definition as JSON;
+ * an empty table is seeded with the default sets.
+ */
+
+const { query } = require('./db');
+const definitions = require('./collection-definitions');
+
+function rowToSet(row) {
+  return { ...row.definition, slug: row.slug, createdAt: row.created_at, updatedAt: row.updated_at };
+}
+
+// Definition column: the set minus the fields that have their own columns
+function definitionOf(set) {
+  const { slug, createdAt, updatedAt, ...definition } = set;
+  return JSON.stringify(definition);
+}
+
+async function loadSets() {
+  let r = await query('SELECT * FROM collection_sets');
+  if (r.rows.length === 0) {
+    for (const set of definitions.defaultSets()) {
+      await query(
+        'INSERT INTO collection_sets (slug, definition) VALUES ($1, $2) ON CONFLICT (slug) DO NOTHING',
+        [set.slug, definitionOf(set)]
+      );
+    }
+    r = await query('SELECT * FROM collection_sets');
+  }
+  return r.rows.map(rowToSet);
+}
+
+/**
+ * Every set, active or not, in display order
+ */
+async function listSets() {
+  return definitions.sortSets(await loadSets());
+}
+
+async function getSet(slug) {
+  const sets = await loadSets();
+  return sets.find(s => s.slug === slug) || null;
+}
+
+async function createSet(input) {
+  const set = definitions.normalizeSet(input);
+  await loadSets(); // seed first, so the new set doesn't replace the defaults
+  const r = await query(
+    'INSERT INTO collection_sets (slug, definition) VALUES ($1, $2) ON CONFLICT (slug) DO NOTHING RETURNING *',
+    [set.slug, definitionOf(set)]
+  );
+  if (r.rows.length === 0) throw new Error(`A set named "${set.slug}" already exists`);
+  return rowToSet(r.rows[0]);
+}
+
+/**
+ * Apply changes to a set
+ * @returns {Promise<{ before, after }>}
+ */
+async function updateSet(slug, changes) {
+  const before = await getSet(slug);
+  if (!before) throw new Error('Set not found');
+  const after = definitions.normalizeSet(changes, before);
+  const r = await query(
+    'UPDATE collection_sets SET definition = $2, updated_at = NOW() WHERE slug = $1 RETURNING *',
+    [slug, definitionOf(after)]
+  );
+  return { before, after: rowToSet(r.rows[0]) };
+}
+
+function rowToCompletion(row) {
+  return { slug: row.set_slug, name: row.set_name, reward: row.reward, completedAt: new Date(row.completed_at).toISOString() };
+}
+
+/**
+ * Sets the user has completed, oldest first
+ * @returns {Promise<Array<{ slug, name, reward, completedAt }>>}
+ */
+async function getCompletions(userId) {
+  const r = await query(
+    'SELECT * FROM collection_completions WHERE user_id = $1 ORDER BY completed_at, set_slug',
+    [userId]
+  );
+  return r.rows.map(rowToCompletion);
+}
+
+/**
+ * Record that a user completed a set, with the reward it paid at the time
+ * @returns {Promise<Object|null>} the completion, or null if it was already recorded
+ */
+async function recordCompletion(userId, set) {
+  const r = await query(
+    `INSERT INTO collection_completions (user_id, set_slug, set_name, reward) VALUES ($1, $2, $3, $4)
+     ON CONFLICT (user_id, set_slug) DO NOTHING RETURNING *`,
+    [userId, set.slug, set.name, JSON.stringify(set.reward)]
+  );
+  return r.rows[0] ? rowToCompletion(r.rows[0]) : null;
+}
+
+module.exports = {
+  listSets,
+  getSet,
+  createSet,
+  updateSet,
+  getCompletions,
+  recordCompletion,
+};
@@ -0,0 +1,109 @@
+/**
+ * Collections
+ * ============
+ * Collection sets admins manage (see collection-definitions.js for the
+ * shape) and the sets each user has completed. Uses Postgres when
+ * DATABASE_URL is set (collections-pg.js), otherwise collections.json. A
+ * fresh install starts with defaultSets(). Sets are retired with
+ * active: false rather than deleted, so earned badges keep their set.
+ * All functions are async.
+ */
+
+const dbPool = require('./db');
+if (dbPool.useDatabase()) {
+  module.exports = require('./collections-pg');
+  return;
+}
+
+// ========== JSON file-based implementation (when DATABASE_URL not set) ==========
+
+const fs = require('fs');
+const path = require('path');
+const definitions = require('./collection-definitions');
+
+// Use persistent disk in production, local file in development
+const DATA_DIR = fs.existsSync('/var/data') ? '/var/data' : __dirname;
+const COLLECTIONS_FILE = path.join(DATA_DIR, 'collections.json');
+
+function loadData() {
+  try {
+    if (fs.existsSync(COLLECTIONS_FILE)) {
+      return JSON.parse(fs.readFileSync(COLLECTIONS_FILE, 'utf8'));
+    }
+  } catch (e) {
+    console.error('Error loading collections:', e);
+  }
+  const now = new Date().toISOString();
+  return { sets: definitions.defaultSets().map(s => ({ ...s, createdAt: now, updatedAt: now })), completions: [] };
+}
+
+function saveData(data) {
+  fs.writeFileSync(COLLECTIONS_FILE, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Every set, active or not, in display order
+ */
+async function listSets() {
+  return definitions.sortSets(loadData().sets);
+}
+
+async function getSet(slug) {
+  return loadData().sets.find(s => s.slug === slug) || null;
+}
+
+async function createSet(input) {
+  const data = loadData();
+  const set = definitions.normalizeSet(input);
+  if (data.sets.some(s => s.slug === set.slug)) throw new Error(`A set named "${set.slug}" already exists`);
+  const now = new Date().toISOString();
+  data.sets.push({ ...set, createdAt: now, updatedAt: now });
+  saveData(data);
+  return data.sets[data.sets.length - 1];
+}
+
+/**
+ * Apply changes to a set
+ * @returns {Promise<{ before, after }>}
+ */
+async function updateSet(slug, changes) {
+  const data = loadData();
+  const index = data.sets.findIndex(s => s.slug === slug);
+  if (index === -1) throw new Error('Set not found');
+  const before = data.sets[index];
+  const after = { ...definitions.normalizeSet(changes, before), updatedAt: new Date().toISOString() };
+  saveData({ ...data, sets: data.sets.map((s, i) => (i === index ? after : s)) });
+  return { before, after };
+}
+
+/**
+ * Sets the user has completed, oldest first
+ * @returns {Promise<Array<{ slug, name, reward, completedAt }>>}
+ */
+async function getCompletions(userId) {
+  return loadData().completions
+    .filter(c => c.userId === userId)
+    .map(({ userId: _, ...completion }) => completion);
+}
+
+/**
+ * Record that a user completed a set, with the reward it paid at the time
+ * @returns {Promise<Object|null>} the completion, or null if it was already recorded
+ */
+async function recordCompletion(userId, set) {
+  const data = loadData();
+  if (data.completions.some(c => c.userId === userId && c.slug === set.slug)) return null;
+  const completion = { slug: set.slug, name: set.name, reward: set.reward, completedAt: new Date().toISOString() };
+  data.completions.push({ userId, ...completion });
+  saveData(data);
+  return completion;
+}
+
+module.exports = {
+  listSets,
+  getSet,
+  createSet,
+  updateSet,
+  getCompletions,
+  recordCompletion,
+};
@@ -0,0 +1,120 @@
+/**
+ * Crafting
+ * =========
+ * Retiring a card deletes it, frees its player-season for packs again
+ * (minting-ledger.js) and pays crafting points by tier. Points buy a pack or
+ * a targeted pull: a fresh card of a chosen position and tier.
+ */
+
+const db = require('./database');
+const packs = require('./packs');
+const packOpening = require('./pack-opening');
+const { POSITIONS } = require('./pack-definitions');
+
+// Points for retiring a card, by tier
+const RETIRE_POINTS = {
+  1: 1,
+  2: 2,
+  3: 3,
+  4: 5,
+  5: 8,
+  6: 12,
+  7: 20,
+  8: 35,
+  9: 60,
+  10: 100,
+  11: 250, // Hall of Fame
+};
+
+const PACK_COST = 60;
+const PULL_COST_MULTIPLIER = 4; // A targeted pull costs four retired cards of its tier
+const MAX_PULL_TIER = 10; // Hall of Fame cards only come from packs
+
+function craftingError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function pullCost(tier) {
+  return RETIRE_POINTS[tier] * PULL_COST_MULTIPLIER;
+}
+
+/**
+ * Balance, what retiring pays and what crafting costs
+ */
+async function getCraftingInfo(userId) {
+  const user = await db.getUser(userId);
+  if (!user) throw craftingError(404, 'User not found');
+  const pullCosts = {};
+  for (let tier = 1; tier <= MAX_PULL_TIER; tier++) pullCosts[tier] = pullCost(tier);
+  return {
+    points: user.crafting_points || 0,
+    retireValues: RETIRE_POINTS,
+    packCost: PACK_COST,
+    pullCosts,
+    positions: POSITIONS,
+  };
+}
+
+/**
+ * Retire one of the user's cards for crafting points
+ * @returns {Promise<{ card, pointsAwarded, craftingPoints }>}
+ */
+async function retireCard(userId, cardId) {
+  const card = await db.getCard(cardId);
+  if (!card || card.user_id !== userId) throw craftingError(404, 'Card not found');
+  const points = RETIRE_POINTS[card.tier] || RETIRE_POINTS[1];
+  try {
+    const result = await db.retireCard(userId, cardId, points);
+    return { card: result.card, pointsAwarded: points, craftingPoints: result.craftingPoints };
+  } catch (err) {
+    throw craftingError(err.message === 'Card not found' ? 404 : 400, err.message);
+  }
+}
+
+/**
+ * Spend points on a recipe
+ * @param {object} order - { recipe: 'pack' } or { recipe: 'pull', position, tier }
+ * @returns {Promise<{ recipe, cost, craftingPoints, packs?, card? }>}
+ */
+async function craft(userId, { recipe, position, tier } = {}) {
+  if (recipe === 'pack') {
+    const craftingPoints = await spend(userId, PACK_COST, 1);
+    return { recipe, cost: PACK_COST, packs: 1, craftingPoints };
+  }
+  if (recipe !== 'pull') throw craftingError(400, 'recipe must be "pack" or "pull"');
+
+  const pullTier = parseInt(tier);
+  if (!POSITIONS.includes(position)) throw craftingError(400, `Unknown position: ${position}`);
+  if (!Number.isInteger(pullTier) || pullTier < 1 || pullTier > MAX_PULL_TIER) {
+    throw craftingError(400, `tier must be 1-${MAX_PULL_TIER}`);
+  }
+  const player = await packs.pickRandomPlayerFromTierAndPosition(pullTier, position);
+  if (!player) throw craftingError(409, `No tier ${pullTier} ${position} cards are left to mint`);
+
+  const cost = pullCost(pullTier);
+  await spend(userId, cost);
+  try {
+    const card = await packOpening.grantCard(userId, player);
+    const user = await db.getUser(userId);
+    return { recipe, cost, card, craftingPoints: user.crafting_points || 0 };
+  } catch (err) {
+    await db.addCraftingPoints(userId, cost); // No card was made (grantCard frees its ledger key); give the points back
+    if (err.status === 409) throw craftingError(409, 'That card was just taken. Please try again.');
+    throw craftingError(500, 'Could not save your card. Your points were refunded.');
+  }
+}
+
+async function spend(userId, cost, packCount = 0) {
+  try {
+    return await db.addCraftingPoints(userId, -cost, packCount);
+  } catch (err) {
+    throw craftingError(400, err.message);
+  }
+}
+
+module.exports = {
+  RETIRE_POINTS,
+  getCraftingInfo,
+  retireCard,
+  craft,
+};
@@ -4,14 +4,11 @@
  * Used when DATABASE_URL is set. All functions are async.
  */
 
-const crypto = require('crypto');
 const db = require('./db');
+const passwords = require('./passwords');
+const roles = require('./roles');
 const { query, transaction } = db;
 
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
-}
-
 // For compatibility: getDb() returns a minimal object (some code checks raw.users)
 async function getDb() {
   const r = await query('SELECT id, username, team_name, packs_opened, max_packs FROM users');
@@ -22,27 +19,63 @@ async function getDb() {
 // SESSIONS
 // =============================================================================
 
-async function createSession(userId, username, teamName, expiresAt) {
-  const token = Math.random().toString(36).substring(2) + Date.now().toString(36);
+// last_used_at is only rewritten when it's this stale, so normal requests stay read-only
+const SESSION_TOUCH_INTERVAL = '5 minutes';
+
+// Only the token's hash is stored; the raw token goes back once, in the login response
+async function createSession(userId, username, teamName, expiresAt, meta = {}) {
+  const token = passwords.createSessionToken();
+  await query('DELETE FROM sessions WHERE user_id = $1 AND expires_at <= NOW()', [userId]);
   await query(
-    'INSERT INTO sessions (token, user_id, expires_at) VALUES ($1, $2, $3)',
-    [token, userId, expiresAt]
+    `INSERT INTO sessions (token_hash, session_id, user_id, expires_at, created_at, last_used_at, user_agent, ip_address)
+     VALUES ($1, $2, $3, $4, NOW(), NOW(), $5, $6)`,
+    [passwords.hashSessionToken(token), passwords.createSessionId(), userId, expiresAt, meta.userAgent || null, meta.ip || null]
   );
   return token;
 }
 
 async function getSession(token) {
+  if (!token) return null;
+  const tokenHash = passwords.hashSessionToken(token);
   const r = await query(
-    'SELECT s.token, s.user_id, s.expires_at, u.username, u.team_name FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.token = $1 AND s.expires_at > NOW()',
-    [token]
+    `SELECT s.session_id, s.user_id, s.expires_at, s.last_used_at, u.username, u.team_name, u.role
+     FROM sessions s JOIN users u ON u.id = s.user_id WHERE s.token_hash = $1 AND s.expires_at > NOW()`,
+    [tokenHash]
   );
   if (r.rows.length === 0) return null;
   const row = r.rows[0];
-  return { token: row.token, user_id: row.user_id, username: row.username, team_name: row.team_name };
+  await query(
+    `UPDATE sessions SET last_used_at = NOW() WHERE token_hash = $1 AND last_used_at < NOW() - INTERVAL '${SESSION_TOUCH_INTERVAL}'`,
+    [tokenHash]
+  );
+  return { id: row.session_id, user_id: row.user_id, username: row.username, team_name: row.team_name, role: row.role };
 }
 
 async function deleteSession(token) {
-  await query('DELETE FROM sessions WHERE token = $1', [token]);
+  if (!token) return;
+  await query('DELETE FROM sessions WHERE token_hash = $1', [passwords.hashSessionToken(token)]);
+}
+
+// Active sessions for the account page (newest use first)
+async function listSessions(userId) {
+  const r = await query(
+    `SELECT session_id AS id, created_at, last_used_at, expires_at, user_agent, ip_address
+     FROM sessions WHERE user_id = $1 AND expires_at > NOW() ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return r.rows;
+}
+
+// Revoke one of a user's sessions by its public id
+async function deleteSessionById(userId, sessionId) {
+  const r = await query('DELETE FROM sessions WHERE user_id = $1 AND session_id = $2', [userId, sessionId]);
+  return r.rowCount > 0;
+}
+
+// Log out everywhere; returns how many sessions were ended
+async function deleteUserSessions(userId) {
+  const r = await query('DELETE FROM sessions WHERE user_id = $1', [userId]);
+  return r.rowCount;
 }
 
 // =============================================================================
@@ -75,7 +108,7 @@ async function claimPreregisteredUser(username, password, teamName = null) {
     const row = existing.rows[0];
     return { id: row.id, username: row.username, team_name: row.team_name };
   }
-  const hash = hashPassword(password);
+  const hash = await passwords.hashPassword(password);
   const team = teamName || `${preUser.username}'s Team`;
   const maxPacks = preUser.max_packs != null ? Number(preUser.max_packs) : 13;
   const userRes = await query(
@@ -101,7 +134,7 @@ async function createUser(username, password, teamName = null) {
   if (existing.rows.length > 0) throw new Error('Username already exists');
   const pre = await query('SELECT 1 FROM preregistered_users WHERE LOWER(username) = LOWER($1)', [username]);
   if (pre.rows.length > 0) throw new Error('This username is reserved. Please set your password to claim it.');
-  const hash = hashPassword(password);
+  const hash = await passwords.hashPassword(password);
   const team = teamName || `${username}'s Team`;
   const r = await query(
     `INSERT INTO users (username, password_hash, team_name, max_packs) VALUES ($1, $2, $3, 13) RETURNING id, username`,
@@ -113,32 +146,38 @@ async function createUser(username, password, teamName = null) {
 }
 
 async function authenticateUser(username, password) {
-  const hash = hashPassword(password);
   const r = await query(
-    'SELECT id, username, packs_opened, max_packs FROM users WHERE LOWER(username) = LOWER($1) AND password_hash = $2',
-    [username, hash]
+    'SELECT id, username, packs_opened, max_packs, password_hash FROM users WHERE LOWER(username) = LOWER($1)',
+    [username]
   );
-  if (r.rows.length === 0) throw new Error('Invalid username or password');
-  return r.rows[0];
+  const { password_hash: stored, ...user } = r.rows[0] || {};
+  const { ok, needsRehash } = await passwords.verifyPassword(password, stored);
+  if (!ok) throw new Error('Invalid username or password');
+  // Upgrade legacy SHA-256 (or weaker scrypt) hashes now that we have the password
+  if (needsRehash) {
+    const hash = await passwords.hashPassword(password);
+    await query('UPDATE users SET password_hash = $1, updated_at = NOW() WHERE id = $2', [hash, user.id]);
+  }
+  return user;
 }
 
 async function getUser(userId) {
-  const r = await query('SELECT id, username, team_name, packs_opened, max_packs, created_at FROM users WHERE id = $1', [userId]);
+  const r = await query('SELECT id, username, team_name, packs_opened, max_packs, crafting_points, role, created_at FROM users WHERE id = $1', [userId]);
   return r.rows[0] || null;
 }
 
 async function getUserByUsername(username) {
-  const r = await query('SELECT id, username, team_name, packs_opened, max_packs, created_at FROM users WHERE username = $1', [username]);
+  const r = await query('SELECT id, username, team_name, packs_opened, max_packs, role, created_at FROM users WHERE username = $1', [username]);
   return r.rows[0] || null;
 }
 
 async function getUserByUsernameCaseInsensitive(username) {
-  const r = await query('SELECT id, username, team_name, packs_opened, max_packs, created_at FROM users WHERE LOWER(username) = LOWER($1)', [username]);
+  const r = await query('SELECT id, username, team_name, packs_opened, max_packs, role, created_at FROM users WHERE LOWER(username) = LOWER($1)', [username]);
   return r.rows[0] || null;
 }
 
 async function getAllUsers() {
-  const r = await query('SELECT id, username, team_name, packs_opened, created_at FROM users');
+  const r = await query('SELECT id, username, team_name, packs_opened, max_packs, role, created_at FROM users');
   return r.rows;
 }
 
@@ -160,23 +199,35 @@ async function updateUserMaxPacks(userId, maxPacks) {
   return r.rows[0];
 }
 
+async function setUserRole(userId, role) {
+  roles.assertRole(role);
+  const r = await query('UPDATE users SET role = $1, updated_at = NOW() WHERE id = $2 RETURNING id, username, role', [role, userId]);
+  if (r.rows.length === 0) throw new Error('User not found');
+  return r.rows[0];
+}
+
 async function setPasswordByUsername(username, newPassword) {
   if (!username || !newPassword) throw new Error('Username and password required');
   if (newPassword.length < 4) throw new Error('Password must be at least 4 characters');
-  const hash = hashPassword(newPassword);
-  const r = await query(
-    'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE LOWER(username) = LOWER($2) RETURNING id, username',
-    [hash, username]
-  );
-  if (r.rows.length === 0) throw new Error('User not found');
-  return r.rows[0];
+  const hash = await passwords.hashPassword(newPassword);
+  return transaction(async (client) => {
+    const r = await client.query(
+      'UPDATE users SET password_hash = $1, updated_at = NOW() WHERE LOWER(username) = LOWER($2) RETURNING id, username',
+      [hash, username]
+    );
+    if (r.rows.length === 0) throw new Error('User not found');
+    // A new password ends every existing login
+    await client.query('DELETE FROM sessions WHERE user_id = $1', [r.rows[0].id]);
+    return r.rows[0];
+  });
 }
 
 // =============================================================================
 // CARDS
 // =============================================================================
 
-async function addCard(userId, playerData) {
+// Insert a newly minted card through `runner` (the pool, or a transaction client)
+async function insertCard(runner, userId, playerData) {
   let engine = {};
   try {
     if (!playerData.engine_traits || !playerData.engine_percentiles || Number(playerData.engine_v || 0) < 1) {
@@ -193,7 +244,7 @@ async function addCard(userId, playerData) {
   } catch (e) {}
   const playerKey = playerData.player_key || `${playerData.player}_${playerData.season}`;
   const playerName = playerData.player || playerData.player_name;
-  const r = await query(
+  const r = await runner.query(
     `INSERT INTO cards (user_id, player_key, player_name, season, team, position, tier, composite_score, stats, image_url, engine_v, engine_era, engine_percentiles, engine_traits, engine_inferred)
      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15) RETURNING id`,
     [
@@ -206,6 +257,176 @@ async function addCard(userId, playerData) {
   return r.rows[0].id;
 }
 
+async function addCard(userId, playerData) {
+  return insertCard(db, userId, playerData);
+}
+
+// How long an idempotency key keeps replaying its pack opening
+const PACK_OPENING_RETENTION = '1 day';
+
+function packOpeningError(code, message, extra = {}) {
+  return Object.assign(new Error(message), { code }, extra);
+}
+
+// Earlier opening under this idempotency key: { kind, result } or null
+async function getPackOpening(userId, idempotencyKey) {
+  const r = await query(
+    'SELECT kind, result FROM pack_openings WHERE user_id = $1 AND idempotency_key = $2 AND result IS NOT NULL',
+    [userId, idempotencyKey]
+  );
+  return r.rows[0] || null;
+}
+
+/**
+ * A user's pull history, newest first: one entry per opened pack
+ * @returns {Promise<Array<{ packNumber, product, tiers, bestTier, pity, openedAt }>>}
+ */
+async function getPackPulls(userId, limit = 100) {
+  const r = await query(
+    'SELECT * FROM pack_pulls WHERE user_id = $1 ORDER BY pack_number DESC LIMIT $2',
+    [userId, limit]
+  );
+  return r.rows.map(row => ({
+    packNumber: row.pack_number,
+    product: row.product_slug,
+    tiers: row.tiers,
+    bestTier: row.best_tier,
+    pity: row.pity,
+    openedAt: row.opened_at,
+  }));
+}
+
+/**
+ * Open packs in one transaction (see database.js commitPackOpening). The
+ * idempotency row is claimed first, so a concurrent repeat of the same key
+ * waits on it and then replays the stored result.
+ */
+async function commitPackOpening(userId, { kind, idempotencyKey = null, expectedPacksOpened, packs }) {
+  const mintingLedger = require('./minting-ledger-pg');
+  const players = packs.flatMap(p => p.cards);
+  let result;
+  try {
+    result = await transaction(async (client) => {
+      if (idempotencyKey) {
+        const claim = await client.query(
+          `INSERT INTO pack_openings (user_id, idempotency_key, kind) VALUES ($1, $2, $3)
+           ON CONFLICT (user_id, idempotency_key) DO NOTHING RETURNING user_id`,
+          [userId, idempotencyKey, kind]
+        );
+        if (claim.rows.length === 0) {
+          const prior = await client.query(
+            'SELECT kind, result FROM pack_openings WHERE user_id = $1 AND idempotency_key = $2',
+            [userId, idempotencyKey]
+          );
+          if (prior.rows[0].kind !== kind) {
+            throw packOpeningError('IDEMPOTENCY_MISMATCH', 'Idempotency key was already used for a different request');
+          }
+          return { ...prior.rows[0].result, replayed: true };
+        }
+      }
+      
+      const ur = await client.query('SELECT packs_opened, max_packs FROM users WHERE id = $1 FOR UPDATE', [userId]);
+      const user = ur.rows[0];
+      if (!user) throw new Error('User not found');
+      const packsLeft = user.max_packs - user.packs_opened;
+      if (user.packs_opened !== expectedPacksOpened || packsLeft < packs.length) {
+        throw packOpeningError('PACKS_CHANGED', 'Your packs changed while opening');
+      }
+      
+      // Reserve every ledger key; any that are taken (or repeated in this batch) abort the whole opening
+      const conflicts = [];
+      for (const player of players) {
+        const r = await client.query(
+          `INSERT INTO minted_cards (player_key, player_name, season, tier, user_id) VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (player_key) DO NOTHING RETURNING player_key`,
+          [mintingLedger.getCardKey(player), player.player, player.season, player.tier, userId]
+        );
+        if (r.rows.length === 0) conflicts.push(player);
+      }
+      if (conflicts.length > 0) {
+        throw packOpeningError('MINT_CONFLICT', `Card already minted: ${conflicts[0].player} (${conflicts[0].season})`, { conflicts });
+      }
+      
+      const opened = { packs: [], packsRemaining: packsLeft - packs.length };
+      for (let i = 0; i < packs.length; i++) {
+        const cards = [];
+        for (const card of packs[i].cards) {
+          cards.push({ id: await insertCard(client, userId, card), ...card });
+        }
+        const packNumber = user.packs_opened + i + 1;
+        opened.packs.push({
+          packNumber,
+          packType: packs[i].packType,
+          product: packs[i].product,
+          pity: !!packs[i].pity,
+          cards,
+        });
+        const tiers = cards.map(c => c.tier || 1);
+        await client.query(
+          `INSERT INTO pack_pulls (user_id, pack_number, product_slug, tiers, best_tier, pity)
+           VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (user_id, pack_number) DO NOTHING`,
+          [userId, packNumber, packs[i].product?.slug || null, tiers, Math.max(...tiers), !!packs[i].pity]
+        );
+      }
+      await client.query('UPDATE users SET packs_opened = packs_opened + $2 WHERE id = $1', [userId, packs.length]);
+      
+      if (idempotencyKey) {
+        await client.query(
+          'UPDATE pack_openings SET result = $3 WHERE user_id = $1 AND idempotency_key = $2',
+          [userId, idempotencyKey, JSON.stringify(opened)]
+        );
+        await client.query(`DELETE FROM pack_openings WHERE created_at < NOW() - INTERVAL '${PACK_OPENING_RETENTION}'`);
+      }
+      return opened;
+    });
+  } catch (err) {
+    // Keep the cache honest about cards someone else got first
+    if (err.code === 'MINT_CONFLICT') mintingLedger.noteMinted(err.conflicts);
+    throw err;
+  }
+  if (!result.replayed) mintingLedger.noteMinted(players);
+  return result;
+}
+
+/**
+ * Turn a fulfilled on-chain pack's tokens into the user's cards in one
+ * transaction (see pack-fulfillment.js openPack). The pack row is locked
+ * first, so a concurrent open waits and then finds the pack opened, and a
+ * failure anywhere leaves the pack as it was. Packs left 'opening' by the
+ * old two-step open are picked up again here.
+ * @param {Map<number, object>} dressedCards - blockchain_pack_cards id -> card to save for it
+ * @returns {Promise<{ opened: boolean, status, cardIds?, saved? }>} - saved: the new cards, with ids;
+ *   opened false (with the pack's status) when it can't be opened
+ */
+async function commitChainPackOpening(userId, packRowId, dressedCards) {
+  return transaction(async (client) => {
+    const locked = await client.query('SELECT status FROM blockchain_packs WHERE id = $1 FOR UPDATE', [packRowId]);
+    const status = locked.rows[0]?.status;
+    if (status !== 'fulfilled' && status !== 'opening') return { opened: false, status };
+
+    const rows = await client.query('SELECT id, card_id FROM blockchain_pack_cards WHERE pack_id = $1 ORDER BY id', [packRowId]);
+    const cardIds = [];
+    const saved = [];
+    for (const row of rows.rows) {
+      if (row.card_id) {
+        cardIds.push(row.card_id);
+        continue;
+      }
+      const card = dressedCards.get(row.id);
+      if (!card) throw new Error(`No card prepared for pack card ${row.id}`);
+      const cardId = await insertCard(client, userId, card);
+      await client.query('UPDATE blockchain_pack_cards SET card_id = $1 WHERE id = $2', [cardId, row.id]);
+      cardIds.push(cardId);
+      saved.push({ id: cardId, ...card });
+    }
+    await client.query(
+      "UPDATE blockchain_packs SET status = 'opened', opened_at = NOW(), user_id = $2 WHERE id = $1",
+      [packRowId, userId]
+    );
+    return { opened: true, status: 'opened', cardIds, saved };
+  });
+}
+
 async function getUserCards(userId) {
   const r = await query(
     'SELECT * FROM cards WHERE user_id = $1 ORDER BY tier DESC NULLS LAST, composite_score DESC NULLS LAST',
@@ -229,6 +450,27 @@ async function getUserCardsByPosition(userId, position) {
   return r.rows.map(row => ({ ...row, stats: row.stats || {} }));
 }
 
+/**
+ * Give punter cards minted before punters had traits their power / hang /
+ * placement traits (idempotent; run at startup)
+ * @returns {Promise<number>} cards updated
+ */
+async function backfillPunterTraits() {
+  const { buildEngineForCard } = require('./game-engine/player-traits');
+  const r = await query(`SELECT * FROM cards WHERE position = 'P' AND (engine_traits IS NULL OR engine_traits->>'power' IS NULL)`);
+  let updated = 0;
+  for (const card of r.rows) {
+    const engine = buildEngineForCard(card);
+    if (!engine) continue;
+    await query(
+      'UPDATE cards SET engine_era = $2, engine_percentiles = $3, engine_traits = $4, engine_inferred = $5 WHERE id = $1',
+      [card.id, engine.engine_era, JSON.stringify(engine.engine_percentiles), JSON.stringify(engine.engine_traits), JSON.stringify(engine.engine_inferred)]
+    );
+    updated++;
+  }
+  return updated;
+}
+
 async function updateCardImage(cardId, imageUrl) {
   const r = await query('UPDATE cards SET image_url = $1 WHERE id = $2 RETURNING *', [imageUrl, cardId]);
   return r.rows[0] || null;
@@ -238,13 +480,16 @@ async function updateCardImage(cardId, imageUrl) {
 // ROSTERS
 // =============================================================================
 
+// Starting slots, then one backup per position (see database.js)
+const BENCH_SLOT_KEYS = ['bench_qb_card_id', 'bench_rb_card_id', 'bench_wr_card_id', 'bench_te_card_id', 'bench_ol_card_id', 'bench_dl_card_id', 'bench_lb_card_id', 'bench_db_card_id'];
+const ROSTER_SLOT_KEYS = ['qb_card_id', 'rb_card_id', 'wr1_card_id', 'wr2_card_id', 'te_card_id', 'ol_card_id', 'dl_card_id', 'lb_card_id', 'db1_card_id', 'db2_card_id', 'k_card_id', 'p_card_id', ...BENCH_SLOT_KEYS];
+
 async function getRoster(userId) {
   const r = await query('SELECT * FROM rosters WHERE user_id = $1', [userId]);
   return r.rows[0] || null;
 }
 
 async function updateRoster(userId, slots) {
-  const slotKeys = ['qb_card_id', 'rb_card_id', 'wr1_card_id', 'wr2_card_id', 'te_card_id', 'ol_card_id', 'dl_card_id', 'lb_card_id', 'db1_card_id', 'db2_card_id', 'k_card_id'];
   let r = await query('SELECT id FROM rosters WHERE user_id = $1', [userId]);
   if (r.rows.length === 0) {
     await query('INSERT INTO rosters (user_id) VALUES ($1)', [userId]);
@@ -253,7 +498,7 @@ async function updateRoster(userId, slots) {
   const updates = [];
   const values = [];
   let i = 1;
-  for (const key of slotKeys) {
+  for (const key of ROSTER_SLOT_KEYS) {
     if (slots.hasOwnProperty(key)) {
       updates.push(`${key} = $${i++}`);
       values.push(slots[key]);
@@ -266,12 +511,20 @@ async function updateRoster(userId, slots) {
   return getRoster(userId);
 }
 
+async function updateGamePlan(userId, gamePlan) {
+  const r = await query('SELECT id FROM rosters WHERE user_id = $1', [userId]);
+  if (r.rows.length === 0) {
+    await query('INSERT INTO rosters (user_id) VALUES ($1)', [userId]);
+  }
+  await query('UPDATE rosters SET game_plan = $1, updated_at = NOW() WHERE user_id = $2', [JSON.stringify(gamePlan), userId]);
+  return getRoster(userId);
+}
+
 async function getFullRoster(userId) {
   const roster = await getRoster(userId);
   if (!roster) return { roster: {}, cards: {} };
-  const slotKeys = ['qb_card_id', 'rb_card_id', 'wr1_card_id', 'wr2_card_id', 'te_card_id', 'ol_card_id', 'dl_card_id', 'lb_card_id', 'db1_card_id', 'db2_card_id', 'k_card_id'];
   const cards = {};
-  for (const key of slotKeys) {
+  for (const key of ROSTER_SLOT_KEYS) {
     const cardId = roster[key];
     if (cardId) {
       const card = await getCard(cardId);
@@ -285,10 +538,19 @@ async function getFullRoster(userId) {
 // GAMES
 // =============================================================================
 
-async function recordGame(homeUserId, awayUserId, homeScore, awayScore, winnerUserId, playByPlay) {
+async function recordGame(homeUserId, awayUserId, homeScore, awayScore, winnerUserId, playByPlay, meta = null) {
   const r = await query(
-    'INSERT INTO games (home_user_id, away_user_id, home_score, away_score, winner_user_id, play_by_play) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id',
-    [homeUserId, awayUserId, homeScore, awayScore, winnerUserId, playByPlay ? JSON.stringify(playByPlay) : null]
+    `INSERT INTO games (home_user_id, away_user_id, home_score, away_score, winner_user_id, play_by_play, box_score, seed, replay_rosters, play_hash, live_until)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING id`,
+    [
+      homeUserId, awayUserId, homeScore, awayScore, winnerUserId,
+      playByPlay ? JSON.stringify(playByPlay) : null,
+      meta?.boxScore ? JSON.stringify(meta.boxScore) : null,
+      meta?.seed ?? null,
+      meta?.rosters ? JSON.stringify(meta.rosters) : null,
+      meta?.playHash || null,
+      meta?.liveUntil || null,
+    ]
   );
   return r.rows[0].id;
 }
@@ -300,7 +562,7 @@ async function getGame(gameId) {
   const homeUser = await getUser(g.home_user_id);
   const awayUser = await getUser(g.away_user_id);
   const winnerUser = g.winner_user_id ? await getUser(g.winner_user_id) : null;
-  return { ...g, play_by_play: g.play_by_play, home_username: homeUser?.username, away_username: awayUser?.username, winner_username: winnerUser?.username };
+  return { ...g, seed: g.seed != null ? Number(g.seed) : null, play_by_play: g.play_by_play, home_username: homeUser?.username, away_username: awayUser?.username, winner_username: winnerUser?.username };
 }
 
 async function getUserGames(userId, limit = 20) {
@@ -312,13 +574,16 @@ async function getUserGames(userId, limit = 20) {
   for (const g of r.rows) {
     const homeUser = await getUser(g.home_user_id);
     const awayUser = await getUser(g.away_user_id);
-    out.push({ ...g, home_username: homeUser?.username, away_username: awayUser?.username, play_by_play: undefined });
+    out.push({ ...g, home_username: homeUser?.username, away_username: awayUser?.username, play_by_play: undefined, box_score: undefined, replay_rosters: undefined });
   }
   return out;
 }
 
+// Games whose broadcast is over (results of games still on the air aren't out yet)
+const FINAL_GAMES = '(live_until IS NULL OR live_until <= NOW())';
+
 async function getUserStats(userId) {
-  const r = await query('SELECT * FROM games WHERE home_user_id = $1 OR away_user_id = $1', [userId]);
+  const r = await query(`SELECT * FROM games WHERE (home_user_id = $1 OR away_user_id = $1) AND ${FINAL_GAMES}`, [userId]);
   let wins = 0, losses = 0, ties = 0, pointsFor = 0, pointsAgainst = 0;
   for (const game of r.rows) {
     const isHome = game.home_user_id === userId;
@@ -355,7 +620,7 @@ async function getLeaderboard(limit = 20) {
 }
 
 async function getH2HRecords(userId) {
-  const r = await query('SELECT * FROM games WHERE home_user_id = $1 OR away_user_id = $1', [userId]);
+  const r = await query(`SELECT * FROM games WHERE (home_user_id = $1 OR away_user_id = $1) AND ${FINAL_GAMES}`, [userId]);
   const records = {};
 
   for (const game of r.rows) {
@@ -400,6 +665,352 @@ async function getWalletByAddress(address) {
   return r.rows[0] || null;
 }
 
+// Sign-in message issued to a user; its nonce can be consumed once (see wallet-auth.js)
+async function createWalletNonce(userId, nonce, message, expiresAt) {
+  await query('DELETE FROM wallet_nonces WHERE user_id = $1 AND (expires_at <= NOW() OR used_at IS NOT NULL)', [userId]);
+  await query(
+    'INSERT INTO wallet_nonces (nonce, user_id, message, expires_at) VALUES ($1, $2, $3, $4)',
+    [nonce, userId, message, expiresAt]
+  );
+}
+
+// Mark a nonce used; returns { nonce, user_id, message, expires_at } or null if unknown or already used
+async function consumeWalletNonce(nonce) {
+  const r = await query(
+    'UPDATE wallet_nonces SET used_at = NOW() WHERE nonce = $1 AND used_at IS NULL RETURNING nonce, user_id, message, expires_at',
+    [nonce]
+  );
+  return r.rows[0] || null;
+}
+
+// =============================================================================
+// TRADES
+// =============================================================================
+
+async function createTrade({ proposerUserId, recipientUserId, proposerCardIds, recipientCardIds, proposerPacks = 0, recipientPacks = 0, message = null, parentTradeId = null }) {
+  const r = await query(
+    `INSERT INTO trades (proposer_user_id, recipient_user_id, proposer_card_ids, recipient_card_ids, proposer_packs, recipient_packs, message, parent_trade_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+    [proposerUserId, recipientUserId, proposerCardIds || [], recipientCardIds || [], proposerPacks, recipientPacks, message, parentTradeId]
+  );
+  return r.rows[0];
+}
+
+async function getTrade(tradeId) {
+  const r = await query('SELECT * FROM trades WHERE id = $1', [tradeId]);
+  return r.rows[0] || null;
+}
+
+async function getUserTrades(userId, status = null) {
+  const r = await query(
+    `SELECT * FROM trades WHERE (proposer_user_id = $1 OR recipient_user_id = $1) AND ($2::text IS NULL OR status = $2)
+     ORDER BY created_at DESC`,
+    [userId, status]
+  );
+  return r.rows;
+}
+
+async function updateTradeStatus(tradeId, status, expectedStatus = 'pending') {
+  const r = await query(
+    `UPDATE trades SET status = $2, updated_at = NOW(), resolved_at = CASE WHEN $2 = 'pending' THEN NULL ELSE NOW() END
+     WHERE id = $1 AND status = $3 RETURNING *`,
+    [tradeId, status, expectedStatus]
+  );
+  return r.rows[0] || null;
+}
+
+async function getTradeLockedCardIds(userId) {
+  const r = await query(
+    `SELECT DISTINCT unnest(proposer_card_ids) AS card_id FROM trades WHERE proposer_user_id = $1 AND status = 'pending'`,
+    [userId]
+  );
+  return r.rows.map(row => row.card_id);
+}
+
+// Cards backed by an on-chain token (see database.js getTokenBackedCardIds)
+async function getTokenBackedCardIds(cardIds) {
+  if (cardIds.length === 0) return [];
+  const r = await query('SELECT DISTINCT card_id FROM blockchain_pack_cards WHERE card_id = ANY($1)', [cardIds]);
+  return r.rows.map(row => row.card_id);
+}
+
+/**
+ * Execute an accepted trade in one transaction (see database.js executeTrade).
+ * Rows are locked FOR UPDATE so concurrent accepts/pack opens cannot interleave.
+ */
+async function executeTrade(tradeId, rosterChanges = {}) {
+  return transaction(async (client) => {
+    const tr = await client.query('SELECT * FROM trades WHERE id = $1 FOR UPDATE', [tradeId]);
+    const trade = tr.rows[0];
+    if (!trade || trade.status !== 'pending') throw new Error('Trade is no longer pending');
+    
+    const ur = await client.query(
+      'SELECT id, username, max_packs, packs_opened FROM users WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+      [[trade.proposer_user_id, trade.recipient_user_id]]
+    );
+    const proposer = ur.rows.find(u => u.id === trade.proposer_user_id);
+    const recipient = ur.rows.find(u => u.id === trade.recipient_user_id);
+    if (!proposer || !recipient) throw new Error('Trade participant not found');
+    
+    const movedIds = [...trade.proposer_card_ids, ...trade.recipient_card_ids];
+    const cr = await client.query('SELECT id, user_id FROM cards WHERE id = ANY($1) ORDER BY id FOR UPDATE', [movedIds]);
+    const ownerOf = new Map(cr.rows.map(c => [c.id, c.user_id]));
+    if (trade.proposer_card_ids.some(id => ownerOf.get(id) !== proposer.id)) {
+      throw new Error(`${proposer.username} no longer owns every offered card`);
+    }
+    if (trade.recipient_card_ids.some(id => ownerOf.get(id) !== recipient.id)) {
+      throw new Error(`${recipient.username} no longer owns every requested card`);
+    }
+    const onChain = await client.query('SELECT 1 FROM blockchain_pack_cards WHERE card_id = ANY($1) LIMIT 1', [movedIds]);
+    if (onChain.rows.length > 0) throw new Error('Cards from on-chain packs can\'t be traded; transfer the NFT instead');
+    
+    const packsLeft = (u) => (u.max_packs ?? 13) - (u.packs_opened ?? 0);
+    if (packsLeft(proposer) < trade.proposer_packs) throw new Error(`${proposer.username} no longer has ${trade.proposer_packs} unopened pack(s)`);
+    if (packsLeft(recipient) < trade.recipient_packs) throw new Error(`${recipient.username} no longer has ${trade.recipient_packs} unopened pack(s)`);
+    
+    if (trade.proposer_card_ids.length > 0) {
+      await client.query('UPDATE cards SET user_id = $1 WHERE id = ANY($2)', [recipient.id, trade.proposer_card_ids]);
+    }
+    if (trade.recipient_card_ids.length > 0) {
+      await client.query('UPDATE cards SET user_id = $1 WHERE id = ANY($2)', [proposer.id, trade.recipient_card_ids]);
+    }
+    
+    const packDelta = trade.recipient_packs - trade.proposer_packs;
+    if (packDelta !== 0) {
+      await client.query('UPDATE users SET max_packs = COALESCE(max_packs, 13) + $1, updated_at = NOW() WHERE id = $2', [packDelta, proposer.id]);
+      await client.query('UPDATE users SET max_packs = COALESCE(max_packs, 13) - $1, updated_at = NOW() WHERE id = $2', [packDelta, recipient.id]);
+    }
+    
+    // Drop moved cards from their old owners' rosters
+    for (const [userId, givenIds] of [[proposer.id, trade.proposer_card_ids], [recipient.id, trade.recipient_card_ids]]) {
+      if (givenIds.length === 0) continue;
+      const sets = ROSTER_SLOT_KEYS.map(key => `${key} = CASE WHEN ${key} = ANY($2) THEN NULL ELSE ${key} END`);
+      await client.query(`UPDATE rosters SET ${sets.join(', ')}, updated_at = NOW() WHERE user_id = $1`, [userId, givenIds]);
+    }
+    
+    // Apply roster repairs (cards must belong to that user after the swap)
+    for (const [userIdKey, slots] of Object.entries(rosterChanges)) {
+      const userId = Number(userIdKey);
+      const keys = Object.keys(slots).filter(k => ROSTER_SLOT_KEYS.includes(k));
+      if (keys.length === 0) continue;
+      const cardIds = keys.map(k => slots[k]).filter(id => id != null);
+      if (cardIds.length > 0) {
+        const owned = await client.query('SELECT COUNT(*)::int AS n FROM cards WHERE id = ANY($1) AND user_id = $2', [cardIds, userId]);
+        if (owned.rows[0].n !== new Set(cardIds).size) throw new Error('Roster repair uses a card not owned after trade');
+      }
+      await client.query('INSERT INTO rosters (user_id) SELECT $1 WHERE NOT EXISTS (SELECT 1 FROM rosters WHERE user_id = $1)', [userId]);
+      const sets = keys.map((k, i) => `${k} = $${i + 2}`);
+      await client.query(`UPDATE rosters SET ${sets.join(', ')}, updated_at = NOW() WHERE user_id = $1`, [userId, ...keys.map(k => slots[k])]);
+    }
+    
+    const done = await client.query(
+      `UPDATE trades SET status = 'accepted', updated_at = NOW(), resolved_at = NOW() WHERE id = $1 RETURNING *`,
+      [trade.id]
+    );
+    if (movedIds.length > 0) {
+      await client.query(
+        `UPDATE trades SET status = 'cancelled', updated_at = NOW(), resolved_at = NOW()
+         WHERE status = 'pending' AND id <> $1 AND (proposer_card_ids && $2::int[] OR recipient_card_ids && $2::int[])`,
+        [trade.id, movedIds]
+      );
+    }
+    
+    return done.rows[0];
+  });
+}
+
+/**
+ * Move a card to another user outside a trade, in one transaction (see
+ * database.js reassignCard)
+ * @returns {Promise<Object>} the card
+ */
+async function reassignCard(cardId, fromUserId, toUserId, rosterSlots = {}) {
+  return transaction(async (client) => {
+    const cr = await client.query('SELECT * FROM cards WHERE id = $1 AND user_id = $2 FOR UPDATE', [cardId, fromUserId]);
+    if (cr.rows.length === 0) throw new Error('Card is no longer owned by that user');
+    const keys = Object.keys(rosterSlots).filter(k => ROSTER_SLOT_KEYS.includes(k));
+    const slotCardIds = keys.map(k => rosterSlots[k]).filter(id => id != null);
+    if (slotCardIds.length > 0) {
+      const owned = await client.query(
+        'SELECT COUNT(*)::int AS n FROM cards WHERE id = ANY($1) AND id <> $2 AND user_id = $3',
+        [slotCardIds, cardId, fromUserId]
+      );
+      if (owned.rows[0].n !== new Set(slotCardIds).size) throw new Error('Roster repair uses a card not owned by that user');
+    }
+
+    const moved = await client.query('UPDATE cards SET user_id = $1 WHERE id = $2 RETURNING *', [toUserId, cardId]);
+    const clears = ROSTER_SLOT_KEYS.map(key => `${key} = CASE WHEN ${key} = $2 THEN NULL ELSE ${key} END`);
+    await client.query(`UPDATE rosters SET ${clears.join(', ')}, updated_at = NOW() WHERE user_id = $1`, [fromUserId, cardId]);
+    if (keys.length > 0) {
+      const sets = keys.map((k, i) => `${k} = $${i + 2}`);
+      await client.query(`UPDATE rosters SET ${sets.join(', ')}, updated_at = NOW() WHERE user_id = $1`, [fromUserId, ...keys.map(k => rosterSlots[k])]);
+    }
+    await client.query(
+      `UPDATE trades SET status = 'cancelled', updated_at = NOW(), resolved_at = NOW()
+       WHERE status = 'pending' AND ($1 = ANY(proposer_card_ids) OR $1 = ANY(recipient_card_ids))`,
+      [cardId]
+    );
+    return { ...moved.rows[0], stats: moved.rows[0].stats || {} };
+  });
+}
+
+// =============================================================================
+// CRAFTING
+// =============================================================================
+
+/**
+ * Retire a card in one transaction (see database.js retireCard). Cards from
+ * on-chain packs stay: the NFT still points at them.
+ * @returns {Promise<{ card, craftingPoints }>}
+ */
+async function retireCard(userId, cardId, points) {
+  const mintingLedger = require('./minting-ledger-pg');
+  const result = await transaction(async (client) => {
+    const cr = await client.query('SELECT * FROM cards WHERE id = $1 AND user_id = $2 FOR UPDATE', [cardId, userId]);
+    const card = cr.rows[0];
+    if (!card) throw new Error('Card not found');
+    const onRoster = await client.query(
+      `SELECT 1 FROM rosters WHERE user_id = $1 AND $2 IN (${ROSTER_SLOT_KEYS.join(', ')})`,
+      [userId, cardId]
+    );
+    if (onRoster.rows.length > 0) throw new Error(`Take ${card.player_name} off your roster before retiring them`);
+    const onChain = await client.query('SELECT 1 FROM blockchain_pack_cards WHERE card_id = $1 LIMIT 1', [cardId]);
+    if (onChain.rows.length > 0) throw new Error('Cards from on-chain packs can\'t be retired');
+    
+    await client.query(
+      `UPDATE trades SET status = 'cancelled', updated_at = NOW(), resolved_at = NOW()
+       WHERE status = 'pending' AND ($1 = ANY(proposer_card_ids) OR $1 = ANY(recipient_card_ids))`,
+      [cardId]
+    );
+    await client.query('DELETE FROM cards WHERE id = $1', [cardId]);
+    await client.query(
+      'DELETE FROM minted_cards WHERE player_key = $1',
+      [mintingLedger.getCardKey({ player: card.player_name, season: card.season })]
+    );
+    const ur = await client.query(
+      'UPDATE users SET crafting_points = crafting_points + $2, updated_at = NOW() WHERE id = $1 RETURNING crafting_points',
+      [userId, points]
+    );
+    return { card, craftingPoints: ur.rows[0].crafting_points };
+  });
+  mintingLedger.noteReleased([{ player: result.card.player_name, season: result.card.season }]);
+  return result;
+}
+
+/**
+ * Add (or, with a negative delta, spend) crafting points, plus any packs they
+ * buy. Throws without writing anything if the user can't afford it.
+ * @returns {Promise<number>} the new balance
+ */
+async function addCraftingPoints(userId, delta, packs = 0) {
+  const r = await query(
+    `UPDATE users SET crafting_points = crafting_points + $2, max_packs = COALESCE(max_packs, 13) + $3, updated_at = NOW()
+     WHERE id = $1 AND crafting_points + $2 >= 0 RETURNING crafting_points`,
+    [userId, delta, packs]
+  );
+  if (r.rows.length === 0) {
+    const exists = await query('SELECT 1 FROM users WHERE id = $1', [userId]);
+    throw new Error(exists.rows.length ? 'Not enough crafting points' : 'User not found');
+  }
+  return r.rows[0].crafting_points;
+}
+
+// =============================================================================
+// INJURIES
+// =============================================================================
+
+/**
+ * Mark cards injured (see injuries.js); a new injury replaces any older one
+ * @param {array} injuries - [{ cardId, severity, gamesOut }]
+ */
+async function recordInjuries(injuries) {
+  for (const { cardId, severity, gamesOut } of injuries) {
+    await query(
+      'UPDATE cards SET injury_severity = $2, injury_games_left = $3, injured_at = NOW() WHERE id = $1',
+      [cardId, severity, gamesOut]
+    );
+  }
+}
+
+/**
+ * One more game missed: count down the user's injured cards, clearing those that heal
+ */
+async function healInjuries(userId) {
+  await query(
+    `UPDATE cards SET injury_games_left = injury_games_left - 1,
+       injury_severity = CASE WHEN injury_games_left > 1 THEN injury_severity END,
+       injured_at = CASE WHEN injury_games_left > 1 THEN injured_at END
+     WHERE user_id = $1 AND injury_games_left > 0`,
+    [userId]
+  );
+}
+
+// =============================================================================
+// CARD STAT LEDGER
+// =============================================================================
+
+const CARD_STAT_FIELDS = [
+  'games', 'pass_att', 'pass_cmp', 'pass_yds', 'pass_td', 'pass_int',
+  'rush_att', 'rush_yds', 'rush_td', 'fumbles',
+  'rec', 'targets', 'rec_yds', 'rec_td',
+  'tackles', 'sacks', 'def_int', 'forced_fumbles',
+  'fg_made', 'fg_att', 'xp_made', 'xp_att', 'punts', 'punt_yds',
+];
+
+function pickCardStats(row) {
+  const stats = {};
+  for (const f of CARD_STAT_FIELDS) stats[f] = Number(row[f]) || 0;
+  return stats;
+}
+
+async function recordCardStats(lines, season, source) {
+  const cols = CARD_STAT_FIELDS.join(', ');
+  const values = CARD_STAT_FIELDS.map((_, i) => `$${i + 4}`).join(', ');
+  const updates = CARD_STAT_FIELDS.map(f => `${f} = card_stats.${f} + EXCLUDED.${f}`).join(', ');
+  const sql = `INSERT INTO card_stats (card_id, season, source, ${cols}) VALUES ($1, $2, $3, ${values})
+    ON CONFLICT (card_id, season, source) DO UPDATE SET ${updates}, updated_at = NOW()`;
+  
+  await transaction(async (client) => {
+    for (const { cardId, stats } of lines) {
+      await client.query(sql, [cardId, season, source, ...CARD_STAT_FIELDS.map(f => stats[f] || 0)]);
+    }
+  });
+}
+
+async function getCardStatLines(cardId) {
+  const r = await query('SELECT * FROM card_stats WHERE card_id = $1 ORDER BY season, source', [cardId]);
+  return r.rows.map(row => ({ card_id: row.card_id, season: row.season, source: row.source, stats: pickCardStats(row), updated_at: row.updated_at }));
+}
+
+async function getCardStatTotals({ position = null, season = null, source = null } = {}) {
+  const sums = CARD_STAT_FIELDS.map(f => `SUM(s.${f})::int AS ${f}`).join(', ');
+  const r = await query(
+    `SELECT s.card_id, ${sums}
+     FROM card_stats s JOIN cards c ON c.id = s.card_id
+     WHERE ($1::text IS NULL OR c.position = $1) AND ($2::text IS NULL OR s.season = $2) AND ($3::text IS NULL OR s.source = $3)
+     GROUP BY s.card_id`,
+    [position, season, source]
+  );
+  if (r.rows.length === 0) return [];
+  
+  const cr = await query(
+    `SELECT c.*, u.username AS owner_username, u.team_name AS owner_team_name
+     FROM cards c LEFT JOIN users u ON u.id = c.user_id WHERE c.id = ANY($1)`,
+    [r.rows.map(row => row.card_id)]
+  );
+  const cards = new Map(cr.rows.map(c => [c.id, c]));
+  return r.rows.map(row => {
+    const { owner_username, owner_team_name, ...card } = cards.get(row.card_id) || {};
+    return {
+      card_id: row.card_id,
+      card: { ...card, stats: card.stats || {} },
+      owner_username: owner_username || null,
+      owner_team_name: owner_team_name || null,
+      ...pickCardStats(row),
+    };
+  });
+}
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -409,6 +1020,9 @@ module.exports = {
   createSession,
   getSession,
   deleteSession,
+  listSessions,
+  deleteSessionById,
+  deleteUserSessions,
   createUser,
   authenticateUser,
   getUser,
@@ -419,17 +1033,28 @@ module.exports = {
   updateTeamName,
   updateUserMaxPacks,
   setPasswordByUsername,
+  setUserRole,
   preregisterUser,
   getPreregisteredUser,
   claimPreregisteredUser,
   listPreregistered,
   addCard,
+  getPackOpening,
+  commitPackOpening,
+  commitChainPackOpening,
+  getPackPulls,
+  retireCard,
+  addCraftingPoints,
+  recordInjuries,
+  healInjuries,
   getUserCards,
   getCard,
   getUserCardsByPosition,
+  backfillPunterTraits,
   updateCardImage,
   getRoster,
   updateRoster,
+  updateGamePlan,
   getFullRoster,
   recordGame,
   getGame,
@@ -440,4 +1065,17 @@ module.exports = {
   getUserWallet,
   linkWallet,
   getWalletByAddress,
+  createWalletNonce,
+  consumeWalletNonce,
+  createTrade,
+  getTrade,
+  getUserTrades,
+  updateTradeStatus,
+  getTradeLockedCardIds,
+  getTokenBackedCardIds,
+  executeTrade,
+  reassignCard,
+  recordCardStats,
+  getCardStatLines,
+  getCardStatTotals,
 };
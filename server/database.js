@@ -15,7 +15,9 @@ if (dbPool.useDatabase()) {
 
 const fs = require('fs');
 const path = require('path');
-const crypto = require('crypto');
+const passwords = require('./passwords');
+const roles = require('./roles');
+const mintingLedger = require('./minting-ledger');
 
 // Use persistent disk in production, local file in development
 const PERSISTENT_DIR = '/var/data';
@@ -31,9 +33,17 @@ const DEFAULT_DB = {
   cards: [],
   rosters: [],
   games: [],
+  trades: [],
+  card_stats: [], // Per-card stat ledger: { card_id, season, source, stats }
+  sessions: [], // Login sessions: { id, token_hash, user_id, created_at, last_used_at, expires_at, user_agent, ip_address }
+  pack_openings: [], // Idempotent pack opens: { user_id, idempotency_key, kind, result, created_at }
+  pack_pulls: [], // Pull history, one per opened pack: { user_id, pack_number, product_slug, tiers, best_tier, pity, opened_at }
+  wallets: [], // Linked wallets, one per user: { id, user_id, address, wallet_type, chain_id, created_at, updated_at }
+  wallet_nonces: [], // Sign-in nonces: { nonce, user_id, message, expires_at, used_at, created_at }
   nextUserId: 1,
   nextCardId: 1,
   nextGameId: 1,
+  nextTradeId: 1,
 };
 
 // Load database
@@ -115,6 +125,17 @@ function runMigrations(db) {
     const statsChanged = backfillCardStatsV1(db);
     if (statsChanged) changed = true;
   }
+
+  // Migration: sessions keep only a hash of their token (logins stay valid)
+  if (!db.migrations.session_token_hash_v1) {
+    for (const session of db.sessions || []) {
+      if (session.token_hash || !session.token) continue;
+      session.token_hash = passwords.hashSessionToken(session.token);
+      delete session.token;
+    }
+    db.migrations.session_token_hash_v1 = true;
+    changed = true;
+  }
   
   if (changed) {
     saveDb(db);
@@ -304,23 +325,105 @@ function getDb() {
   return dbCache;
 }
 
-// In-memory sessions (JSON mode only)
-const sessionStore = new Map();
-function createSession(userId, username, teamName, expiresAt) {
-  const token = Math.random().toString(36).substring(2) + Date.now().toString(36);
-  sessionStore.set(token, { user_id: userId, username, team_name: teamName });
+// =============================================================================
+// SESSIONS
+// =============================================================================
+
+// last_used_at is only rewritten when it's this stale, so normal requests don't save the file
+const SESSION_TOUCH_MS = 5 * 60 * 1000;
+
+function getSessionsTable(db) {
+  if (!Array.isArray(db.sessions)) db.sessions = [];
+  return db.sessions;
+}
+
+function pruneExpiredSessions(db) {
+  const now = Date.now();
+  db.sessions = getSessionsTable(db).filter(s => new Date(s.expires_at).getTime() > now);
+}
+
+function sessionSummary(s) {
+  return {
+    id: s.id,
+    created_at: s.created_at,
+    last_used_at: s.last_used_at,
+    expires_at: s.expires_at,
+    user_agent: s.user_agent,
+    ip_address: s.ip_address,
+  };
+}
+
+// Only the token's hash is stored; the raw token goes back once, in the login response
+function createSession(userId, username, teamName, expiresAt, meta = {}) {
+  const db = getDb();
+  pruneExpiredSessions(db);
+  const token = passwords.createSessionToken();
+  const now = new Date().toISOString();
+  db.sessions.push({
+    id: passwords.createSessionId(),
+    token_hash: passwords.hashSessionToken(token),
+    user_id: userId,
+    created_at: now,
+    last_used_at: now,
+    expires_at: new Date(expiresAt).toISOString(),
+    user_agent: meta.userAgent || null,
+    ip_address: meta.ip || null,
+  });
+  saveDb(db);
   return token;
 }
+
 function getSession(token) {
-  return sessionStore.get(token) || null;
+  if (!token) return null;
+  const db = getDb();
+  const tokenHash = passwords.hashSessionToken(token);
+  const session = getSessionsTable(db).find(s => s.token_hash === tokenHash);
+  if (!session || new Date(session.expires_at).getTime() <= Date.now()) return null;
+  const user = db.users.find(u => u.id === session.user_id);
+  if (!user) return null;
+  if (Date.now() - new Date(session.last_used_at).getTime() > SESSION_TOUCH_MS) {
+    session.last_used_at = new Date().toISOString();
+    saveDb(db);
+  }
+  return { id: session.id, user_id: user.id, username: user.username, team_name: user.team_name, role: user.role || roles.DEFAULT_ROLE };
 }
+
 function deleteSession(token) {
-  sessionStore.delete(token);
+  if (!token) return;
+  const db = getDb();
+  const tokenHash = passwords.hashSessionToken(token);
+  const before = getSessionsTable(db).length;
+  db.sessions = db.sessions.filter(s => s.token_hash !== tokenHash);
+  if (db.sessions.length !== before) saveDb(db);
 }
 
-// Hash password
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
+// Active sessions for the account page (newest use first)
+function listSessions(userId) {
+  const now = Date.now();
+  return getSessionsTable(getDb())
+    .filter(s => s.user_id === userId && new Date(s.expires_at).getTime() > now)
+    .sort((a, b) => new Date(b.last_used_at) - new Date(a.last_used_at))
+    .map(sessionSummary);
+}
+
+// Revoke one of a user's sessions by its public id
+function deleteSessionById(userId, sessionId) {
+  const db = getDb();
+  const before = getSessionsTable(db).length;
+  db.sessions = db.sessions.filter(s => !(s.user_id === userId && s.id === sessionId));
+  if (db.sessions.length === before) return false;
+  saveDb(db);
+  return true;
+}
+
+// Log out everywhere; returns how many sessions were ended
+function deleteUserSessions(userId) {
+  const db = getDb();
+  const before = getSessionsTable(db).length;
+  db.sessions = db.sessions.filter(s => s.user_id !== userId);
+  const removed = before - db.sessions.length;
+  if (removed > 0) saveDb(db);
+  return removed;
 }
 
 // =============================================================================
@@ -359,7 +462,8 @@ function getPreregisteredUser(username) {
 }
 
 // Claim a pre-registered username (set password)
-function claimPreregisteredUser(username, password, teamName = null) {
+async function claimPreregisteredUser(username, password, teamName = null) {
+  const passwordHash = await passwords.hashPassword(password);
   const db = getDb();
   
   const preUserIndex = db.preregistered.findIndex(u => u.username.toLowerCase() === username.toLowerCase());
@@ -372,11 +476,12 @@ function claimPreregisteredUser(username, password, teamName = null) {
   const user = {
     id: db.nextUserId++,
     username: preUser.username, // Preserve original casing
-    password_hash: hashPassword(password),
+    password_hash: passwordHash,
     team_name: teamName || `${preUser.username}'s Team`,
     created_at: new Date().toISOString(),
     packs_opened: 0,
     max_packs: preUser.max_packs,
+    role: roles.DEFAULT_ROLE,
   };
   
   // Remove from preregistered list
@@ -398,6 +503,8 @@ function claimPreregisteredUser(username, password, teamName = null) {
     db1_card_id: null,
     db2_card_id: null,
     k_card_id: null,
+    p_card_id: null,
+    ...Object.fromEntries(BENCH_SLOT_KEYS.map(key => [key, null])),
   });
   
   saveDb(db);
@@ -411,7 +518,8 @@ function listPreregistered() {
   return db.preregistered;
 }
 
-function createUser(username, password, teamName = null) {
+async function createUser(username, password, teamName = null) {
+  const passwordHash = await passwords.hashPassword(password);
   const db = getDb();
   
   // Check if username exists
@@ -427,11 +535,12 @@ function createUser(username, password, teamName = null) {
   const user = {
     id: db.nextUserId++,
     username,
-    password_hash: hashPassword(password),
+    password_hash: passwordHash,
     team_name: teamName || `${username}'s Team`,
     created_at: new Date().toISOString(),
     packs_opened: 0,
     max_packs: 13, // 3 starter + 10 bonus packs
+    role: roles.DEFAULT_ROLE,
   };
   
   db.users.push(user);
@@ -448,16 +557,20 @@ function createUser(username, password, teamName = null) {
   return { id: user.id, username: user.username };
 }
 
-function authenticateUser(username, password) {
-  const db = getDb();
-  const hash = hashPassword(password);
-  
-  const user = db.users.find(u => u.username === username && u.password_hash === hash);
+async function authenticateUser(username, password) {
+  const user = getDb().users.find(u => u.username === username);
+  const { ok, needsRehash } = await passwords.verifyPassword(password, user?.password_hash);
   
-  if (!user) {
+  if (!user || !ok) {
     throw new Error('Invalid username or password');
   }
   
+  // Upgrade legacy SHA-256 (or weaker scrypt) hashes now that we have the password
+  if (needsRehash) {
+    user.password_hash = await passwords.hashPassword(password);
+    saveDb(getDb());
+  }
+  
   return {
     id: user.id,
     username: user.username,
@@ -477,6 +590,8 @@ function getUser(userId) {
     team_name: user.team_name,
     packs_opened: user.packs_opened,
     max_packs: user.max_packs,
+    crafting_points: user.crafting_points || 0,
+    role: user.role || roles.DEFAULT_ROLE,
     created_at: user.created_at,
   };
 }
@@ -492,6 +607,7 @@ function getUserByUsername(username) {
     team_name: user.team_name,
     packs_opened: user.packs_opened,
     max_packs: user.max_packs,
+    role: user.role || roles.DEFAULT_ROLE,
     created_at: user.created_at,
   };
 }
@@ -507,6 +623,7 @@ function getUserByUsernameCaseInsensitive(username) {
     team_name: user.team_name,
     packs_opened: user.packs_opened,
     max_packs: user.max_packs,
+    role: user.role || roles.DEFAULT_ROLE,
     created_at: user.created_at,
   };
 }
@@ -518,10 +635,22 @@ function getAllUsers() {
     username: u.username,
     team_name: u.team_name,
     packs_opened: u.packs_opened,
+    max_packs: u.max_packs,
+    role: u.role || roles.DEFAULT_ROLE,
     created_at: u.created_at,
   }));
 }
 
+function setUserRole(userId, role) {
+  roles.assertRole(role);
+  const db = getDb();
+  const user = db.users.find(u => u.id === userId);
+  if (!user) throw new Error('User not found');
+  user.role = role;
+  saveDb(db);
+  return { id: user.id, username: user.username, role };
+}
+
 function incrementPacksOpened(userId) {
   const db = getDb();
   const user = db.users.find(u => u.id === userId);
@@ -535,9 +664,8 @@ function incrementPacksOpened(userId) {
 // CARD OPERATIONS
 // =============================================================================
 
-function addCard(userId, playerData) {
-  const db = getDb();
-
+// Card row for a newly minted player (shared by addCard and commitPackOpening)
+function buildCardRow(db, userId, playerData) {
   // Ensure newly minted cards also get engine traits (same schema as migration)
   try {
     if (!playerData.engine_traits || !playerData.engine_percentiles || Number(playerData.engine_v || 0) < 1) {
@@ -581,6 +709,12 @@ function addCard(userId, playerData) {
     created_at: new Date().toISOString(),
   };
   
+  return card;
+}
+
+function addCard(userId, playerData) {
+  const db = getDb();
+  const card = buildCardRow(db, userId, playerData);
   db.cards.push(card);
   saveDb(db);
   
@@ -602,6 +736,26 @@ function getCard(cardId) {
   return db.cards.find(c => c.id === cardId) || null;
 }
 
+/**
+ * Give punter cards minted before punters had traits their power / hang /
+ * placement traits (idempotent; run at startup)
+ * @returns {number} cards updated
+ */
+function backfillPunterTraits() {
+  const { buildEngineForCard } = require('./game-engine/player-traits');
+  const db = getDb();
+  let updated = 0;
+  for (const card of db.cards) {
+    if (card.position !== 'P' || card.engine_traits?.power != null) continue;
+    const engine = buildEngineForCard(card);
+    if (!engine) continue;
+    Object.assign(card, engine, { engine_v: Math.max(engine.engine_v, Number(card.engine_v || 0)) });
+    updated++;
+  }
+  if (updated > 0) saveDb(db);
+  return updated;
+}
+
 function getUserCardsByPosition(userId, position) {
   const db = getDb();
   return db.cards
@@ -612,10 +766,180 @@ function getUserCardsByPosition(userId, position) {
     });
 }
 
+// =============================================================================
+// PACK OPENING
+// =============================================================================
+
+// How long an idempotency key keeps replaying its pack opening
+const PACK_OPENING_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+function getPackOpeningsTable(db) {
+  if (!Array.isArray(db.pack_openings)) db.pack_openings = [];
+  return db.pack_openings;
+}
+
+function getPackPullsTable(db) {
+  if (!Array.isArray(db.pack_pulls)) db.pack_pulls = [];
+  return db.pack_pulls;
+}
+
+// History row for one opened pack (same shape in database-pg.js)
+function packPullRow(userId, packNumber, pack) {
+  const tiers = pack.cards.map(c => c.tier || 1);
+  return {
+    user_id: userId,
+    pack_number: packNumber,
+    product_slug: pack.product?.slug || null,
+    tiers,
+    best_tier: Math.max(...tiers),
+    pity: !!pack.pity,
+    opened_at: new Date().toISOString(),
+  };
+}
+
+function pullFromRow(row) {
+  return {
+    packNumber: row.pack_number,
+    product: row.product_slug,
+    tiers: row.tiers,
+    bestTier: row.best_tier,
+    pity: row.pity,
+    openedAt: row.opened_at,
+  };
+}
+
+/**
+ * A user's pull history, newest first: one entry per opened pack
+ * @returns {Array<{ packNumber, product, tiers, bestTier, pity, openedAt }>}
+ */
+function getPackPulls(userId, limit = 100) {
+  return getPackPullsTable(getDb())
+    .filter(p => p.user_id === userId)
+    .sort((a, b) => b.pack_number - a.pack_number)
+    .slice(0, limit)
+    .map(pullFromRow);
+}
+
+function packOpeningError(code, message, extra = {}) {
+  return Object.assign(new Error(message), { code }, extra);
+}
+
+// Earlier opening under this idempotency key: { kind, result } or null
+function getPackOpening(userId, idempotencyKey) {
+  const db = getDb();
+  const prior = getPackOpeningsTable(db).find(o => o.user_id === userId && o.idempotency_key === idempotencyKey);
+  return prior ? { kind: prior.kind, result: prior.result } : null;
+}
+
+// Stored result for a repeated idempotency key (must be the same kind of opening)
+function replayPackOpening(prior, kind) {
+  if (prior.kind !== kind) {
+    throw packOpeningError('IDEMPOTENCY_MISMATCH', 'Idempotency key was already used for a different request');
+  }
+  return { ...prior.result, replayed: true };
+}
+
+/**
+ * Open packs all-or-nothing (see pack-opening.js): reserve every card's ledger
+ * key, save the cards, bump packs_opened, add each pack to the pull history
+ * and remember the result under the idempotency key. Throws code MINT_CONFLICT (with .conflicts) when a card is
+ * already minted and PACKS_CHANGED when the user's packs moved since
+ * expectedPacksOpened was read; nothing is written in either case.
+ */
+function commitPackOpening(userId, { kind, idempotencyKey = null, expectedPacksOpened, packs }) {
+  const db = getDb();
+  const openings = getPackOpeningsTable(db);
+  if (idempotencyKey) {
+    const prior = openings.find(o => o.user_id === userId && o.idempotency_key === idempotencyKey);
+    if (prior) return replayPackOpening(prior, kind);
+  }
+  
+  const user = db.users.find(u => u.id === userId);
+  if (!user) throw new Error('User not found');
+  const packsOpened = user.packs_opened ?? 0;
+  const packsLeft = (user.max_packs ?? 13) - packsOpened;
+  if (packsOpened !== expectedPacksOpened || packsLeft < packs.length) {
+    throw packOpeningError('PACKS_CHANGED', 'Your packs changed while opening');
+  }
+  
+  const players = packs.flatMap(p => p.cards);
+  const seen = new Set();
+  const conflicts = players.filter(p => {
+    const key = mintingLedger.getCardKey(p);
+    const taken = seen.has(key) || mintingLedger.isCardMinted(p);
+    seen.add(key);
+    return taken;
+  });
+  if (conflicts.length > 0) {
+    throw packOpeningError('MINT_CONFLICT', `Card already minted: ${conflicts[0].player} (${conflicts[0].season})`, { conflicts });
+  }
+  
+  // --- validated; apply ---
+  mintingLedger.reserveCards(players, userId);
+  const pulls = getPackPullsTable(db);
+  const snapshot = { cardCount: db.cards.length, nextCardId: db.nextCardId, openings, pullCount: pulls.length };
+  try {
+    const result = {
+      packs: packs.map((pack, i) => ({
+        packNumber: packsOpened + i + 1,
+        packType: pack.packType,
+        product: pack.product,
+        pity: !!pack.pity,
+        cards: pack.cards.map(card => {
+          const row = buildCardRow(db, userId, card);
+          db.cards.push(row);
+          return { id: row.id, ...card };
+        }),
+      })),
+      packsRemaining: packsLeft - packs.length,
+    };
+    user.packs_opened = packsOpened + packs.length;
+    packs.forEach((pack, i) => pulls.push(packPullRow(userId, packsOpened + i + 1, pack)));
+    
+    if (idempotencyKey) {
+      const cutoff = Date.now() - PACK_OPENING_RETENTION_MS;
+      db.pack_openings = openings.filter(o => new Date(o.created_at).getTime() > cutoff);
+      db.pack_openings.push({
+        user_id: userId,
+        idempotency_key: idempotencyKey,
+        kind,
+        result,
+        created_at: new Date().toISOString(),
+      });
+    }
+    
+    saveDb(db);
+    return result;
+  } catch (err) {
+    db.cards.length = snapshot.cardCount;
+    db.nextCardId = snapshot.nextCardId;
+    db.pack_openings = snapshot.openings;
+    pulls.length = snapshot.pullCount;
+    user.packs_opened = packsOpened;
+    mintingLedger.releaseCards(players);
+    throw err;
+  }
+}
+
 // =============================================================================
 // ROSTER OPERATIONS
 // =============================================================================
 
+// Starting slots, then one backup per position (brought in mid-game for
+// injury or fatigue - see game-engine/simulation/substitutions.js)
+const BENCH_SLOT_KEYS = [
+  'bench_qb_card_id', 'bench_rb_card_id', 'bench_wr_card_id', 'bench_te_card_id',
+  'bench_ol_card_id', 'bench_dl_card_id', 'bench_lb_card_id', 'bench_db_card_id',
+];
+const ROSTER_SLOT_KEYS = [
+  'qb_card_id', 'rb_card_id',
+  'wr1_card_id', 'wr2_card_id', 'te_card_id',
+  'ol_card_id', 'dl_card_id', 'lb_card_id',
+  'db1_card_id', 'db2_card_id',
+  'k_card_id', 'p_card_id',
+  ...BENCH_SLOT_KEYS,
+];
+
 function getRoster(userId) {
   const db = getDb();
   return db.rosters.find(r => r.user_id === userId) || null;
@@ -641,22 +965,33 @@ function updateRoster(userId, slots) {
   return roster;
 }
 
+/**
+ * Save the coach's game plan (see game-plan.js) on the roster
+ */
+function updateGamePlan(userId, gamePlan) {
+  const db = getDb();
+  let roster = db.rosters.find(r => r.user_id === userId);
+  
+  if (!roster) {
+    roster = { id: userId, user_id: userId };
+    db.rosters.push(roster);
+  }
+  
+  roster.game_plan = gamePlan;
+  roster.updated_at = new Date().toISOString();
+  saveDb(db);
+  
+  return roster;
+}
+
 function getFullRoster(userId) {
   const db = getDb();
   const roster = getRoster(userId);
   if (!roster) return { roster: {}, cards: {} };
   
   const cards = {};
-  // 11-player roster: QB, RB, WR×2, TE, OL, DL, LB, DB×2, K
-  const slotKeys = [
-    'qb_card_id', 'rb_card_id',
-    'wr1_card_id', 'wr2_card_id', 'te_card_id',
-    'ol_card_id', 'dl_card_id', 'lb_card_id',
-    'db1_card_id', 'db2_card_id',
-    'k_card_id'
-  ];
-  
-  for (const key of slotKeys) {
+  // 11-player roster (QB, RB, WR×2, TE, OL, DL, LB, DB×2, K) plus the bench
+  for (const key of ROSTER_SLOT_KEYS) {
     if (roster[key]) {
       const card = getCard(roster[key]);
       if (card) {
@@ -672,7 +1007,12 @@ function getFullRoster(userId) {
 // GAME OPERATIONS
 // =============================================================================
 
-function recordGame(homeUserId, awayUserId, homeScore, awayScore, winnerUserId, playByPlay) {
+/**
+ * Record a completed game
+ * @param {object|null} meta - { seed, rosters, playHash, boxScore } from simulateGameFromDB (null for forfeits),
+ *   plus liveUntil for scheduled games that are broadcast (see live-games.js)
+ */
+function recordGame(homeUserId, awayUserId, homeScore, awayScore, winnerUserId, playByPlay, meta = null) {
   const db = getDb();
   
   const game = {
@@ -683,6 +1023,11 @@ function recordGame(homeUserId, awayUserId, homeScore, awayScore, winnerUserId,
     away_score: awayScore,
     winner_user_id: winnerUserId,
     play_by_play: playByPlay,
+    box_score: meta?.boxScore || null,
+    seed: meta?.seed ?? null,
+    replay_rosters: meta?.rosters || null,
+    play_hash: meta?.playHash || null,
+    live_until: meta?.liveUntil || null,
     played_at: new Date().toISOString(),
   };
   
@@ -724,13 +1069,20 @@ function getUserGames(userId, limit = 20) {
         home_username: homeUser?.username,
         away_username: awayUser?.username,
         play_by_play: undefined, // Don't include full play-by-play in list
+        box_score: undefined,
+        replay_rosters: undefined,
       };
     });
 }
 
+// Is the game's broadcast over? (results of games still on the air aren't out yet)
+function isFinal(game) {
+  return !game.live_until || new Date(game.live_until) <= new Date();
+}
+
 function getUserStats(userId) {
   const db = getDb();
-  const games = db.games.filter(g => g.home_user_id === userId || g.away_user_id === userId);
+  const games = db.games.filter(g => (g.home_user_id === userId || g.away_user_id === userId) && isFinal(g));
   
   let wins = 0, losses = 0, ties = 0, pointsFor = 0, pointsAgainst = 0;
   
@@ -791,7 +1143,7 @@ function getLeaderboard(limit = 20) {
 // Get head-to-head records for a user against all opponents
 function getH2HRecords(userId) {
   const db = getDb();
-  const games = db.games.filter(g => g.home_user_id === userId || g.away_user_id === userId);
+  const games = db.games.filter(g => (g.home_user_id === userId || g.away_user_id === userId) && isFinal(g));
   const records = {};
 
   for (const game of games) {
@@ -850,14 +1202,17 @@ function updateUserMaxPacks(userId, maxPacks) {
   return user;
 }
 
-function setPasswordByUsername(username, newPassword) {
+async function setPasswordByUsername(username, newPassword) {
   if (!username || !newPassword) throw new Error('Username and password required');
   if (newPassword.length < 4) throw new Error('Password must be at least 4 characters');
+  const passwordHash = await passwords.hashPassword(newPassword);
   const db = getDb();
   const needle = String(username).toLowerCase();
   const user = db.users.find(u => String(u.username || '').toLowerCase() === needle);
   if (!user) throw new Error('User not found');
-  user.password_hash = hashPassword(newPassword);
+  user.password_hash = passwordHash;
+  // A new password ends every existing login
+  db.sessions = getSessionsTable(db).filter(s => s.user_id !== user.id);
   saveDb(db);
   return { id: user.id, username: user.username };
 }
@@ -879,6 +1234,440 @@ function updateCardImage(cardId, imageUrl) {
   return card;
 }
 
+// =============================================================================
+// WALLETS
+// =============================================================================
+
+function getWalletsTable(db) {
+  if (!Array.isArray(db.wallets)) db.wallets = [];
+  return db.wallets;
+}
+
+function getWalletNoncesTable(db) {
+  if (!Array.isArray(db.wallet_nonces)) db.wallet_nonces = [];
+  return db.wallet_nonces;
+}
+
+function getUserWallet(userId) {
+  const w = getWalletsTable(getDb()).find(w => w.user_id === userId);
+  if (!w) return null;
+  return { id: w.id, user_id: w.user_id, chain_id: w.chain_id, address: w.address, wallet_type: w.wallet_type };
+}
+
+function linkWallet(userId, address, walletType, chainId = 8453) {
+  const db = getDb();
+  const wallets = getWalletsTable(db);
+  const now = new Date().toISOString();
+  let wallet = wallets.find(w => w.user_id === userId);
+  if (!wallet) {
+    wallet = { id: wallets.reduce((max, w) => Math.max(max, w.id), 0) + 1, user_id: userId, created_at: now };
+    wallets.push(wallet);
+  }
+  Object.assign(wallet, { address, wallet_type: walletType, chain_id: chainId, updated_at: now });
+  saveDb(db);
+  return getUserWallet(userId);
+}
+
+function getWalletByAddress(address) {
+  const needle = String(address || '').toLowerCase();
+  return getWalletsTable(getDb()).find(w => w.address.toLowerCase() === needle) || null;
+}
+
+// Sign-in message issued to a user; its nonce can be consumed once (see wallet-auth.js)
+function createWalletNonce(userId, nonce, message, expiresAt) {
+  const db = getDb();
+  const now = Date.now();
+  db.wallet_nonces = getWalletNoncesTable(db).filter(n =>
+    n.user_id !== userId || (!n.used_at && new Date(n.expires_at).getTime() > now)
+  );
+  db.wallet_nonces.push({
+    nonce,
+    user_id: userId,
+    message,
+    expires_at: new Date(expiresAt).toISOString(),
+    used_at: null,
+    created_at: new Date(now).toISOString(),
+  });
+  saveDb(db);
+}
+
+// Mark a nonce used; returns { nonce, user_id, message, expires_at } or null if unknown or already used
+function consumeWalletNonce(nonce) {
+  const db = getDb();
+  const row = getWalletNoncesTable(db).find(n => n.nonce === nonce);
+  if (!row || row.used_at) return null;
+  row.used_at = new Date().toISOString();
+  saveDb(db);
+  return { nonce: row.nonce, user_id: row.user_id, message: row.message, expires_at: row.expires_at };
+}
+
+// =============================================================================
+// TRADE OPERATIONS
+// =============================================================================
+
+function getTradesTable(db) {
+  if (!Array.isArray(db.trades)) db.trades = [];
+  if (!db.nextTradeId) db.nextTradeId = db.trades.reduce((m, t) => Math.max(m, t.id), 0) + 1;
+  return db.trades;
+}
+
+function createTrade({ proposerUserId, recipientUserId, proposerCardIds, recipientCardIds, proposerPacks = 0, recipientPacks = 0, message = null, parentTradeId = null }) {
+  const db = getDb();
+  const trades = getTradesTable(db);
+  const now = new Date().toISOString();
+  
+  const trade = {
+    id: db.nextTradeId++,
+    proposer_user_id: proposerUserId,
+    recipient_user_id: recipientUserId,
+    proposer_card_ids: proposerCardIds || [],
+    recipient_card_ids: recipientCardIds || [],
+    proposer_packs: proposerPacks,
+    recipient_packs: recipientPacks,
+    message,
+    status: 'pending',
+    parent_trade_id: parentTradeId,
+    created_at: now,
+    updated_at: now,
+    resolved_at: null,
+  };
+  
+  trades.push(trade);
+  saveDb(db);
+  
+  return trade;
+}
+
+function getTrade(tradeId) {
+  const db = getDb();
+  return getTradesTable(db).find(t => t.id === tradeId) || null;
+}
+
+function getUserTrades(userId, status = null) {
+  const db = getDb();
+  return getTradesTable(db)
+    .filter(t => t.proposer_user_id === userId || t.recipient_user_id === userId)
+    .filter(t => !status || t.status === status)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+// Move a trade out of expectedStatus; returns null if it was no longer in that status
+function updateTradeStatus(tradeId, status, expectedStatus = 'pending') {
+  const db = getDb();
+  const trade = getTradesTable(db).find(t => t.id === tradeId);
+  if (!trade || trade.status !== expectedStatus) return null;
+  
+  trade.status = status;
+  trade.updated_at = new Date().toISOString();
+  if (status !== 'pending') trade.resolved_at = trade.updated_at;
+  saveDb(db);
+  
+  return trade;
+}
+
+// Cards a user has put up in their own pending offers (escrowed until resolved)
+function getTradeLockedCardIds(userId) {
+  const db = getDb();
+  const ids = new Set();
+  for (const t of getTradesTable(db)) {
+    if (t.status === 'pending' && t.proposer_user_id === userId) {
+      for (const id of t.proposer_card_ids) ids.add(id);
+    }
+  }
+  return Array.from(ids);
+}
+
+// Cards backed by an on-chain token can't be traded off-chain (they follow the
+// token; see pack-fulfillment.js). On-chain packs are Postgres-only, so none here.
+function getTokenBackedCardIds(cardIds) {
+  return [];
+}
+
+/**
+ * Execute an accepted trade: swap card ownership and packs, drop moved cards from
+ * the old owners' rosters, apply roster repairs, and void other pending trades that
+ * referenced the moved cards. Everything is validated before anything is written.
+ * @param {object} rosterChanges - { [userId]: { slot_key: cardId|null } } applied after the swap
+ */
+function executeTrade(tradeId, rosterChanges = {}) {
+  const db = getDb();
+  const trades = getTradesTable(db);
+  const trade = trades.find(t => t.id === tradeId);
+  if (!trade || trade.status !== 'pending') throw new Error('Trade is no longer pending');
+  
+  const proposer = db.users.find(u => u.id === trade.proposer_user_id);
+  const recipient = db.users.find(u => u.id === trade.recipient_user_id);
+  if (!proposer || !recipient) throw new Error('Trade participant not found');
+  
+  const proposerCards = trade.proposer_card_ids.map(id => db.cards.find(c => c.id === id));
+  const recipientCards = trade.recipient_card_ids.map(id => db.cards.find(c => c.id === id));
+  if (proposerCards.some(c => !c || c.user_id !== proposer.id)) {
+    throw new Error(`${proposer.username} no longer owns every offered card`);
+  }
+  if (recipientCards.some(c => !c || c.user_id !== recipient.id)) {
+    throw new Error(`${recipient.username} no longer owns every requested card`);
+  }
+  
+  const packsLeft = (u) => (u.max_packs ?? 13) - (u.packs_opened ?? 0);
+  if (packsLeft(proposer) < trade.proposer_packs) throw new Error(`${proposer.username} no longer has ${trade.proposer_packs} unopened pack(s)`);
+  if (packsLeft(recipient) < trade.recipient_packs) throw new Error(`${recipient.username} no longer has ${trade.recipient_packs} unopened pack(s)`);
+  
+  const newOwner = new Map();
+  for (const c of proposerCards) newOwner.set(c.id, recipient.id);
+  for (const c of recipientCards) newOwner.set(c.id, proposer.id);
+  
+  for (const [userId, slots] of Object.entries(rosterChanges)) {
+    for (const cardId of Object.values(slots)) {
+      if (cardId == null) continue;
+      const card = db.cards.find(c => c.id === cardId);
+      const owner = newOwner.has(cardId) ? newOwner.get(cardId) : card?.user_id;
+      if (owner !== Number(userId)) throw new Error(`Card ${cardId} not owned after trade`);
+    }
+  }
+  
+  // --- validated; apply ---
+  for (const c of [...proposerCards, ...recipientCards]) c.user_id = newOwner.get(c.id);
+  
+  proposer.max_packs = (proposer.max_packs ?? 13) - trade.proposer_packs + trade.recipient_packs;
+  recipient.max_packs = (recipient.max_packs ?? 13) - trade.recipient_packs + trade.proposer_packs;
+  
+  const now = new Date().toISOString();
+  for (const roster of db.rosters) {
+    if (roster.user_id !== proposer.id && roster.user_id !== recipient.id) continue;
+    for (const key of ROSTER_SLOT_KEYS) {
+      if (newOwner.has(roster[key]) && newOwner.get(roster[key]) !== roster.user_id) roster[key] = null;
+    }
+    Object.assign(roster, rosterChanges[roster.user_id] || {});
+    roster.updated_at = now;
+  }
+  for (const [userId, slots] of Object.entries(rosterChanges)) {
+    if (!db.rosters.find(r => r.user_id === Number(userId))) {
+      db.rosters.push({ id: Number(userId), user_id: Number(userId), ...slots, updated_at: now });
+    }
+  }
+  
+  trade.status = 'accepted';
+  trade.updated_at = now;
+  trade.resolved_at = now;
+  
+  for (const t of trades) {
+    if (t.status !== 'pending' || t.id === trade.id) continue;
+    if ([...t.proposer_card_ids, ...t.recipient_card_ids].some(id => newOwner.has(id))) {
+      t.status = 'cancelled';
+      t.updated_at = now;
+      t.resolved_at = now;
+    }
+  }
+  
+  saveDb(db);
+  return trade;
+}
+
+/**
+ * Move a card to another user outside a trade (an NFT transferred on-chain):
+ * it leaves the old owner's roster, `rosterSlots` fills the holes it leaves
+ * and pending trades that include it are cancelled. Throws, changing nothing,
+ * if `fromUserId` no longer owns it.
+ * @returns {Object} the card
+ */
+function reassignCard(cardId, fromUserId, toUserId, rosterSlots = {}) {
+  const db = getDb();
+  const card = db.cards.find(c => c.id === cardId);
+  if (!card || card.user_id !== fromUserId) throw new Error('Card is no longer owned by that user');
+  for (const slotCardId of Object.values(rosterSlots)) {
+    if (slotCardId == null) continue;
+    const slotCard = db.cards.find(c => c.id === slotCardId);
+    if (slotCardId === cardId || slotCard?.user_id !== fromUserId) throw new Error(`Card ${slotCardId} is not owned by that user`);
+  }
+
+  // --- validated; apply ---
+  card.user_id = toUserId;
+  const now = new Date().toISOString();
+  const roster = db.rosters.find(r => r.user_id === fromUserId);
+  if (roster) {
+    for (const key of ROSTER_SLOT_KEYS) {
+      if (roster[key] === cardId) roster[key] = null;
+    }
+    Object.assign(roster, rosterSlots);
+    roster.updated_at = now;
+  }
+  for (const t of getTradesTable(db)) {
+    if (t.status === 'pending' && [...t.proposer_card_ids, ...t.recipient_card_ids].includes(cardId)) {
+      t.status = 'cancelled';
+      t.updated_at = now;
+      t.resolved_at = now;
+    }
+  }
+
+  saveDb(db);
+  return card;
+}
+
+// =============================================================================
+// CRAFTING
+// =============================================================================
+
+/**
+ * Retire a card (see crafting.js): delete it, release its ledger key back
+ * into the pack pool, cancel pending trades that include it and credit the
+ * user's crafting points. A card on the roster can't be retired.
+ * @returns {{ card, craftingPoints }}
+ */
+function retireCard(userId, cardId, points) {
+  const db = getDb();
+  const user = db.users.find(u => u.id === userId);
+  if (!user) throw new Error('User not found');
+  const index = db.cards.findIndex(c => c.id === cardId && c.user_id === userId);
+  if (index === -1) throw new Error('Card not found');
+  const card = db.cards[index];
+  const roster = db.rosters.find(r => r.user_id === userId);
+  if (roster && ROSTER_SLOT_KEYS.some(key => roster[key] === cardId)) {
+    throw new Error(`Take ${card.player_name} off your roster before retiring them`);
+  }
+  
+  // --- validated; apply ---
+  db.cards.splice(index, 1);
+  db.card_stats = getCardStatsTable(db).filter(r => r.card_id !== cardId);
+  const now = new Date().toISOString();
+  for (const t of getTradesTable(db)) {
+    if (t.status === 'pending' && [...t.proposer_card_ids, ...t.recipient_card_ids].includes(cardId)) {
+      t.status = 'cancelled';
+      t.updated_at = now;
+      t.resolved_at = now;
+    }
+  }
+  user.crafting_points = (user.crafting_points || 0) + points;
+  saveDb(db);
+  mintingLedger.releaseCards([{ player: card.player_name, season: card.season }]);
+  return { card, craftingPoints: user.crafting_points };
+}
+
+/**
+ * Add (or, with a negative delta, spend) crafting points, plus any packs they
+ * buy. Throws without writing anything if the user can't afford it.
+ * @returns {number} the new balance
+ */
+function addCraftingPoints(userId, delta, packs = 0) {
+  const db = getDb();
+  const user = db.users.find(u => u.id === userId);
+  if (!user) throw new Error('User not found');
+  const balance = (user.crafting_points || 0) + delta;
+  if (balance < 0) throw new Error('Not enough crafting points');
+  user.crafting_points = balance;
+  if (packs) user.max_packs = (user.max_packs ?? 13) + packs;
+  saveDb(db);
+  return balance;
+}
+
+// =============================================================================
+// INJURIES
+// =============================================================================
+
+/**
+ * Mark cards injured (see injuries.js); a new injury replaces any older one
+ * @param {array} injuries - [{ cardId, severity, gamesOut }]
+ */
+function recordInjuries(injuries) {
+  const db = getDb();
+  const now = new Date().toISOString();
+  for (const { cardId, severity, gamesOut } of injuries) {
+    const card = db.cards.find(c => c.id === cardId);
+    if (!card) continue;
+    card.injury_severity = severity;
+    card.injury_games_left = gamesOut;
+    card.injured_at = now;
+  }
+  saveDb(db);
+}
+
+/**
+ * One more game missed: count down the user's injured cards, clearing those that heal
+ */
+function healInjuries(userId) {
+  const db = getDb();
+  for (const card of db.cards) {
+    if (card.user_id !== userId || !(card.injury_games_left > 0)) continue;
+    card.injury_games_left -= 1;
+    if (card.injury_games_left === 0) {
+      card.injury_severity = null;
+      card.injured_at = null;
+    }
+  }
+  saveDb(db);
+}
+
+// =============================================================================
+// CARD STAT LEDGER
+// =============================================================================
+
+function getCardStatsTable(db) {
+  if (!Array.isArray(db.card_stats)) db.card_stats = [];
+  return db.card_stats;
+}
+
+/**
+ * Add per-card stat deltas to the ledger (one row per card, season and source)
+ * @param {array} lines - [{ cardId, stats: { field: delta } }]
+ */
+function recordCardStats(lines, season, source) {
+  const db = getDb();
+  const table = getCardStatsTable(db);
+  const now = new Date().toISOString();
+  
+  for (const { cardId, stats } of lines) {
+    let row = table.find(r => r.card_id === cardId && r.season === season && r.source === source);
+    if (!row) {
+      row = { card_id: cardId, season, source, stats: {}, updated_at: now };
+      table.push(row);
+    }
+    for (const [key, value] of Object.entries(stats)) {
+      row.stats[key] = (row.stats[key] || 0) + (value || 0);
+    }
+    row.updated_at = now;
+  }
+  
+  saveDb(db);
+}
+
+function getCardStatLines(cardId) {
+  const db = getDb();
+  return getCardStatsTable(db)
+    .filter(r => r.card_id === cardId)
+    .sort((a, b) => String(a.season).localeCompare(String(b.season)) || a.source.localeCompare(b.source));
+}
+
+/**
+ * Summed ledger rows per card, with the card and its owner attached
+ * @param {object} filters - { position, season (null = all seasons), source }
+ */
+function getCardStatTotals({ position = null, season = null, source = null } = {}) {
+  const db = getDb();
+  const totals = new Map();
+  
+  for (const r of getCardStatsTable(db)) {
+    if (season && r.season !== season) continue;
+    if (source && r.source !== source) continue;
+    if (!totals.has(r.card_id)) totals.set(r.card_id, {});
+    const sum = totals.get(r.card_id);
+    for (const [key, value] of Object.entries(r.stats)) sum[key] = (sum[key] || 0) + value;
+  }
+  
+  const rows = [];
+  for (const [cardId, stats] of totals) {
+    const card = db.cards.find(c => c.id === cardId);
+    if (!card || (position && card.position !== position)) continue;
+    const owner = db.users.find(u => u.id === card.user_id);
+    rows.push({
+      card_id: cardId,
+      card,
+      owner_username: owner?.username || null,
+      owner_team_name: owner?.team_name || null,
+      ...stats,
+    });
+  }
+  return rows;
+}
+
 // =============================================================================
 // EXPORTS (wrap so callers can always use await)
 // =============================================================================
@@ -888,6 +1677,9 @@ const raw = {
   createSession,
   getSession,
   deleteSession,
+  listSessions,
+  deleteSessionById,
+  deleteUserSessions,
   createUser,
   authenticateUser,
   getUser,
@@ -898,17 +1690,27 @@ const raw = {
   updateTeamName,
   updateUserMaxPacks,
   setPasswordByUsername,
+  setUserRole,
   preregisterUser,
   getPreregisteredUser,
   claimPreregisteredUser,
   listPreregistered,
   addCard,
+  getPackOpening,
+  commitPackOpening,
+  getPackPulls,
+  retireCard,
+  addCraftingPoints,
+  recordInjuries,
+  healInjuries,
   getUserCards,
   getCard,
   getUserCardsByPosition,
+  backfillPunterTraits,
   updateCardImage,
   getRoster,
   updateRoster,
+  updateGamePlan,
   getFullRoster,
   recordGame,
   getGame,
@@ -916,6 +1718,22 @@ const raw = {
   getUserStats,
   getLeaderboard,
   getH2HRecords,
+  getUserWallet,
+  linkWallet,
+  getWalletByAddress,
+  createWalletNonce,
+  consumeWalletNonce,
+  createTrade,
+  getTrade,
+  getUserTrades,
+  updateTradeStatus,
+  getTradeLockedCardIds,
+  getTokenBackedCardIds,
+  executeTrade,
+  reassignCard,
+  recordCardStats,
+  getCardStatLines,
+  getCardStatTotals,
 };
 
 function wrapAsync(obj) {
@@ -0,0 +1,255 @@
+/**
+ * One-shot import of the JSON data files into Postgres
+ * =====================================================
+ * Copies schedules (schedule.json, schedule-league-<id>.json), direct messages
+ * (messages.json), press conferences (press-conferences.json), the minting
+ * ledger (minting-ledger.json), the pack catalog (pack-products.json),
+ * promotions (promotions.json), collection sets with their completions
+ * (collections.json) and leagues (leagues.json) into the tables from
+ * migrations 8-11, 15, 16, 18 and 26.
+ * Requires DATABASE_URL and migrations applied. Run: node db/import-json.js
+ *
+ * Safe to re-run: rows that already exist are left alone, and a league whose
+ * schedule is already in Postgres is skipped.
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+const fs = require('fs');
+const path = require('path');
+const { query, transaction, testConnection, useDatabase } = require('./index');
+
+// Same location the JSON modules read from
+const DATA_DIR = fs.existsSync('/var/data') ? '/var/data' : path.join(__dirname, '..');
+const MAIN_LEAGUE_ID = 1;
+
+function readJson(file) {
+  const full = path.join(DATA_DIR, file);
+  if (!fs.existsSync(full)) return null;
+  return JSON.parse(fs.readFileSync(full, 'utf-8'));
+}
+
+async function importSchedules() {
+  // Loaded here so the DATABASE_URL check runs first
+  const scheduleStore = require('../schedule-store-pg');
+  const files = fs.readdirSync(DATA_DIR).filter(f => f === 'schedule.json' || /^schedule-league-\d+\.json$/.test(f));
+  let imported = 0;
+
+  for (const file of files) {
+    const schedule = readJson(file);
+    if (!schedule || !Array.isArray(schedule.games)) continue;
+    const match = file.match(/^schedule-league-(\d+)\.json$/);
+    const leagueId = match ? parseInt(match[1], 10) : MAIN_LEAGUE_ID;
+
+    const existing = await query('SELECT 1 FROM league_schedules WHERE league_id = $1', [leagueId]);
+    if (existing.rows.length > 0) {
+      console.log(`  ✓ ${file} (league ${leagueId} already imported)`);
+      continue;
+    }
+    await scheduleStore.saveSchedule({ ...schedule, leagueId }, { reset: true });
+    imported++;
+    console.log(`  ✓ ${file} → league ${leagueId} (${schedule.games.length} games)`);
+  }
+  return imported;
+}
+
+async function importMessages() {
+  const data = readJson('messages.json');
+  if (!data || !Array.isArray(data.messages)) return 0;
+
+  return transaction(async (client) => {
+    let imported = 0;
+    for (const m of data.messages) {
+      const r = await client.query(
+        `INSERT INTO direct_messages (id, from_user_id, to_user_id, content, sent_at, is_read)
+         VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (id) DO NOTHING`,
+        [m.id, m.from_user_id, m.to_user_id, m.content, m.sent_at, !!m.read]
+      );
+      imported += r.rowCount;
+    }
+    // Keep new messages from reusing imported ids
+    await client.query(
+      `SELECT setval(pg_get_serial_sequence('direct_messages', 'id'), GREATEST((SELECT MAX(id) FROM direct_messages), 1))`
+    );
+    console.log(`  ✓ messages.json (${imported} of ${data.messages.length} messages)`);
+    return imported;
+  });
+}
+
+async function importPressConferences() {
+  const data = readJson('press-conferences.json');
+  if (!data || !data.conferences) return 0;
+  const conferences = Object.values(data.conferences);
+
+  return transaction(async (client) => {
+    let imported = 0;
+    for (const c of conferences) {
+      const r = await client.query(
+        `INSERT INTO press_conferences (id, game_id, player_ids, players, created_at, expires_at, active)
+         VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (id) DO NOTHING`,
+        [c.id, c.gameId, c.playerIds, JSON.stringify(c.players), c.createdAt, c.expiresAt, !!c.active]
+      );
+      imported += r.rowCount;
+      for (const m of c.messages || []) {
+        await client.query(
+          `INSERT INTO press_conference_messages (id, conference_id, sender_id, sender_name, content, sent_at, read_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) ON CONFLICT (id) DO NOTHING`,
+          [m.id, c.id, m.senderId, m.senderName, m.content, m.timestamp, m.readBy || []]
+        );
+      }
+    }
+    console.log(`  ✓ press-conferences.json (${imported} of ${conferences.length} conferences)`);
+    return imported;
+  });
+}
+
+async function importMintingLedger() {
+  const ledger = readJson('minting-ledger.json');
+  if (!ledger) return 0;
+  const entries = Object.entries(ledger);
+
+  return transaction(async (client) => {
+    let imported = 0;
+    for (const [key, entry] of entries) {
+      const r = await client.query(
+        `INSERT INTO minted_cards (player_key, player_name, season, tier, user_id, minted_at)
+         VALUES ($1, $2, $3, $4, $5, $6) ON CONFLICT (player_key) DO NOTHING`,
+        [key, entry.player, entry.season, entry.tier, entry.userId, entry.mintedAt]
+      );
+      imported += r.rowCount;
+    }
+    console.log(`  ✓ minting-ledger.json (${imported} of ${entries.length} cards)`);
+    return imported;
+  });
+}
+
+async function importPackProducts() {
+  const data = readJson('pack-products.json');
+  if (!data || !Array.isArray(data.products)) return 0;
+
+  return transaction(async (client) => {
+    let imported = 0;
+    for (const { slug, createdAt, updatedAt, ...definition } of data.products) {
+      const r = await client.query(
+        `INSERT INTO pack_products (slug, definition, created_at, updated_at)
+         VALUES ($1, $2, COALESCE($3, NOW()), COALESCE($4, NOW())) ON CONFLICT (slug) DO NOTHING`,
+        [slug, JSON.stringify(definition), createdAt || null, updatedAt || null]
+      );
+      imported += r.rowCount;
+    }
+    console.log(`  ✓ pack-products.json (${imported} of ${data.products.length} products)`);
+    return imported;
+  });
+}
+
+async function importPromotions() {
+  const data = readJson('promotions.json');
+  if (!data || !Array.isArray(data.grants)) return 0;
+
+  return transaction(async (client) => {
+    let imported = 0;
+    for (const g of data.grants) {
+      const r = await client.query(
+        `INSERT INTO promotions (id, type, params, user_ids, note, source, expires_at, revoked_at, created_by_user_id, created_by_username, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) ON CONFLICT (id) DO NOTHING`,
+        [g.id, g.type, JSON.stringify(g.params || {}), g.userIds, g.note || '', g.source || null, g.expiresAt, g.revokedAt,
+          g.createdBy?.id ?? null, g.createdBy?.username ?? null, g.createdAt]
+      );
+      imported += r.rowCount;
+      if (r.rowCount === 0) continue;
+      for (const [userId, uses] of Object.entries(g.redemptions || {})) {
+        await client.query(
+          `INSERT INTO promotion_redemptions (promotion_id, user_id, uses) VALUES ($1, $2, $3)
+           ON CONFLICT (promotion_id, user_id) DO NOTHING`,
+          [g.id, parseInt(userId, 10), uses]
+        );
+      }
+    }
+    // Keep new grants from reusing imported ids
+    await client.query(
+      `SELECT setval(pg_get_serial_sequence('promotions', 'id'), GREATEST((SELECT MAX(id) FROM promotions), 1))`
+    );
+    console.log(`  ✓ promotions.json (${imported} of ${data.grants.length} grants)`);
+    return imported;
+  });
+}
+
+async function importCollections() {
+  const data = readJson('collections.json');
+  if (!data || !Array.isArray(data.sets)) return 0;
+
+  return transaction(async (client) => {
+    let imported = 0;
+    for (const { slug, createdAt, updatedAt, ...definition } of data.sets) {
+      const r = await client.query(
+        `INSERT INTO collection_sets (slug, definition, created_at, updated_at)
+         VALUES ($1, $2, COALESCE($3, NOW()), COALESCE($4, NOW())) ON CONFLICT (slug) DO NOTHING`,
+        [slug, JSON.stringify(definition), createdAt || null, updatedAt || null]
+      );
+      imported += r.rowCount;
+    }
+    let completions = 0;
+    for (const c of data.completions || []) {
+      const r = await client.query(
+        `INSERT INTO collection_completions (user_id, set_slug, set_name, reward, completed_at)
+         VALUES ($1, $2, $3, $4, $5) ON CONFLICT (user_id, set_slug) DO NOTHING`,
+        [c.userId, c.slug, c.name, JSON.stringify(c.reward), c.completedAt]
+      );
+      completions += r.rowCount;
+    }
+    console.log(`  ✓ collections.json (${imported} of ${data.sets.length} sets, ${completions} completions)`);
+    return imported;
+  });
+}
+
+async function importLeagues() {
+  const data = readJson('leagues.json');
+  if (!data || !Array.isArray(data.leagues)) return 0;
+
+  return transaction(async (client) => {
+    let imported = 0;
+    for (const l of data.leagues) {
+      const r = await client.query(
+        `INSERT INTO leagues (id, name, is_main, open, commissioner_user_id, member_user_ids, excluded_user_ids,
+                              invite_code, roster_lock_minutes, season_config, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, COALESCE($11, NOW())) ON CONFLICT (id) DO NOTHING`,
+        [l.id, l.name, !!l.isMain, !!l.open, l.commissionerUserId ?? null, l.memberUserIds || [], l.excludedUserIds || [],
+          l.inviteCode || null, l.rosterLockMinutes ?? 10, JSON.stringify(l.seasonConfig || {}), l.createdAt || null]
+      );
+      imported += r.rowCount;
+    }
+    console.log(`  ✓ leagues.json (${imported} of ${data.leagues.length} leagues)`);
+    return imported;
+  });
+}
+
+async function run() {
+  if (!useDatabase()) {
+    console.error('DATABASE_URL not set');
+    process.exit(1);
+  }
+
+  console.log('Connecting to database...');
+  const ok = await testConnection();
+  if (!ok) {
+    console.error('Could not connect');
+    process.exit(1);
+  }
+  console.log(`Importing JSON data from ${DATA_DIR}`);
+
+  await importSchedules();
+  await importMessages();
+  await importPressConferences();
+  await importMintingLedger();
+  await importPackProducts();
+  await importPromotions();
+  await importCollections();
+  await importLeagues();
+
+  console.log('\nImport complete!');
+  process.exit(0);
+}
+
+run().catch(err => {
+  console.error(err);
+  process.exit(1);
+});
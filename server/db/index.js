@@ -29,12 +29,20 @@ async function query(text, params) {
   return pool.query(text, params);
 }
 
+/**
+ * Run callback(client) inside BEGIN/COMMIT; rolls back if the callback throws.
+ */
 async function transaction(callback) {
   if (!pool) throw new Error('Postgres not configured (DATABASE_URL)');
   const client = await pool.connect();
   try {
+    await client.query('BEGIN');
     const result = await callback(client);
+    await client.query('COMMIT');
     return result;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
   } finally {
     client.release();
   }
@@ -25,7 +25,10 @@ async function run() {
   }
   console.log('Connected successfully');
 
-  const files = fs.readdirSync(MIGRATIONS_DIR).filter(f => f.endsWith('.sql')).sort();
+  // Numeric order: 10_x runs after 9_x
+  const files = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(f => f.endsWith('.sql'))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10) || a.localeCompare(b));
   let applied = 0;
 
   for (const file of files) {
@@ -5,6 +5,7 @@
  */
 
 const path = require('path');
+const crypto = require('crypto');
 
 // Import game engine
 const { simulateGame, buildRoster } = require('./game-engine/simulation');
@@ -12,6 +13,27 @@ const { simulateGame, buildRoster } = require('./game-engine/simulation');
 // Tier caps (must match server/index.js)
 const OFFENSE_TIER_CAP = 42; // 6 slots: QB, RB, WR1, WR2, TE, OL
 const DEFENSE_TIER_CAP = 28; // 4 slots: DL, LB, DB1, DB2
+const SPECIAL_TEAMS_TIER_CAP = 14; // 2 slots: K, P
+
+// Bench slots: one backup per position, subbed in mid-game for injury or
+// fatigue. Not counted toward the tier caps.
+const BENCH_SLOTS = {
+  bench_qb_card_id: 'QB',
+  bench_rb_card_id: 'RB',
+  bench_wr_card_id: 'WR',
+  bench_te_card_id: 'TE',
+  bench_ol_card_id: 'OL',
+  bench_dl_card_id: 'DL',
+  bench_lb_card_id: 'LB',
+  bench_db_card_id: 'DB',
+};
+
+/**
+ * Is a card still out with an injury from an earlier league game? (injuries.js)
+ */
+function isInjured(card) {
+  return (card?.injury_games_left || 0) > 0;
+}
 
 /**
  * Convert database card to game engine player format
@@ -24,6 +46,7 @@ function cardToPlayer(card) {
     : {};
 
   return {
+    cardId: card.id,
     name: card.player_name,
     player: card.player_name,
     season: card.season,
@@ -45,7 +68,9 @@ function cardToPlayer(card) {
 
 /**
  * Convert database roster to game engine roster format
- * 11-player roster: QB, RB, WR×2, TE, OL, DL, LB, DB×2, K
+ * 12-player roster: QB, RB, WR×2, TE, OL, DL, LB, DB×2, K, P
+ * plus bench: { QB, RB, ... } for the positions that have a backup.
+ * Injured cards sit out.
  */
 function dbRosterToEngineRoster(fullRoster) {
   const { roster, cards } = fullRoster;
@@ -62,28 +87,49 @@ function dbRosterToEngineRoster(fullRoster) {
     DBs: [],
     K: null,
     P: null,
+    bench: {},
   };
   
+  // Healthy backups; one starts in place of a missing or injured starter
+  const backups = {};
+  for (const [slot, position] of Object.entries(BENCH_SLOTS)) {
+    if (cards[slot] && !isInjured(cards[slot])) backups[position] = cards[slot];
+  }
+  const starter = (slot, position) => {
+    const card = cards[slot];
+    if (card && !isInjured(card)) return cardToPlayer(card);
+    const backup = backups[position];
+    if (!backup) return null;
+    delete backups[position];
+    return cardToPlayer(backup);
+  };
+  const add = (list, player) => { if (player) list.push(player); };
+  
   // Map 11 slots to engine positions
-  if (cards.qb_card_id) engineRoster.QB = cardToPlayer(cards.qb_card_id);
+  engineRoster.QB = starter('qb_card_id', 'QB');
+  
+  add(engineRoster.RBs, starter('rb_card_id', 'RB'));
   
-  if (cards.rb_card_id) engineRoster.RBs.push(cardToPlayer(cards.rb_card_id));
+  add(engineRoster.WRs, starter('wr1_card_id', 'WR'));
+  add(engineRoster.WRs, starter('wr2_card_id', 'WR'));
   
-  if (cards.wr1_card_id) engineRoster.WRs.push(cardToPlayer(cards.wr1_card_id));
-  if (cards.wr2_card_id) engineRoster.WRs.push(cardToPlayer(cards.wr2_card_id));
+  engineRoster.TE = starter('te_card_id', 'TE');
   
-  if (cards.te_card_id) engineRoster.TE = cardToPlayer(cards.te_card_id);
+  add(engineRoster.OLs, starter('ol_card_id', 'OL'));
   
-  if (cards.ol_card_id) engineRoster.OLs.push(cardToPlayer(cards.ol_card_id));
+  add(engineRoster.DLs, starter('dl_card_id', 'DL'));
   
-  if (cards.dl_card_id) engineRoster.DLs.push(cardToPlayer(cards.dl_card_id));
+  add(engineRoster.LBs, starter('lb_card_id', 'LB'));
   
-  if (cards.lb_card_id) engineRoster.LBs.push(cardToPlayer(cards.lb_card_id));
+  add(engineRoster.DBs, starter('db1_card_id', 'DB'));
+  add(engineRoster.DBs, starter('db2_card_id', 'DB'));
   
-  if (cards.db1_card_id) engineRoster.DBs.push(cardToPlayer(cards.db1_card_id));
-  if (cards.db2_card_id) engineRoster.DBs.push(cardToPlayer(cards.db2_card_id));
+  engineRoster.K = starter('k_card_id', 'K');
+  engineRoster.P = starter('p_card_id', 'P');
   
-  if (cards.k_card_id) engineRoster.K = cardToPlayer(cards.k_card_id);
+  for (const [position, card] of Object.entries(backups)) {
+    engineRoster.bench[position] = cardToPlayer(card);
+  }
   
   // Fill in missing positions with defaults
   return fillMissingPositions(engineRoster);
@@ -121,11 +167,11 @@ function fillMissingPositions(roster) {
 /**
  * Calculate tier sums from full roster (for tier cap validation)
  * @param {object} fullRoster - { roster, cards } from db.getFullRoster
- * @returns {{ offense: number, defense: number }}
+ * @returns {{ offense: number, defense: number, specialTeams: number }}
  */
 function calculateTierSums(fullRoster) {
   const { cards } = fullRoster;
-  if (!cards) return { offense: 0, defense: 0 };
+  if (!cards) return { offense: 0, defense: 0, specialTeams: 0 };
   
   const offenseSlots = ['qb_card_id', 'rb_card_id', 'wr1_card_id', 'wr2_card_id', 'te_card_id', 'ol_card_id'];
   const defenseSlots = ['dl_card_id', 'lb_card_id', 'db1_card_id', 'db2_card_id'];
@@ -142,24 +188,27 @@ function calculateTierSums(fullRoster) {
     if (card?.tier) defenseSum += card.tier;
   }
   
-  return { offense: offenseSum, defense: defenseSum };
+  const specialTeamsSum = (cards.k_card_id?.tier || 0) + (cards.p_card_id?.tier || 0);
+  
+  return { offense: offenseSum, defense: defenseSum, specialTeams: specialTeamsSum };
 }
 
 /**
- * Check if a roster is over the tier cap (offense or defense)
+ * Check if a roster is over the tier cap (offense, defense or special teams)
  * @param {object} fullRoster - { roster, cards } from db.getFullRoster
  * @returns {boolean}
  */
 function isOverTierCap(fullRoster) {
   const sums = calculateTierSums(fullRoster);
-  return sums.offense > OFFENSE_TIER_CAP || sums.defense > DEFENSE_TIER_CAP;
+  return sums.offense > OFFENSE_TIER_CAP || sums.defense > DEFENSE_TIER_CAP || sums.specialTeams > SPECIAL_TEAMS_TIER_CAP;
 }
 
 /**
  * Run a game simulation from database rosters
  * If a team's roster is over tier cap, their strategy defaults to balanced.
+ * Pass options.seed to fix the PRNG; the result carries the seed and roster snapshot.
  */
-function simulateGameFromDB(homeFullRoster, awayFullRoster) {
+function simulateGameFromDB(homeFullRoster, awayFullRoster, options = {}) {
   const homeRoster = dbRosterToEngineRoster(homeFullRoster);
   const awayRoster = dbRosterToEngineRoster(awayFullRoster);
   
@@ -167,7 +216,55 @@ function simulateGameFromDB(homeFullRoster, awayFullRoster) {
   const homeForceBalanced = isOverTierCap(homeFullRoster);
   const awayForceBalanced = isOverTierCap(awayFullRoster);
   
-  const result = simulateGame(homeRoster, awayRoster, { homeForceBalanced, awayForceBalanced });
+  // Snapshot of exactly what the engine was given, so the game can be replayed
+  // from its seed even after cards or rosters change.
+  const rosters = JSON.parse(JSON.stringify({
+    home: homeRoster,
+    away: awayRoster,
+    homeForceBalanced,
+    awayForceBalanced,
+    homeGamePlan: homeFullRoster?.roster?.game_plan || null,
+    awayGamePlan: awayFullRoster?.roster?.game_plan || null,
+  }));
+  
+  const result = replayGame(rosters, options.seed);
+  return { ...result, rosters, playHash: hashPlays(result.plays) };
+}
+
+/**
+ * SHA-256 of the serialized play-by-play (used to verify replays byte for byte)
+ */
+function hashPlays(plays) {
+  return crypto.createHash('sha256').update(JSON.stringify(plays || [])).digest('hex');
+}
+
+// JSON with object keys sorted (Postgres JSONB does not keep key order)
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Are two play-by-plays the same, value for value? Key order is ignored, and
+ * both sides go through JSON first the way stored plays did.
+ */
+function samePlays(a, b) {
+  return canonicalJson(JSON.parse(JSON.stringify(a || []))) === canonicalJson(JSON.parse(JSON.stringify(b || [])));
+}
+
+/**
+ * Re-run a game from a roster snapshot and seed
+ * @param {object} rosters - { home, away, homeForceBalanced, awayForceBalanced, homeGamePlan, awayGamePlan } from simulateGameFromDB
+ * @param {number} seed - Seed the game was originally played with
+ */
+function replayGame(rosters, seed) {
+  // Engine may annotate players, so always simulate on a fresh copy
+  const { home, away, homeForceBalanced, awayForceBalanced, homeGamePlan, awayGamePlan } = JSON.parse(JSON.stringify(rosters));
+  
+  const result = simulateGame(home, away, { homeForceBalanced, awayForceBalanced, homeGamePlan, awayGamePlan, seed });
   
   // Process plays to identify touchdowns and scoring plays
   const processedPlays = [];
@@ -198,12 +295,15 @@ function simulateGameFromDB(homeFullRoster, awayFullRoster) {
   );
   
   return {
+    seed: result.seed,
     homeScore: result.homeScore,
     awayScore: result.awayScore,
     winner: result.winner,
     plays: processedPlays,
     homeStats: result.homeStats,
     awayStats: result.awayStats,
+    boxScore: result.boxScore,
+    injuries: result.injuries,
     summary: {
       totalPlays: processedPlays.length,
       keyPlays: keyPlays.slice(0, 15),
@@ -217,6 +317,36 @@ function simulateGameFromDB(homeFullRoster, awayFullRoster) {
   };
 }
 
+/**
+ * Re-run a recorded game and check it against what was stored: the plays
+ * themselves, the hash taken when it was recorded, and the final score
+ * @param {object} game - Row from db.getGame (needs seed and replay_rosters)
+ */
+function verifyReplay(game) {
+  const rosters = typeof game.replay_rosters === 'string' ? JSON.parse(game.replay_rosters) : game.replay_rosters;
+  const storedPlays = typeof game.play_by_play === 'string' ? JSON.parse(game.play_by_play) : game.play_by_play;
+  const replay = replayGame(rosters, Number(game.seed));
+  const replayHash = hashPlays(replay.plays);
+
+  // Rows from before play hashes were kept only have their plays to go on
+  const originalHash = game.play_hash || hashPlays(storedPlays);
+  const hashMatches = !game.play_hash || game.play_hash === replayHash;
+  const playsMatch = samePlays(replay.plays, storedPlays);
+  return {
+    matches: hashMatches && playsMatch
+      && replay.homeScore === game.home_score
+      && replay.awayScore === game.away_score,
+    playsMatch,
+    original: { homeScore: game.home_score, awayScore: game.away_score, playHash: originalHash },
+    replay: {
+      homeScore: replay.homeScore,
+      awayScore: replay.awayScore,
+      playHash: replayHash,
+      totalPlays: replay.plays.length,
+    },
+  };
+}
+
 /**
  * Score for default sort: tier then composite
  */
@@ -226,6 +356,30 @@ function defaultScore(card) {
   return t * 1000 + c;
 }
 
+/**
+ * Best kicker and punter that fit under the special teams cap together
+ * @returns {Object} { k_card_id?, p_card_id? }
+ */
+function pickSpecialTeams(cards, cap = SPECIAL_TEAMS_TIER_CAP) {
+  const byScore = (position) => [
+    ...cards.filter(c => c.position === position).sort((a, b) => defaultScore(b) - defaultScore(a)),
+    null,
+  ];
+  let best = null;
+  for (const k of byScore('K')) {
+    for (const p of byScore('P')) {
+      if ((k?.tier || 0) + (p?.tier || 0) > cap) continue;
+      const score = (k ? defaultScore(k) : 0) + (p ? defaultScore(p) : 0);
+      if (!best || score > best.score) best = { k, p, score };
+      break; // Punters are sorted best first
+    }
+  }
+  const slots = {};
+  if (best?.k) slots.k_card_id = best.k.id;
+  if (best?.p) slots.p_card_id = best.p.id;
+  return slots;
+}
+
 /**
  * Auto-fill roster slots with best available cards, respecting tier cap.
  * @param {Array} cards - user's cards
@@ -354,8 +508,7 @@ function autoFillRoster(cards, strategy = 'balanced', defenseStrategy = 'base_de
     if (dbs[1]) slots.db2_card_id = dbs[1].id;
   }
 
-  const ks = (byPosition['K'] || []).sort(defaultSort);
-  if (ks[0]) slots.k_card_id = ks[0].id;
+  Object.assign(slots, pickSpecialTeams(cards, tierCap ? SPECIAL_TEAMS_TIER_CAP : Infinity));
 
   // If tier cap is set, check and adjust if over (separate offense and defense caps)
   if (tierCap !== null && typeof tierCap === 'object') {
@@ -386,7 +539,7 @@ function autoFillRoster(cards, strategy = 'balanced', defenseStrategy = 'base_de
     const slotToPosition = {
       qb_card_id: 'QB', rb_card_id: 'RB', wr1_card_id: 'WR', wr2_card_id: 'WR',
       te_card_id: 'TE', ol_card_id: 'OL', dl_card_id: 'DL', lb_card_id: 'LB',
-      db1_card_id: 'DB', db2_card_id: 'DB', k_card_id: 'K'
+      db1_card_id: 'DB', db2_card_id: 'DB', k_card_id: 'K', p_card_id: 'P'
     };
     
     // Downgrade function for a specific side
@@ -603,8 +756,8 @@ function autoFillToOffenseRatio(cards, targetRatio = 1.0, tierCap = null) {
   const db1 = pickBest('DB'); if (db1) slots.db1_card_id = db1.id;
   const db2 = pickBest('DB'); if (db2) slots.db2_card_id = db2.id;
   
-  // Fill K
-  const k = pickBest('K'); if (k) slots.k_card_id = k.id;
+  // Fill K and P
+  Object.assign(slots, pickSpecialTeams(cards, tierCap ? SPECIAL_TEAMS_TIER_CAP : Infinity));
   
   // Apply tier cap if needed (reuse existing logic)
   if (tierCap) {
@@ -1128,10 +1281,17 @@ function generateDefensePresets(cards, tierCap = null) {
 }
 
 module.exports = {
+  SPECIAL_TEAMS_TIER_CAP,
+  BENCH_SLOTS,
+  isInjured,
   cardToPlayer,
   dbRosterToEngineRoster,
   fillMissingPositions,
   simulateGameFromDB,
+  replayGame,
+  verifyReplay,
+  hashPlays,
+  samePlays,
   autoFillRoster,
   autoFillToOffenseRatio,
   autoFillToDefenseRatio,
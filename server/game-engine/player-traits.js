@@ -89,7 +89,7 @@ const BASE_FIELDS = {
   LB: ['tackles_pg', 'pd_pg', 'int_pg', 'ff_pg'],
   DB: ['tackles_pg', 'pd_pg', 'int_pg', 'ff_pg'],
   K: ['fgm_pg', 'xpm_pg', 'scoring_fg%'],
-  P: [], // dataset appears sparse here
+  P: ['punting_y/p', 'punting_ny/a', 'punting_in20%'], // Gross avg, net avg, inside-20 rate
 };
 
 // Derived metrics for percentiles/traits
@@ -144,6 +144,15 @@ function computeDerived(pos, stats) {
     out.xpMade = safeNum(stats.xpm_pg);
   }
 
+  if (pos === 'P') {
+    const gross = safeNum(stats['punting_y/p']);
+    const net = safeNum(stats['punting_ny/a']);
+    out.gross = gross;
+    out.net = net;
+    out.coverage = (gross != null && net != null) ? -(gross - net) : null; // fewer return yards given up; higher is better
+    out.pinned = safeNum(stats['punting_in20%']);
+  }
+
   return out;
 }
 
@@ -308,7 +317,7 @@ function buildEngineForCard({ player_name, player, season, position, tier, compo
     DB: ['tackling', 'coverage', 'ballhawk', 'disruption'],
     K: ['fgPct', 'fgMade', 'xpMade'],
     OL: [],
-    P: [],
+    P: ['gross', 'net', 'coverage', 'pinned'],
   };
 
   const pctPack = { ...derivedPcts };
@@ -379,6 +388,11 @@ function buildEngineForCard({ player_name, player, season, position, tier, compo
     traits.accuracy = clamp100(pctPack.fgPct ?? 50);
     traits.range = clamp100(pctPack.fgMade ?? 50);
     traits.clutch = clamp100(pctPack.xpMade ?? 50); // XP consistency as clutch proxy
+  } else if (pos === 'P') {
+    // Power: distance, Hang: hang time (little to return), Placement: pins inside the 20
+    traits.power = clamp100(pctPack.gross ?? 50);
+    traits.hang = clamp100(pctPack.coverage ?? (pctPack.net ?? 50));
+    traits.placement = clamp100(pctPack.pinned ?? 50);
   }
 
   // ==========================================================================
@@ -0,0 +1,146 @@
+/**
+ * Box Score
+ * ==========
+ * Aggregates per-player stat lines from attributed play-by-play.
+ */
+
+/**
+ * Empty box score for one team
+ */
+function createTeamBox() {
+  return {
+    passing: {},
+    rushing: {},
+    receiving: {},
+    defense: {},
+    kicking: {},
+    punting: {},
+  };
+}
+
+function playerKey(ref) {
+  return ref.cardId != null ? `card_${ref.cardId}` : `name_${ref.name}`;
+}
+
+/**
+ * Get (or create) a player's line within a box score category
+ */
+function line(category, ref, defaults) {
+  const key = playerKey(ref);
+  if (!category[key]) {
+    category[key] = { cardId: ref.cardId ?? null, name: ref.name, position: ref.position, ...defaults };
+  }
+  return category[key];
+}
+
+const PASSING = { completions: 0, attempts: 0, yards: 0, touchdowns: 0, interceptions: 0, sacked: 0, long: 0 };
+const RUSHING = { attempts: 0, yards: 0, touchdowns: 0, fumbles: 0, long: 0 };
+const RECEIVING = { receptions: 0, targets: 0, yards: 0, touchdowns: 0, long: 0 };
+const DEFENSE = { tackles: 0, sacks: 0, interceptions: 0, forcedFumbles: 0 };
+const KICKING = { fgMade: 0, fgAttempts: 0, long: 0, xpMade: 0, xpAttempts: 0 };
+const PUNTING = { punts: 0, yards: 0, long: 0 };
+
+/**
+ * Build a box score from the game's plays
+ * Offense is the play's `possession` team for scrimmage plays, XPs, FGs and punts.
+ * Kickoffs aren't credited (their `possession` is the receiving team).
+ * @param {array} plays - state.plays from the game engine
+ * @returns {object} - { home, away } each with passing/rushing/receiving/defense/kicking/punting arrays
+ */
+function buildBoxScore(plays) {
+  const teams = { home: createTeamBox(), away: createTeamBox() };
+  const other = (side) => (side === 'home' ? 'away' : 'home');
+
+  for (const play of plays || []) {
+    const side = play.possession;
+    if (side !== 'home' && side !== 'away') continue;
+    const off = teams[side];
+    const def = teams[other(side)];
+    const yards = play.yards || 0;
+    const td = !!play.touchdown;
+
+    if (play.type === 'pass' || play.type === 'run') {
+      if (play.result === 'sack') {
+        if (play.passer) line(off.passing, play.passer, PASSING).sacked++;
+        if (play.sacker) {
+          const d = line(def.defense, play.sacker, DEFENSE);
+          d.sacks++;
+          d.tackles++;
+        }
+        continue;
+      }
+
+      if (play.result === 'scramble' || play.type === 'run') {
+        if (play.rusher) {
+          const r = line(off.rushing, play.rusher, RUSHING);
+          r.attempts++;
+          r.yards += yards;
+          r.long = Math.max(r.long, yards);
+          if (td) r.touchdowns++;
+          if (play.result === 'fumble' || play.turnoverType === 'fumble') r.fumbles++;
+        }
+      } else if (play.passer) {
+        const p = line(off.passing, play.passer, PASSING);
+        p.attempts++;
+        if (play.receiver) line(off.receiving, play.receiver, RECEIVING).targets++;
+        if (play.result === 'complete') {
+          p.completions++;
+          p.yards += yards;
+          p.long = Math.max(p.long, yards);
+          if (td) p.touchdowns++;
+          if (play.receiver) {
+            const rec = line(off.receiving, play.receiver, RECEIVING);
+            rec.receptions++;
+            rec.yards += yards;
+            rec.long = Math.max(rec.long, yards);
+            if (td) rec.touchdowns++;
+          }
+        } else if (play.result === 'interception') {
+          p.interceptions++;
+          if (play.interceptor) line(def.defense, play.interceptor, DEFENSE).interceptions++;
+        }
+      }
+
+      if (play.tackler) {
+        const d = line(def.defense, play.tackler, DEFENSE);
+        d.tackles++;
+        if (play.turnoverType === 'fumble') d.forcedFumbles++;
+      }
+      continue;
+    }
+
+    if (play.type === 'field_goal' && play.kicker) {
+      const k = line(off.kicking, play.kicker, KICKING);
+      k.fgAttempts++;
+      if (play.result === 'good') {
+        k.fgMade++;
+        k.long = Math.max(k.long, play.distance || 0);
+      }
+    } else if (play.type === 'extra_point' && play.kicker) {
+      const k = line(off.kicking, play.kicker, KICKING);
+      k.xpAttempts++;
+      if (play.result === 'good') k.xpMade++;
+    } else if (play.type === 'punt' && play.punter) {
+      const pt = line(off.punting, play.punter, PUNTING);
+      pt.punts++;
+      pt.yards += play.distance || 0;
+      pt.long = Math.max(pt.long, play.distance || 0);
+    }
+  }
+
+  // Flatten to arrays, biggest contributors first
+  const flatten = (box) => ({
+    passing: Object.values(box.passing).sort((a, b) => b.attempts - a.attempts),
+    rushing: Object.values(box.rushing).sort((a, b) => b.yards - a.yards),
+    receiving: Object.values(box.receiving).sort((a, b) => b.yards - a.yards),
+    defense: Object.values(box.defense).sort((a, b) => (b.tackles + b.sacks * 2 + b.interceptions * 3) - (a.tackles + a.sacks * 2 + a.interceptions * 3)),
+    kicking: Object.values(box.kicking),
+    punting: Object.values(box.punting),
+  });
+
+  return { home: flatten(teams.home), away: flatten(teams.away) };
+}
+
+module.exports = {
+  buildBoxScore,
+};
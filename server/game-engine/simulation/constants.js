@@ -201,6 +201,14 @@ const PLAY_OUTCOMES = {
     // Punting
     PUNT_DISTANCE_BASE: 42,
     PUNT_DISTANCE_PER_TIER: 3,
+    // Punter traits (0-100, 50 = average; punters without traits use tier only)
+    PUNT_POWER_YARDS: 0.12,       // Yards per power point above 50
+    PUNT_HANG_BASE: 4.2,          // Seconds
+    PUNT_HANG_PER_POINT: 0.012,   // Seconds per hang point above 50
+    PUNT_FAIR_CATCH_BASE: 0.6,
+    PUNT_FAIR_CATCH_PER_SEC: 0.5, // Fair catch chance per second of extra hang
+    PUNT_RETURN_PER_SEC: 10,      // Return yards taken off per second of extra hang
+    PUNT_PIN_MAX: 0.6,            // Chance a 100-placement punter downs a would-be touchback
     
     // Kickoffs
     TOUCHBACK_CHANCE: 0.60,
@@ -412,6 +420,80 @@ const DRIVE = {
   SHORT_YARDAGE: 2,               // Go for it if 2 or fewer yards
 };
 
+// =============================================================================
+// SUBSTITUTIONS (bench players - see substitutions.js)
+// =============================================================================
+
+const SUBSTITUTION = {
+  // Fatigue a starter gains per snap on the field
+  FATIGUE_PER_SNAP: {
+    QB: 1,
+    RB: 5,
+    WR: 3,
+    TE: 3,
+    OL: 2,
+    DL: 4,
+    LB: 3,
+    DB: 3,
+  },
+  SIDELINE_RECOVERY: 2,           // Per play while the player's unit is off the field
+  BENCH_RECOVERY: 8,              // Per play while subbed out to rest
+  TIRED: 100,                     // Backup comes in at this fatigue
+  RESTED: 40,                     // Starter goes back in at or below this
+};
+
+// =============================================================================
+// INJURIES (rolled on contact plays - see plays.js rollInjuries)
+// =============================================================================
+
+const INJURY = {
+  // Chance per contact (ball carrier, receiver, tackler, sacked QB), scaled by
+  // position and workload: chance * POSITION_RISK * (1 + fatigue / 100)
+  CHANCE: 0.002,
+  SACK_CHANCE: 0.01,              // QB taking a sack
+  POSITION_RISK: {
+    QB: 0.8,
+    RB: 1.4,
+    WR: 1.0,
+    TE: 1.1,
+    OL: 0.9,
+    DL: 1.0,
+    LB: 1.1,
+    DB: 0.9,
+  },
+
+  // Every injury ends the player's game; severity sets how many scheduled
+  // games the card misses after it
+  SEVERITIES: [
+    { severity: 'minor',    weight: 0.55, games: [1, 1] },
+    { severity: 'moderate', weight: 0.35, games: [2, 3] },
+    { severity: 'severe',   weight: 0.10, games: [4, 8] },
+  ],
+};
+
+// =============================================================================
+// GAME PLAN (the coach's play-calling tendencies - see server/game-plan.js)
+// =============================================================================
+
+// Each setting is a level from MIN_LEVEL to MAX_LEVEL; 0 is the engine's own
+// play-calling, so a team without a plan plays exactly as before
+const GAME_PLAN = {
+  MIN_LEVEL: -2,
+  MAX_LEVEL: 2,
+  PASS_TENDENCY_PER_LEVEL: 0.06,  // runPassBias: added to the pass/run roll
+  DEEP_SHOT_PER_LEVEL: 0.05,      // deepShots: moved from short passes to deep ones
+  FOURTH_DOWN_PER_LEVEL: 0.12,    // fourthDown: added to each go-for-it chance
+  FOURTH_DOWN_YARDS_PER_LEVEL: 1, // fourthDown > 0: longer 4th downs count as short yardage
+  FOURTH_AND_LONG_PER_LEVEL: 0.08, // fourthDown > 0: chance of going for it on a longer 4th down past midfield
+  FOURTH_AND_LONG_MAX_YARDS: 7,   // ...as long as it's no longer than this
+  FIELD_GOAL_YARDS_PER_LEVEL: 3,  // fourthDown < 0: longest field goal tried instead of a punt grows by this
+  TWO_MINUTE_SECONDS: 120,        // twoMinuteTempo applies inside the last 2:00 of a half
+  TEMPO_PER_LEVEL: 0.15,          // twoMinuteTempo: fraction of each play's clock saved
+  BLITZ_CHANCE_PER_LEVEL: 0.15,   // blitzRate: chance per pass play of a called blitz (or, below 0, a drop into coverage)
+  BLITZ_RUSH_TIERS: 2,            // Pass rush tier bonus on a blitz
+  BLITZ_COVERAGE_TIERS: 1.5,      // Coverage tier given up on a blitz
+};
+
 // =============================================================================
 // EXPORTS
 // =============================================================================
@@ -426,6 +508,9 @@ module.exports = {
   SITUATION,
   SCORING,
   DRIVE,
+  SUBSTITUTION,
+  INJURY,
+  GAME_PLAN,
   OFFENSIVE_STRATEGIES,
   DEFENSIVE_STRATEGIES,
   STRATEGY_MATCHUP_MODIFIERS,
@@ -4,7 +4,7 @@
  * Main game loop with clock, scoring, and drive management.
  */
 
-const { GAME, SCORING, DRIVE, STRATEGY_BOOST_AMOUNT } = require('./constants');
+const { GAME, SCORING, DRIVE, GAME_PLAN, STRATEGY_BOOST_AMOUNT } = require('./constants');
 const {
   calculateTeamRatings,
   getOffensiveStrategyFromRatings,
@@ -17,8 +17,11 @@ const {
   simulateExtraPoint,
   simulatePunt,
   simulateKickoff,
+  planLevel,
 } = require('./plays');
-const { roll } = require('./matchups');
+const { buildBoxScore } = require('./boxscore');
+const { initSubstitutions, recordSnap, makeSubstitutions } = require('./substitutions');
+const { roll, generateSeed, createRng, withRng } = require('./matchups');
 
 // =============================================================================
 // GAME STATE
@@ -63,6 +66,10 @@ function applyRosterBoosts(roster, multipliers) {
     LBs: roster.LBs ? boostArray(roster.LBs, 'LB') : undefined,
     DBs: boostArray(roster.DBs, 'DB'),
     K: boostTier(roster.K, 'K'),
+    // Backups get the same boost as the starters they replace
+    bench: roster.bench
+      ? Object.fromEntries(Object.entries(roster.bench).map(([pos, p]) => [pos, boostTier(p, pos)]))
+      : undefined,
   };
 }
 
@@ -70,10 +77,14 @@ function applyRosterBoosts(roster, multipliers) {
  * Create initial game state with strategy-based rating boosts
  * @param {object} homeRoster - Home team roster
  * @param {object} awayRoster - Away team roster
- * @param {object} options - Options: { homeForceBalanced, awayForceBalanced }
+ * @param {object} options - Options: { homeForceBalanced, awayForceBalanced, homeGamePlan, awayGamePlan, seed }
  */
 function createGameState(homeRoster, awayRoster, options = {}) {
-  const { homeForceBalanced = false, awayForceBalanced = false } = options;
+  const { homeForceBalanced = false, awayForceBalanced = false, homeGamePlan = null, awayGamePlan = null } = options;
+  
+  // Seeded PRNG - every random decision in this game flows through it
+  const seed = Number.isInteger(options.seed) ? options.seed >>> 0 : generateSeed();
+  const rng = createRng(seed);
   
   // Step 1: Calculate BASE ratings (no boosts) to derive strategies
   const homeBaseRatings = calculateTeamRatings(homeRoster);
@@ -114,7 +125,11 @@ function createGameState(homeRoster, awayRoster, options = {}) {
   const homeBoostedRatings = calculateTeamRatings(homeBoostedRoster, homeStrategyContext);
   const awayBoostedRatings = calculateTeamRatings(awayBoostedRoster, awayStrategyContext);
   
-  return {
+  const state = {
+    // Randomness
+    seed,
+    rng,
+    
     // Scores
     homeScore: 0,
     awayScore: 0,
@@ -124,7 +139,7 @@ function createGameState(homeRoster, awayRoster, options = {}) {
     timeRemaining: GAME.QUARTER_LENGTH, // Seconds remaining in quarter
     
     // Possession
-    possession: roll() < 0.5 ? 'home' : 'away', // Coin flip
+    possession: rng() < 0.5 ? 'home' : 'away', // Coin flip
     receivingSecondHalf: null, // Set after coin flip
     
     // Field position
@@ -143,6 +158,7 @@ function createGameState(homeRoster, awayRoster, options = {}) {
       ratings: homeBoostedRatings,
       offensiveStrategy: homeOffStrategy,
       defensiveStrategy: homeDefStrategy,
+      gamePlan: homeGamePlan,  // Coach's play-calling tendencies (null = engine defaults)
       stats: createTeamStats(),
     },
     away: {
@@ -150,6 +166,7 @@ function createGameState(homeRoster, awayRoster, options = {}) {
       ratings: awayBoostedRatings,
       offensiveStrategy: awayOffStrategy,
       defensiveStrategy: awayDefStrategy,
+      gamePlan: awayGamePlan,
       stats: createTeamStats(),
     },
     
@@ -157,6 +174,11 @@ function createGameState(homeRoster, awayRoster, options = {}) {
     gameOver: false,
     winner: null,
   };
+  
+  // Bench players (fatigue and injury substitutions)
+  initSubstitutions(state);
+  
+  return state;
 }
 
 /**
@@ -313,7 +335,7 @@ function runOvertime(state) {
   state.otSuddenDeath = false;
   
   // Coin toss - random team receives
-  const otReceiver = Math.random() < 0.5 ? 'home' : 'away';
+  const otReceiver = roll() < 0.5 ? 'home' : 'away';
   state.possession = otReceiver;
   
   state.plays.push({
@@ -435,7 +457,7 @@ function runOvertime(state) {
     state.winner = 'away';
   } else {
     // Extremely rare - true tie after max plays
-    state.winner = Math.random() < 0.5 ? 'home' : 'away'; // Coin flip to avoid ties
+    state.winner = roll() < 0.5 ? 'home' : 'away'; // Coin flip to avoid ties
   }
 }
 
@@ -579,6 +601,11 @@ function switchPossession(state, newFieldPosition) {
 
 /**
  * Decide what to do on 4th down
+ * The offense's game plan (fourthDown) shifts each go-for-it chance. When
+ * aggressive it treats longer 4th downs as short yardage and sometimes goes
+ * for it on 4th and long past midfield (instead of the kick or punt); when
+ * cautious it tries longer field goals rather than punting. Normal (0) rolls
+ * and decides exactly as before, so replays of old games don't change.
  */
 function decide4thDown(state) {
   const fieldPosition = state.fieldPosition;
@@ -592,6 +619,11 @@ function decide4thDown(state) {
   const inFGRange = fieldPosition >= 55;
   const fgDistance = 100 - fieldPosition + 17;
   
+  const aggression = planLevel(state[state.possession].gamePlan, 'fourthDown');
+  const goChance = (base) => base + aggression * GAME_PLAN.FOURTH_DOWN_PER_LEVEL;
+  const shortYardage = DRIVE.SHORT_YARDAGE + Math.max(0, aggression) * GAME_PLAN.FOURTH_DOWN_YARDS_PER_LEVEL;
+  const maxFieldGoal = 55 - Math.min(0, aggression) * GAME_PLAN.FIELD_GOAL_YARDS_PER_LEVEL;
+  
   // Desperation mode - must score
   if (state.quarter === 4 && timeRemaining < 120 && scoreDiff < 0) {
     if (fieldPosition > 60 || yardsToGo <= 3) {
@@ -600,23 +632,27 @@ function decide4thDown(state) {
   }
   
   // Short yardage - often go for it
-  if (yardsToGo <= DRIVE.SHORT_YARDAGE) {
+  if (yardsToGo <= shortYardage) {
     // Own territory - usually punt unless desperate
     if (fieldPosition < 40) {
-      return roll() < 0.15 ? 'go_for_it' : 'punt';
+      return roll() < goChance(0.15) ? 'go_for_it' : 'punt';
     }
     // Midfield - more aggressive
     if (fieldPosition < 60) {
-      return roll() < 0.40 ? 'go_for_it' : (inFGRange ? 'field_goal' : 'punt');
+      return roll() < goChance(0.40) ? 'go_for_it' : (inFGRange ? 'field_goal' : 'punt');
     }
     // Red zone - almost always go for it or kick
     if (fieldPosition >= 60) {
-      return roll() < 0.50 ? 'go_for_it' : 'field_goal';
+      return roll() < goChance(0.50) ? 'go_for_it' : 'field_goal';
     }
   }
   
   // Longer yardage
-  if (inFGRange && fgDistance <= 55) {
+  if (aggression > 0 && fieldPosition >= 50 && yardsToGo <= GAME_PLAN.FOURTH_AND_LONG_MAX_YARDS
+      && roll() < aggression * GAME_PLAN.FOURTH_AND_LONG_PER_LEVEL) {
+    return 'go_for_it';
+  }
+  if (inFGRange && fgDistance <= maxFieldGoal) {
     return 'field_goal';
   }
   
@@ -632,7 +668,13 @@ function decide4thDown(state) {
  */
 function runPlay(state) {
   if (state.gameOver) return;
-  
+  withRng(state.rng, () => runPlayWithRng(state));
+}
+
+/**
+ * Body of runPlay - assumes the game's PRNG is already active
+ */
+function runPlayWithRng(state) {
   const offenseKey = state.possession;
   const defenseKey = state.possession === 'home' ? 'away' : 'home';
   
@@ -650,6 +692,16 @@ function runPlay(state) {
       : state.awayScore - state.homeScore,
   };
   
+  // Bring in backups for injured or tired starters (and rested starters back)
+  for (const sub of makeSubstitutions(state)) {
+    state.plays.push({
+      ...sub,
+      quarter: state.quarter,
+      time: formatTime(state.timeRemaining),
+      possession: state.possession,
+    });
+  }
+  
   // Simulate the play
   const playResult = simulatePlay(offense, defense, situation);
   
@@ -689,6 +741,9 @@ function runPlay(state) {
   }
   offense.stats.totalYards = offense.stats.passingYards + offense.stats.rushingYards;
   
+  // Fatigue and injuries from this snap
+  recordSnap(state, offenseKey, play);
+  
   // Advance clock
   advanceClock(state, playResult.timeElapsed);
   
@@ -705,6 +760,8 @@ function runPlay(state) {
   
   // Touchdown check
   if (state.fieldPosition >= 100) {
+    play.touchdown = true;
+    play.tackler = null; // Nobody made the stop
     handleTouchdown(state);
     return;
   }
@@ -758,13 +815,27 @@ function runPlay(state) {
 
 /**
  * Simulate a complete game
+ * Pass options.seed to reproduce a previous game exactly; otherwise a new seed
+ * is generated and returned with the result.
  */
 function simulateGame(homeRoster, awayRoster, options = {}) {
-  const { verbose = false, maxPlays = 300, homeForceBalanced = false, awayForceBalanced = false } = options;
+  const {
+    verbose = false, maxPlays = 300, homeForceBalanced = false, awayForceBalanced = false,
+    homeGamePlan = null, awayGamePlan = null, seed,
+  } = options;
   
   // Initialize game state (pass forceBalanced flags for over-cap penalty)
-  const state = createGameState(homeRoster, awayRoster, { homeForceBalanced, awayForceBalanced });
+  const state = createGameState(homeRoster, awayRoster, {
+    homeForceBalanced, awayForceBalanced, homeGamePlan, awayGamePlan, seed,
+  });
   
+  return withRng(state.rng, () => playGame(state, { verbose, maxPlays }));
+}
+
+/**
+ * Play out a game from its initial state (the game's PRNG must be active)
+ */
+function playGame(state, { verbose, maxPlays }) {
   // Set who receives second half
   state.receivingSecondHalf = state.possession === 'home' ? 'away' : 'home';
   
@@ -796,6 +867,7 @@ function simulateGame(homeRoster, awayRoster, options = {}) {
   }
   
   return {
+    seed: state.seed,
     homeScore: state.homeScore,
     awayScore: state.awayScore,
     winner: state.winner,
@@ -806,6 +878,8 @@ function simulateGame(homeRoster, awayRoster, options = {}) {
     awayStats: state.away.stats,
     homeRatings: state.home.ratings,
     awayRatings: state.away.ratings,
+    boxScore: buildBoxScore(state.plays),
+    injuries: state.injuries,
   };
 }
 
@@ -91,6 +91,9 @@ function applyEffectiveTiersToRoster(roster) {
     DLs: cloneArr(roster.DLs),
     LBs: cloneArr(roster.LBs),
     DBs: cloneArr(roster.DBs),
+    bench: roster.bench
+      ? Object.fromEntries(Object.entries(roster.bench).map(([pos, p]) => [pos, clonePlayer(p)]))
+      : roster.bench,
   };
 }
 
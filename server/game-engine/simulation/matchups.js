@@ -10,11 +10,53 @@ const { tierToRating, PLAY_OUTCOMES } = require('./constants');
 // UTILITY FUNCTIONS
 // =============================================================================
 
+// Active random source. Defaults to Math.random; a seeded source is swapped in
+// for the duration of a game so results can be reproduced from the seed.
+let activeRandom = Math.random;
+
+/**
+ * Generate a new 32-bit game seed
+ */
+function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Create a seeded PRNG (mulberry32)
+ * @param {number} seed - 32-bit integer seed
+ * @returns {function} - Returns a number 0-1 on each call
+ */
+function createRng(seed) {
+  let a = seed >>> 0;
+  return function rng() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Run fn with rng as the source for roll()/rollNormal(), restoring the previous
+ * source afterwards (simulation is synchronous, so this is safe to nest).
+ */
+function withRng(rng, fn) {
+  if (!rng) return fn();
+  const previous = activeRandom;
+  activeRandom = rng;
+  try {
+    return fn();
+  } finally {
+    activeRandom = previous;
+  }
+}
+
 /**
  * Roll a random number 0-1
  */
 function roll() {
-  return Math.random();
+  return activeRandom();
 }
 
 /**
@@ -23,8 +65,8 @@ function roll() {
  */
 function rollNormal(mean = 0.5, stdDev = 0.15) {
   // Box-Muller transform for normal distribution
-  const u1 = Math.random();
-  const u2 = Math.random();
+  const u1 = activeRandom() || Number.MIN_VALUE;
+  const u2 = activeRandom();
   const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
   return Math.max(0, Math.min(1, mean + z * stdDev));
 }
@@ -372,6 +414,9 @@ function calculateQBRun(qb, defTier, designed = false) {
 module.exports = {
   roll,
   rollNormal,
+  generateSeed,
+  createRng,
+  withRng,
   matchupDiff,
   diffToWinProb,
   calculateProtection,
@@ -4,7 +4,7 @@
  * Simulates complete pass, run, and special teams plays.
  */
 
-const { PLAY_OUTCOMES, SITUATION, SCORING } = require('./constants');
+const { PLAY_OUTCOMES, SITUATION, SCORING, INJURY, GAME_PLAN } = require('./constants');
 const { avgTier, getPassTendency, getStrategyMatchupModifier } = require('./playstyle');
 const {
   roll,
@@ -17,6 +17,90 @@ const {
   calculateQBRun,
 } = require('./matchups');
 
+// =============================================================================
+// PLAYER ATTRIBUTION
+// =============================================================================
+
+/**
+ * Compact reference to a player for play-by-play attribution
+ */
+function playerRef(player, fallbackPosition) {
+  if (!player) return null;
+  return {
+    cardId: player.cardId ?? null,
+    name: player.player || player.name || fallbackPosition,
+    position: player.position || fallbackPosition,
+  };
+}
+
+// =============================================================================
+// GAME PLAN
+// =============================================================================
+
+/**
+ * A team's level for one game plan setting (0 when it has no plan)
+ * @param {object|null} gamePlan - e.g. { runPassBias: 1, blitzRate: -2 }
+ * @param {string} key - Setting name
+ */
+function planLevel(gamePlan, key) {
+  const level = Math.round(Number(gamePlan?.[key]) || 0);
+  return Math.max(GAME_PLAN.MIN_LEVEL, Math.min(GAME_PLAN.MAX_LEVEL, level));
+}
+
+/**
+ * Is the clock in the last two minutes of a half with the offense needing to move?
+ */
+function isTwoMinuteDrill({ quarter, timeRemaining, scoreDiff }) {
+  if (timeRemaining >= GAME_PLAN.TWO_MINUTE_SECONDS) return false;
+  return quarter === 2 || (quarter === 4 && scoreDiff <= 0);
+}
+
+/**
+ * Defensive call on a pass play: 'blitz', 'drop' (into coverage) or null.
+ * Only rolls when the defense's plan moves off the default.
+ */
+function chooseDefensiveCall(gamePlan) {
+  const level = planLevel(gamePlan, 'blitzRate');
+  if (level === 0) return null;
+  if (roll() >= Math.abs(level) * GAME_PLAN.BLITZ_CHANCE_PER_LEVEL) return null;
+  return level > 0 ? 'blitz' : 'drop';
+}
+
+/**
+ * Defensive players grouped by unit (handles single and array roster formats)
+ */
+function defensiveUnits(defense) {
+  const r = defense.roster;
+  return {
+    DL: r.DL ? [r.DL] : (r.DLs || []),
+    LB: r.LB ? [r.LB] : (r.LBs || []),
+    DB: r.DBs || [],
+  };
+}
+
+/**
+ * Pick the defender who made the play, weighted by unit
+ * @param {object} defense - Defensive team
+ * @param {object} weights - e.g. { DL: 0.3, LB: 0.5, DB: 0.2 }
+ */
+function pickDefender(defense, weights) {
+  const units = defensiveUnits(defense);
+  const available = Object.entries(weights).filter(([unit]) => units[unit].length > 0);
+  if (available.length === 0) return null;
+  
+  const total = available.reduce((sum, [, w]) => sum + w, 0);
+  let r = roll() * total;
+  let unit = available[available.length - 1][0];
+  for (const [u, w] of available) {
+    r -= w;
+    if (r <= 0) { unit = u; break; }
+  }
+  
+  const group = units[unit];
+  const player = group[Math.floor(roll() * group.length)];
+  return playerRef(player, unit);
+}
+
 // =============================================================================
 // PLAY TYPE SELECTION
 // =============================================================================
@@ -58,8 +142,9 @@ function selectTarget(wrs, dbs, passType) {
 
 /**
  * Choose pass type based on situation
+ * @param {object|null} gamePlan - Offense's game plan (deepShots trades short passes for deep ones)
  */
-function choosePassType(down, yardsToGo, fieldPosition) {
+function choosePassType(down, yardsToGo, fieldPosition, gamePlan = null) {
   // Deep shots are risky but rewarding
   const deepChance = 0.15;
   // Short passes are safe
@@ -91,6 +176,11 @@ function choosePassType(down, yardsToGo, fieldPosition) {
     adjustedDeep += 0.05;
   }
   
+  // Coach's deep-shot frequency
+  const deepShift = planLevel(gamePlan, 'deepShots') * GAME_PLAN.DEEP_SHOT_PER_LEVEL;
+  adjustedDeep += deepShift;
+  adjustedShort -= deepShift;
+  
   const typeRoll = roll();
   if (typeRoll < adjustedDeep) return 'deep';
   if (typeRoll < adjustedDeep + adjustedShort) return 'short';
@@ -130,31 +220,42 @@ function simulatePassPlay(offense, defense, situation) {
   const dls = defense.roster.DL ? [defense.roster.DL] : (defense.roster.DLs || []);
   const lbs = defense.roster.LB ? [defense.roster.LB] : (defense.roster.LBs || []);
   
+  // Step 0: Defensive call - a blitz adds rushers and thins the coverage, a drop does the reverse
+  const defensiveCall = chooseDefensiveCall(defense.gamePlan);
+  const callShift = defensiveCall === 'blitz' ? 1 : defensiveCall === 'drop' ? -1 : 0;
+  const callInfo = defensiveCall ? { defensiveCall } : {};
+  
   // Step 1: Pass protection (QB pocket presence helps avoid sacks/pressure)
-  const protection = calculateProtection(olTier, dlTier, qb?.tier || 5);
+  const protection = calculateProtection(olTier, dlTier + callShift * GAME_PLAN.BLITZ_RUSH_TIERS, qb?.tier || 5);
   
   if (protection.sacked) {
+    const sacker = pickDefender(defense, { DL: 0.7, LB: 0.3 });
     return {
       type: 'pass',
+      ...callInfo,
       result: 'sack',
       yards: protection.sackYards,
-      description: `${qb?.player || 'QB'} sacked for ${protection.sackYards} yards`,
+      passer: playerRef(qb, 'QB'),
+      sacker,
+      tackler: sacker,
+      description: `${qb?.player || 'QB'} sacked${sacker ? ` by ${sacker.name}` : ''} for ${protection.sackYards} yards${defensiveCall === 'blitz' ? ' on a blitz' : ''}`,
       turnover: false,
       timeElapsed: 25 + roll() * 10,
     };
   }
   
   // Step 2: Choose pass type and target
-  const passType = choosePassType(down, yardsToGo, fieldPosition);
+  const passType = choosePassType(down, yardsToGo, fieldPosition, offense.gamePlan);
   
   // Include TE as potential target
   const allTargets = [...wrs];
   if (te) allTargets.push(te);
   
   const { wr, db } = selectTarget(allTargets, dbs, passType);
+  const coverDb = callShift ? { ...db, tier: (db.tier || 5) - callShift * GAME_PLAN.BLITZ_COVERAGE_TIERS } : db;
   
   // Step 3: WR vs DB coverage
-  const coverage = calculateCoverage(wr, db);
+  const coverage = calculateCoverage(wr, coverDb);
   
   // Step 3.5: Check for scramble (dual-threat QBs)
   const playstyle = offense.ratings.offense.config;
@@ -169,8 +270,12 @@ function simulatePassPlay(offense, defense, situation) {
     const yards = Math.max(0, Math.round(scrambleResult.yards * passMod));
     return {
       type: 'pass',
+      ...callInfo,
       result: 'scramble',
       yards,
+      passer: playerRef(qb, 'QB'),
+      rusher: playerRef(qb, 'QB'),
+      tackler: pickDefender(defense, { DL: 0.4, LB: 0.4, DB: 0.2 }),
       description: `${qb?.player || 'QB'} scrambles for ${yards} yards`,
       turnover: scrambleResult.fumbled,
       turnoverType: scrambleResult.fumbled ? 'fumble' : null,
@@ -182,16 +287,21 @@ function simulatePassPlay(offense, defense, situation) {
   const throwResult = calculateThrow(qb, protection.pressured, coverage.separation, passType);
   
   // Step 5: Catch attempt
-  const catchResult = calculateCatch(wr, db, qb, throwResult.accuracy, coverage.separation, passType);
+  const catchResult = calculateCatch(wr, coverDb, qb, throwResult.accuracy, coverage.separation, passType);
   
   if (catchResult.caught) {
     const yards = Math.max(0, Math.round(catchResult.yards * passMod));
     return {
       type: 'pass',
+      ...callInfo,
       result: 'complete',
       yards,
       passType,
       target: wr?.player || 'WR',
+      passer: playerRef(qb, 'QB'),
+      receiver: playerRef(wr, 'WR'),
+      // Covering DB usually makes the stop; otherwise whoever rallies to the ball
+      tackler: roll() < 0.6 && db?.player ? playerRef(db, 'DB') : pickDefender(defense, { DL: 0.1, LB: 0.6, DB: 0.3 }),
       description: `${qb?.player || 'QB'} completes ${passType} pass to ${wr?.player || 'WR'} for ${yards} yards`,
       turnover: false,
       timeElapsed: 25 + roll() * 15,
@@ -201,8 +311,13 @@ function simulatePassPlay(offense, defense, situation) {
   if (catchResult.intercepted) {
     return {
       type: 'pass',
+      ...callInfo,
       result: 'interception',
       yards: 0,
+      passType,
+      passer: playerRef(qb, 'QB'),
+      receiver: playerRef(wr, 'WR'),
+      interceptor: db?.player ? playerRef(db, 'DB') : pickDefender(defense, { DB: 1 }),
       description: `${qb?.player || 'QB'} intercepted by ${db?.player || 'DB'}`,
       turnover: true,
       turnoverType: 'interception',
@@ -212,9 +327,12 @@ function simulatePassPlay(offense, defense, situation) {
   
   return {
     type: 'pass',
+    ...callInfo,
     result: 'incomplete',
     yards: 0,
     passType,
+    passer: playerRef(qb, 'QB'),
+    receiver: playerRef(wr, 'WR'),
     description: `${qb?.player || 'QB'} pass incomplete${catchResult.passDefended ? ' (defended)' : ''}`,
     turnover: false,
     timeElapsed: 22 + roll() * 8,
@@ -257,6 +375,8 @@ function simulateRunPlay(offense, defense, situation) {
       result: 'tfl',
       yards: blocking.tflYards,
       carrier: rb?.player || 'RB',
+      rusher: playerRef(rb, 'RB'),
+      tackler: pickDefender(defense, { DL: 0.6, LB: 0.4 }),
       description: `${rb?.player || 'RB'} stuffed for ${blocking.tflYards} yards`,
       turnover: false,
       timeElapsed: 28 + roll() * 12,
@@ -273,6 +393,8 @@ function simulateRunPlay(offense, defense, situation) {
       result: 'fumble',
       yards,
       carrier: rb?.player || 'RB',
+      rusher: playerRef(rb, 'RB'),
+      tackler: pickDefender(defense, { DL: 0.3, LB: 0.5, DB: 0.2 }),
       description: `${rb?.player || 'RB'} fumbles after ${yards} yards`,
       turnover: true,
       turnoverType: 'fumble',
@@ -288,6 +410,8 @@ function simulateRunPlay(offense, defense, situation) {
     result: isBigRun ? 'big_gain' : 'gain',
     yards,
     carrier: rb?.player || 'RB',
+    rusher: playerRef(rb, 'RB'),
+    tackler: pickDefender(defense, isBigRun ? { LB: 0.3, DB: 0.7 } : { DL: 0.3, LB: 0.5, DB: 0.2 }),
     brokenTackle: rushResult.brokenTackle,
     description: `${rb?.player || 'RB'} rushes for ${yards} yards${rushResult.brokenTackle ? ' (broken tackle)' : ''}`,
     turnover: false,
@@ -327,6 +451,7 @@ function simulateFieldGoal(kicker, distance) {
     type: 'field_goal',
     result: made ? 'good' : 'missed',
     distance,
+    kicker: playerRef(kicker, 'K'),
     description: `${distance} yard field goal ${made ? 'is GOOD!' : 'NO GOOD'}`,
     points: made ? SCORING.FIELD_GOAL : 0,
     timeElapsed: 8,
@@ -347,19 +472,102 @@ function simulateExtraPoint(kicker) {
   return {
     type: 'extra_point',
     result: made ? 'good' : 'missed',
+    kicker: playerRef(kicker, 'K'),
     description: `Extra point ${made ? 'is GOOD' : 'NO GOOD'}`,
     points: made ? SCORING.EXTRA_POINT : 0,
     timeElapsed: 5,
   };
 }
 
+/**
+ * Punter traits (player-traits.js: power, hang, placement), or null for
+ * punters without them
+ */
+function puntTraits(punter) {
+  const traits = punter?.engine_traits;
+  if (!traits || typeof traits !== 'object') return null;
+  const { power, hang, placement } = traits;
+  if (![power, hang, placement].every(Number.isFinite)) return null;
+  return { power, hang, placement };
+}
+
 /**
  * Simulate a punt
+ * Power adds distance, hang time cuts down returns and placement can pin
+ * the receiving team inside its 10 instead of a touchback. Punters without
+ * traits (the default punter, older replays) punt on tier alone.
  * @param {object} punter - Punter card
  * @param {number} fieldPosition - Current field position
  * @returns {object} - Result with new field position
  */
 function simulatePunt(punter, fieldPosition) {
+  const traits = puntTraits(punter);
+  if (!traits) return simulatePuntByTier(punter, fieldPosition);
+
+  const pTier = punter?.tier || 5;
+  const outcomes = PLAY_OUTCOMES.SPECIAL_TEAMS;
+
+  const distance = outcomes.PUNT_DISTANCE_BASE
+    + (pTier - 5) * outcomes.PUNT_DISTANCE_PER_TIER
+    + (traits.power - 50) * outcomes.PUNT_POWER_YARDS
+    + (roll() - 0.5) * 15;
+  const hangTime = Math.round((outcomes.PUNT_HANG_BASE
+    + (traits.hang - 50) * outcomes.PUNT_HANG_PER_POINT
+    + (roll() - 0.5) * 0.6) * 10) / 10;
+  const extraHang = hangTime - outcomes.PUNT_HANG_BASE;
+  const landingSpot = fieldPosition + distance;
+  const base = {
+    type: 'punt',
+    punter: playerRef(punter, 'P'),
+    hangTime,
+    timeElapsed: 45,
+  };
+
+  if (landingSpot >= 100) {
+    // Placement: drop it short of the goal line and down it
+    if (roll() < (traits.placement / 100) * outcomes.PUNT_PIN_MAX) {
+      const downedAt = 3 + Math.floor(roll() * 8);
+      const netDistance = 100 - downedAt - fieldPosition;
+      return {
+        ...base,
+        result: 'downed',
+        distance: netDistance,
+        newFieldPosition: downedAt,
+        description: `Punt for ${netDistance} yards (${hangTime}s hang), downed at the ${downedAt}`,
+      };
+    }
+    return {
+      ...base,
+      result: 'touchback',
+      distance: Math.round(distance),
+      newFieldPosition: 25,
+      description: `Punt for ${Math.round(distance)} yards, touchback`,
+    };
+  }
+
+  const fairCatch = roll() < outcomes.PUNT_FAIR_CATCH_BASE + extraHang * outcomes.PUNT_FAIR_CATCH_PER_SEC;
+  const returnYards = fairCatch
+    ? 0
+    : Math.max(0, Math.floor(5 + roll() * 15 - extraHang * outcomes.PUNT_RETURN_PER_SEC));
+  const newPosition = 100 - landingSpot + returnYards;
+
+  return {
+    ...base,
+    result: 'return',
+    distance: Math.round(distance),
+    returnYards,
+    newFieldPosition: Math.max(1, Math.min(99, Math.round(newPosition))),
+    description: `Punt for ${Math.round(distance)} yards (${hangTime}s hang)${returnYards > 0 ? `, returned ${returnYards} yards` : ', fair catch'}`,
+  };
+}
+
+/**
+ * Tier-only punt (punters without traits)
+ * @param {object} punter - Punter card
+ * @param {number} fieldPosition - Current field position
+ * @returns {object} - Result with new field position
+ */
+function simulatePuntByTier(punter, fieldPosition) {
   const pTier = punter?.tier || 5;
   const outcomes = PLAY_OUTCOMES.SPECIAL_TEAMS;
   
@@ -374,6 +582,7 @@ function simulatePunt(punter, fieldPosition) {
       type: 'punt',
       result: 'touchback',
       distance: Math.round(distance),
+      punter: playerRef(punter, 'P'),
       newFieldPosition: 25,
       description: `Punt for ${Math.round(distance)} yards, touchback`,
       timeElapsed: 45,
@@ -388,6 +597,7 @@ function simulatePunt(punter, fieldPosition) {
     type: 'punt',
     result: 'return',
     distance: Math.round(distance),
+    punter: playerRef(punter, 'P'),
     returnYards,
     newFieldPosition: Math.max(1, Math.min(99, Math.round(newPosition))),
     description: `Punt for ${Math.round(distance)} yards${returnYards > 0 ? `, returned ${returnYards} yards` : ', fair catch'}`,
@@ -411,6 +621,7 @@ function simulateKickoff(kicker) {
     return {
       type: 'kickoff',
       result: 'touchback',
+      kicker: playerRef(kicker, 'K'),
       newFieldPosition: 25,
       description: 'Kickoff, touchback',
       timeElapsed: 8,
@@ -423,6 +634,7 @@ function simulateKickoff(kicker) {
   return {
     type: 'kickoff',
     result: 'return',
+    kicker: playerRef(kicker, 'K'),
     returnYards: Math.round(returnYards),
     newFieldPosition: Math.min(50, Math.round(returnYards)),
     description: `Kickoff returned to the ${Math.round(returnYards)} yard line`,
@@ -468,14 +680,68 @@ function simulatePlay(offense, defense, situation) {
     passTendency -= 0.20; // Protect lead, run more
   }
   
+  // Coach's run/pass mix
+  passTendency += planLevel(offense.gamePlan, 'runPassBias') * GAME_PLAN.PASS_TENDENCY_PER_LEVEL;
+  
   // Decide play type
   const isPass = roll() < passTendency;
+  const result = isPass
+    ? simulatePassPlay(offense, defense, situation)
+    : simulateRunPlay(offense, defense, situation);
+  
+  // Two-minute drill tempo: hurry up (or huddle and bleed the clock)
+  const tempo = planLevel(offense.gamePlan, 'twoMinuteTempo');
+  if (tempo !== 0 && isTwoMinuteDrill(situation)) {
+    result.timeElapsed *= 1 - tempo * GAME_PLAN.TEMPO_PER_LEVEL;
+  }
   
-  if (isPass) {
-    return simulatePassPlay(offense, defense, situation);
+  return result;
+}
+
+// =============================================================================
+// INJURIES
+// =============================================================================
+
+/**
+ * Pick an injury's severity and how many scheduled games it costs
+ */
+function rollSeverity(rng) {
+  const total = INJURY.SEVERITIES.reduce((sum, s) => sum + s.weight, 0);
+  let r = rng() * total;
+  let pick = INJURY.SEVERITIES[INJURY.SEVERITIES.length - 1];
+  for (const s of INJURY.SEVERITIES) {
+    r -= s.weight;
+    if (r <= 0) { pick = s; break; }
+  }
+  const [min, max] = pick.games;
+  return { severity: pick.severity, gamesOut: min + Math.floor(rng() * (max - min + 1)) };
+}
+
+/**
+ * Roll for injuries on a contact play: the ball carrier or receiver, a sacked
+ * QB and whoever made the tackle. Risk scales with position and workload.
+ * @param {object} play - Result of simulatePlay
+ * @param {function} rng - Injury PRNG (kept apart from the game's, see substitutions.js)
+ * @param {function} workloadOf - (side, ref) => the player's fatigue (0 = fresh)
+ * @returns {array} - [{ side: 'offense' | 'defense', player, severity, gamesOut }]
+ */
+function rollInjuries(play, rng, workloadOf = () => 0) {
+  const contacts = [];
+  if (play.result === 'sack') {
+    contacts.push(['offense', play.passer, INJURY.SACK_CHANCE]);
   } else {
-    return simulateRunPlay(offense, defense, situation);
+    contacts.push(['offense', play.rusher, INJURY.CHANCE]);
+    if (play.result === 'complete') contacts.push(['offense', play.receiver, INJURY.CHANCE]);
+  }
+  contacts.push(['defense', play.tackler, INJURY.CHANCE]);
+
+  const injuries = [];
+  for (const [side, player, chance] of contacts) {
+    if (!player) continue;
+    const risk = chance * (INJURY.POSITION_RISK[player.position] || 1) * (1 + workloadOf(side, player) / 100);
+    if (rng() < risk) injuries.push({ side, player, ...rollSeverity(rng) });
   }
+  return injuries;
 }
 
 // =============================================================================
@@ -492,4 +758,7 @@ module.exports = {
   simulateKickoff,
   selectTarget,
   choosePassType,
+  planLevel,
+  playerRef,
+  rollInjuries,
 };
@@ -0,0 +1,236 @@
+/**
+ * Substitutions
+ * ==============
+ * Bench players (roster.bench: one backup per position, e.g. { QB, RB, WR })
+ * coming in mid-game. Starters tire as they play snaps and recover on the
+ * sideline; a tired starter is spelled by the backup until rested, and an
+ * injured one (plays.js rollInjuries) is out for the game. Every change is
+ * logged in the play-by-play as a 'substitution' play, and the game's
+ * injuries are returned with the result so they can carry over.
+ *
+ * Injury rolls come from their own stream seeded off the game seed, so games
+ * without a bench (older replay snapshots) play out exactly as before.
+ */
+
+const { SUBSTITUTION } = require('./constants');
+const { createRng } = require('./matchups');
+const { playerRef, rollInjuries } = require('./plays');
+
+// Roster keys for each position (single and array roster formats)
+const POSITION_KEYS = {
+  QB: ['QB'],
+  RB: ['RB', 'RBs'],
+  WR: ['WRs'],
+  TE: ['TE'],
+  OL: ['OL', 'OLs'],
+  DL: ['DL', 'DLs'],
+  LB: ['LB', 'LBs'],
+  DB: ['DBs'],
+};
+const OFFENSE_POSITIONS = ['QB', 'RB', 'WR', 'TE', 'OL'];
+
+// Mixed into the game seed for the injury stream
+const INJURY_SEED_SALT = 0x9e3779b9;
+
+function playerAt(roster, spot) {
+  return spot.index == null ? roster[spot.key] : roster[spot.key][spot.index];
+}
+
+function putPlayer(roster, spot, player) {
+  if (spot.index == null) roster[spot.key] = player;
+  else roster[spot.key][spot.index] = player;
+}
+
+/**
+ * Set up substitution tracking for a team (no-op without a bench)
+ * @param {object} team - state.home / state.away (roster already boosted)
+ */
+function createDepthChart(team) {
+  const { roster } = team;
+  if (!roster.bench) return null;
+
+  const spots = [];
+  for (const [position, keys] of Object.entries(POSITION_KEYS)) {
+    for (const key of keys) {
+      const value = roster[key];
+      if (Array.isArray(value)) {
+        value.forEach((player, index) => player && spots.push({ position, key, index, starter: player }));
+      } else if (value) {
+        spots.push({ position, key, index: null, starter: value });
+      }
+    }
+  }
+  return { spots, condition: new Map(), reported: new Set() };
+}
+
+/**
+ * Start tracking both teams; call once the game state exists
+ */
+function initSubstitutions(state) {
+  state.injuryRng = createRng((state.seed ^ INJURY_SEED_SALT) >>> 0);
+  state.injuries = [];
+  for (const side of ['home', 'away']) {
+    state[side].depth = createDepthChart(state[side]);
+  }
+}
+
+function conditionOf(depth, player) {
+  if (!depth.condition.has(player)) depth.condition.set(player, { fatigue: 0, injured: false });
+  return depth.condition.get(player);
+}
+
+function onField(team, player) {
+  return team.depth.spots.some(spot => playerAt(team.roster, spot) === player);
+}
+
+/**
+ * Find the player on the field a play-by-play reference points to
+ */
+function findOnField(team, ref) {
+  if (!ref) return null;
+  for (const spot of team.depth.spots) {
+    const player = playerAt(team.roster, spot);
+    if (!player) continue;
+    const match = ref.cardId != null
+      ? player.cardId === ref.cardId
+      : (player.player || player.name) === ref.name;
+    if (match) return player;
+  }
+  return null;
+}
+
+/**
+ * After a scrimmage play: add fatigue, let players rest, roll for injuries
+ * @param {object} state - Game state
+ * @param {string} offenseKey - 'home' or 'away'
+ * @param {object} play - The play just run
+ */
+function recordSnap(state, offenseKey, play) {
+  const defenseKey = offenseKey === 'home' ? 'away' : 'home';
+
+  for (const side of [offenseKey, defenseKey]) {
+    const team = state[side];
+    if (!team.depth) continue;
+    const onOffense = side === offenseKey;
+    const resting = new Set(team.depth.spots.map(spot => spot.starter).filter(p => !onField(team, p)));
+
+    for (const spot of team.depth.spots) {
+      const player = playerAt(team.roster, spot);
+      const inPlay = OFFENSE_POSITIONS.includes(spot.position) === onOffense;
+      const condition = conditionOf(team.depth, player);
+      if (inPlay) {
+        condition.fatigue += SUBSTITUTION.FATIGUE_PER_SNAP[spot.position] || 0;
+      } else {
+        condition.fatigue = Math.max(0, condition.fatigue - SUBSTITUTION.SIDELINE_RECOVERY);
+      }
+    }
+    for (const player of resting) {
+      const condition = conditionOf(team.depth, player);
+      condition.fatigue = Math.max(0, condition.fatigue - SUBSTITUTION.BENCH_RECOVERY);
+    }
+  }
+
+  // Injuries from the hits on this play
+  const sides = { offense: offenseKey, defense: defenseKey };
+  const lookup = (side, ref) => {
+    const team = state[sides[side]];
+    const player = team.depth ? findOnField(team, ref) : null;
+    return player ? conditionOf(team.depth, player) : null;
+  };
+  const workloadOf = (side, ref) => lookup(side, ref)?.fatigue || 0;
+
+  // Only teams with a depth chart take part, so older snapshots replay unchanged
+  if (!state[offenseKey].depth && !state[defenseKey].depth) return;
+  for (const injury of rollInjuries(play, state.injuryRng, workloadOf)) {
+    const condition = lookup(injury.side, injury.player);
+    if (!condition || condition.injured) continue;
+    condition.injured = { severity: injury.severity, gamesOut: injury.gamesOut };
+    state.injuries.push({
+      team: sides[injury.side],
+      cardId: injury.player.cardId,
+      name: injury.player.name,
+      position: injury.player.position,
+      severity: injury.severity,
+      gamesOut: injury.gamesOut,
+      quarter: state.quarter,
+      playNumber: play.playNumber,
+    });
+  }
+}
+
+function substitutionPlay(side, position, out, incoming, reason, description) {
+  return {
+    type: 'substitution',
+    reason,
+    team: side,
+    position,
+    out: playerRef(out, position),
+    in: playerRef(incoming, position),
+    description: `${side === 'home' ? 'Home' : 'Away'}: ${description}`,
+  };
+}
+
+/**
+ * Before a snap: swap injured and tired starters for their backups and
+ * rested starters back in. Returns the substitution plays to log (the
+ * caller stamps them with the clock).
+ */
+function makeSubstitutions(state) {
+  const subs = [];
+
+  for (const side of ['home', 'away']) {
+    const team = state[side];
+    if (!team.depth) continue;
+
+    for (const spot of team.depth.spots) {
+      const { position, starter } = spot;
+      const current = playerAt(team.roster, spot);
+      const backup = team.roster.bench[position];
+      const name = (p) => p.player || p.name || position;
+
+      if (current === starter) {
+        const condition = conditionOf(team.depth, starter);
+        const backupReady = backup && !conditionOf(team.depth, backup).injured && !onField(team, backup);
+        if (condition.injured && backupReady) {
+          putPlayer(team.roster, spot, backup);
+          subs.push(substitutionPlay(side, position, starter, backup, 'injury',
+            `${name(starter)} is out with a ${condition.injured.severity} injury. ${name(backup)} comes in at ${position}`));
+        } else if (condition.injured && !team.depth.reported.has(starter)) {
+          team.depth.reported.add(starter);
+          subs.push(substitutionPlay(side, position, starter, null, 'injury',
+            `${name(starter)} is hurt but stays in: no healthy ${position} on the bench`));
+        } else if (!condition.injured && condition.fatigue >= SUBSTITUTION.TIRED && backupReady) {
+          putPlayer(team.roster, spot, backup);
+          subs.push(substitutionPlay(side, position, starter, backup, 'fatigue',
+            `${name(backup)} spells a tired ${name(starter)} at ${position}`));
+        }
+        continue;
+      }
+
+      // The backup is filling in for this starter
+      const starterCondition = conditionOf(team.depth, starter);
+      const backupCondition = conditionOf(team.depth, current);
+      if (starterCondition.injured) {
+        if (backupCondition.injured && !team.depth.reported.has(current)) {
+          team.depth.reported.add(current);
+          subs.push(substitutionPlay(side, position, current, null, 'injury',
+            `${name(current)} is hurt but stays in: no healthy ${position} left`));
+        }
+      } else if (backupCondition.injured || starterCondition.fatigue <= SUBSTITUTION.RESTED) {
+        putPlayer(team.roster, spot, starter);
+        subs.push(substitutionPlay(side, position, current, starter, backupCondition.injured ? 'injury' : 'rested',
+          backupCondition.injured
+            ? `${name(current)} is out with a ${backupCondition.injured.severity} injury. ${name(starter)} returns at ${position}`
+            : `${name(starter)} returns at ${position} for ${name(current)}`));
+      }
+    }
+  }
+
+  return subs;
+}
+
+module.exports = {
+  initSubstitutions,
+  recordSnap,
+  makeSubstitutions,
+};
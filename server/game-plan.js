@@ -0,0 +1,99 @@
+/**
+ * Game Plan
+ * ==========
+ * A coach's play-calling tendencies, stored with the roster and handed to the
+ * engine with every game (snapshotted for replays, see game-bridge.js). Each
+ * setting is a level from -2 to +2; 0 leaves the engine's own play-calling
+ * alone. What a level does on the field lives in simulation/constants.js.
+ */
+
+const { GAME_PLAN } = require('./game-engine/simulation/constants');
+
+// Settings in display order; labels run from the lowest level to the highest
+const GAME_PLAN_SETTINGS = [
+  {
+    key: 'runPassBias',
+    label: 'Run / Pass Mix',
+    description: 'How often you call a pass instead of a run',
+    levels: ['Run heavy', 'Lean run', 'Balanced', 'Lean pass', 'Pass heavy'],
+  },
+  {
+    key: 'deepShots',
+    label: 'Deep Shots',
+    description: 'How often a pass goes deep instead of underneath',
+    levels: ['Rarely', 'Fewer', 'Normal', 'More', 'Often'],
+  },
+  {
+    key: 'fourthDown',
+    label: '4th Down',
+    description: 'How often you go for it instead of kicking',
+    levels: ['Conservative', 'Cautious', 'Normal', 'Aggressive', 'Reckless'],
+  },
+  {
+    key: 'twoMinuteTempo',
+    label: 'Two-Minute Tempo',
+    description: 'Pace in the last two minutes of a half when you need to score',
+    levels: ['Huddle up', 'Measured', 'Normal', 'Hurry-up', 'No-huddle'],
+  },
+  {
+    key: 'blitzRate',
+    label: 'Blitz Rate',
+    description: 'Send extra rushers on passing downs, or drop them into coverage',
+    levels: ['Drop eight', 'Coverage', 'Normal', 'Pressure', 'Blitz heavy'],
+  },
+];
+
+const SETTING_KEYS = GAME_PLAN_SETTINGS.map(s => s.key);
+
+function gamePlanError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Every setting at 0
+ */
+function defaultGamePlan() {
+  return Object.fromEntries(SETTING_KEYS.map(key => [key, 0]));
+}
+
+/**
+ * Validate a game plan from the client; missing settings stay at their default
+ * @param {object} input - e.g. { runPassBias: 1, blitzRate: -2 }
+ * @param {object} [current] - The user's current plan, for partial updates
+ * @returns {object} - A complete plan
+ */
+function normalizeGamePlan(input, current = null) {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    throw gamePlanError(400, 'gamePlan must be an object');
+  }
+  const plan = { ...defaultGamePlan(), ...readGamePlan(current) };
+  for (const [key, value] of Object.entries(input)) {
+    if (!SETTING_KEYS.includes(key)) throw gamePlanError(400, `Unknown game plan setting: ${key}`);
+    if (!Number.isInteger(value) || value < GAME_PLAN.MIN_LEVEL || value > GAME_PLAN.MAX_LEVEL) {
+      throw gamePlanError(400, `${key} must be a whole number from ${GAME_PLAN.MIN_LEVEL} to ${GAME_PLAN.MAX_LEVEL}`);
+    }
+    plan[key] = value;
+  }
+  return plan;
+}
+
+/**
+ * A stored plan with any missing settings filled in (null/absent = defaults)
+ */
+function readGamePlan(stored) {
+  const plan = defaultGamePlan();
+  if (!stored || typeof stored !== 'object') return plan;
+  for (const key of SETTING_KEYS) {
+    if (Number.isInteger(stored[key])) plan[key] = stored[key];
+  }
+  return plan;
+}
+
+module.exports = {
+  GAME_PLAN_SETTINGS,
+  MIN_LEVEL: GAME_PLAN.MIN_LEVEL,
+  MAX_LEVEL: GAME_PLAN.MAX_LEVEL,
+  defaultGamePlan,
+  normalizeGamePlan,
+  readGamePlan,
+};
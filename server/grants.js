@@ -0,0 +1,171 @@
+/**
+ * Grants
+ * =======
+ * Hands out promotions (promotions.js, promotion-types.js):
+ * - bonus packs and card grants are delivered the next time the user loads
+ *   their packs or cards (claimGrants)
+ * - guaranteed-tier grants are used by pack-opening.js
+ * - schedule exclusions are read by scheduler.getEligibleUsers; creating one
+ *   takes the users off the schedule right away
+ * Also turns the old per-username special cases into grants, once.
+ */
+
+const db = require('./database');
+const packs = require('./packs');
+const mintingLedger = require('./minting-ledger');
+const leagues = require('./leagues');
+const scheduler = require('./scheduler');
+const promotions = require('./promotions');
+const types = require('./promotion-types');
+const packOpening = require('./pack-opening');
+const auditLog = require('./audit-log');
+
+// Player a card grant mints, or null if it's sold out
+async function pickGrantedPlayer(params) {
+  if (params.player) {
+    const player = packs.getPlayerByKey(`${params.player}_${params.season}`);
+    return player && !(await mintingLedger.isCardMinted(player)) ? player : null;
+  }
+  return packs.pickExactTier(params.tier, params.position);
+}
+
+async function deliver(grant, userId) {
+  if (grant.type === 'bonus_packs') {
+    const user = await db.getUser(userId);
+    await db.updateUserMaxPacks(userId, (user.max_packs || 0) + grant.params.count);
+    return { packs: grant.params.count };
+  }
+  const player = await pickGrantedPlayer(grant.params);
+  if (!player) throw new Error(`Nothing left to mint for "${types.describeGrant(grant)}"`);
+  const card = await packOpening.grantCard(userId, player);
+  return { card };
+}
+
+/**
+ * Deliver the user's pending bonus-pack and card grants
+ * @returns {Promise<Array<{ id, type, description, packs?, card? }>>} what was delivered
+ */
+async function claimGrants(userId) {
+  const pending = [
+    ...await promotions.getUserGrants(userId, 'bonus_packs'),
+    ...await promotions.getUserGrants(userId, 'card'),
+  ];
+  const delivered = [];
+  for (const grant of pending) {
+    if (!(await promotions.redeemGrant(grant.id, userId))) continue; // Another request got it
+    try {
+      const reward = await deliver(grant, userId);
+      delivered.push({ id: grant.id, type: grant.type, description: types.describeGrant(grant), ...reward });
+    } catch (err) {
+      await promotions.unredeemGrant(grant.id, userId);
+      console.error(`Promotion ${grant.id} for user ${userId}:`, err.message);
+    }
+  }
+  return delivered;
+}
+
+// Leagues a schedule exclusion applies to for one user
+function excludedLeagues(grant, userId) {
+  if (grant.params.leagueId != null) return [leagues.getLeague(grant.params.leagueId)].filter(Boolean);
+  return leagues.getUserLeagues(userId);
+}
+
+/**
+ * Create a grant. A schedule exclusion also drops its users' unplayed games.
+ * @param {object} input - see promotion-types.normalizeGrant
+ * @param {object|null} actor - admin creating it (null = the server)
+ */
+async function createGrant(input, actor = null) {
+  const grant = await promotions.createGrant(input, actor);
+  if (grant.type === 'schedule_exclusion') {
+    for (const userId of grant.userIds) {
+      for (const league of excludedLeagues(grant, userId)) {
+        await scheduler.removeUserFromSchedule(league.id, userId);
+      }
+    }
+  }
+  return grant;
+}
+
+/**
+ * Revoke a grant. Users whose exclusion ends are scheduled again by the
+ * scheduler's next integrateNewUsers run.
+ * @returns {Promise<{ before, after } | null>}
+ */
+async function revokeGrant(id) {
+  const result = await promotions.revokeGrant(id);
+  if (result && result.before.type === 'schedule_exclusion' && !result.before.revokedAt) {
+    scheduler.integrateNewUsers().catch(err => console.error('integrateNewUsers error:', err));
+  }
+  return result;
+}
+
+/**
+ * A grant as the admin list shows it: status, description and per-user uses
+ */
+function describeForAdmin(grant, usersById) {
+  return {
+    ...grant,
+    status: types.grantStatus(grant),
+    description: types.describeGrant(grant),
+    targets: grant.userIds.map(id => ({
+      id,
+      username: usersById.get(id)?.username || null,
+      uses: (grant.redemptions || {})[id] || 0,
+    })),
+  };
+}
+
+// Create a legacy grant once, recorded in the audit log as done by the server
+async function migrateOnce(source, username, input, shouldCreate = async () => true) {
+  if (await promotions.hasSource(source)) return null;
+  const user = await db.getUserByUsernameCaseInsensitive(username);
+  if (!user || !(await shouldCreate(user))) return null;
+  const grant = await createGrant({ ...input, userIds: [user.id], source }, null);
+  await auditLog.record({ actor: null, action: 'promotion_create', target: user, before: null, after: grant });
+  console.log(`Promotions: ${username} -> ${types.describeGrant(grant)} (${source})`);
+  return grant;
+}
+
+/**
+ * One-time: the per-username special cases that used to live in code
+ * (index.js and the scheduler) become grants admins can see and revoke.
+ */
+async function migrateLegacySpecialCases() {
+  // John! got a Hall of Fame card snuck into every pack
+  await migrateOnce('legacy:john-hof-packs', 'john!', {
+    type: 'guaranteed_tier',
+    params: { tier: 11, packs: null },
+    note: 'Hall of Fame card in every pack (was hard-coded for John!)',
+  });
+
+  // John! was topped up with a Hall of Fame WR at every startup
+  await migrateOnce('legacy:john-hof-wr', 'john!', {
+    type: 'card',
+    params: { tier: 11, position: 'WR' },
+    note: 'Hall of Fame WR (was a startup check for John!)',
+  }, async (user) => {
+    const cards = await db.getUserCards(user.id);
+    return !cards.some(c => (c.tier === 11 || c.isHOF) && c.position === 'WR');
+  });
+
+  // Nick! was kept off the main league schedule, lately by a main-league
+  // exclusion; the grant takes over so revoking it is all it takes to restore him
+  const nickExclusion = await migrateOnce('legacy:nick-exclusion', 'nick!', {
+    type: 'schedule_exclusion',
+    params: { leagueId: leagues.MAIN_LEAGUE_ID },
+    note: 'Off the main league schedule (was hard-coded for Nick!)',
+  });
+  const [nickId] = nickExclusion ? nickExclusion.userIds : [];
+  if (nickId && leagues.getMainLeague().excludedUserIds.includes(nickId)) {
+    await leagues.setExcluded(leagues.MAIN_LEAGUE_ID, nickId, false);
+  }
+}
+
+module.exports = {
+  claimGrants,
+  createGrant,
+  revokeGrant,
+  describeForAdmin,
+  migrateLegacySpecialCases,
+};
@@ -18,8 +18,26 @@ const scheduler = require('./scheduler');
 const cardImageGenerator = require('./card-image-generator');
 const pressConference = require('./press-conference');
 const messages = require('./messages');
+const trades = require('./trades');
+const packOpening = require('./pack-opening');
+const packProducts = require('./pack-products');
+const packDefinitions = require('./pack-definitions');
+const promotions = require('./promotions');
+const grants = require('./grants');
+const collections = require('./collections');
+const collectionProgress = require('./collection-progress');
+const crafting = require('./crafting');
+const injuries = require('./injuries');
+const gamePlans = require('./game-plan');
+const liveGames = require('./live-games');
+const push = require('./push');
+const walletAuth = require('./wallet-auth');
+const cardStats = require('./card-stats');
+const leagues = require('./leagues');
+const standingsTable = require('./standings');
+const auditLog = require('./audit-log');
+const roles = require('./roles');
 const imageRegenQueue = require('./image-regen-queue');
-const { buildEngineForCard } = require('./game-engine/player-traits');
 const {
   calculateOffensiveRatings,
   calculateDefensiveRatings,
@@ -35,6 +53,8 @@ try {
     getPackStatus: () => Promise.resolve(null),
     getPacksForWallet: () => Promise.resolve([]),
     pollForEvents: () => Promise.resolve(),
+    openPack: () => Promise.reject(Object.assign(new Error('On-chain packs are not available'), { status: 503 })),
+    syncWalletCards: () => Promise.resolve(0),
   };
 }
 
@@ -108,26 +128,57 @@ async function authMiddleware(req, res, next) {
   try {
     const session = await db.getSession(token);
     if (!session) return res.status(401).json({ error: 'Unauthorized' });
-    req.user = { id: session.user_id, username: session.username, team_name: session.team_name };
+    req.user = { id: session.user_id, username: session.username, team_name: session.team_name, role: session.role };
+    req.sessionId = session.id;
     next();
   } catch (err) {
     return res.status(401).json({ error: 'Unauthorized' });
   }
 }
 
-// Admin auth (for safe production DB inspection)
-function adminMiddleware(req, res, next) {
-  const expected = process.env.ADMIN_KEY;
-  if (!expected) {
-    return res.status(500).json({ error: 'ADMIN_KEY not configured on server' });
+// Same as authMiddleware for streams: EventSource can't set headers, so the token may come as ?token=
+function streamAuthMiddleware(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
   }
+  return authMiddleware(req, res, next);
+}
 
-  const provided = req.headers['x-admin-key'];
-  if (!provided || provided !== expected) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
+// Open a Server-Sent Events response. A comment goes out every 15s so proxies
+// don't drop a quiet stream; onClose runs once when either side ends it.
+function startEventStream(req, res, onClose) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    onClose();
+    res.end();
+  };
+  req.on('close', close);
+
+  const send = (event, data) => {
+    if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  return { send, close };
+}
 
-  next();
+// Admin auth: a logged-in user whose role is admin. Guards every /api/admin route
+// and the admin-only /api/schedule routes (init, run-now, swap-user).
+function adminMiddleware(req, res, next) {
+  authMiddleware(req, res, () => {
+    if (req.user.role !== 'admin') return res.status(403).json({ error: 'Admin access required' });
+    next();
+  });
 }
 
 async function findUserCaseInsensitive(username) {
@@ -191,6 +242,17 @@ app.get('/api/admin/has-full-roster', adminMiddleware, async (req, res) => {
 // AUTH ROUTES
 // =============================================================================
 
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Start a login session; the device details are what the account page lists
+function startSession(req, userId, username, teamName) {
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  return db.createSession(userId, username, teamName, expiresAt, {
+    userAgent: (req.get('user-agent') || '').slice(0, 300) || null,
+    ip: (req.get('x-forwarded-for') || '').split(',')[0].trim() || req.socket.remoteAddress || null,
+  });
+}
+
 // Check if username exists or is pre-registered
 app.get('/api/auth/check/:username', async (req, res, next) => {
   try {
@@ -228,8 +290,7 @@ app.post('/api/auth/register', async (req, res) => {
     const preregistered = await db.getPreregisteredUser(username);
     if (preregistered) {
       const user = await db.claimPreregisteredUser(username, password, teamName);
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-      const token = await db.createSession(user.id, user.username, user.team_name, expiresAt);
+      const token = await startSession(req, user.id, user.username, user.team_name);
       return res.json({ user: { id: user.id, username: user.username, team_name: user.team_name }, token, claimed: true });
     }
     return res.status(403).json({ error: 'Registration is invite-only. Contact admin for access.' });
@@ -248,23 +309,20 @@ app.post('/api/auth/login', async (req, res, next) => {
     if (existingUser) {
       const user = await db.authenticateUser(username, password);
       const full = await db.getUser(user.id);
-      const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-      const token = await db.createSession(user.id, user.username, full?.team_name, expiresAt);
-      return res.json({ user: { id: user.id, username: user.username, team_name: full?.team_name, packs_opened: user.packs_opened, max_packs: user.max_packs }, token });
+      const token = await startSession(req, user.id, user.username, full?.team_name);
+      return res.json({ user: { id: user.id, username: user.username, team_name: full?.team_name, packs_opened: user.packs_opened, max_packs: user.max_packs, role: full?.role }, token });
     }
     const preregistered = await db.getPreregisteredUser(username);
     if (preregistered) {
       try {
         const user = await db.claimPreregisteredUser(username, password, teamName);
-        const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-        const token = await db.createSession(user.id, user.username, user.team_name, expiresAt);
+        const token = await startSession(req, user.id, user.username, user.team_name);
         return res.json({ user: { id: user.id, username: user.username, team_name: user.team_name }, token, firstLogin: true });
       } catch (claimErr) {
         try {
           const user = await db.authenticateUser(username, password);
           const full = await db.getUser(user.id);
-          const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-          const token = await db.createSession(user.id, user.username, full?.team_name, expiresAt);
+          const token = await startSession(req, user.id, user.username, full?.team_name);
           return res.json({ user: { id: user.id, username: user.username, team_name: full?.team_name, packs_opened: user.packs_opened, max_packs: user.max_packs }, token });
         } catch (_) {
           throw claimErr;
@@ -291,6 +349,37 @@ app.post('/api/auth/logout', authMiddleware, async (req, res) => {
   res.json({ success: true });
 });
 
+// Log out everywhere (every session for this user, including this one)
+app.post('/api/auth/logout-all', authMiddleware, async (req, res) => {
+  try {
+    const ended = await db.deleteUserSessions(req.user.id);
+    res.json({ success: true, ended });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Active sessions for the account page
+app.get('/api/auth/sessions', authMiddleware, async (req, res) => {
+  try {
+    const sessions = await db.listSessions(req.user.id);
+    res.json({ sessions: sessions.map(s => ({ ...s, current: s.id === req.sessionId })) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// End one session (e.g. a lost phone)
+app.delete('/api/auth/sessions/:id', authMiddleware, async (req, res) => {
+  try {
+    const ended = await db.deleteSessionById(req.user.id, req.params.id);
+    if (!ended) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true, current: req.params.id === req.sessionId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Get current user
 app.get('/api/auth/me', authMiddleware, async (req, res) => {
   const user = await db.getUser(req.user.id);
@@ -313,18 +402,8 @@ app.put('/api/auth/team-name', authMiddleware, async (req, res) => {
 // ADMIN ROUTES (for pre-registration)
 // =============================================================================
 
-const ADMIN_KEY = process.env.ADMIN_KEY || 'first10admin2024';
-
-function adminAuth(req, res, next) {
-  const key = req.headers['x-admin-key'];
-  if (key !== ADMIN_KEY) {
-    return res.status(403).json({ error: 'Admin access required' });
-  }
-  next();
-}
-
 // Pre-register a username
-app.post('/api/admin/preregister', adminAuth, async (req, res) => {
+app.post('/api/admin/preregister', adminMiddleware, async (req, res) => {
   try {
     const { username, maxPacks } = req.body;
     
@@ -340,17 +419,25 @@ app.post('/api/admin/preregister', adminAuth, async (req, res) => {
 });
 
 // List all pre-registered users
-app.get('/api/admin/preregistered', adminAuth, async (req, res) => {
+app.get('/api/admin/preregistered', adminMiddleware, async (req, res) => {
   const list = await db.listPreregistered();
   res.json({ preregistered: list });
 });
 
 // Update user's max packs
-app.put('/api/admin/user/:userId/packs', adminAuth, async (req, res) => {
+app.put('/api/admin/user/:userId/packs', adminMiddleware, async (req, res) => {
   try {
     const userId = parseInt(req.params.userId);
     const { maxPacks } = req.body;
+    const before = await db.getUser(userId);
     const user = await db.updateUserMaxPacks(userId, maxPacks);
+    await auditLog.record({
+      actor: req.user,
+      action: 'set_max_packs',
+      target: user,
+      before: { max_packs: before?.max_packs ?? null },
+      after: { max_packs: user.max_packs },
+    });
     res.json({ success: true, user });
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -358,12 +445,20 @@ app.put('/api/admin/user/:userId/packs', adminAuth, async (req, res) => {
 });
 
 // Reset a user's password (admin). Sets a temporary password so they can log in and change it later.
-app.post('/api/admin/reset-password', adminAuth, async (req, res) => {
+app.post('/api/admin/reset-password', adminMiddleware, async (req, res) => {
   try {
     const { username, tempPassword } = req.body;
     if (!username) return res.status(400).json({ error: 'username required' });
     const password = tempPassword && tempPassword.length >= 4 ? tempPassword : 'password';
     const user = await db.setPasswordByUsername(username, password);
+    // Never log the password itself; all sessions were ended by the reset
+    await auditLog.record({
+      actor: req.user,
+      action: 'reset_password',
+      target: user,
+      before: null,
+      after: { temporaryPassword: password === 'password' ? 'default' : 'custom', sessionsEnded: true },
+    });
     res.json({
       success: true,
       message: `Password for ${user.username} has been reset.`,
@@ -377,7 +472,7 @@ app.post('/api/admin/reset-password', adminAuth, async (req, res) => {
 });
 
 // List all users (admin)
-app.get('/api/admin/users', adminAuth, async (req, res) => {
+app.get('/api/admin/users', adminMiddleware, async (req, res) => {
   const users = await db.getAllUsers();
   res.json({ users: users.map(u => ({
     id: u.id,
@@ -385,12 +480,125 @@ app.get('/api/admin/users', adminAuth, async (req, res) => {
     team_name: u.team_name,
     packs_opened: u.packs_opened,
     max_packs: u.max_packs,
+    role: u.role,
     created_at: u.created_at,
   }))});
 });
 
+// Admin: change a user's role (player / commissioner / admin)
+app.put('/api/admin/users/:userId/role', adminMiddleware, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const role = roles.assertRole(req.body?.role);
+    const before = await db.getUser(userId);
+    if (!before) return res.status(404).json({ error: 'User not found' });
+    if (userId === req.user.id && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+    const user = await db.setUserRole(userId, role);
+    await auditLog.record({ actor: req.user, action: 'set_role', target: user, before: { role: before.role }, after: { role } });
+    res.json({ success: true, user });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Admin: audit log, newest first (?action=grant_hof_card&userId=12&limit=50)
+app.get('/api/admin/audit-log', adminMiddleware, async (req, res) => {
+  try {
+    const entries = await auditLog.list({
+      action: req.query.action || null,
+      targetUserId: req.query.userId ? parseInt(req.query.userId) : null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 500),
+    });
+    res.json({ entries });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: the pack catalog, including inactive products
+app.get('/api/admin/pack-products', adminMiddleware, async (req, res) => {
+  try {
+    const products = await packProducts.listProducts();
+    res.json({ products: products.map(p => ({ ...p, odds: packDefinitions.productOdds(p) })) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: add a pack product (see pack-definitions.js for the fields)
+app.post('/api/admin/pack-products', adminMiddleware, async (req, res) => {
+  try {
+    const product = await packProducts.createProduct(req.body || {});
+    await auditLog.record({ actor: req.user, action: 'pack_product_create', after: product });
+    res.json({ success: true, product });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Admin: change a pack product (odds, slots, filters, channel, active...)
+app.put('/api/admin/pack-products/:slug', adminMiddleware, async (req, res) => {
+  try {
+    const existing = await packProducts.getProduct(req.params.slug);
+    if (!existing) return res.status(404).json({ error: 'Pack not found' });
+    const { before, after } = await packProducts.updateProduct(req.params.slug, req.body || {});
+    await auditLog.record({ actor: req.user, action: 'pack_product_update', before, after });
+    res.json({ success: true, product: after });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Admin: remove a pack product (set active: false to just pull it from sale)
+app.delete('/api/admin/pack-products/:slug', adminMiddleware, async (req, res) => {
+  try {
+    const existing = await packProducts.getProduct(req.params.slug);
+    if (!existing) return res.status(404).json({ error: 'Pack not found' });
+    const product = await packProducts.deleteProduct(req.params.slug);
+    await auditLog.record({ actor: req.user, action: 'pack_product_delete', before: product });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Admin: every collection set, including retired ones
+app.get('/api/admin/collections', adminMiddleware, async (req, res) => {
+  try {
+    res.json({ sets: await collections.listSets() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Admin: add a collection set (see collection-definitions.js for the fields)
+app.post('/api/admin/collections', adminMiddleware, async (req, res) => {
+  try {
+    const set = await collections.createSet(req.body || {});
+    await auditLog.record({ actor: req.user, action: 'collection_set_create', after: set });
+    res.json({ success: true, set });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Admin: change a collection set (set active: false to retire it)
+app.put('/api/admin/collections/:slug', adminMiddleware, async (req, res) => {
+  try {
+    const existing = await collections.getSet(req.params.slug);
+    if (!existing) return res.status(404).json({ error: 'Set not found' });
+    const { before, after } = await collections.updateSet(req.params.slug, req.body || {});
+    await auditLog.record({ actor: req.user, action: 'collection_set_update', before, after });
+    res.json({ success: true, set: after });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // Admin: Card counts & image health per user
-app.get('/api/admin/user-card-stats', adminAuth, async (req, res) => {
+app.get('/api/admin/user-card-stats', adminMiddleware, async (req, res) => {
   const fs = require('fs');
   const path = require('path');
   const PERSISTENT_DIR = '/var/data';
@@ -468,7 +676,7 @@ app.get('/api/admin/user-card-stats', adminAuth, async (req, res) => {
 
 // Admin: Compensate a user for missing mints by adding bonus packs
 // If pack opens were counted but fewer than 5 cards were saved, this restores fairness
-app.post('/api/admin/compensate-missing-packs', adminAuth, async (req, res) => {
+app.post('/api/admin/compensate-missing-packs', adminMiddleware, async (req, res) => {
   try {
     const { username } = req.body;
     if (!username) {
@@ -499,6 +707,13 @@ app.post('/api/admin/compensate-missing-packs', adminAuth, async (req, res) => {
     const packsToAdd = Math.ceil(missingCards / 5);
     const newMax = (user.max_packs || 0) + packsToAdd;
     await db.updateUserMaxPacks(user.id, newMax);
+    await auditLog.record({
+      actor: req.user,
+      action: 'compensate_packs',
+      target: user,
+      before: { max_packs: user.max_packs },
+      after: { max_packs: newMax, missingCards },
+    });
     
     res.json({
       success: true,
@@ -519,29 +734,41 @@ app.post('/api/admin/compensate-missing-packs', adminAuth, async (req, res) => {
 // PACK ROUTES
 // =============================================================================
 
-// Get pack info
-const STARTER_PACKS_MAX = 3;
+// Get pack info, with the odds of every pack on offer
 app.get('/api/packs/info', authMiddleware, async (req, res) => {
   try {
+    const claimedGrants = await grants.claimGrants(req.user.id); // Bonus packs land before we count
     const user = await db.getUser(req.user.id);
-    const packStats = packs.getPackStats();
     const availability = mintingLedger.getAvailabilityStats();
+    const catalog = await packProducts.listProducts();
     const opened = user.packs_opened ?? 0;
     const maxPacks = user.max_packs ?? 13;
-    const starterOpened = Math.min(opened, STARTER_PACKS_MAX);
-    const bonusMax = Math.max(0, maxPacks - STARTER_PACKS_MAX);
-    const bonusOpened = Math.max(0, opened - STARTER_PACKS_MAX);
+    const starterMax = packDefinitions.channelProducts(catalog, 'starter').length;
+    const starterOpened = Math.min(opened, starterMax);
+    const bonusMax = Math.max(0, maxPacks - starterMax);
+    const bonusOpened = Math.max(0, opened - starterMax);
+    const bonusProduct = packDefinitions.channelProducts(catalog, 'bonus')[0];
+    const nextProduct = opened < maxPacks ? packDefinitions.productForPack(catalog, opened) : null;
+    const pulls = await db.getPackPulls(req.user.id);
 
     res.json({
       packsOpened: opened,
       maxPacks,
       packsRemaining: maxPacks - opened,
       starterPacksOpened: starterOpened,
-      starterPacksMax: STARTER_PACKS_MAX,
+      starterPacksMax: starterMax,
       bonusPacksOpened: bonusOpened,
       bonusPacksMax: bonusMax,
-      tierRates: packStats.expectedRates,
+      tierRates: bonusProduct ? packDefinitions.productOdds(bonusProduct).perCard : {},
+      nextPack: nextProduct && {
+        slug: nextProduct.slug,
+        name: nextProduct.name,
+        packType: nextProduct.channel === 'starter' ? 'starter' : 'bonus',
+      },
+      products: catalog.filter(p => p.active).map(packDefinitions.publicProduct),
+      pity: packDefinitions.pityProgress(nextProduct || bonusProduct, pulls),
       cardAvailability: availability,
+      claimedGrants: claimedGrants.map(g => ({ type: g.type, description: g.description })),
     });
   } catch (err) {
     console.error('GET /api/packs/info error:', err);
@@ -560,385 +787,66 @@ if (AI_ENABLED) {
 // Open a pack
 app.post('/api/packs/open', authMiddleware, async (req, res) => {
   try {
-    const user = await db.getUser(req.user.id);
-    
-    if (user.packs_opened >= user.max_packs) {
-      return res.status(400).json({ error: 'No packs remaining' });
-    }
-    
-    // Determine pack type
-    const isStarterPack = user.packs_opened < 3; // First 3 are starter packs
-    const packNum = user.packs_opened; // 0-based
-    const cards = isStarterPack ? await packs.openStarterPack(packNum) : await packs.openPack();
-    
-    if (cards.length === 0) {
-      return res.status(400).json({ error: 'No cards available to mint' });
-    }
-    
-    // Sneak a Hall of Fame card into one pack for John!
-    const isJohn = user.username && String(user.username).toLowerCase() === 'john!';
-    let hofForSlot = null;
-    let hofSlotIndex = 2;
-    if (isJohn) {
-      for (let a = 0; a < 50; a++) {
-        const p = await packs.pickRandomPlayerFromTier(11);
-        if (p && (p.tier === 11 || p.isHOF) && !(await mintingLedger.isCardMinted(p))) {
-          hofForSlot = p;
-          hofSlotIndex = Math.floor(Math.random() * 5);
-          break;
-        }
-      }
-    }
-    
-    // Save cards to database AND mint them (mark as taken)
-    const savedCards = [];
-    const cardsToGenerateImages = [];
-    const desiredCount = 5;
-    const desiredPositions = cards.slice(0, desiredCount).map(c => c.position);
-    
-    for (let i = 0; i < desiredCount; i++) {
-      const preferredPosition = desiredPositions[i] || null;
-      let mintedCard = null;
-      const useHofThisSlot = isJohn && i === hofSlotIndex && hofForSlot;
-      
-      // Try the originally selected card first, then retry with replacements (or HOF for John!'s special slot)
-      for (let attempt = 0; attempt < 200; attempt++) {
-        let candidate;
-        if (useHofThisSlot && attempt === 0) {
-          candidate = hofForSlot;
-        } else if (attempt === 0) {
-          candidate = cards[i];
-        } else {
-          candidate = preferredPosition
-            ? (packs.pickRandomPlayerFromPosition(preferredPosition) || packs.pickAnyAvailablePlayer())
-            : packs.pickAnyAvailablePlayer();
-        }
-        
-        if (!candidate) break;
-        
-        try {
-          mintingLedger.mintCard(candidate, req.user.id);
-          mintedCard = { ...candidate };
-          break;
-        } catch (mintErr) {
-          // Collision/race: try another card instead of skipping
-          continue;
-        }
-      }
-      
-      if (!mintedCard) {
-        return res.status(500).json({ error: 'Could not mint a full pack. Please try again.' });
-      }
-      
-      // Attach stat-derived engine traits (for UI + simulation nuance)
-      const engine = buildEngineForCard({
-        player_name: mintedCard.player || mintedCard.player_name,
-        season: mintedCard.season,
-        position: mintedCard.position,
-        tier: mintedCard.tier,
-        composite_score: mintedCard.composite_score,
-      });
-      if (engine) {
-        mintedCard.engine_v = engine.engine_v;
-        mintedCard.engine_era = engine.engine_era;
-        mintedCard.engine_percentiles = engine.engine_percentiles;
-        mintedCard.engine_traits = engine.engine_traits;
-        mintedCard.engine_inferred = engine.engine_inferred;
-      }
-
-      // Get formatted stats for card back
-      mintedCard.stats = cardImageGenerator.getFormattedStats(mintedCard);
-      
-      // Use placeholder image initially if AI is enabled
-      // For SVG (non-AI), generate immediately since it's fast
-      let imageUrl;
-      let imagePending = false;
-      
-      if (AI_ENABLED) {
-        // Use a placeholder, generate AI image in background
-        imageUrl = '/cards/placeholder.svg';
-        imagePending = true;
-      } else {
-        // SVG is instant, generate now
-        imageUrl = await cardImageGenerator.getOrGenerateCardImage(mintedCard);
-      }
-      
-      mintedCard.image_url = imageUrl;
-      mintedCard.image_pending = imagePending;
-      
-      const cardId = await db.addCard(req.user.id, mintedCard);
-      const savedCard = { id: cardId, ...mintedCard, image_url: imageUrl, image_pending: imagePending };
-      savedCards.push(savedCard);
-      
-      if (imagePending) {
-        cardsToGenerateImages.push({ cardId, card: savedCard });
-      }
-    }
-    
-    // Increment packs opened ONLY after minting full pack
-    await db.incrementPacksOpened(req.user.id);
-    
-    // Generate AI images in background (don't wait)
-    if (cardsToGenerateImages.length > 0) {
-      setImmediate(async () => {
-        for (const { cardId, card } of cardsToGenerateImages) {
-          try {
-            console.log(`Background: Generating AI image for card ${cardId}...`);
-            const imageUrl = await cardImageGenerator.getOrGenerateCardImage(card);
-            await db.updateCardImage(cardId, imageUrl);
-            console.log(`Background: Card ${cardId} image ready: ${imageUrl}`);
-          } catch (err) {
-            console.error(`Background: Failed to generate image for card ${cardId}:`, err.message);
-          }
-        }
-      });
-    }
-    
+    const result = await packOpening.openPacks(req.user.id, {
+      kind: 'standard',
+      idempotencyKey: req.get('Idempotency-Key'),
+    });
+    const [pack] = result.packs;
     res.json({
-      packType: isStarterPack ? 'starter' : 'bonus',
-      packNumber: user.packs_opened + 1,
-      cards: savedCards,
-      packsRemaining: user.max_packs - user.packs_opened - 1,
-      imagesGenerating: AI_ENABLED, // Tell frontend images are being generated
+      packType: pack.packType,
+      packNumber: pack.packNumber,
+      product: pack.product,
+      pity: pack.pity,
+      cards: pack.cards,
+      packsRemaining: result.packsRemaining,
+      imagesGenerating: result.imagesGenerating, // Tell frontend images are being generated
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // Open a single-card pack (for testing foil animation)
 app.post('/api/packs/open-single', authMiddleware, async (req, res) => {
   try {
-    const user = await db.getUser(req.user.id);
-    
-    if (user.packs_opened >= user.max_packs) {
-      return res.status(400).json({ error: 'No packs remaining' });
-    }
-    
-    const cards = await packs.openSingleCard();
-    
-    if (cards.length === 0) {
-      return res.status(400).json({ error: 'No cards available to mint' });
-    }
-    
-    const savedCards = [];
-    const cardsToGenerateImages = [];
-
-    const preferredPosition = cards[0]?.position || null;
-    let mintedCard = null;
-    for (let attempt = 0; attempt < 200; attempt++) {
-      const candidate = attempt === 0
-        ? cards[0]
-        : (preferredPosition
-            ? (packs.pickRandomPlayerFromPosition(preferredPosition) || packs.pickAnyAvailablePlayer())
-            : packs.pickAnyAvailablePlayer());
-      if (!candidate) break;
-      try {
-        mintingLedger.mintCard(candidate, req.user.id);
-        mintedCard = { ...candidate };
-        break;
-      } catch (e) {
-        continue;
-      }
-    }
-    
-    if (!mintedCard) {
-      return res.status(500).json({ error: 'Could not mint a single-card pack. Please try again.' });
-    }
-      
-    const engine = buildEngineForCard({
-      player_name: mintedCard.player || mintedCard.player_name,
-      season: mintedCard.season,
-      position: mintedCard.position,
-      tier: mintedCard.tier,
-      composite_score: mintedCard.composite_score,
+    const result = await packOpening.openPacks(req.user.id, {
+      kind: 'single',
+      idempotencyKey: req.get('Idempotency-Key'),
     });
-    if (engine) {
-      mintedCard.engine_v = engine.engine_v;
-      mintedCard.engine_era = engine.engine_era;
-      mintedCard.engine_percentiles = engine.engine_percentiles;
-      mintedCard.engine_traits = engine.engine_traits;
-      mintedCard.engine_inferred = engine.engine_inferred;
-    }
-
-    mintedCard.stats = cardImageGenerator.getFormattedStats(mintedCard);
-      
-    let imageUrl;
-    let imagePending = false;
-      
-    if (AI_ENABLED) {
-      imageUrl = '/cards/placeholder.svg';
-      imagePending = true;
-    } else {
-      imageUrl = await cardImageGenerator.getOrGenerateCardImage(mintedCard);
-    }
-      
-    mintedCard.image_url = imageUrl;
-    mintedCard.image_pending = imagePending;
-      
-    const cardId = await db.addCard(req.user.id, mintedCard);
-    const savedCard = { id: cardId, ...mintedCard, image_url: imageUrl, image_pending: imagePending };
-    savedCards.push(savedCard);
-      
-    if (imagePending) {
-      cardsToGenerateImages.push({ cardId, card: savedCard });
-    }
-    
-    await db.incrementPacksOpened(req.user.id);
-    
-    if (cardsToGenerateImages.length > 0) {
-      setImmediate(async () => {
-        for (const { cardId, card } of cardsToGenerateImages) {
-          try {
-            console.log(`Background: Generating AI image for card ${cardId}...`);
-            const imageUrl = await cardImageGenerator.getOrGenerateCardImage(card);
-            await db.updateCardImage(cardId, imageUrl);
-            console.log(`Background: Card ${cardId} image ready: ${imageUrl}`);
-          } catch (err) {
-            console.error(`Background: Failed to generate image for card ${cardId}:`, err.message);
-          }
-        }
-      });
-    }
-    
+    const [pack] = result.packs;
     res.json({
-      packType: 'bonus',
-      packNumber: user.packs_opened + 1,
-      cards: savedCards,
-      packsRemaining: user.max_packs - user.packs_opened - 1,
-      imagesGenerating: AI_ENABLED,
+      packType: pack.packType,
+      packNumber: pack.packNumber,
+      product: pack.product,
+      pity: pack.pity,
+      cards: pack.cards,
+      packsRemaining: result.packsRemaining,
+      imagesGenerating: result.imagesGenerating,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
 // Open all remaining packs at once
 app.post('/api/packs/open-all', authMiddleware, async (req, res) => {
   try {
-    const user = await db.getUser(req.user.id);
-    const remaining = user.max_packs - user.packs_opened;
-    
-    if (remaining <= 0) {
-      return res.status(400).json({ error: 'No packs remaining' });
-    }
-    
-    const allCards = [];
-    const cardsToGenerateImages = [];
-    
-    for (let i = 0; i < remaining; i++) {
-      const currentPackNum = user.packs_opened + i;
-      const isStarterPack = currentPackNum < 3;
-      const cards = isStarterPack ? await packs.openStarterPack(currentPackNum) : await packs.openPack();
-      const desiredCount = 5;
-      const desiredPositions = cards.slice(0, desiredCount).map(c => c.position);
-      let mintedThisPack = 0;
-      
-      for (let slot = 0; slot < desiredCount; slot++) {
-        const preferredPosition = desiredPositions[slot] || null;
-        let mintedCard = null;
-        
-        for (let attempt = 0; attempt < 200; attempt++) {
-          const candidate = attempt === 0
-            ? cards[slot]
-            : (preferredPosition
-                ? (packs.pickRandomPlayerFromPosition(preferredPosition) || packs.pickAnyAvailablePlayer())
-                : packs.pickAnyAvailablePlayer());
-          if (!candidate) break;
-          try {
-            mintingLedger.mintCard(candidate, req.user.id);
-            mintedCard = { ...candidate };
-            break;
-          } catch (e) {
-            continue;
-          }
-        }
-        
-        if (!mintedCard) {
-          return res.status(500).json({ error: 'Could not mint all packs due to mint collisions. Please try again.' });
-        }
-        
-        const engine = buildEngineForCard({
-          player_name: mintedCard.player || mintedCard.player_name,
-          season: mintedCard.season,
-          position: mintedCard.position,
-          tier: mintedCard.tier,
-          composite_score: mintedCard.composite_score,
-        });
-        if (engine) {
-          mintedCard.engine_v = engine.engine_v;
-          mintedCard.engine_era = engine.engine_era;
-          mintedCard.engine_percentiles = engine.engine_percentiles;
-          mintedCard.engine_traits = engine.engine_traits;
-          mintedCard.engine_inferred = engine.engine_inferred;
-        }
-
-        // Get formatted stats for card back
-        mintedCard.stats = cardImageGenerator.getFormattedStats(mintedCard);
-        
-        // Use placeholder image initially if AI is enabled
-        let imageUrl;
-        let imagePending = false;
-        
-        if (AI_ENABLED) {
-          imageUrl = '/cards/placeholder.svg';
-          imagePending = true;
-        } else {
-          imageUrl = await cardImageGenerator.getOrGenerateCardImage(mintedCard);
-        }
-        
-        mintedCard.image_url = imageUrl;
-        mintedCard.image_pending = imagePending;
-        
-        const cardId = await db.addCard(req.user.id, mintedCard);
-        const savedCard = { 
-          id: cardId, 
-          ...mintedCard,
-          image_url: imageUrl,
-          image_pending: imagePending,
-          packNumber: currentPackNum + 1,
-          packType: isStarterPack ? 'starter' : 'bonus'
-        };
-        allCards.push(savedCard);
-        mintedThisPack += 1;
-        
-        if (imagePending) {
-          cardsToGenerateImages.push({ cardId, card: savedCard });
-        }
-      }
-      
-      if (mintedThisPack === desiredCount) {
-        await db.incrementPacksOpened(req.user.id);
-      } else {
-        return res.status(500).json({ error: 'Failed to mint a full pack during open-all. Please try again.' });
-      }
-    }
-    
-    // Generate AI images in background (don't wait)
-    if (cardsToGenerateImages.length > 0) {
-      setImmediate(async () => {
-        for (const { cardId, card } of cardsToGenerateImages) {
-          try {
-            console.log(`Background: Generating AI image for card ${cardId}...`);
-            const imageUrl = await cardImageGenerator.getOrGenerateCardImage(card);
-            await db.updateCardImage(cardId, imageUrl);
-            console.log(`Background: Card ${cardId} image ready: ${imageUrl}`);
-          } catch (err) {
-            console.error(`Background: Failed to generate image for card ${cardId}:`, err.message);
-          }
-        }
-      });
-    }
-    
+    const result = await packOpening.openPacks(req.user.id, {
+      kind: 'all',
+      idempotencyKey: req.get('Idempotency-Key'),
+    });
+    const allCards = result.packs.flatMap(pack =>
+      pack.cards.map(card => ({ ...card, packNumber: pack.packNumber, packType: pack.packType, pityPack: pack.pity }))
+    );
     res.json({
-      packsOpened: remaining,
+      packsOpened: result.packs.length,
       totalCards: allCards.length,
       cards: allCards,
-      packsRemaining: 0,
-      imagesGenerating: AI_ENABLED,
+      packsRemaining: result.packsRemaining,
+      imagesGenerating: result.imagesGenerating,
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -1000,6 +908,7 @@ function enqueueCardImageRegen(card) {
 
 // Get all user's cards
 app.get('/api/cards', authMiddleware, async (req, res) => {
+  await grants.claimGrants(req.user.id).catch(err => console.error('claimGrants:', err.message));
   const cards = await db.getUserCards(req.user.id);
   
   // Check for cards needing image regeneration
@@ -1031,6 +940,45 @@ app.get('/api/cards/:id', authMiddleware, async (req, res) => {
   res.json({ card });
 });
 
+// Retire a card: it's deleted, its player-season goes back into packs, and it pays crafting points
+app.post('/api/cards/:id/retire', authMiddleware, async (req, res) => {
+  try {
+    const result = await crafting.retireCard(req.user.id, parseInt(req.params.id));
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Crafting points balance, retire values and recipe costs
+app.get('/api/crafting', authMiddleware, async (req, res) => {
+  try {
+    res.json(await crafting.getCraftingInfo(req.user.id));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Spend crafting points: { recipe: 'pack' } or { recipe: 'pull', position, tier }
+app.post('/api/crafting/craft', authMiddleware, async (req, res) => {
+  try {
+    const result = await crafting.craft(req.user.id, req.body || {});
+    res.json({ success: true, ...result });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Collection sets: progress, badges, and rewards for sets completed since the last look
+app.get('/api/collections', authMiddleware, async (req, res) => {
+  try {
+    res.json(await collectionProgress.getUserCollections(req.user.id));
+  } catch (err) {
+    console.error('GET /api/collections error:', err);
+    res.status(500).json({ error: err.message || 'Failed to load collections' });
+  }
+});
+
 // =============================================================================
 // VIEW OTHER USERS' COLLECTIONS
 // =============================================================================
@@ -1087,6 +1035,8 @@ app.get('/api/users/:userId/roster', authMiddleware, async (req, res) => {
   }
   
   const fullRoster = await db.getFullRoster(userId);
+  // The game plan is the coach's secret; scouts only see the cards
+  const { game_plan, ...roster } = fullRoster.roster;
   
   res.json({
     user: {
@@ -1094,7 +1044,7 @@ app.get('/api/users/:userId/roster', authMiddleware, async (req, res) => {
       username: user.username,
       team_name: user.team_name,
     },
-    roster: fullRoster,
+    roster: { ...fullRoster, roster },
   });
 });
 
@@ -1109,7 +1059,7 @@ app.get('/api/users/:userId/presets', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'User not found' });
     }
     
-    const cards = await db.getUserCards(userId);
+    const cards = await getRosterableCards(userId);
     const tierCap = { offense: 42, defense: 28 }; // Same caps as OFFENSE_TIER_CAP/DEFENSE_TIER_CAP
     
     // Create card lookup map by ID
@@ -1162,14 +1112,17 @@ app.get('/api/roster', authMiddleware, async (req, res) => {
 // Tier caps for roster building (separate for offense and defense)
 const OFFENSE_TIER_CAP = 42; // 6 slots: QB, RB, WR1, WR2, TE, OL (avg ~T7)
 const DEFENSE_TIER_CAP = 28; // 4 slots: DL, LB, DB1, DB2 (avg ~T7)
-// K is uncapped (just 1 slot)
+const SPECIAL_TEAMS_TIER_CAP = gameEngine.SPECIAL_TEAMS_TIER_CAP; // 2 slots: K, P (avg ~T7)
 
 const OFFENSE_SLOTS = ['qb_card_id', 'rb_card_id', 'wr1_card_id', 'wr2_card_id', 'te_card_id', 'ol_card_id'];
 const DEFENSE_SLOTS = ['dl_card_id', 'lb_card_id', 'db1_card_id', 'db2_card_id'];
+const SPECIAL_TEAMS_SLOTS = { k_card_id: 'K', p_card_id: 'P' }; // Must hold a card of that position
+const BENCH_SLOTS = gameEngine.BENCH_SLOTS; // Backups: not capped, must match their position
+const ROSTER_SLOTS = [...OFFENSE_SLOTS, ...DEFENSE_SLOTS, ...Object.keys(SPECIAL_TEAMS_SLOTS), ...Object.keys(BENCH_SLOTS)];
 
-// Helper to calculate tier sums from roster cards (offense and defense separately)
+// Helper to calculate tier sums from roster cards (offense, defense and special teams separately)
 function calculateRosterTierSums(cards) {
-  if (!cards) return { offense: 0, defense: 0 };
+  if (!cards) return { offense: 0, defense: 0, specialTeams: 0 };
   
   let offenseSum = 0;
   for (const slotId of OFFENSE_SLOTS) {
@@ -1183,64 +1136,40 @@ function calculateRosterTierSums(cards) {
     if (card?.tier) defenseSum += card.tier;
   }
   
-  return { offense: offenseSum, defense: defenseSum };
-}
-
-// Roster lock: check if user's roster is locked for upcoming games
-// Rosters lock 10 minutes before game time
-const ROSTER_LOCK_MINUTES = 10;
-const GAME_HOURS = [19, 21]; // 7 PM and 9 PM EST
-
-function checkRosterLock(userId) {
-  const now = scheduler.getESTDate();
-  const today = scheduler.formatDate(now);
-  const currentHour = now.getHours();
-  const currentMinute = now.getMinutes();
-  
-  // Load today's schedule
-  const schedule = scheduler.loadSchedule();
-  const todayGames = schedule.games.filter(g => 
-    g.date === today && 
-    g.status === 'scheduled' &&
-    (g.homeUserId === userId || g.awayUserId === userId)
-  );
-  
-  if (todayGames.length === 0) {
-    return { locked: false };
+  let specialTeamsSum = 0;
+  for (const slotId of Object.keys(SPECIAL_TEAMS_SLOTS)) {
+    const card = cards[slotId];
+    if (card?.tier) specialTeamsSum += card.tier;
   }
   
-  // Check each game to see if we're within lock window
-  for (const game of todayGames) {
-    const gameHour = game.time; // 19 or 21
-    const lockHour = gameHour;
-    const lockMinute = 60 - ROSTER_LOCK_MINUTES; // 50 minutes (lock at X:50)
-    
-    // Calculate minutes until game
-    const minutesUntilGame = (gameHour - currentHour) * 60 + (0 - currentMinute);
-    
-    // If we're within 10 minutes of game time (or past it), roster is locked
-    if (minutesUntilGame <= ROSTER_LOCK_MINUTES && minutesUntilGame > -60) {
-      // Game is within lock window
-      const gameNum = game.time === 19 ? 1 : 2;
-      const gameTimeStr = game.time === 19 ? '7:00 PM' : '9:00 PM';
-      return {
-        locked: true,
-        gameId: game.id,
-        gameNum,
-        gameTime: gameTimeStr,
-        minutesUntilGame: Math.max(0, minutesUntilGame),
-        message: `Roster locked for Game ${gameNum} (${gameTimeStr} EST). Rosters lock 10 minutes before game time.`
-      };
-    }
+  return { offense: offenseSum, defense: defenseSum, specialTeams: specialTeamsSum };
+}
+
+// Auto-fill and presets only set starting slots: a card moved up from the
+// bench leaves its bench slot
+async function clearPromotedBench(userId, slots) {
+  const roster = (await db.getRoster(userId)) || {};
+  const starting = new Set(Object.entries(slots).filter(([key, id]) => !BENCH_SLOTS[key] && id).map(([, id]) => id));
+  const cleared = { ...slots };
+  for (const key of Object.keys(BENCH_SLOTS)) {
+    if (roster[key] && starting.has(roster[key])) cleared[key] = null;
   }
-  
-  return { locked: false };
+  return cleared;
 }
 
+// Cards auto-fill and presets may use: not escrowed in a pending trade, not injured
+async function getRosterableCards(userId) {
+  const tradeLockedIds = new Set(await trades.getLockedCardIds(userId));
+  return (await db.getUserCards(userId)).filter(c => !tradeLockedIds.has(c.id) && !injuries.isInjured(c));
+}
+
+// Roster lock: each league locks rosters shortly before its game times (see scheduler.checkRosterLock)
+const { checkRosterLock } = scheduler;
+
 // Check roster lock status
 app.get('/api/roster/lock-status', authMiddleware, async (req, res) => {
   try {
-    const lockStatus = checkRosterLock(req.user.id);
+    const lockStatus = await checkRosterLock(req.user.id);
     res.json(lockStatus);
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -1251,7 +1180,7 @@ app.get('/api/roster/lock-status', authMiddleware, async (req, res) => {
 app.put('/api/roster', authMiddleware, async (req, res) => {
   try {
     // Check roster lock
-    const lockStatus = checkRosterLock(req.user.id);
+    const lockStatus = await checkRosterLock(req.user.id);
     if (lockStatus.locked) {
       return res.status(423).json({ error: lockStatus.message, ...lockStatus });
     }
@@ -1266,20 +1195,48 @@ app.put('/api/roster', authMiddleware, async (req, res) => {
     const currentRoster = await db.getFullRoster(req.user.id);
     const currentCards = currentRoster?.cards || {};
     
+    // Cards offered in a pending trade are escrowed and can't be rostered
+    const tradeLockedIds = new Set(await trades.getLockedCardIds(req.user.id));
+    
     // Build a preview of the new roster to check tier cap
     const newCards = { ...currentCards };
     for (const [slot, cardId] of Object.entries(slots)) {
+      if (!ROSTER_SLOTS.includes(slot)) {
+        return res.status(400).json({ error: `Unknown roster slot: ${slot}` });
+      }
       if (cardId !== null) {
         const card = await db.getCard(cardId);
         if (!card || card.user_id !== req.user.id) {
           return res.status(400).json({ error: `Card ${cardId} not found or not owned` });
         }
+        if (tradeLockedIds.has(card.id) && currentCards[slot]?.id !== card.id) {
+          return res.status(409).json({ error: `${card.player_name} is offered in a pending trade and can't be added to your roster` });
+        }
+        if (injuries.isInjured(card) && currentCards[slot]?.id !== card.id) {
+          return res.status(409).json({ error: `${card.player_name} is injured, ${injuries.injuryLabel(card)}` });
+        }
+        if (BENCH_SLOTS[slot] && card.position !== BENCH_SLOTS[slot]) {
+          return res.status(400).json({ error: `${card.player_name} is a ${card.position}; that bench slot is for a ${BENCH_SLOTS[slot]}` });
+        }
+        if (SPECIAL_TEAMS_SLOTS[slot] && card.position !== SPECIAL_TEAMS_SLOTS[slot]) {
+          return res.status(400).json({ error: `${card.player_name} is a ${card.position}; that slot is for a ${SPECIAL_TEAMS_SLOTS[slot]}` });
+        }
         newCards[slot] = card;
       } else {
         newCards[slot] = null;
       }
     }
     
+    // A card can fill only one slot (starter or backup)
+    const seen = new Set();
+    for (const card of Object.values(newCards)) {
+      if (!card) continue;
+      if (seen.has(card.id)) {
+        return res.status(400).json({ error: `${card.player_name} is already on your roster` });
+      }
+      seen.add(card.id);
+    }
+    
     // Check tier caps (offense and defense separately)
     const tierSums = calculateRosterTierSums(newCards);
     if (tierSums.offense > OFFENSE_TIER_CAP) {
@@ -1298,6 +1255,14 @@ app.put('/api/roster', authMiddleware, async (req, res) => {
         side: 'defense'
       });
     }
+    if (tierSums.specialTeams > SPECIAL_TEAMS_TIER_CAP) {
+      return res.status(400).json({ 
+        error: `Special teams (K + P) exceed tier cap of ${SPECIAL_TEAMS_TIER_CAP}. Current: ${tierSums.specialTeams}`,
+        specialTeamsTierSum: tierSums.specialTeams,
+        specialTeamsTierCap: SPECIAL_TEAMS_TIER_CAP,
+        side: 'specialTeams'
+      });
+    }
     
     await db.updateRoster(req.user.id, slots);
     const fullRoster = await db.getFullRoster(req.user.id);
@@ -1314,12 +1279,12 @@ app.put('/api/roster', authMiddleware, async (req, res) => {
 app.post('/api/roster/auto-fill', authMiddleware, async (req, res) => {
   try {
     // Check roster lock
-    const lockStatus = checkRosterLock(req.user.id);
+    const lockStatus = await checkRosterLock(req.user.id);
     if (lockStatus.locked) {
       return res.status(423).json({ error: lockStatus.message, ...lockStatus });
     }
     
-    const cards = await db.getUserCards(req.user.id);
+    const cards = await getRosterableCards(req.user.id);
     const strategy = ['balanced', 'pass_heavy', 'run_heavy'].includes(req.body?.strategy)
       ? req.body.strategy
       : 'balanced';
@@ -1327,7 +1292,7 @@ app.post('/api/roster/auto-fill', authMiddleware, async (req, res) => {
       ? req.body.defenseStrategy
       : 'base_defense';
     const slots = gameEngine.autoFillRoster(cards, strategy, defenseStrategy, { offense: OFFENSE_TIER_CAP, defense: DEFENSE_TIER_CAP });
-    await db.updateRoster(req.user.id, slots);
+    await db.updateRoster(req.user.id, await clearPromotedBench(req.user.id, slots));
     const fullRoster = await db.getFullRoster(req.user.id);
     scheduler.integrateNewUsers().catch(err => console.error('integrateNewUsers error:', err));
     res.json(fullRoster);
@@ -1341,7 +1306,7 @@ app.post('/api/roster/auto-fill', authMiddleware, async (req, res) => {
 app.post('/api/roster/fill-to-ratio', authMiddleware, async (req, res) => {
   try {
     // Check roster lock
-    const lockStatus = checkRosterLock(req.user.id);
+    const lockStatus = await checkRosterLock(req.user.id);
     if (lockStatus.locked) {
       return res.status(423).json({ error: lockStatus.message, ...lockStatus });
     }
@@ -1351,7 +1316,7 @@ app.post('/api/roster/fill-to-ratio', authMiddleware, async (req, res) => {
       return res.status(400).json({ error: 'side and targetRatio required' });
     }
     
-    const cards = await db.getUserCards(req.user.id);
+    const cards = await getRosterableCards(req.user.id);
     const currentRoster = await db.getFullRoster(req.user.id);
     
     let slots;
@@ -1376,11 +1341,12 @@ app.post('/api/roster/fill-to-ratio', authMiddleware, async (req, res) => {
         te_card_id: current.te_card_id,
         ol_card_id: current.ol_card_id,
         k_card_id: current.k_card_id,
+        p_card_id: current.p_card_id,
         ...defenseSlots,
       };
     }
     
-    await db.updateRoster(req.user.id, slots);
+    await db.updateRoster(req.user.id, await clearPromotedBench(req.user.id, slots));
     const fullRoster = await db.getFullRoster(req.user.id);
     scheduler.integrateNewUsers().catch(err => console.error('integrateNewUsers error:', err));
     res.json(fullRoster);
@@ -1407,6 +1373,7 @@ app.get('/api/roster/strategy', authMiddleware, async (req, res) => {
       LB: cards.lb_card_id || null,
       DBs: [cards.db1_card_id, cards.db2_card_id].filter(Boolean),
       K: cards.k_card_id || null,
+      P: cards.p_card_id || null,
     };
     
     // Calculate ratings and derive strategies
@@ -1455,6 +1422,8 @@ app.get('/api/roster/strategy', authMiddleware, async (req, res) => {
       defenseTierSum: tierSums.defense,
       offenseTierCap: OFFENSE_TIER_CAP,
       defenseTierCap: DEFENSE_TIER_CAP,
+      specialTeamsTierSum: tierSums.specialTeams,
+      specialTeamsTierCap: SPECIAL_TEAMS_TIER_CAP,
       // Include some detail for debugging/display
       details: {
         qbTier: offenseRatings.qbTier,
@@ -1473,12 +1442,46 @@ app.get('/api/roster/strategy', authMiddleware, async (req, res) => {
   }
 });
 
-// Get all achievable roster presets for slider snapping
-// Returns an array of preset configurations the user can achieve with their cards
-app.get('/api/roster/presets', authMiddleware, async (req, res) => {
+// Game plan: play-calling tendencies the engine uses alongside the roster
+function gamePlanResponse(roster) {
+  return {
+    gamePlan: gamePlans.readGamePlan(roster?.game_plan),
+    settings: gamePlans.GAME_PLAN_SETTINGS,
+    minLevel: gamePlans.MIN_LEVEL,
+    maxLevel: gamePlans.MAX_LEVEL,
+  };
+}
+
+app.get('/api/roster/game-plan', authMiddleware, async (req, res) => {
+  try {
+    res.json(gamePlanResponse(await db.getRoster(req.user.id)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Update the game plan (any subset of settings); locked with the roster before games
+app.put('/api/roster/game-plan', authMiddleware, async (req, res) => {
+  try {
+    const lockStatus = await checkRosterLock(req.user.id);
+    if (lockStatus.locked) {
+      return res.status(423).json({ error: lockStatus.message, ...lockStatus });
+    }
+    
+    const current = await db.getRoster(req.user.id);
+    const gamePlan = gamePlans.normalizeGamePlan(req.body?.gamePlan, current?.game_plan);
+    res.json(gamePlanResponse(await db.updateGamePlan(req.user.id, gamePlan)));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
+// Get all achievable roster presets for slider snapping
+// Returns an array of preset configurations the user can achieve with their cards
+app.get('/api/roster/presets', authMiddleware, async (req, res) => {
   try {
     const { side } = req.query; // 'offense' or 'defense'
-    const cards = await db.getUserCards(req.user.id);
+    const cards = await getRosterableCards(req.user.id);
     const tierCap = { offense: OFFENSE_TIER_CAP, defense: DEFENSE_TIER_CAP };
     
     if (side === 'defense') {
@@ -1505,7 +1508,7 @@ app.get('/api/roster/presets', authMiddleware, async (req, res) => {
 app.post('/api/roster/apply-preset', authMiddleware, async (req, res) => {
   try {
     // Check roster lock
-    const lockStatus = checkRosterLock(req.user.id);
+    const lockStatus = await checkRosterLock(req.user.id);
     if (lockStatus.locked) {
       return res.status(423).json({ error: lockStatus.message, ...lockStatus });
     }
@@ -1547,13 +1550,25 @@ app.post('/api/roster/apply-preset', authMiddleware, async (req, res) => {
       }
     }
     
-    // Preserve K
-    if (currentCards.k_card_id) {
-      mergedSlots.k_card_id = currentCards.k_card_id.id || currentCards.k_card_id;
+    // Preserve K and P
+    for (const slot of Object.keys(SPECIAL_TEAMS_SLOTS)) {
+      if (currentCards[slot]) mergedSlots[slot] = currentCards[slot].id || currentCards[slot];
+    }
+    
+    const tradeLockedIds = new Set(await trades.getLockedCardIds(req.user.id));
+    const currentIds = new Set(Object.values(currentCards).map(c => c?.id || c));
+    const escrowed = Object.values(mergedSlots).find(id => tradeLockedIds.has(id) && !currentIds.has(id));
+    if (escrowed) {
+      return res.status(409).json({ error: `Card ${escrowed} is offered in a pending trade and can't be added to your roster` });
+    }
+    const newIds = Object.values(mergedSlots).filter(id => id && !currentIds.has(id));
+    const injured = (await Promise.all(newIds.map(id => db.getCard(id)))).find(card => card && injuries.isInjured(card));
+    if (injured) {
+      return res.status(409).json({ error: `${injured.player_name} is injured, ${injuries.injuryLabel(injured)}` });
     }
     
     console.log(`[apply-preset] Merged slots to save:`, mergedSlots);
-    await db.updateRoster(req.user.id, mergedSlots);
+    await db.updateRoster(req.user.id, await clearPromotedBench(req.user.id, mergedSlots));
     console.log(`[apply-preset] Roster updated successfully`);
     scheduler.integrateNewUsers().catch(err => console.error('integrateNewUsers error:', err));
     
@@ -1597,6 +1612,10 @@ app.post('/api/games/practice', authMiddleware, async (req, res) => {
     // Run simulation using game engine (home = you, away = opponent)
     const result = gameEngine.simulateGameFromDB(myRoster, opponentRoster);
     
+    // Practice stats go in their own ledger bucket, separate from league games
+    await cardStats.recordGameStats(result, { source: 'practice', season: (await scheduler.loadSchedule()).seasonStart })
+      .catch(err => console.error('Error recording practice card stats:', err));
+    
     // Extract highlights - only scoring plays and turnovers
     const significantPlays = [];
     if (result.plays) {
@@ -1675,6 +1694,10 @@ app.post('/api/games/practice', authMiddleware, async (req, res) => {
         you: result.homeStats || result.stats?.home || {},
         opponent: result.awayStats || result.stats?.away || {},
       },
+      boxScore: {
+        you: result.boxScore?.home || null,
+        opponent: result.boxScore?.away || null,
+      },
       significantPlays: significantPlays.slice(0, 15), // Limit to top 15 plays
       summary: result.summary,
     });
@@ -1739,17 +1762,24 @@ app.post('/api/game/challenge', authMiddleware, async (req, res) => {
       result.homeScore,
       result.awayScore,
       winnerId,
-      result.plays
+      result.plays,
+      { seed: result.seed, rosters: result.rosters, playHash: result.playHash, boxScore: result.boxScore }
     );
     
     // Create post-game press conference (30 min chat window)
-    pressConference.createConference(
+    await pressConference.createConference(
       gameId,
       req.user.id,
       opponentId,
       req.user.username,
       opponent.username
     );
+    push.publish(opponentId, push.EVENT_TYPES.GAME_FINISHED, {
+      gameId,
+      homeScore: result.homeScore,
+      awayScore: result.awayScore,
+      winner: winnerId === req.user.id ? 'home' : winnerId === opponentId ? 'away' : 'tie',
+    });
     
     res.json({
       gameId,
@@ -1824,17 +1854,24 @@ app.post('/api/game/quick-match', authMiddleware, async (req, res) => {
       result.homeScore,
       result.awayScore,
       winnerId,
-      result.plays
+      result.plays,
+      { seed: result.seed, rosters: result.rosters, playHash: result.playHash, boxScore: result.boxScore }
     );
     
     // Create post-game press conference (30 min chat window)
-    pressConference.createConference(
+    await pressConference.createConference(
       gameId,
       req.user.id,
       opponent.id,
       req.user.username,
       opponent.username
     );
+    push.publish(opponent.id, push.EVENT_TYPES.GAME_FINISHED, {
+      gameId,
+      homeScore: result.homeScore,
+      awayScore: result.awayScore,
+      winner: winnerId === req.user.id ? 'home' : winnerId === opponent.id ? 'away' : 'tie',
+    });
     
     res.json({
       gameId,
@@ -1863,20 +1900,82 @@ app.post('/api/game/quick-match', authMiddleware, async (req, res) => {
 
 // Get game details
 app.get('/api/game/:id', authMiddleware, async (req, res) => {
-  const game = await db.getGame(parseInt(req.params.id));
+  // Score and plays stay hidden while the game is on the air (watch it at /live)
+  const game = liveGames.hideLiveGame(await db.getGame(parseInt(req.params.id)));
   
   if (!game) {
     return res.status(404).json({ error: 'Game not found' });
   }
   
-  res.json({ game });
+  const { replay_rosters, ...details } = game;
+  res.json({ game: { ...details, replayable: !!(replay_rosters && game.seed != null) } });
+});
+
+// Watch a game play by play as it is broadcast (Server-Sent Events). Late joiners get
+// everything so far in the first 'snapshot' event; finished games end after 'final'.
+app.get('/api/game/:id/live', streamAuthMiddleware, async (req, res) => {
+  let game;
+  try {
+    game = await db.getGame(parseInt(req.params.id));
+  } catch (err) {
+    console.error('Live game error:', err);
+    return res.status(500).json({ error: err.message });
+  }
+  if (!game) {
+    return res.status(404).json({ error: 'Game not found' });
+  }
+
+  let unsubscribe = () => {};
+  const stream = startEventStream(req, res, () => unsubscribe());
+  unsubscribe = liveGames.subscribe(game, (event, data) => {
+    stream.send(event, data);
+    if (event === 'final') stream.close();
+  });
+});
+
+// Re-run a game from its stored seed and rosters and verify the play-by-play matches
+app.get('/api/game/:id/replay', authMiddleware, async (req, res) => {
+  try {
+    const game = await db.getGame(parseInt(req.params.id));
+    
+    if (!game) {
+      return res.status(404).json({ error: 'Game not found' });
+    }
+    
+    if (liveGames.isOnAir(game.live_until)) {
+      return res.status(409).json({ error: 'This game is still on the air; replay it once the broadcast ends' });
+    }
+    if (game.seed == null || !game.replay_rosters) {
+      return res.status(409).json({ error: 'This game was recorded without a seed and cannot be replayed' });
+    }
+    
+    // Checked against the stored plays value for value, not just their stored hash
+    const verified = gameEngine.verifyReplay(game);
+    res.json({ gameId: game.id, seed: Number(game.seed), ...verified });
+  } catch (err) {
+    console.error('Game replay error:', err);
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Get user's game history
 app.get('/api/games', authMiddleware, async (req, res) => {
   const limit = parseInt(req.query.limit) || 20;
   const games = await db.getUserGames(req.user.id, limit);
-  res.json({ games });
+  res.json({ games: games.map(g => liveGames.hideLiveGame(g)) });
+});
+
+// =============================================================================
+// PUSH EVENTS
+// =============================================================================
+
+// One stream per tab for everything the server pushes (see push.js for the event
+// types). 'ready' goes out on every (re)connect so the client can resync.
+app.get('/api/events', streamAuthMiddleware, (req, res) => {
+  let disconnect = () => {};
+  const stream = startEventStream(req, res, () => disconnect());
+  disconnect = push.connect(req.user.id, stream.send);
+  stream.send('ready', { userId: req.user.id });
 });
 
 // =============================================================================
@@ -1885,45 +1984,61 @@ app.get('/api/games', authMiddleware, async (req, res) => {
 
 // Get all active press conferences for the current user
 app.get('/api/press-conference', authMiddleware, async (req, res) => {
-  const conferences = pressConference.getActiveConferencesForUser(req.user.id);
-  res.json({ conferences });
+  try {
+    const conferences = await pressConference.getActiveConferencesForUser(req.user.id);
+    res.json({ conferences });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // Get messages for a specific game's press conference
 app.get('/api/press-conference/:gameId', authMiddleware, async (req, res) => {
-  const gameId = parseInt(req.params.gameId);
-  const since = req.query.since || null;
-  
-  const result = pressConference.getMessages(gameId, req.user.id, since);
-  
-  if (result.error) {
-    return res.status(400).json({ error: result.error });
+  try {
+    const gameId = parseInt(req.params.gameId);
+    const since = req.query.since || null;
+    
+    const result = await pressConference.getMessages(gameId, req.user.id, since);
+    
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  
-  res.json(result);
 });
 
 // Send a message in a press conference
 app.post('/api/press-conference/:gameId/message', authMiddleware, async (req, res) => {
-  const gameId = parseInt(req.params.gameId);
-  const { content } = req.body;
-  
-  if (!content || typeof content !== 'string') {
-    return res.status(400).json({ error: 'Message content required' });
-  }
-  
-  const result = pressConference.sendMessage(
-    gameId,
-    req.user.id,
-    req.user.username,
-    content
-  );
-  
-  if (result.error) {
-    return res.status(400).json({ error: result.error });
+  try {
+    const gameId = parseInt(req.params.gameId);
+    const { content } = req.body;
+    
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ error: 'Message content required' });
+    }
+    
+    const result = await pressConference.sendMessage(
+      gameId,
+      req.user.id,
+      req.user.username,
+      content
+    );
+    
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    const conference = await pressConference.getConferenceByGameId(gameId);
+    const others = (conference?.playerIds || []).filter(id => id !== req.user.id);
+    push.publish(others, push.EVENT_TYPES.CONFERENCE_MESSAGE, { gameId, message: result.message });
+    
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
-  
-  res.json(result);
 });
 
 // =============================================================================
@@ -1942,6 +2057,49 @@ app.get('/api/leaderboard/h2h', authMiddleware, async (req, res) => {
   res.json({ records });
 });
 
+// =============================================================================
+// CARD STATS (season / career ledger)
+// =============================================================================
+
+// Top cards at a position. scope=season (current season, default) or career
+app.get('/api/stats/leaders', async (req, res) => {
+  try {
+    const position = String(req.query.position || 'QB').toUpperCase();
+    if (!cardStats.POSITION_RANKING[position]) {
+      return res.status(400).json({ error: `Invalid position. Use one of: ${Object.keys(cardStats.POSITION_RANKING).join(', ')}` });
+    }
+    const source = req.query.source || 'league';
+    if (!cardStats.SOURCES.includes(source)) {
+      return res.status(400).json({ error: `Invalid source. Use one of: ${cardStats.SOURCES.join(', ')}` });
+    }
+    const scope = req.query.scope === 'career' ? 'career' : 'season';
+    const season = scope === 'season' ? (await scheduler.loadSchedule()).seasonStart || 'offseason' : null;
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    
+    const leaders = await cardStats.getLeaders(position, { season, source, limit });
+    res.json({ position, scope, season, source, leaders });
+  } catch (err) {
+    console.error('Stat leaders error:', err);
+    res.status(500).json({ error: 'Failed to load stat leaders' });
+  }
+});
+
+// Season-by-season and career totals for any card
+app.get('/api/stats/cards/:id', async (req, res) => {
+  try {
+    const cardId = parseInt(req.params.id);
+    const card = await db.getCard(cardId);
+    if (!card) {
+      return res.status(404).json({ error: 'Card not found' });
+    }
+    const career = await cardStats.getCardCareer(cardId);
+    res.json({ cardId, position: card.position, ...career });
+  } catch (err) {
+    console.error('Card stats error:', err);
+    res.status(500).json({ error: 'Failed to load card stats' });
+  }
+});
+
 // =============================================================================
 // SEARCH (for testing)
 // =============================================================================
@@ -1956,40 +2114,61 @@ app.get('/api/players/search', authMiddleware, async (req, res) => {
 // SCHEDULE ROUTES
 // =============================================================================
 
+// Resolve ?league= (defaults to the main league). Private leagues are members-only.
+function resolveLeague(req, res) {
+  const leagueId = req.query.league ? parseInt(req.query.league) : leagues.MAIN_LEAGUE_ID;
+  const league = leagues.getLeague(leagueId);
+  if (!league) {
+    res.status(404).json({ error: 'League not found' });
+    return null;
+  }
+  if (!league.open && !leagues.isMember(league, req.user.id)) {
+    res.status(403).json({ error: 'You are not in this league' });
+    return null;
+  }
+  return league;
+}
+
 // Get today's schedule
 app.get('/api/schedule/today', authMiddleware, async (req, res) => {
-  const games = scheduler.getTodaySchedule();
+  const league = resolveLeague(req, res);
+  if (!league) return;
+  const games = await scheduler.getTodaySchedule(league.id);
   const users = await db.getAllUsers();
   const userMap = Object.fromEntries(users.map(u => [u.id, u]));
   
   const gamesWithUsers = games.map(g => ({
-    ...g,
+    ...liveGames.hideLiveScheduleGame(g),
     homeUser: userMap[g.homeUserId] || null,
     awayUser: g.awayUserId ? userMap[g.awayUserId] : null,
   }));
   
   res.json({ 
-    date: scheduler.formatDate(scheduler.getESTDate()),
+    leagueId: league.id,
+    date: scheduler.formatDate(await scheduler.getLeagueDate(league.id)),
     games: gamesWithUsers,
   });
 });
 
 // Get tomorrow's schedule
 app.get('/api/schedule/tomorrow', authMiddleware, async (req, res) => {
-  const games = scheduler.getTomorrowSchedule();
+  const league = resolveLeague(req, res);
+  if (!league) return;
+  const games = await scheduler.getTomorrowSchedule(league.id);
   const users = await db.getAllUsers();
   const userMap = Object.fromEntries(users.map(u => [u.id, u]));
   
-  const tomorrow = scheduler.getESTDate();
+  const tomorrow = await scheduler.getLeagueDate(league.id);
   tomorrow.setDate(tomorrow.getDate() + 1);
   
   const gamesWithUsers = games.map(g => ({
-    ...g,
+    ...liveGames.hideLiveScheduleGame(g),
     homeUser: userMap[g.homeUserId] || null,
     awayUser: g.awayUserId ? userMap[g.awayUserId] : null,
   }));
   
   res.json({ 
+    leagueId: league.id,
     date: scheduler.formatDate(tomorrow),
     games: gamesWithUsers,
   });
@@ -1997,75 +2176,272 @@ app.get('/api/schedule/tomorrow', authMiddleware, async (req, res) => {
 
 // Get full schedule
 app.get('/api/schedule', authMiddleware, async (req, res) => {
-  const schedule = await scheduler.getScheduleWithDetails();
-  res.json(schedule);
+  const league = resolveLeague(req, res);
+  if (!league) return;
+  const schedule = await scheduler.getScheduleWithDetails(league.id);
+  res.json({ ...schedule, games: schedule.games.map(g => liveGames.hideLiveScheduleGame(g)) });
 });
 
 // Get my upcoming games
 app.get('/api/schedule/my-games', authMiddleware, async (req, res) => {
-  const schedule = scheduler.loadSchedule();
+  const league = resolveLeague(req, res);
+  if (!league) return;
+  const schedule = await scheduler.loadSchedule(league.id);
   const users = await db.getAllUsers();
   const userMap = Object.fromEntries(users.map(u => [u.id, u]));
   
   const myGames = schedule.games
     .filter(g => g.homeUserId === req.user.id || g.awayUserId === req.user.id)
     .map(g => ({
-      ...g,
+      ...liveGames.hideLiveScheduleGame(g),
       homeUser: userMap[g.homeUserId] || null,
       awayUser: g.awayUserId ? userMap[g.awayUserId] : null,
       isHome: g.homeUserId === req.user.id,
     }));
   
-  res.json({ games: myGames });
+  res.json({ leagueId: league.id, games: myGames });
 });
 
-// Standings (team records from regular-season completed games; used for playoff seeding)
+// Standings (regular-season records with tiebreakers; used for playoff seeding)
 app.get('/api/schedule/standings', authMiddleware, async (req, res) => {
-  const schedule = scheduler.loadSchedule();
-  const standings = await scheduler.getStandings(schedule);
-  res.json({ standings });
+  const league = resolveLeague(req, res);
+  if (!league) return;
+  try {
+    const schedule = await scheduler.loadSchedule(league.id);
+    const standings = await scheduler.getStandings(schedule, { hideLive: true });
+    res.json({
+      leagueId: league.id,
+      phase: schedule.phase,
+      playoffTeams: standings.filter(s => s.seed).length,
+      tiebreakers: standingsTable.TIEBREAKERS,
+      standings,
+    });
+  } catch (err) {
+    console.error('Standings error:', err);
+    res.status(500).json({ error: 'Failed to load standings' });
+  }
 });
 
 // Admin: Initialize/reset schedule (for testing)
-app.post('/api/schedule/init', authMiddleware, async (req, res) => {
+app.post('/api/schedule/init', adminMiddleware, async (req, res) => {
+  const league = resolveLeague(req, res);
+  if (!league) return;
   const { reset } = req.body;
-  const schedule = await scheduler.initializeSchedule(reset === true);
+  const schedule = await scheduler.initializeSchedule(reset === true, league.id);
   res.json({ 
     message: reset ? 'Schedule reset' : 'Schedule initialized',
+    leagueId: league.id,
     seasonStart: schedule.seasonStart,
     totalGames: schedule.games.length,
   });
 });
 
 // Admin: Run pending games now (for testing)
-app.post('/api/schedule/run-now', authMiddleware, async (req, res) => {
-  const results = scheduler.runPendingGames();
+app.post('/api/schedule/run-now', adminMiddleware, async (req, res) => {
+  const results = await scheduler.runPendingGames();
   res.json({ 
     message: `Ran ${results.length} games`,
     results,
   });
 });
 
-// Admin: Swap user in schedule (e.g. John! for Nick! in all games, including today/tomorrow)
-app.post('/api/schedule/swap-user', authMiddleware, async (req, res) => {
+// Admin: Swap user in schedule (one user takes over another's games, including today/tomorrow)
+app.post('/api/schedule/swap-user', adminMiddleware, async (req, res) => {
   try {
     const { fromUsername, toUsername } = req.body;
     if (!fromUsername || !toUsername) {
       return res.status(400).json({ error: 'fromUsername and toUsername required' });
     }
-    const result = await scheduler.swapUserInSchedule(fromUsername, toUsername);
+    const league = resolveLeague(req, res);
+    if (!league) return;
+    const result = await scheduler.swapUserInSchedule(fromUsername, toUsername, league.id);
     res.json(result);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
+// =============================================================================
+// LEAGUES
+// =============================================================================
+
+// Public league view: invite code only for members, member list with usernames
+async function leagueWithDetails(league, userId) {
+  const users = await db.getAllUsers();
+  const members = leagues.filterMembers(league, users).map(u => ({
+    id: u.id,
+    username: u.username,
+    team_name: u.team_name,
+  }));
+  const schedule = await scheduler.loadSchedule(league.id);
+  return {
+    id: league.id,
+    name: league.name,
+    isMain: !!league.isMain,
+    open: !!league.open,
+    commissionerUserId: league.commissionerUserId,
+    isCommissioner: league.commissionerUserId === userId,
+    inviteCode: leagues.isMember(league, userId) ? league.inviteCode : null,
+    rosterLockMinutes: league.rosterLockMinutes,
+    memberCount: members.length,
+    members,
+    seasonConfig: leagues.getSeasonConfig(league),
+    currentSeasonConfig: schedule.seasonStart ? scheduler.getScheduleConfig(schedule) : null,
+    seasonStart: schedule.seasonStart,
+    phase: schedule.phase,
+    createdAt: league.createdAt,
+  };
+}
+
+// Leagues I'm in
+app.get('/api/leagues', authMiddleware, async (req, res) => {
+  try {
+    const mine = leagues.getUserLeagues(req.user.id);
+    res.json({ leagues: await Promise.all(mine.map(l => leagueWithDetails(l, req.user.id))) });
+  } catch (err) {
+    console.error('List leagues error:', err);
+    res.status(500).json({ error: 'Failed to load leagues' });
+  }
+});
+
+// The user-level commissioner role follows whether someone runs a league (admins stay admins)
+async function syncCommissionerRole(userId) {
+  const user = await db.getUser(userId);
+  if (!user || user.role === 'admin') return;
+  const role = leagues.getLeagues().some(l => l.commissionerUserId === userId) ? 'commissioner' : 'player';
+  if (user.role !== role) await db.setUserRole(userId, role);
+}
+
+// Create a private league (you become commissioner)
+app.post('/api/leagues', authMiddleware, async (req, res) => {
+  try {
+    const league = await leagues.createLeague(req.user.id, req.body?.name);
+    await syncCommissionerRole(req.user.id);
+    res.json({ league: await leagueWithDetails(league, req.user.id) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Join with an invite code
+app.post('/api/leagues/join', authMiddleware, async (req, res) => {
+  try {
+    const league = await leagues.joinLeague(req.user.id, req.body?.code);
+    scheduler.integrateNewUsers(league.id).catch(err => console.error('integrateNewUsers error:', err));
+    res.json({ league: await leagueWithDetails(league, req.user.id) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.get('/api/leagues/:id', authMiddleware, async (req, res) => {
+  const league = leagues.getLeague(parseInt(req.params.id));
+  if (!league) return res.status(404).json({ error: 'League not found' });
+  if (!league.open && !leagues.isMember(league, req.user.id)) {
+    return res.status(403).json({ error: 'You are not in this league' });
+  }
+  res.json({ league: await leagueWithDetails(league, req.user.id) });
+});
+
+// Commissioner: rename / set roster-lock window
+app.put('/api/leagues/:id', authMiddleware, async (req, res) => {
+  try {
+    const { name, rosterLockMinutes } = req.body || {};
+    const league = await leagues.updateLeague(req.user.id, parseInt(req.params.id), { name, rosterLockMinutes });
+    res.json({ league: await leagueWithDetails(league, req.user.id) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Commissioner: season format (weeks, game times, timezone, playoff size, third-place game).
+// Applies to the season in progress while it's still in the regular season, else next season.
+app.put('/api/leagues/:id/season-config', authMiddleware, async (req, res) => {
+  try {
+    const league = await leagues.updateSeasonConfig(req.user.id, parseInt(req.params.id), req.body || {});
+    const appliesTo = await scheduler.applySeasonConfig(league.id);
+    res.json({ config: leagues.getSeasonConfig(league), appliesTo });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Commissioner: new invite code (old one stops working)
+app.post('/api/leagues/:id/invite-code', authMiddleware, async (req, res) => {
+  try {
+    const league = await leagues.regenerateInviteCode(req.user.id, parseInt(req.params.id));
+    res.json({ inviteCode: league.inviteCode });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Commissioner: hand the role to another member
+app.post('/api/leagues/:id/commissioner', authMiddleware, async (req, res) => {
+  try {
+    const league = await leagues.setCommissioner(req.user.id, parseInt(req.params.id), parseInt(req.body?.userId));
+    await syncCommissionerRole(req.user.id);
+    await syncCommissionerRole(league.commissionerUserId);
+    res.json({ league: await leagueWithDetails(league, req.user.id) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Commissioner: remove a member (their unplayed games are dropped)
+app.delete('/api/leagues/:id/members/:userId', authMiddleware, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+    const league = await leagues.removeMember(req.user.id, parseInt(req.params.id), userId);
+    await scheduler.removeUserFromSchedule(league.id, userId);
+    res.json({ league: await leagueWithDetails(league, req.user.id) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+app.post('/api/leagues/:id/leave', authMiddleware, async (req, res) => {
+  try {
+    const league = await leagues.leaveLeague(req.user.id, parseInt(req.params.id));
+    await scheduler.removeUserFromSchedule(league.id, req.user.id);
+    await syncCommissionerRole(req.user.id);
+    res.json({ success: true });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Admin: exclude a user from (or restore them to) an open league like the main one
+app.post('/api/admin/leagues/:id/exclude', adminMiddleware, async (req, res) => {
+  try {
+    const { username, excluded } = req.body || {};
+    const user = await db.getUserByUsernameCaseInsensitive(String(username || ''));
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const league = await leagues.setExcluded(parseInt(req.params.id), user.id, excluded !== false);
+    if (excluded !== false) await scheduler.removeUserFromSchedule(league.id, user.id);
+    res.json({ leagueId: league.id, excludedUserIds: league.excludedUserIds });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Admin: season format for any league (the main league has no commissioner)
+app.put('/api/admin/leagues/:id/season-config', adminMiddleware, async (req, res) => {
+  try {
+    const league = await leagues.updateSeasonConfig(null, parseInt(req.params.id), req.body || {}, { asAdmin: true });
+    const appliesTo = await scheduler.applySeasonConfig(league.id);
+    res.json({ config: leagues.getSeasonConfig(league), appliesTo });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // =============================================================================
 // MINTING STATS
 // =============================================================================
 
 app.get('/api/minting/stats', authMiddleware, async (req, res) => {
-  const stats = mintingLedger.getAvailabilityStats();
+  const stats = await mintingLedger.getAvailabilityStats();
   res.json(stats);
 });
 
@@ -2075,43 +2451,61 @@ app.get('/api/minting/stats', authMiddleware, async (req, res) => {
 
 // Get unread message count
 app.get('/api/messages/unread-count', authMiddleware, async (req, res) => {
-  const count = messages.getUnreadCount(req.user.id);
-  res.json({ count });
+  try {
+    const count = await messages.getUnreadCount(req.user.id);
+    res.json({ count });
+  } catch (err) {
+    console.error('Unread count error:', err);
+    res.status(500).json({ error: 'Failed to load unread count' });
+  }
 });
 
 // Get inbox (received messages)
 app.get('/api/messages/inbox', authMiddleware, async (req, res) => {
-  const inbox = messages.getInbox(req.user.id);
-  const enriched = await Promise.all(inbox.map(async (msg) => {
-    const sender = await db.getUser(msg.from_user_id);
-    return { ...msg, from_username: sender?.username || 'Unknown', from_team_name: sender?.team_name || 'Unknown Team' };
-  }));
-  res.json({ messages: enriched });
+  try {
+    const inbox = await messages.getInbox(req.user.id);
+    const enriched = await Promise.all(inbox.map(async (msg) => {
+      if (msg.from_user_id === messages.SYSTEM_USER_ID) return { ...msg, ...messages.SYSTEM_SENDER };
+      const sender = await db.getUser(msg.from_user_id);
+      return { ...msg, from_username: sender?.username || 'Unknown', from_team_name: sender?.team_name || 'Unknown Team' };
+    }));
+    res.json({ messages: enriched });
+  } catch (err) {
+    console.error('Inbox error:', err);
+    res.status(500).json({ error: 'Failed to load inbox' });
+  }
 });
 
 // Get conversation with a user
 app.get('/api/messages/conversation/:userId', authMiddleware, async (req, res) => {
-  const otherUserId = parseInt(req.params.userId);
-  const conversation = messages.getConversation(req.user.id, otherUserId);
-  
-  // Mark messages from other user as read
-  messages.markAsRead(req.user.id, otherUserId);
-  
-  // Enrich with user info
-  const otherUser = await db.getUser(otherUserId);
-  const enriched = conversation.map(msg => ({
-    ...msg,
-    is_mine: msg.from_user_id === req.user.id,
-  }));
-  
-  res.json({ 
-    messages: enriched,
-    other_user: {
-      id: otherUser?.id,
-      username: otherUser?.username,
-      team_name: otherUser?.team_name,
-    },
-  });
+  try {
+    const otherUserId = parseInt(req.params.userId);
+    const conversation = await messages.getConversation(req.user.id, otherUserId);
+    
+    // Mark messages from other user as read
+    await messages.markAsRead(req.user.id, otherUserId);
+    
+    // Enrich with user info
+    const otherUser = otherUserId === messages.SYSTEM_USER_ID
+      ? { id: otherUserId, username: messages.SYSTEM_SENDER.from_username, team_name: messages.SYSTEM_SENDER.from_team_name }
+      : await db.getUser(otherUserId);
+    const enriched = conversation.map(msg => ({
+      ...msg,
+      is_mine: msg.from_user_id === req.user.id,
+    }));
+    
+    res.json({ 
+      messages: enriched,
+      other_user: {
+        id: otherUser?.id,
+        username: otherUser?.username,
+        team_name: otherUser?.team_name,
+      },
+    });
+  } catch (err) {
+    console.error('Conversation error:', err);
+    res.status(500).json({ error: 'Failed to load conversation' });
+  }
 });
 
 // Send a message
@@ -2129,7 +2523,10 @@ app.post('/api/messages/send', authMiddleware, async (req, res) => {
       return res.status(404).json({ error: 'Recipient not found' });
     }
     
-    const message = messages.sendMessage(req.user.id, parseInt(to_user_id), content);
+    const message = await messages.sendMessage(req.user.id, parseInt(to_user_id), content);
+    push.publish(recipient.id, push.EVENT_TYPES.DIRECT_MESSAGE, {
+      message: { ...message, from_username: req.user.username, from_team_name: req.user.team_name },
+    });
     
     res.json({ 
       success: true, 
@@ -2144,12 +2541,109 @@ app.post('/api/messages/send', authMiddleware, async (req, res) => {
   }
 });
 
+// =============================================================================
+// TRADES
+// =============================================================================
+
+function tradeTermsFromBody(body = {}) {
+  return {
+    recipientUserId: body.recipient_user_id,
+    offerCardIds: body.offer_card_ids,
+    requestCardIds: body.request_card_ids,
+    offerPacks: body.offer_packs,
+    requestPacks: body.request_packs,
+    message: body.message,
+  };
+}
+
+// List my trades (optional ?status=pending|accepted|declined|cancelled|countered)
+app.get('/api/trades', authMiddleware, async (req, res) => {
+  try {
+    const status = req.query.status || null;
+    const list = await trades.getTradesForUser(req.user.id, status);
+    res.json({
+      incoming: list.filter(t => t.recipient_user_id === req.user.id),
+      outgoing: list.filter(t => t.proposer_user_id === req.user.id),
+      lockedCardIds: await trades.getLockedCardIds(req.user.id),
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Get a single trade (participants only)
+app.get('/api/trades/:id', authMiddleware, async (req, res) => {
+  try {
+    const trade = await db.getTrade(parseInt(req.params.id));
+    if (!trade || (trade.proposer_user_id !== req.user.id && trade.recipient_user_id !== req.user.id)) {
+      return res.status(404).json({ error: 'Trade not found' });
+    }
+    res.json({ trade: await trades.withDetails(trade) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Propose a trade: { recipient_user_id, offer_card_ids, request_card_ids, offer_packs, request_packs, message }
+app.post('/api/trades', authMiddleware, async (req, res) => {
+  try {
+    const trade = await trades.proposeTrade(req.user.id, tradeTermsFromBody(req.body));
+    res.json({ success: true, trade: await trades.withDetails(trade) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Counter a trade you received (same body as propose, recipient is implied)
+app.post('/api/trades/:id/counter', authMiddleware, async (req, res) => {
+  try {
+    const trade = await trades.counterTrade(req.user.id, parseInt(req.params.id), tradeTermsFromBody(req.body));
+    res.json({ success: true, trade: await trades.withDetails(trade) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Accept a trade you received (swaps ownership atomically)
+app.post('/api/trades/:id/accept', authMiddleware, async (req, res) => {
+  try {
+    const { trade, rosterChanges } = await trades.acceptTrade(req.user.id, parseInt(req.params.id));
+    res.json({
+      success: true,
+      trade: await trades.withDetails(trade),
+      rosterChanges: rosterChanges[req.user.id] || {},
+    });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Decline a trade you received
+app.post('/api/trades/:id/decline', authMiddleware, async (req, res) => {
+  try {
+    const trade = await trades.declineTrade(req.user.id, parseInt(req.params.id));
+    res.json({ success: true, trade });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// Cancel a trade you proposed
+app.post('/api/trades/:id/cancel', authMiddleware, async (req, res) => {
+  try {
+    const trade = await trades.cancelTrade(req.user.id, parseInt(req.params.id));
+    res.json({ success: true, trade });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
 // =============================================================================
 // ADMIN: Debug card images
 // =============================================================================
 
 // Admin: Update user's max packs
-app.post('/api/admin/add-packs', async (req, res) => {
+app.post('/api/admin/add-packs', adminMiddleware, async (req, res) => {
   try {
     const { username, packs_to_add } = req.body;
     
@@ -2164,6 +2658,13 @@ app.post('/api/admin/add-packs', async (req, res) => {
     
     const newMax = user.max_packs + parseInt(packs_to_add);
     await db.updateUserMaxPacks(user.id, newMax);
+    await auditLog.record({
+      actor: req.user,
+      action: 'grant_packs',
+      target: user,
+      before: { max_packs: user.max_packs },
+      after: { max_packs: newMax },
+    });
     
     res.json({ 
       success: true,
@@ -2177,106 +2678,69 @@ app.post('/api/admin/add-packs', async (req, res) => {
   }
 });
 
-// Admin: Grant a single-card pack (no login required)
-app.post('/api/admin/grant-single-card-pack', adminAuth, async (req, res) => {
+// Admin: Promotions (guaranteed tiers, bonus packs, card grants, schedule exclusions)
+app.get('/api/admin/promotions', adminMiddleware, async (req, res) => {
   try {
-    const { username } = req.body;
-    
-    if (!username) {
-      return res.status(400).json({ error: 'Missing username' });
-    }
-    
-    const user = await db.getUserByUsername(username);
-    if (!user) {
-      return res.status(404).json({ error: `User "${username}" not found` });
-    }
-    
-    // Grant a single pack without opening it
-    await db.updateUserMaxPacks(user.id, (user.max_packs || 0) + 1);
-    
-    res.json({ 
-      success: true,
-      username,
-      max_packs: (user.max_packs || 0) + 1,
-      packs_remaining: (user.max_packs || 0) + 1 - user.packs_opened,
-    });
+    const includeInactive = req.query.all === '1' || req.query.all === 'true';
+    const list = await promotions.listGrants({ includeInactive });
+    const usersById = new Map((await db.getAllUsers()).map(u => [u.id, u]));
+    res.json({ grants: list.map(g => grants.describeForAdmin(g, usersById)) });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Shared: grant one HOF (tier 11) card to a user. position optional (e.g. 'WR').
-// When position is set, only that position is granted (no fallback). Generates art synchronously when AI enabled.
-async function grantHofCardToUser(user, position) {
-  let hofPlayer = null;
-  if (position) {
-    hofPlayer = await packs.pickRandomPlayerFromTierAndPosition(11, position);
-    if (!hofPlayer) throw new Error(`No unminted HOF ${position} available`);
-    const cardPos = hofPlayer.position || hofPlayer.pos_group || hofPlayer.pos;
-    if (cardPos !== position) throw new Error(`Position mismatch: requested ${position}, got ${cardPos}`);
-  } else {
-    for (let attempt = 0; attempt < 50; attempt++) {
-      const p = await packs.pickRandomPlayerFromTier(11);
-      if (p && (p.tier === 11 || p.isHOF) && (await mintingLedger.isCardMinted(p)) === false) {
-        hofPlayer = p;
-        break;
-      }
-    }
-    if (!hofPlayer) throw new Error('No unminted Hall of Fame player available');
+// Body: { type, usernames: [...], params, expiresAt?, note? }
+app.post('/api/admin/promotions', adminMiddleware, async (req, res) => {
+  try {
+    const { usernames, ...input } = req.body || {};
+    const names = (Array.isArray(usernames) ? usernames : String(usernames || '').split(','))
+      .map(n => String(n).trim())
+      .filter(Boolean);
+    const targets = [];
+    for (const name of names) {
+      const user = await db.getUserByUsernameCaseInsensitive(name);
+      if (!user) return res.status(404).json({ error: `User "${name}" not found` });
+      targets.push(user);
+    }
+    const { player, season } = input.params || {};
+    if (input.type === 'card' && player && !packs.getPlayerByKey(`${String(player).trim()}_${season}`)) {
+      return res.status(404).json({ error: `No card for ${player} (${season})` });
+    }
+    const grant = await grants.createGrant({ ...input, userIds: targets.map(u => u.id) }, req.user);
+    await auditLog.record({
+      actor: req.user,
+      action: 'promotion_create',
+      target: targets.length === 1 ? targets[0] : null,
+      before: null,
+      after: { ...grant, usernames: targets.map(u => u.username) },
+    });
+    const usersById = new Map(targets.map(u => [u.id, u]));
+    res.json({ success: true, grant: grants.describeForAdmin(grant, usersById) });
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
-  await mintingLedger.mintCard(hofPlayer, user.id);
-  const mintedCard = { ...hofPlayer, player_name: hofPlayer.player || hofPlayer.player_name };
-  const engine = buildEngineForCard({
-    player_name: mintedCard.player_name,
-    season: mintedCard.season,
-    position: mintedCard.position,
-    tier: mintedCard.tier,
-    composite_score: mintedCard.composite_score,
-  });
-  if (engine) {
-    mintedCard.engine_v = engine.engine_v;
-    mintedCard.engine_era = engine.engine_era;
-    mintedCard.engine_percentiles = engine.engine_percentiles;
-    mintedCard.engine_traits = engine.engine_traits;
-    mintedCard.engine_inferred = engine.engine_inferred;
-  }
-  mintedCard.stats = cardImageGenerator.getFormattedStats(mintedCard);
-  let imageUrl = '/cards/placeholder.svg';
-  let imagePending = false;
-  try {
-    imageUrl = await cardImageGenerator.getOrGenerateCardImage(mintedCard);
-  } catch (_) {
-    if (AI_ENABLED) imagePending = true;
-  }
-  mintedCard.image_url = imageUrl;
-  mintedCard.image_pending = imagePending;
-  const cardId = await db.addCard(user.id, mintedCard);
-  if (imagePending && AI_ENABLED) {
-    enqueueCardImageRegen({ id: cardId, ...mintedCard });
-  }
-  return { cardId, card: mintedCard };
-}
+});
 
-// Admin: Grant one Hall of Fame (tier 11) card to a user (optional: position e.g. 'WR')
-app.post('/api/admin/grant-hof-card', adminAuth, async (req, res) => {
+app.delete('/api/admin/promotions/:id', adminMiddleware, async (req, res) => {
   try {
-    const { username, position } = req.body;
-    if (!username) return res.status(400).json({ error: 'username required' });
-    const user = await db.getUserByUsernameCaseInsensitive(username);
-    if (!user) return res.status(404).json({ error: 'User not found' });
-    const { cardId, card: mintedCard } = await grantHofCardToUser(user, position || null);
-    res.json({
-      success: true,
-      username: user.username,
-      card: { id: cardId, player_name: mintedCard.player_name, season: mintedCard.season, tier: 11, position: mintedCard.position },
+    const result = await grants.revokeGrant(parseInt(req.params.id));
+    if (!result) return res.status(404).json({ error: 'Promotion not found' });
+    await auditLog.record({
+      actor: req.user,
+      action: 'promotion_revoke',
+      target: null,
+      before: result.before,
+      after: result.after,
     });
+    res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Debug endpoint to see card image status (no auth for easy debugging)
-app.get('/api/admin/debug-images', async (req, res) => {
+// Debug endpoint to see card image status
+app.get('/api/admin/debug-images', adminMiddleware, async (req, res) => {
   const fs = require('fs');
   const path = require('path');
   
@@ -2330,7 +2794,7 @@ app.get('/api/admin/debug-images', async (req, res) => {
 // ADMIN: Regenerate missing images
 // =============================================================================
 
-app.post('/api/admin/regenerate-images', adminAuth, async (req, res) => {
+app.post('/api/admin/regenerate-images', adminMiddleware, async (req, res) => {
   if (!AI_ENABLED) {
     return res.status(400).json({ error: 'AI image generation not enabled (no OPENAI_API_KEY)' });
   }
@@ -2431,6 +2895,16 @@ app.get('/api/blockchain/packs/:walletAddress', async (req, res) => {
   }
 });
 
+// Turn a fulfilled on-chain pack's tokens into playable cards
+app.post('/api/my-packs/:packId/open', authMiddleware, async (req, res) => {
+  try {
+    const result = await packFulfillment.openPack(req.user.id, req.params.packId);
+    res.json(result);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+});
+
 app.get('/api/my-packs', authMiddleware, async (req, res) => {
   try {
     const wallet = await db.getUserWallet(req.user.id);
@@ -2452,20 +2926,38 @@ app.get('/api/wallet', authMiddleware, async (req, res) => {
   }
 });
 
+// Site the user is signing in from, for the sign-in message's domain and URI
+function requestOrigin(req) {
+  if (req.get('origin')) return req.get('origin');
+  if (req.get('x-forwarded-host')) return `${req.get('x-forwarded-proto') || req.protocol}://${req.get('x-forwarded-host')}`;
+  return process.env.FRONTEND_URL || `${req.protocol}://${req.get('host')}`;
+}
+
 app.get('/api/wallet/sign-message', authMiddleware, async (req, res) => {
-  const msg = `Sign in to First & 10. Nonce: ${Date.now()}`;
-  res.json({ message: msg });
+  try {
+    const signIn = await walletAuth.createSignInMessage(req.user.id, req.query.address, requestOrigin(req));
+    res.json(signIn);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
 });
 
 app.post('/api/wallet/link', authMiddleware, async (req, res) => {
   try {
-    const { address, walletType, signature } = req.body;
-    if (!address) return res.status(400).json({ error: 'address required' });
-    await db.linkWallet(req.user.id, address, walletType || 'external', 84532);
-    const wallet = await db.getUserWallet(req.user.id);
-    res.json({ wallet: { address: wallet.address, walletType: wallet.wallet_type } });
+    const { message, signature, walletType } = req.body || {};
+    const { address, chainId } = await walletAuth.verifySignIn(req.user.id, { message, signature });
+    const existing = await db.getWalletByAddress(address);
+    if (existing && existing.user_id !== req.user.id) {
+      return res.status(409).json({ error: 'This wallet is linked to another account' });
+    }
+    const wallet = await db.linkWallet(req.user.id, address, walletType || 'external', chainId);
+    // Cards whose tokens this wallet already holds come with it
+    if (dbPool.useDatabase()) {
+      packFulfillment.syncWalletCards(address).catch(err => console.error('Wallet card sync failed:', err.message));
+    }
+    res.json({ wallet: { address: wallet.address, walletType: wallet.wallet_type, chainId: wallet.chain_id } });
   } catch (err) {
-    res.status(400).json({ error: err.message });
+    res.status(err.status || 500).json({ error: err.message });
   }
 });
 
@@ -2479,8 +2971,7 @@ app.get('/api/wallet/check/:address', authMiddleware, async (req, res) => {
   }
 });
 
-app.post('/api/admin/fulfill-pack/:packId', async (req, res) => {
-  if (req.headers['x-admin-key'] !== process.env.ADMIN_KEY) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/fulfill-pack/:packId', adminMiddleware, async (req, res) => {
   try {
     await packFulfillment.pollForEvents();
     const pack = await packFulfillment.getPackStatus(req.params.packId);
@@ -2490,8 +2981,7 @@ app.post('/api/admin/fulfill-pack/:packId', async (req, res) => {
   }
 });
 
-app.post('/api/admin/poll-events', async (req, res) => {
-  if (req.headers['x-admin-key'] !== process.env.ADMIN_KEY) return res.status(403).json({ error: 'Forbidden' });
+app.post('/api/admin/poll-events', adminMiddleware, async (req, res) => {
   try {
     await packFulfillment.pollForEvents();
     res.json({ success: true });
@@ -2542,19 +3032,19 @@ app.listen(PORT, '0.0.0.0', async () => {
 ║  GET  /api/leaderboard      - View standings              ║
 ╚═══════════════════════════════════════════════════════════╝
   `);
+  await mintingLedger.loadLedger();
+  await leagues.loadLeagues();
+  // Commissioners of leagues made before roles existed
+  for (const league of leagues.getLeagues()) {
+    if (league.commissionerUserId) {
+      await syncCommissionerRole(league.commissionerUserId).catch(err => console.warn('syncCommissionerRole:', err.message));
+    }
+  }
   packs.loadPlayers();
+  // Punter cards minted before punters had traits
+  await db.backfillPunterTraits().catch((err) => console.warn('backfillPunterTraits:', err.message));
+  // Old per-username special cases become promotions (once), before the scheduler reads exclusions
+  await grants.migrateLegacySpecialCases().catch((err) => console.warn('migrateLegacySpecialCases:', err.message));
   scheduler.startScheduler();
   if (process.env.PRIVATE_KEY && dbPool.useDatabase()) packFulfillment.start(15000).catch(() => {});
-  // Ensure John! has a tier-11 WR (no-op if he already has one). Runs for both Postgres and JSON (live).
-  ensureJohnHasHofWR().catch((err) => console.warn('ensureJohnHasHofWR:', err.message));
-});
-
-async function ensureJohnHasHofWR() {
-  const user = await db.getUserByUsernameCaseInsensitive('John!');
-  if (!user) return;
-  const cards = await db.getUserCards(user.id);
-  const hasHofWR = cards.some((c) => (c.tier === 11 || c.isHOF) && (c.position === 'WR'));
-  if (hasHofWR) return;
-  await grantHofCardToUser(user, 'WR');
-  console.log('Granted John! a tier-11 WR (startup ensure).');
-}
+});
@@ -0,0 +1,40 @@
+/**
+ * Injuries
+ * =========
+ * Cards hurt in a league game (engine: plays.js rollInjuries) miss the next
+ * few games their team plays: 1 for a minor injury, 2-3 moderate, 4-8 severe.
+ * Each league game a team plays (or forfeits) counts one game down before
+ * the new injuries are recorded. Injured cards sit out (game-bridge.js) and
+ * can't be put in a roster slot until they heal. Friendlies don't carry over.
+ */
+
+const db = require('./database');
+const { isInjured } = require('./game-bridge');
+
+/**
+ * Carry a finished league game's injuries over to the cards
+ * @param {object|null} result - Engine result (result.injuries), or null for a forfeit
+ * @param {array} userIds - Both teams' user ids
+ */
+async function recordGameInjuries(result, userIds) {
+  for (const userId of userIds) {
+    if (userId) await db.healInjuries(userId);
+  }
+  const injuries = (result?.injuries || []).filter(i => i.cardId != null);
+  if (injuries.length > 0) await db.recordInjuries(injuries);
+  return injuries;
+}
+
+/**
+ * "out 2 more games (moderate)"
+ */
+function injuryLabel(card) {
+  const games = card.injury_games_left;
+  return `out ${games} more game${games === 1 ? '' : 's'} (${card.injury_severity || 'injury'})`;
+}
+
+module.exports = {
+  isInjured,
+  injuryLabel,
+  recordGameInjuries,
+};
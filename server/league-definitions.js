@@ -0,0 +1,330 @@
+/**
+ * League Definitions
+ * ===================
+ * Pure helpers for leagues (no I/O). Stored by leagues.js (JSON) and
+ * leagues-pg.js (Postgres), which both keep leagues as
+ * { leagues: [...], nextLeagueId } and run the changes below on it.
+ *
+ * A league:
+ * - id, name, isMain, open, createdAt
+ * - commissionerUserId (null for the main league)
+ * - memberUserIds (private leagues) / excludedUserIds (open leagues)
+ * - inviteCode (private leagues only)
+ * - rosterLockMinutes, seasonConfig (see DEFAULT_SEASON_CONFIG)
+ */
+
+const crypto = require('crypto');
+
+const MAIN_LEAGUE_ID = 1;
+const DEFAULT_ROSTER_LOCK_MINUTES = 10;
+const MAX_ROSTER_LOCK_MINUTES = 120;
+const MAX_NAME_LENGTH = 40;
+const MAX_LEAGUES_PER_COMMISSIONER = 5;
+
+// Invite codes skip look-alike characters (0/O, 1/I/L)
+const INVITE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const INVITE_CODE_LENGTH = 8;
+
+// Season format; matches the original hard-coded schedule
+const DEFAULT_SEASON_CONFIG = {
+  regularSeasonWeeks: 4,   // Mon–Fri weeks before the playoffs
+  gameTimes: [19, 21],     // Hours (24h) in the league timezone; one game per slot per day
+  timezone: 'EST',         // IANA zone name (EST = fixed UTC-5)
+  playoffTeams: 4,         // 2, 4, 6 or 8; top seeds get byes when the bracket isn't full
+  thirdPlaceGame: false,   // Semifinal losers play on championship day
+};
+const PLAYOFF_SIZES = [2, 4, 6, 8];
+const MAX_REGULAR_SEASON_WEEKS = 12;
+const MAX_GAMES_PER_DAY = 4;
+
+function createMainLeague() {
+  return {
+    id: MAIN_LEAGUE_ID,
+    name: 'First & 10 League',
+    isMain: true,
+    open: true,
+    commissionerUserId: null,
+    memberUserIds: [],
+    excludedUserIds: [],
+    inviteCode: null,
+    rosterLockMinutes: DEFAULT_ROSTER_LOCK_MINUTES,
+    seasonConfig: { ...DEFAULT_SEASON_CONFIG },
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Fill in what a stored league list may lack (the main league always exists)
+ */
+function withMainLeague(data) {
+  if (!data.leagues.some(l => l.id === MAIN_LEAGUE_ID)) data.leagues.unshift(createMainLeague());
+  return data;
+}
+
+function generateInviteCode(data) {
+  const taken = new Set(data.leagues.map(l => l.inviteCode).filter(Boolean));
+  for (;;) {
+    const bytes = crypto.randomBytes(INVITE_CODE_LENGTH);
+    let code = '';
+    for (const b of bytes) code += INVITE_ALPHABET[b % INVITE_ALPHABET.length];
+    if (!taken.has(code)) return code;
+  }
+}
+
+function normalizeName(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) throw new Error('League name required');
+  if (trimmed.length > MAX_NAME_LENGTH) throw new Error(`League name too long (max ${MAX_NAME_LENGTH} characters)`);
+  return trimmed;
+}
+
+function findLeague(data, leagueId) {
+  const league = data.leagues.find(l => l.id === Number(leagueId));
+  if (!league) throw new Error('League not found');
+  return league;
+}
+
+function assertCommissioner(league, userId) {
+  if (league.commissionerUserId !== userId) {
+    throw new Error('Only the commissioner can do that');
+  }
+}
+
+/**
+ * Is the user a member of the league?
+ */
+function isMember(league, userId) {
+  if (!league) return false;
+  if (league.open) return !(league.excludedUserIds || []).includes(userId);
+  return (league.memberUserIds || []).includes(userId);
+}
+
+/**
+ * Keep only the users that belong to the league
+ */
+function filterMembers(league, users) {
+  return (users || []).filter(u => isMember(league, u.id));
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Validate season config changes on top of an existing config
+ * @param {object} changes - Any of the DEFAULT_SEASON_CONFIG keys
+ * @param {object} base - Config the changes apply to
+ * @returns {object} - Complete, validated config
+ */
+function normalizeSeasonConfig(changes = {}, base = DEFAULT_SEASON_CONFIG) {
+  const config = { ...DEFAULT_SEASON_CONFIG, ...base };
+
+  if (changes.regularSeasonWeeks !== undefined) {
+    const weeks = parseInt(changes.regularSeasonWeeks);
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_REGULAR_SEASON_WEEKS) {
+      throw new Error(`Regular season must be 1-${MAX_REGULAR_SEASON_WEEKS} weeks`);
+    }
+    config.regularSeasonWeeks = weeks;
+  }
+
+  if (changes.gameTimes !== undefined) {
+    if (!Array.isArray(changes.gameTimes) || changes.gameTimes.length === 0) {
+      throw new Error('At least one game time is required');
+    }
+    const hours = [...new Set(changes.gameTimes.map(h => parseInt(h)))].sort((a, b) => a - b);
+    if (hours.some(h => !Number.isInteger(h) || h < 0 || h > 23)) {
+      throw new Error('Game times must be whole hours 0-23');
+    }
+    if (hours.length > MAX_GAMES_PER_DAY) throw new Error(`At most ${MAX_GAMES_PER_DAY} games per day`);
+    config.gameTimes = hours;
+  }
+
+  if (changes.timezone !== undefined) {
+    const timezone = String(changes.timezone || '').trim();
+    if (!timezone || !isValidTimezone(timezone)) throw new Error(`Unknown timezone: ${changes.timezone}`);
+    config.timezone = timezone;
+  }
+
+  if (changes.playoffTeams !== undefined) {
+    const teams = parseInt(changes.playoffTeams);
+    if (!PLAYOFF_SIZES.includes(teams)) throw new Error(`Playoff size must be one of ${PLAYOFF_SIZES.join(', ')}`);
+    config.playoffTeams = teams;
+  }
+
+  if (changes.thirdPlaceGame !== undefined) {
+    config.thirdPlaceGame = changes.thirdPlaceGame === true || changes.thirdPlaceGame === 'true';
+  }
+
+  return config;
+}
+
+function getSeasonConfig(league) {
+  return normalizeSeasonConfig({}, league?.seasonConfig || DEFAULT_SEASON_CONFIG);
+}
+
+// =============================================================================
+// CHANGES
+// Each one updates `data` in place and returns the league it changed; it
+// throws, changing nothing, if the change isn't allowed.
+// =============================================================================
+
+/**
+ * Create a private league; the creator becomes commissioner
+ */
+function createLeague(data, userId, name) {
+  const owned = data.leagues.filter(l => l.commissionerUserId === userId).length;
+  if (owned >= MAX_LEAGUES_PER_COMMISSIONER) {
+    throw new Error(`You can run at most ${MAX_LEAGUES_PER_COMMISSIONER} leagues`);
+  }
+
+  const league = {
+    id: data.nextLeagueId,
+    name: normalizeName(name),
+    isMain: false,
+    open: false,
+    commissionerUserId: userId,
+    memberUserIds: [userId],
+    excludedUserIds: [],
+    inviteCode: generateInviteCode(data),
+    rosterLockMinutes: DEFAULT_ROSTER_LOCK_MINUTES,
+    seasonConfig: { ...DEFAULT_SEASON_CONFIG },
+    createdAt: new Date().toISOString(),
+  };
+
+  data.nextLeagueId++;
+  data.leagues.push(league);
+  return league;
+}
+
+/**
+ * Join a private league with its invite code
+ */
+function joinLeague(data, userId, inviteCode) {
+  const code = String(inviteCode || '').trim().toUpperCase();
+  if (!code) throw new Error('Invite code required');
+
+  const league = data.leagues.find(l => l.inviteCode && l.inviteCode === code);
+  if (!league) throw new Error('Invalid invite code');
+  if (isMember(league, userId)) throw new Error(`You are already in ${league.name}`);
+
+  league.memberUserIds.push(userId);
+  return league;
+}
+
+function leaveLeague(data, userId, leagueId) {
+  const league = findLeague(data, leagueId);
+  if (league.open) throw new Error('You cannot leave the main league');
+  if (!isMember(league, userId)) throw new Error('You are not in this league');
+  if (league.commissionerUserId === userId && league.memberUserIds.length > 1) {
+    throw new Error('Hand the commissioner role to another member before leaving');
+  }
+
+  league.memberUserIds = league.memberUserIds.filter(id => id !== userId);
+  if (league.commissionerUserId === userId) league.commissionerUserId = null;
+  return league;
+}
+
+/**
+ * Remove a member (commissioner only). Unplayed games involving them are
+ * dropped from the league schedule by the caller.
+ */
+function removeMember(data, actingUserId, leagueId, userId) {
+  const league = findLeague(data, leagueId);
+  assertCommissioner(league, actingUserId);
+  if (userId === actingUserId) throw new Error('Use leave instead');
+  if (!isMember(league, userId)) throw new Error('User is not in this league');
+
+  if (league.open) {
+    league.excludedUserIds.push(userId);
+  } else {
+    league.memberUserIds = league.memberUserIds.filter(id => id !== userId);
+  }
+  return league;
+}
+
+/**
+ * Admin: exclude a user from (or restore them to) an open league's schedule
+ */
+function setExcluded(data, leagueId, userId, excluded) {
+  const league = findLeague(data, leagueId);
+  if (!league.open) throw new Error('Only open leagues use exclusions');
+
+  const list = new Set(league.excludedUserIds || []);
+  if (excluded) list.add(userId); else list.delete(userId);
+  league.excludedUserIds = Array.from(list);
+  return league;
+}
+
+function setCommissioner(data, actingUserId, leagueId, newCommissionerId) {
+  const league = findLeague(data, leagueId);
+  assertCommissioner(league, actingUserId);
+  if (!isMember(league, newCommissionerId)) throw new Error('New commissioner must be a league member');
+
+  league.commissionerUserId = newCommissionerId;
+  return league;
+}
+
+function regenerateInviteCode(data, actingUserId, leagueId) {
+  const league = findLeague(data, leagueId);
+  assertCommissioner(league, actingUserId);
+  if (league.open) throw new Error('Open leagues have no invite code');
+
+  league.inviteCode = generateInviteCode(data);
+  return league;
+}
+
+/**
+ * Commissioner settings: name and roster-lock window
+ */
+function updateLeague(data, actingUserId, leagueId, { name, rosterLockMinutes } = {}) {
+  const league = findLeague(data, leagueId);
+  assertCommissioner(league, actingUserId);
+
+  const changed = {};
+  if (name !== undefined) changed.name = normalizeName(name);
+  if (rosterLockMinutes !== undefined) {
+    const minutes = parseInt(rosterLockMinutes);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > MAX_ROSTER_LOCK_MINUTES) {
+      throw new Error(`Roster lock must be 0-${MAX_ROSTER_LOCK_MINUTES} minutes`);
+    }
+    changed.rosterLockMinutes = minutes;
+  }
+  return Object.assign(league, changed);
+}
+
+/**
+ * Change a league's season format (commissioner, or an admin via options.asAdmin)
+ */
+function updateSeasonConfig(data, actingUserId, leagueId, changes, { asAdmin = false } = {}) {
+  const league = findLeague(data, leagueId);
+  if (!asAdmin) assertCommissioner(league, actingUserId);
+
+  league.seasonConfig = normalizeSeasonConfig(changes, getSeasonConfig(league));
+  return league;
+}
+
+module.exports = {
+  MAIN_LEAGUE_ID,
+  DEFAULT_ROSTER_LOCK_MINUTES,
+  DEFAULT_SEASON_CONFIG,
+  PLAYOFF_SIZES,
+  withMainLeague,
+  isMember,
+  filterMembers,
+  normalizeSeasonConfig,
+  getSeasonConfig,
+  createLeague,
+  joinLeague,
+  leaveLeague,
+  removeMember,
+  setExcluded,
+  setCommissioner,
+  regenerateInviteCode,
+  updateLeague,
+  updateSeasonConfig,
+};
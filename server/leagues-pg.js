@@ -0,0 +1,167 @@
+/**
+ * Leagues (Postgres)
+ * ===================
+ * Used when DATABASE_URL is set. Same API as leagues.js; table from
+ * migrations/26_leagues.sql.
+ *
+ * Leagues are cached in memory (loadLeagues() at startup and on every
+ * scheduler tick, which picks up changes made by other servers) so the
+ * scheduler and routes can keep reading them synchronously. A change locks
+ * the table, applies to freshly read rows and then refreshes the cache.
+ */
+
+const db = require('./db');
+const definitions = require('./league-definitions');
+
+// { leagues, nextLeagueId }, null until loadLeagues() runs
+let cache = null;
+
+function rowToLeague(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    isMain: row.is_main,
+    open: row.open,
+    commissionerUserId: row.commissioner_user_id,
+    memberUserIds: row.member_user_ids,
+    excludedUserIds: row.excluded_user_ids,
+    inviteCode: row.invite_code,
+    rosterLockMinutes: row.roster_lock_minutes,
+    seasonConfig: row.season_config,
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+// `client` is the pool or a transaction client
+async function readLeagues(client) {
+  const r = await client.query('SELECT * FROM leagues ORDER BY id');
+  const leagues = r.rows.map(rowToLeague);
+  const nextLeagueId = Math.max(definitions.MAIN_LEAGUE_ID, ...leagues.map(l => l.id)) + 1;
+  return definitions.withMainLeague({ leagues, nextLeagueId });
+}
+
+async function saveLeague(client, league) {
+  await client.query(
+    `INSERT INTO leagues (id, name, is_main, open, commissioner_user_id, member_user_ids, excluded_user_ids,
+                          invite_code, roster_lock_minutes, season_config, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+     ON CONFLICT (id) DO UPDATE SET
+       name = EXCLUDED.name,
+       open = EXCLUDED.open,
+       commissioner_user_id = EXCLUDED.commissioner_user_id,
+       member_user_ids = EXCLUDED.member_user_ids,
+       excluded_user_ids = EXCLUDED.excluded_user_ids,
+       invite_code = EXCLUDED.invite_code,
+       roster_lock_minutes = EXCLUDED.roster_lock_minutes,
+       season_config = EXCLUDED.season_config`,
+    [
+      league.id, league.name, !!league.isMain, !!league.open, league.commissionerUserId,
+      league.memberUserIds || [], league.excludedUserIds || [], league.inviteCode,
+      league.rosterLockMinutes, JSON.stringify(league.seasonConfig || {}), league.createdAt,
+    ]
+  );
+}
+
+/**
+ * Load leagues into the cache
+ */
+async function loadLeagues() {
+  cache = await readLeagues(db);
+  return cache;
+}
+
+// Before the first load only the main league is known
+function getData() {
+  return cache || definitions.withMainLeague({ leagues: [], nextLeagueId: definitions.MAIN_LEAGUE_ID + 1 });
+}
+
+// Run one of the league-definitions changes against the table
+async function change(apply, ...args) {
+  const { data, league } = await db.transaction(async (client) => {
+    // One change at a time, so invite codes and new league ids can't collide
+    await client.query('LOCK TABLE leagues IN EXCLUSIVE MODE');
+    const fresh = await readLeagues(client);
+    const changed = apply(fresh, ...args);
+    await saveLeague(client, changed);
+    return { data: fresh, league: changed };
+  });
+  cache = data;
+  return league;
+}
+
+function getLeagues() {
+  return getData().leagues;
+}
+
+function getLeague(leagueId) {
+  return getData().leagues.find(l => l.id === Number(leagueId)) || null;
+}
+
+function getMainLeague() {
+  return getLeague(definitions.MAIN_LEAGUE_ID);
+}
+
+function getUserLeagues(userId) {
+  return getLeagues().filter(l => definitions.isMember(l, userId));
+}
+
+async function createLeague(userId, name) {
+  return change(definitions.createLeague, userId, name);
+}
+
+async function joinLeague(userId, inviteCode) {
+  return change(definitions.joinLeague, userId, inviteCode);
+}
+
+async function leaveLeague(userId, leagueId) {
+  return change(definitions.leaveLeague, userId, leagueId);
+}
+
+async function removeMember(actingUserId, leagueId, userId) {
+  return change(definitions.removeMember, actingUserId, leagueId, userId);
+}
+
+async function setExcluded(leagueId, userId, excluded) {
+  return change(definitions.setExcluded, leagueId, userId, excluded);
+}
+
+async function setCommissioner(actingUserId, leagueId, newCommissionerId) {
+  return change(definitions.setCommissioner, actingUserId, leagueId, newCommissionerId);
+}
+
+async function regenerateInviteCode(actingUserId, leagueId) {
+  return change(definitions.regenerateInviteCode, actingUserId, leagueId);
+}
+
+async function updateLeague(actingUserId, leagueId, settings) {
+  return change(definitions.updateLeague, actingUserId, leagueId, settings);
+}
+
+async function updateSeasonConfig(actingUserId, leagueId, changes, options) {
+  return change(definitions.updateSeasonConfig, actingUserId, leagueId, changes, options);
+}
+
+module.exports = {
+  MAIN_LEAGUE_ID: definitions.MAIN_LEAGUE_ID,
+  DEFAULT_ROSTER_LOCK_MINUTES: definitions.DEFAULT_ROSTER_LOCK_MINUTES,
+  DEFAULT_SEASON_CONFIG: definitions.DEFAULT_SEASON_CONFIG,
+  PLAYOFF_SIZES: definitions.PLAYOFF_SIZES,
+  loadLeagues,
+  isMember: definitions.isMember,
+  getLeagues,
+  getLeague,
+  getMainLeague,
+  getUserLeagues,
+  filterMembers: definitions.filterMembers,
+  createLeague,
+  joinLeague,
+  leaveLeague,
+  removeMember,
+  setExcluded,
+  setCommissioner,
+  regenerateInviteCode,
+  updateLeague,
+  normalizeSeasonConfig: definitions.normalizeSeasonConfig,
+  getSeasonConfig: definitions.getSeasonConfig,
+  updateSeasonConfig,
+};
@@ -0,0 +1,136 @@
+/**
+ * Leagues
+ * ========
+ * Each league has its own members, commissioner, schedule, standings, playoffs
+ * and roster-lock window.
+ * - The main league (id 1) is open: every user is a member unless excluded.
+ *   It keeps using schedule.json so existing seasons carry over.
+ * - Private leagues are created by a user (who becomes commissioner) and
+ *   joined with an invite code.
+ * - Each league carries a season config (weeks, game times, timezone, playoff
+ *   format) that the commissioner can change.
+ *
+ * Uses Postgres when DATABASE_URL is set (leagues-pg.js), otherwise
+ * leagues.json. Lookups are synchronous; the changes are synchronous here and
+ * async in Postgres (await either). Rules live in league-definitions.js.
+ */
+
+const dbPool = require('./db');
+if (dbPool.useDatabase()) {
+  module.exports = require('./leagues-pg');
+  return;
+}
+
+// ========== JSON file-based implementation (when DATABASE_URL not set) ==========
+
+const fs = require('fs');
+const path = require('path');
+const definitions = require('./league-definitions');
+
+// Use persistent disk in production, local file in development
+const DATA_DIR = fs.existsSync('/var/data') ? '/var/data' : __dirname;
+const LEAGUES_FILE = path.join(DATA_DIR, 'leagues.json');
+
+// Load leagues data (the main league always exists)
+function loadLeagues() {
+  let data = null;
+  try {
+    if (fs.existsSync(LEAGUES_FILE)) {
+      data = JSON.parse(fs.readFileSync(LEAGUES_FILE, 'utf8'));
+    }
+  } catch (e) {
+    console.error('Error loading leagues:', e);
+  }
+  if (!data) data = { leagues: [], nextLeagueId: definitions.MAIN_LEAGUE_ID + 1 };
+  return definitions.withMainLeague(data);
+}
+
+// Save leagues data
+function saveLeagues(data) {
+  fs.writeFileSync(LEAGUES_FILE, JSON.stringify(data, null, 2));
+}
+
+// Run one of the league-definitions changes and save it
+function change(apply, ...args) {
+  const data = loadLeagues();
+  const league = apply(data, ...args);
+  saveLeagues(data);
+  return league;
+}
+
+function getLeagues() {
+  return loadLeagues().leagues;
+}
+
+function getLeague(leagueId) {
+  return loadLeagues().leagues.find(l => l.id === Number(leagueId)) || null;
+}
+
+function getMainLeague() {
+  return getLeague(definitions.MAIN_LEAGUE_ID);
+}
+
+function getUserLeagues(userId) {
+  return getLeagues().filter(l => definitions.isMember(l, userId));
+}
+
+function createLeague(userId, name) {
+  return change(definitions.createLeague, userId, name);
+}
+
+function joinLeague(userId, inviteCode) {
+  return change(definitions.joinLeague, userId, inviteCode);
+}
+
+function leaveLeague(userId, leagueId) {
+  return change(definitions.leaveLeague, userId, leagueId);
+}
+
+function removeMember(actingUserId, leagueId, userId) {
+  return change(definitions.removeMember, actingUserId, leagueId, userId);
+}
+
+function setExcluded(leagueId, userId, excluded) {
+  return change(definitions.setExcluded, leagueId, userId, excluded);
+}
+
+function setCommissioner(actingUserId, leagueId, newCommissionerId) {
+  return change(definitions.setCommissioner, actingUserId, leagueId, newCommissionerId);
+}
+
+function regenerateInviteCode(actingUserId, leagueId) {
+  return change(definitions.regenerateInviteCode, actingUserId, leagueId);
+}
+
+function updateLeague(actingUserId, leagueId, settings) {
+  return change(definitions.updateLeague, actingUserId, leagueId, settings);
+}
+
+function updateSeasonConfig(actingUserId, leagueId, changes, options) {
+  return change(definitions.updateSeasonConfig, actingUserId, leagueId, changes, options);
+}
+
+module.exports = {
+  MAIN_LEAGUE_ID: definitions.MAIN_LEAGUE_ID,
+  DEFAULT_ROSTER_LOCK_MINUTES: definitions.DEFAULT_ROSTER_LOCK_MINUTES,
+  DEFAULT_SEASON_CONFIG: definitions.DEFAULT_SEASON_CONFIG,
+  PLAYOFF_SIZES: definitions.PLAYOFF_SIZES,
+  loadLeagues,
+  isMember: definitions.isMember,
+  getLeagues,
+  getLeague,
+  getMainLeague,
+  getUserLeagues,
+  filterMembers: definitions.filterMembers,
+  createLeague,
+  joinLeague,
+  leaveLeague,
+  removeMember,
+  setExcluded,
+  setCommissioner,
+  regenerateInviteCode,
+  updateLeague,
+  normalizeSeasonConfig: definitions.normalizeSeasonConfig,
+  getSeasonConfig: definitions.getSeasonConfig,
+  updateSeasonConfig,
+};
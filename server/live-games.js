@@ -0,0 +1,423 @@
+/**
+ * Live Games
+ * ===========
+ * Game-day broadcasts. A scheduled game is simulated in full at kickoff; its
+ * stored play-by-play is then revealed on a timeline that follows the game
+ * clock (sped up by LIVE_GAME_SPEED) starting from played_at. Everything is
+ * derived from the stored plays and the wall clock, so a viewer who joins
+ * late gets every play so far in one snapshot and then follows along with
+ * everyone else.
+ */
+
+const { GAME, SCORING } = require('./game-engine/simulation/constants');
+
+// Game-clock seconds per real second (1 = real time)
+const LIVE_GAME_SPEED = Math.max(1, Number(process.env.LIVE_GAME_SPEED) || 4);
+
+// Every snap takes at least this much game clock on air (kicks and incompletions stop the clock)
+const MIN_PLAY_SECONDS = 8;
+
+const REGULATION_SECONDS = GAME.QUARTER_LENGTH * 4;
+
+// Spread of the final margin over a full game, for win probability
+const WIN_PROB_MARGIN_SD = 13.5;
+
+const SCRIMMAGE_TYPES = ['run', 'pass'];
+
+function isScrimmage(play) {
+  return SCRIMMAGE_TYPES.includes(play?.type);
+}
+
+function parseClock(time) {
+  const [mins, secs] = String(time || '0:00').split(':').map(Number);
+  return (mins || 0) * 60 + (secs || 0);
+}
+
+function other(side) {
+  return side === 'home' ? 'away' : 'home';
+}
+
+/**
+ * Game clock (seconds since kickoff) once a play is over
+ */
+function gameSecondsAfter(play) {
+  const quarter = Math.min(play.quarter || 1, 5);
+  const quarterEnd = quarter * GAME.QUARTER_LENGTH;
+  const start = quarterEnd - parseClock(play.time);
+  return Math.min(quarterEnd, start + (play.timeElapsed || 0));
+}
+
+/**
+ * When each play goes out, in ms after kickoff. Substitutions go out with the
+ * play before them; everything else takes at least MIN_PLAY_SECONDS.
+ */
+function buildTimeline(plays, speed = LIVE_GAME_SPEED) {
+  let clock = 0;
+  let onAir = 0;
+  return plays.map(play => {
+    if (play.type !== 'substitution') {
+      const end = Math.max(clock, gameSecondsAfter(play));
+      onAir += Math.max(end - clock, MIN_PLAY_SECONDS);
+      clock = end;
+    }
+    return Math.round(onAir * 1000 / speed);
+  });
+}
+
+/**
+ * Where things stand once a play's clock has run. Usually that's right after
+ * the play, but when its clock ends the half the halftime kickoff goes out
+ * first, and when it ends a tied regulation all of overtime is played first;
+ * the engine only then settles the play, for whoever has the ball by then.
+ * @returns {{ index, possession, fieldPosition }} - index of the last play out by then
+ */
+function settledAfter(plays, index) {
+  const play = plays[index];
+  const next = plays[index + 1];
+  if (next?.type === 'kickoff' && play.quarter === 2 && next.quarter === 3) {
+    return { index: index + 1, possession: next.possession, fieldPosition: next.newFieldPosition };
+  }
+  if (next?.type === 'overtime_start') {
+    let end = plays.findIndex((p, i) => i > index && p.type === 'overtime_end');
+    if (end < 0) end = plays.length - 1;
+    const last = plays.slice(index + 1, end + 1).filter(isScrimmage).pop();
+    if (!last) return { index: end, possession: play.possession, fieldPosition: play.fieldPosition };
+    return { index: end, possession: last.possession, fieldPosition: last.fieldPosition + (last.yards || 0) };
+  }
+  return { index, possession: play.possession, fieldPosition: play.fieldPosition };
+}
+
+/**
+ * Running score after each play (the engine does not store it on plays).
+ * Points are credited when the engine credits them (see settledAfter), so
+ * the last entry always equals the game's recorded score.
+ */
+function runningScores(plays) {
+  const points = plays.map(() => ({ home: 0, away: 0 }));
+  plays.forEach((play, index) => {
+    const side = play.possession;
+    if (!side) return;
+    if (play.type === 'extra_point') {
+      points[index][side] += play.points || 0;
+    } else if (play.type === 'field_goal') {
+      points[settledAfter(plays, index).index][side] += play.points || 0;
+    } else if (isScrimmage(play) && !play.turnover) {
+      const settled = settledAfter(plays, index);
+      if (play.touchdown) {
+        points[settled.index][settled.possession] += SCORING.TOUCHDOWN;
+      } else if (settled.fieldPosition + (play.yards || 0) <= 0) {
+        points[settled.index][other(side)] += SCORING.SAFETY;
+      }
+    }
+  });
+
+  const score = { home: 0, away: 0 };
+  return points.map(({ home, away }) => {
+    score.home += home;
+    score.away += away;
+    return { ...score };
+  });
+}
+
+/**
+ * Down, distance and spot for the next snap after play `index`, or null when
+ * the next thing is a kick
+ */
+function situationAfter(plays, index) {
+  let next = index + 1;
+  while (plays[next]?.type === 'substitution') next++;
+  if (isScrimmage(plays[next])) {
+    const { possession, down, yardsToGo, fieldPosition } = plays[next];
+    return { possession, down, yardsToGo, fieldPosition };
+  }
+
+  // Heading into a punt or field goal: the 4th down that led to it
+  const play = plays[index];
+  if (!isScrimmage(play) || play.touchdown || play.turnover) return null;
+  const fieldPosition = play.fieldPosition + (play.yards || 0);
+  if (fieldPosition <= 0 || play.yards >= play.yardsToGo) return null;
+  return {
+    possession: play.possession,
+    down: Math.min(play.down + 1, 4),
+    yardsToGo: play.yardsToGo - play.yards,
+    fieldPosition,
+  };
+}
+
+/**
+ * The last snap's path on the field, for drawing
+ */
+function playPath(play) {
+  if (!isScrimmage(play)) return null;
+  return {
+    from: play.fieldPosition,
+    to: Math.max(0, Math.min(100, play.fieldPosition + (play.yards || 0))),
+    kind: play.type,
+    possession: play.possession,
+  };
+}
+
+// Abramowitz-Stegun approximation of the standard normal CDF
+function normalCdf(z) {
+  const t = 1 / (1 + 0.2316419 * Math.abs(z));
+  const d = 0.3989423 * Math.exp(-z * z / 2);
+  const tail = d * t * (0.3193815 + t * (-0.3565638 + t * (1.781478 + t * (-1.821256 + t * 1.330274))));
+  return z > 0 ? 1 - tail : tail;
+}
+
+// Rough points a drive is worth from a spot (yards from own goal line)
+function expectedPoints(fieldPosition) {
+  return (fieldPosition - 25) / 12;
+}
+
+/**
+ * Home team's chance to win from the score, the ball and the time left
+ * @returns {number} 0-1
+ */
+function winProbability(score, situation, secondsLeft) {
+  let margin = score.home - score.away;
+  if (situation) {
+    const ep = expectedPoints(situation.fieldPosition);
+    margin += situation.possession === 'home' ? ep : -ep;
+  }
+  const sd = WIN_PROB_MARGIN_SD * Math.sqrt(Math.max(0, secondsLeft) / REGULATION_SECONDS) + 0.5;
+  return Math.min(0.99, Math.max(0.01, normalCdf(margin / sd)));
+}
+
+function gamePlays(game) {
+  const plays = typeof game.play_by_play === 'string' ? JSON.parse(game.play_by_play) : game.play_by_play;
+  return Array.isArray(plays) ? plays : [];
+}
+
+function kickoffTime(game) {
+  const at = new Date(game.played_at).getTime();
+  return Number.isFinite(at) ? at : 0;
+}
+
+/**
+ * When a game's broadcast ends
+ * @param {Date|string} playedAt - Kickoff
+ * @param {Array} plays - Play-by-play
+ */
+function broadcastEnd(playedAt, plays) {
+  const timeline = buildTimeline(plays);
+  return new Date(new Date(playedAt).getTime() + (timeline[timeline.length - 1] || 0));
+}
+
+/**
+ * Everything a viewer needs once play `index` has gone out
+ */
+function updateAt(broadcast, index) {
+  const { plays, scores } = broadcast;
+  const play = plays[index];
+  const final = index === plays.length - 1;
+  const score = final ? broadcast.finalScore : (scores[index] || { home: 0, away: 0 });
+  const situation = final ? null : situationAfter(plays, index);
+  const quarter = play ? Math.min(play.quarter || 1, 5) : 1;
+  const clock = play ? Math.max(0, parseClock(play.time) - (play.timeElapsed || 0)) : GAME.QUARTER_LENGTH;
+  const secondsLeft = quarter > 4 ? 0 : REGULATION_SECONDS - (quarter * GAME.QUARTER_LENGTH - clock);
+
+  let homeWinProbability;
+  if (final) {
+    homeWinProbability = score.home > score.away ? 1 : score.home < score.away ? 0 : 0.5;
+  } else {
+    homeWinProbability = winProbability(score, situation, secondsLeft);
+  }
+
+  return {
+    index,
+    score,
+    quarter,
+    clock,
+    situation,
+    lastPlay: play ? playPath(play) : null,
+    homeWinProbability: Math.round(homeWinProbability * 1000) / 1000,
+  };
+}
+
+function createBroadcast(game) {
+  const plays = gamePlays(game);
+  const scores = runningScores(plays);
+  return {
+    gameId: game.id,
+    plays,
+    scores,
+    finalScore: { home: game.home_score, away: game.away_score },
+    timeline: buildTimeline(plays),
+    kickoff: kickoffTime(game),
+    teams: {
+      home: { userId: game.home_user_id, username: game.home_username },
+      away: { userId: game.away_user_id, username: game.away_username },
+    },
+  };
+}
+
+// How many plays have gone out by `now`
+function revealedCount(broadcast, now) {
+  const elapsed = now - broadcast.kickoff;
+  let count = 0;
+  while (count < broadcast.timeline.length && broadcast.timeline[count] <= elapsed) count++;
+  return count;
+}
+
+/**
+ * Where a broadcast stands at a moment, with every play so far
+ * @param {object} game - Row from db.getGame
+ * @param {number} [now] - ms timestamp
+ */
+function getLiveState(game, now = Date.now()) {
+  const broadcast = createBroadcast(game);
+  return snapshot(broadcast, now);
+}
+
+function snapshot(broadcast, now) {
+  const count = revealedCount(broadcast, now);
+  const final = count === broadcast.plays.length;
+  const endsAt = broadcast.kickoff + (broadcast.timeline[broadcast.timeline.length - 1] || 0);
+  return {
+    gameId: broadcast.gameId,
+    status: final ? 'final' : 'live',
+    teams: broadcast.teams,
+    speed: LIVE_GAME_SPEED,
+    kickoffAt: new Date(broadcast.kickoff).toISOString(),
+    endsAt: new Date(endsAt).toISOString(),
+    plays: broadcast.plays.slice(0, count),
+    ...updateAt(broadcast, count - 1),
+  };
+}
+
+// =============================================================================
+// RESULTS ON HOLD
+// While a game is on the air its score and plays only go out through the
+// live feed; everything else shows it as live until liveUntil.
+// =============================================================================
+
+/**
+ * Is a game still being broadcast?
+ * @param {string|Date|null} liveUntil - games.live_until, or a schedule result's liveUntil
+ */
+function isOnAir(liveUntil, now = Date.now()) {
+  return !!liveUntil && new Date(liveUntil).getTime() > now;
+}
+
+/**
+ * A games row with its result held back while it's on the air
+ */
+function hideLiveGame(game, now = Date.now()) {
+  if (!game || !isOnAir(game.live_until, now)) return game;
+  return {
+    ...game,
+    home_score: null,
+    away_score: null,
+    winner_user_id: null,
+    winner_username: null,
+    play_by_play: [],
+    box_score: null,
+    play_hash: null,
+    seed: null,
+    replay_rosters: null,
+    live: true,
+  };
+}
+
+/**
+ * A schedule game with its result held back while it's on the air (only
+ * liveUntil is left, so clients can show it as live)
+ */
+function hideLiveScheduleGame(game, now = Date.now()) {
+  if (!isOnAir(game?.result?.liveUntil, now)) return game;
+  return { ...game, result: { liveUntil: game.result.liveUntil } };
+}
+
+// =============================================================================
+// BROADCASTER
+// =============================================================================
+
+// gameId -> { broadcast, listeners, next, timer }; one timer per game however many are watching
+const channels = new Map();
+
+function emit(channel, event, data) {
+  for (const listener of channel.listeners) {
+    try {
+      listener(event, data);
+    } catch (err) {
+      console.error('Live game listener error:', err);
+    }
+  }
+}
+
+function closeChannel(channel) {
+  clearTimeout(channel.timer);
+  if (channels.get(channel.broadcast.gameId) === channel) channels.delete(channel.broadcast.gameId);
+}
+
+function scheduleNext(channel) {
+  const { broadcast } = channel;
+  const due = broadcast.kickoff + broadcast.timeline[channel.next];
+  channel.timer = setTimeout(() => {
+    const now = Date.now();
+    while (channel.next < broadcast.plays.length && broadcast.kickoff + broadcast.timeline[channel.next] <= now) {
+      const index = channel.next++;
+      emit(channel, 'play', { play: broadcast.plays[index], ...updateAt(broadcast, index) });
+    }
+    if (channel.next >= broadcast.plays.length) {
+      closeChannel(channel);
+      emit(channel, 'final', { gameId: broadcast.gameId, score: broadcast.finalScore });
+      return;
+    }
+    scheduleNext(channel);
+  }, Math.max(0, due - Date.now()));
+}
+
+/**
+ * Watch a game: the listener gets a 'snapshot' right away, a 'play' as each
+ * play goes out, then 'final'. Finished games get the snapshot and 'final'.
+ * @param {object} game - Row from db.getGame
+ * @param {function} listener - (event, data) => void
+ * @returns {function} - Stop watching
+ */
+function subscribe(game, listener) {
+  let channel = channels.get(game.id);
+  if (!channel) {
+    channel = { broadcast: createBroadcast(game), listeners: new Set(), next: 0, timer: null };
+  }
+
+  const now = Date.now();
+  const state = snapshot(channel.broadcast, now);
+  listener('snapshot', state);
+  if (state.status === 'final') {
+    listener('final', { gameId: game.id, score: channel.broadcast.finalScore });
+    return () => {};
+  }
+
+  // The channel's timer may lag `now` slightly; skip plays already in the snapshot
+  const seen = state.plays.length;
+  const watcher = (event, data) => {
+    if (event === 'play' && data.index < seen) return;
+    listener(event, data);
+  };
+  channel.listeners.add(watcher);
+  if (!channels.has(game.id)) {
+    channels.set(game.id, channel);
+    channel.next = revealedCount(channel.broadcast, now);
+    scheduleNext(channel);
+  }
+
+  return () => {
+    channel.listeners.delete(watcher);
+    if (channel.listeners.size === 0) closeChannel(channel);
+  };
+}
+
+module.exports = {
+  LIVE_GAME_SPEED,
+  buildTimeline,
+  runningScores,
+  winProbability,
+  broadcastEnd,
+  isOnAir,
+  hideLiveGame,
+  hideLiveScheduleGame,
+  getLiveState,
+  subscribe,
+};
@@ -0,0 +1,131 @@
+/**
+ * Direct Messages System (Postgres)
+ * ==================================
+ * Used when DATABASE_URL is set. Same API as messages.js; table from
+ * migrations/9_direct_messages.sql. All functions are async.
+ */
+
+const { query } = require('./db');
+
+const MESSAGE_COLUMNS = 'id, from_user_id, to_user_id, content, sent_at, is_read AS read';
+
+// Sender of notices from the game (see messages.js)
+const SYSTEM_USER_ID = 0;
+const SYSTEM_SENDER = { from_username: 'First & 10', from_team_name: 'League Office' };
+
+function validateMessage(fromUserId, toUserId, content) {
+  if (!content || content.trim().length === 0) {
+    throw new Error('Message cannot be empty');
+  }
+  if (content.length > 500) {
+    throw new Error('Message too long (max 500 characters)');
+  }
+  if (fromUserId === toUserId) {
+    throw new Error('Cannot message yourself');
+  }
+}
+
+/**
+ * Send a message to another user
+ */
+async function sendMessage(fromUserId, toUserId, content) {
+  validateMessage(fromUserId, toUserId, content);
+  const r = await query(
+    `INSERT INTO direct_messages (from_user_id, to_user_id, content) VALUES ($1, $2, $3) RETURNING ${MESSAGE_COLUMNS}`,
+    [fromUserId, toUserId, content.trim()]
+  );
+  return r.rows[0];
+}
+
+/**
+ * Leave a notice from the game itself in a user's inbox (no reply possible)
+ */
+async function sendSystemMessage(toUserId, content) {
+  return sendMessage(SYSTEM_USER_ID, toUserId, content);
+}
+
+/**
+ * Get messages for a user (inbox)
+ */
+async function getInbox(userId) {
+  const r = await query(
+    `SELECT ${MESSAGE_COLUMNS} FROM direct_messages WHERE to_user_id = $1 ORDER BY sent_at DESC, id DESC`,
+    [userId]
+  );
+  return r.rows;
+}
+
+/**
+ * Get sent messages
+ */
+async function getSentMessages(userId) {
+  const r = await query(
+    `SELECT ${MESSAGE_COLUMNS} FROM direct_messages WHERE from_user_id = $1 ORDER BY sent_at DESC, id DESC`,
+    [userId]
+  );
+  return r.rows;
+}
+
+/**
+ * Get conversation between two users
+ */
+async function getConversation(userId1, userId2) {
+  const r = await query(
+    `SELECT ${MESSAGE_COLUMNS} FROM direct_messages
+     WHERE (from_user_id = $1 AND to_user_id = $2) OR (from_user_id = $2 AND to_user_id = $1)
+     ORDER BY sent_at, id`,
+    [userId1, userId2]
+  );
+  return r.rows;
+}
+
+/**
+ * Mark messages as read
+ */
+async function markAsRead(userId, fromUserId) {
+  const r = await query(
+    'UPDATE direct_messages SET is_read = TRUE WHERE to_user_id = $1 AND from_user_id = $2 AND is_read = FALSE',
+    [userId, fromUserId]
+  );
+  return r.rowCount > 0;
+}
+
+/**
+ * Get unread message count
+ */
+async function getUnreadCount(userId) {
+  const r = await query(
+    'SELECT COUNT(*)::int AS count FROM direct_messages WHERE to_user_id = $1 AND is_read = FALSE',
+    [userId]
+  );
+  return r.rows[0].count;
+}
+
+/**
+ * Get unread messages grouped by sender
+ */
+async function getUnreadBySender(userId) {
+  const r = await query(
+    `SELECT ${MESSAGE_COLUMNS} FROM direct_messages WHERE to_user_id = $1 AND is_read = FALSE ORDER BY sent_at, id`,
+    [userId]
+  );
+  const bySender = {};
+  for (const m of r.rows) {
+    if (!bySender[m.from_user_id]) bySender[m.from_user_id] = [];
+    bySender[m.from_user_id].push(m);
+  }
+  return bySender;
+}
+
+module.exports = {
+  SYSTEM_USER_ID,
+  SYSTEM_SENDER,
+  sendMessage,
+  sendSystemMessage,
+  getInbox,
+  getSentMessages,
+  getConversation,
+  markAsRead,
+  getUnreadCount,
+  getUnreadBySender,
+};
@@ -1,9 +1,19 @@
 /**
  * Direct Messages System
  * ======================
- * Allows users to send messages to each other
+ * Allows users to send messages to each other.
+ * Uses Postgres when DATABASE_URL is set (messages-pg.js), otherwise messages.json.
+ * All functions are async.
  */
 
+const dbPool = require('./db');
+if (dbPool.useDatabase()) {
+  module.exports = require('./messages-pg');
+  return;
+}
+
+// ========== JSON file-based implementation (when DATABASE_URL not set) ==========
+
 const fs = require('fs');
 const path = require('path');
 
@@ -13,6 +23,10 @@ const USE_PERSISTENT = fs.existsSync(PERSISTENT_DIR);
 const DATA_DIR = USE_PERSISTENT ? PERSISTENT_DIR : __dirname;
 const MESSAGES_FILE = path.join(DATA_DIR, 'messages.json');
 
+// Sender of notices from the game (roster changes and the like); no user has this id
+const SYSTEM_USER_ID = 0;
+const SYSTEM_SENDER = { from_username: 'First & 10', from_team_name: 'League Office' };
+
 // Load messages data
 function loadMessages() {
   try {
@@ -33,18 +47,8 @@ function saveMessages(data) {
 /**
  * Send a message to another user
  */
-function sendMessage(fromUserId, toUserId, content) {
-  if (!content || content.trim().length === 0) {
-    throw new Error('Message cannot be empty');
-  }
-  
-  if (content.length > 500) {
-    throw new Error('Message too long (max 500 characters)');
-  }
-  
-  if (fromUserId === toUserId) {
-    throw new Error('Cannot message yourself');
-  }
+async function sendMessage(fromUserId, toUserId, content) {
+  validateMessage(fromUserId, toUserId, content);
   
   const data = loadMessages();
   
@@ -63,10 +67,17 @@ function sendMessage(fromUserId, toUserId, content) {
   return message;
 }
 
+/**
+ * Leave a notice from the game itself in a user's inbox (no reply possible)
+ */
+async function sendSystemMessage(toUserId, content) {
+  return sendMessage(SYSTEM_USER_ID, toUserId, content);
+}
+
 /**
  * Get messages for a user (inbox)
  */
-function getInbox(userId) {
+async function getInbox(userId) {
   const data = loadMessages();
   return data.messages
     .filter(m => m.to_user_id === userId)
@@ -76,7 +87,7 @@ function getInbox(userId) {
 /**
  * Get sent messages
  */
-function getSentMessages(userId) {
+async function getSentMessages(userId) {
   const data = loadMessages();
   return data.messages
     .filter(m => m.from_user_id === userId)
@@ -86,7 +97,7 @@ function getSentMessages(userId) {
 /**
  * Get conversation between two users
  */
-function getConversation(userId1, userId2) {
+async function getConversation(userId1, userId2) {
   const data = loadMessages();
   return data.messages
     .filter(m => 
@@ -99,7 +110,7 @@ function getConversation(userId1, userId2) {
 /**
  * Mark messages as read
  */
-function markAsRead(userId, fromUserId) {
+async function markAsRead(userId, fromUserId) {
   const data = loadMessages();
   let updated = false;
   
@@ -120,7 +131,7 @@ function markAsRead(userId, fromUserId) {
 /**
  * Get unread message count
  */
-function getUnreadCount(userId) {
+async function getUnreadCount(userId) {
   const data = loadMessages();
   return data.messages.filter(m => m.to_user_id === userId && !m.read).length;
 }
@@ -128,7 +139,7 @@ function getUnreadCount(userId) {
 /**
  * Get unread messages grouped by sender
  */
-function getUnreadBySender(userId) {
+async function getUnreadBySender(userId) {
   const data = loadMessages();
   const unread = data.messages.filter(m => m.to_user_id === userId && !m.read);
   
@@ -143,8 +154,28 @@ function getUnreadBySender(userId) {
   return bySender;
 }
 
+/**
+ * Check a message before it's stored
+ */
+function validateMessage(fromUserId, toUserId, content) {
+  if (!content || content.trim().length === 0) {
+    throw new Error('Message cannot be empty');
+  }
+  
+  if (content.length > 500) {
+    throw new Error('Message too long (max 500 characters)');
+  }
+  
+  if (fromUserId === toUserId) {
+    throw new Error('Cannot message yourself');
+  }
+}
+
 module.exports = {
+  SYSTEM_USER_ID,
+  SYSTEM_SENDER,
   sendMessage,
+  sendSystemMessage,
   getInbox,
   getSentMessages,
   getConversation,
@@ -0,0 +1,25 @@
+-- Migration 10: Post-game press conferences (was press-conferences.json)
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS press_conferences (
+  id VARCHAR(60) PRIMARY KEY,
+  game_id INTEGER NOT NULL,
+  player_ids INTEGER[] NOT NULL,
+  players JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  active BOOLEAN NOT NULL DEFAULT TRUE
+);
+
+CREATE TABLE IF NOT EXISTS press_conference_messages (
+  id VARCHAR(60) PRIMARY KEY,
+  conference_id VARCHAR(60) NOT NULL REFERENCES press_conferences(id) ON DELETE CASCADE,
+  sender_id INTEGER NOT NULL,
+  sender_name VARCHAR(100),
+  content TEXT NOT NULL,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  read_by INTEGER[] NOT NULL DEFAULT '{}'
+);
+
+CREATE INDEX IF NOT EXISTS idx_press_conferences_players ON press_conferences USING GIN (player_ids);
+CREATE INDEX IF NOT EXISTS idx_press_conference_messages_conf ON press_conference_messages(conference_id, sent_at);
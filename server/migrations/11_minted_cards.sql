@@ -0,0 +1,13 @@
+-- Migration 11: Minting ledger (was minting-ledger.json)
+-- The table already exists in your DB; this is for fresh installs.
+
+CREATE TABLE IF NOT EXISTS minted_cards (
+  player_key VARCHAR(200) PRIMARY KEY,
+  player_name VARCHAR(200) NOT NULL,
+  season INTEGER,
+  tier INTEGER,
+  user_id INTEGER,
+  minted_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_minted_cards_user ON minted_cards(user_id);
@@ -0,0 +1,25 @@
+-- Migration 12: Salted password hashes and persisted login sessions
+-- Idempotent - safe if already applied.
+
+-- scrypt hashes are longer than the old SHA-256 hex digests
+ALTER TABLE users ALTER COLUMN password_hash TYPE TEXT;
+
+CREATE TABLE IF NOT EXISTS sessions (
+  token VARCHAR(128) PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+-- session_id is the public handle shown on the account page (the token itself is never listed)
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS session_id VARCHAR(24);
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS created_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS last_used_at TIMESTAMPTZ DEFAULT NOW();
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS user_agent TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS ip_address VARCHAR(64);
+
+UPDATE sessions SET session_id = substr(md5(token), 1, 12) WHERE session_id IS NULL;
+UPDATE sessions SET created_at = NOW() WHERE created_at IS NULL;
+UPDATE sessions SET last_used_at = created_at WHERE last_used_at IS NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_session_id ON sessions(session_id);
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id);
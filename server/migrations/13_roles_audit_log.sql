@@ -0,0 +1,26 @@
+-- Migration 13: User roles and the admin audit log
+-- Idempotent - safe if already applied.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'player';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_check') THEN
+    ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('player', 'commissioner', 'admin'));
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id SERIAL PRIMARY KEY,
+  actor_user_id INTEGER,
+  actor_username VARCHAR(100),
+  action VARCHAR(60) NOT NULL,
+  target_user_id INTEGER,
+  target_username VARCHAR(100),
+  before_value JSONB,
+  after_value JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_user_id);
@@ -0,0 +1,14 @@
+-- Migration 14: Idempotent pack opening
+-- One row per (user, Idempotency-Key); a repeated request replays result instead of opening again.
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS pack_openings (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  idempotency_key VARCHAR(100) NOT NULL,
+  kind VARCHAR(20) NOT NULL,
+  result JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, idempotency_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pack_openings_created ON pack_openings(created_at);
@@ -0,0 +1,10 @@
+-- Migration 15: Pack products (data-driven pack definitions)
+-- The server seeds the default catalog into an empty table (pack-definitions.js).
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS pack_products (
+  slug VARCHAR(40) PRIMARY KEY,
+  definition JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
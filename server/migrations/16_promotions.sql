@@ -0,0 +1,28 @@
+-- Migration 16: Promotions (grants to specific users: guaranteed tiers, bonus packs, cards, schedule exclusions)
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS promotions (
+  id SERIAL PRIMARY KEY,
+  type VARCHAR(30) NOT NULL,
+  params JSONB NOT NULL DEFAULT '{}',
+  user_ids INTEGER[] NOT NULL,
+  note VARCHAR(200) NOT NULL DEFAULT '',
+  source VARCHAR(100),
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  created_by_user_id INTEGER,
+  created_by_username VARCHAR(100),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_promotions_user_ids ON promotions USING GIN (user_ids);
+CREATE INDEX IF NOT EXISTS idx_promotions_source ON promotions(source);
+
+-- Uses per (grant, user); a guaranteed-tier grant can be redeemed once per pack
+CREATE TABLE IF NOT EXISTS promotion_redemptions (
+  promotion_id INTEGER NOT NULL REFERENCES promotions(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  uses INTEGER NOT NULL DEFAULT 0,
+  last_redeemed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (promotion_id, user_id)
+);
@@ -0,0 +1,13 @@
+-- Migration 17: Pack pull history (one row per opened pack) for bad-luck protection
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS pack_pulls (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  pack_number INTEGER NOT NULL,
+  product_slug VARCHAR(40),
+  tiers INTEGER[] NOT NULL,
+  best_tier INTEGER NOT NULL,
+  pity BOOLEAN NOT NULL DEFAULT FALSE,
+  opened_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, pack_number)
+);
@@ -0,0 +1,19 @@
+-- Migration 18: Card collection sets and the sets each user has completed
+-- The server seeds the default sets into an empty table (collection-definitions.js).
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS collection_sets (
+  slug VARCHAR(40) PRIMARY KEY,
+  definition JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS collection_completions (
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  set_slug VARCHAR(40) NOT NULL,
+  set_name VARCHAR(40) NOT NULL,
+  reward JSONB NOT NULL,
+  completed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, set_slug)
+);
@@ -0,0 +1,4 @@
+-- Migration 19: Crafting points (earned by retiring cards, spent on crafting)
+-- Idempotent - safe if already applied.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS crafting_points INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,11 @@
+-- Migration 20: Roster bench (one backup per position, subbed in mid-game for injury or fatigue)
+-- Idempotent - safe if already applied.
+
+ALTER TABLE rosters ADD COLUMN IF NOT EXISTS bench_qb_card_id INTEGER;
+ALTER TABLE rosters ADD COLUMN IF NOT EXISTS bench_rb_card_id INTEGER;
+ALTER TABLE rosters ADD COLUMN IF NOT EXISTS bench_wr_card_id INTEGER;
+ALTER TABLE rosters ADD COLUMN IF NOT EXISTS bench_te_card_id INTEGER;
+ALTER TABLE rosters ADD COLUMN IF NOT EXISTS bench_ol_card_id INTEGER;
+ALTER TABLE rosters ADD COLUMN IF NOT EXISTS bench_dl_card_id INTEGER;
+ALTER TABLE rosters ADD COLUMN IF NOT EXISTS bench_lb_card_id INTEGER;
+ALTER TABLE rosters ADD COLUMN IF NOT EXISTS bench_db_card_id INTEGER;
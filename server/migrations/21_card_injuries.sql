@@ -0,0 +1,6 @@
+-- Migration 21: Card injuries (carried over from league games, see injuries.js)
+-- Idempotent - safe if already applied.
+
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS injury_severity VARCHAR(16);
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS injury_games_left INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE cards ADD COLUMN IF NOT EXISTS injured_at TIMESTAMPTZ;
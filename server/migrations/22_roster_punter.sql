@@ -0,0 +1,4 @@
+-- Migration 22: Punter roster slot
+-- Idempotent - safe if already applied.
+
+ALTER TABLE rosters ADD COLUMN IF NOT EXISTS p_card_id INTEGER;
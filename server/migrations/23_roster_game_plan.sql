@@ -0,0 +1,4 @@
+-- Migration 23: Coach's game plan (play-calling tendencies) on the roster
+-- Idempotent - safe if already applied.
+
+ALTER TABLE rosters ADD COLUMN IF NOT EXISTS game_plan JSONB;
@@ -0,0 +1,13 @@
+-- Migration 24: Single-use nonces for Sign-In with Ethereum wallet linking (see wallet-auth.js)
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS wallet_nonces (
+  nonce VARCHAR(64) PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL,
+  used_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallet_nonces_user ON wallet_nonces(user_id);
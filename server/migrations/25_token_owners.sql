@@ -0,0 +1,8 @@
+-- Migration 25: Current holder of each on-chain card token, indexed from Transfer events (see pack-fulfillment.js)
+-- Idempotent - safe if already applied.
+
+-- NULL until the token first moves: the pack's buyer still holds it
+ALTER TABLE blockchain_pack_cards ADD COLUMN IF NOT EXISTS owner_wallet VARCHAR(42);
+
+CREATE INDEX IF NOT EXISTS idx_blockchain_pack_cards_token ON blockchain_pack_cards(token_id);
+CREATE INDEX IF NOT EXISTS idx_blockchain_pack_cards_owner ON blockchain_pack_cards(LOWER(owner_wallet));
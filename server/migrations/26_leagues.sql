@@ -0,0 +1,19 @@
+-- Migration 26: Leagues (was leagues.json; see league-definitions.js)
+-- The server adds the main league (id 1) the first time one is changed.
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS leagues (
+  id INTEGER PRIMARY KEY,
+  name VARCHAR(40) NOT NULL,
+  is_main BOOLEAN NOT NULL DEFAULT FALSE,
+  open BOOLEAN NOT NULL DEFAULT FALSE,
+  commissioner_user_id INTEGER,
+  member_user_ids INTEGER[] NOT NULL DEFAULT '{}',
+  excluded_user_ids INTEGER[] NOT NULL DEFAULT '{}',
+  invite_code VARCHAR(16) UNIQUE,
+  roster_lock_minutes INTEGER NOT NULL DEFAULT 10,
+  season_config JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_leagues_commissioner ON leagues(commissioner_user_id);
@@ -0,0 +1,5 @@
+-- Migration 27: When a scheduled game's broadcast ends (see live-games.js); results stay hidden until then
+-- NULL for quick matches and forfeits, which are final at once.
+-- Idempotent - safe if already applied.
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS live_until TIMESTAMPTZ;
@@ -0,0 +1,17 @@
+-- Migration 28: Store only the SHA-256 of each session token (see passwords.hashSessionToken)
+-- Existing sessions keep working: their tokens are hashed in place, then the raw column goes.
+-- Idempotent - safe if already applied.
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS token_hash VARCHAR(64);
+
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'sessions' AND column_name = 'token') THEN
+    UPDATE sessions SET token_hash = encode(sha256(convert_to(token, 'UTF8')), 'hex') WHERE token_hash IS NULL;
+    ALTER TABLE sessions DROP COLUMN token;
+  END IF;
+END $$;
+
+DELETE FROM sessions WHERE token_hash IS NULL;
+ALTER TABLE sessions ALTER COLUMN token_hash SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_sessions_token_hash ON sessions(token_hash);
@@ -0,0 +1,6 @@
+-- Migration 4: Game replay (PRNG seed + engine roster snapshot + play-by-play hash)
+-- Idempotent - safe if already applied.
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS seed BIGINT;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS replay_rosters JSONB;
+ALTER TABLE games ADD COLUMN IF NOT EXISTS play_hash VARCHAR(64);
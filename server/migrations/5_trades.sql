@@ -0,0 +1,25 @@
+-- Migration 5: Card trading (offers, counters, escrow of offered cards)
+-- Idempotent - safe if already applied.
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.tables WHERE table_name = 'trades') THEN
+    CREATE TABLE trades (
+      id SERIAL PRIMARY KEY,
+      proposer_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      recipient_user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      proposer_card_ids INTEGER[] NOT NULL DEFAULT '{}',
+      recipient_card_ids INTEGER[] NOT NULL DEFAULT '{}',
+      proposer_packs INTEGER NOT NULL DEFAULT 0,
+      recipient_packs INTEGER NOT NULL DEFAULT 0,
+      message VARCHAR(280),
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      parent_trade_id INTEGER REFERENCES trades(id),
+      created_at TIMESTAMPTZ DEFAULT NOW(),
+      updated_at TIMESTAMPTZ DEFAULT NOW(),
+      resolved_at TIMESTAMPTZ
+    );
+    CREATE INDEX idx_trades_proposer ON trades(proposer_user_id, status);
+    CREATE INDEX idx_trades_recipient ON trades(recipient_user_id, status);
+  END IF;
+END $$;
@@ -0,0 +1,4 @@
+-- Migration 6: Per-player box score for each game
+-- Idempotent - safe if already applied.
+
+ALTER TABLE games ADD COLUMN IF NOT EXISTS box_score JSONB;
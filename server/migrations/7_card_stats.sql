@@ -0,0 +1,36 @@
+-- Migration 7: Card stat ledger (season/career totals per card, league vs practice)
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS card_stats (
+  card_id INTEGER NOT NULL REFERENCES cards(id) ON DELETE CASCADE,
+  season VARCHAR(20) NOT NULL,
+  source VARCHAR(20) NOT NULL,
+  games INTEGER NOT NULL DEFAULT 0,
+  pass_att INTEGER NOT NULL DEFAULT 0,
+  pass_cmp INTEGER NOT NULL DEFAULT 0,
+  pass_yds INTEGER NOT NULL DEFAULT 0,
+  pass_td INTEGER NOT NULL DEFAULT 0,
+  pass_int INTEGER NOT NULL DEFAULT 0,
+  rush_att INTEGER NOT NULL DEFAULT 0,
+  rush_yds INTEGER NOT NULL DEFAULT 0,
+  rush_td INTEGER NOT NULL DEFAULT 0,
+  fumbles INTEGER NOT NULL DEFAULT 0,
+  rec INTEGER NOT NULL DEFAULT 0,
+  targets INTEGER NOT NULL DEFAULT 0,
+  rec_yds INTEGER NOT NULL DEFAULT 0,
+  rec_td INTEGER NOT NULL DEFAULT 0,
+  tackles INTEGER NOT NULL DEFAULT 0,
+  sacks INTEGER NOT NULL DEFAULT 0,
+  def_int INTEGER NOT NULL DEFAULT 0,
+  forced_fumbles INTEGER NOT NULL DEFAULT 0,
+  fg_made INTEGER NOT NULL DEFAULT 0,
+  fg_att INTEGER NOT NULL DEFAULT 0,
+  xp_made INTEGER NOT NULL DEFAULT 0,
+  xp_att INTEGER NOT NULL DEFAULT 0,
+  punts INTEGER NOT NULL DEFAULT 0,
+  punt_yds INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (card_id, season, source)
+);
+
+CREATE INDEX IF NOT EXISTS idx_card_stats_season ON card_stats(season, source);
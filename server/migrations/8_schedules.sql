@@ -0,0 +1,33 @@
+-- Migration 8: League schedules (was schedule.json / schedule-league-<id>.json)
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS league_schedules (
+  league_id INTEGER PRIMARY KEY,
+  season_start VARCHAR(10),
+  current_week INTEGER NOT NULL DEFAULT 0,
+  phase VARCHAR(20) NOT NULL DEFAULT 'regular',
+  config JSONB,
+  bracket JSONB,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS schedule_games (
+  league_id INTEGER NOT NULL REFERENCES league_schedules(league_id) ON DELETE CASCADE,
+  game_id VARCHAR(120) NOT NULL,
+  game_date VARCHAR(10) NOT NULL,
+  game_time INTEGER NOT NULL,
+  time_display VARCHAR(40),
+  home_user_id INTEGER,
+  away_user_id INTEGER,
+  status VARCHAR(20) NOT NULL DEFAULT 'scheduled',
+  result JSONB,
+  phase VARCHAR(40) NOT NULL DEFAULT 'regular',
+  bracket_round INTEGER,
+  bracket_slot INTEGER,
+  seed_home INTEGER,
+  seed_away INTEGER,
+  db_game_id INTEGER,
+  PRIMARY KEY (league_id, game_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_games_date ON schedule_games(league_id, game_date, status);
@@ -0,0 +1,14 @@
+-- Migration 9: Direct messages (was messages.json)
+-- Idempotent - safe if already applied.
+
+CREATE TABLE IF NOT EXISTS direct_messages (
+  id SERIAL PRIMARY KEY,
+  from_user_id INTEGER NOT NULL,
+  to_user_id INTEGER NOT NULL,
+  content TEXT NOT NULL,
+  sent_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  is_read BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+CREATE INDEX IF NOT EXISTS idx_direct_messages_to ON direct_messages(to_user_id, is_read);
+CREATE INDEX IF NOT EXISTS idx_direct_messages_from ON direct_messages(from_user_id);
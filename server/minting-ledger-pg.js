@@ -1,36 +1,112 @@
 /**
  * Minting Ledger (Postgres)
  * =========================
- * Tracks which player/season cards have been minted. Async API.
+ * Used when DATABASE_URL is set. Same API as minting-ledger.js; table from
+ * migrations/11_minted_cards.sql.
+ *
+ * Minted keys are cached in memory (loadLedger() at startup) so the pack
+ * pickers can keep calling isCardMinted synchronously. mintCard relies on the
+ * table's unique player_key, so two servers can't mint the same card.
  */
 
 const db = require('./db');
 
+// player_key set, null until loadLedger() runs
+let mintedKeys = null;
+
+/**
+ * Load minted keys into the cache
+ */
+async function loadLedger() {
+  const result = await db.query('SELECT player_key FROM minted_cards');
+  mintedKeys = new Set(result.rows.map(r => r.player_key));
+  return mintedKeys;
+}
+
 function getCardKey(player) {
   const name = (player.player || '').toLowerCase().trim();
   const season = player.season || 0;
   return `${name}_${season}`;
 }
 
-async function isCardMinted(player) {
-  const key = getCardKey(player);
-  const result = await db.query('SELECT 1 FROM minted_cards WHERE player_key = $1', [key]);
-  return result.rows.length > 0;
+/**
+ * Check if a card has already been minted (from the cache)
+ */
+function isCardMinted(player) {
+  return mintedKeys !== null && mintedKeys.has(getCardKey(player));
 }
 
+/**
+ * Mark a card as minted. Throws if it already is.
+ */
 async function mintCard(player, userId) {
+  if (mintedKeys === null) await loadLedger();
   const key = getCardKey(player);
-  return db.transaction(async (client) => {
-    const existing = await client.query('SELECT 1 FROM minted_cards WHERE player_key = $1 FOR UPDATE', [key]);
-    if (existing.rows.length > 0) {
-      throw new Error(`Card already minted: ${player.player} (${player.season})`);
-    }
-    await client.query(
-      'INSERT INTO minted_cards (player_key, player_name, season, tier, user_id) VALUES ($1, $2, $3, $4, $5)',
-      [key, player.player, player.season, player.tier, userId]
-    );
-    return true;
-  });
+  const result = await db.query(
+    `INSERT INTO minted_cards (player_key, player_name, season, tier, user_id) VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (player_key) DO NOTHING RETURNING player_key`,
+    [key, player.player, player.season, player.tier, userId]
+  );
+  mintedKeys.add(key);
+  if (result.rows.length === 0) {
+    throw Object.assign(new Error(`Card already minted: ${player.player} (${player.season})`), { code: 'MINT_CONFLICT' });
+  }
+  return true;
+}
+
+/**
+ * Mark a batch of cards as minted in one transaction (pack-fulfillment.js,
+ * before the chain mints them). Throws, reserving nothing, if any is taken.
+ */
+async function reserveCards(players, userId) {
+  if (mintedKeys === null) await loadLedger();
+  try {
+    await db.transaction(async (client) => {
+      const conflicts = [];
+      for (const player of players) {
+        const r = await client.query(
+          `INSERT INTO minted_cards (player_key, player_name, season, tier, user_id) VALUES ($1, $2, $3, $4, $5)
+           ON CONFLICT (player_key) DO NOTHING RETURNING player_key`,
+          [getCardKey(player), player.player, player.season, player.tier, userId]
+        );
+        if (r.rows.length === 0) conflicts.push(player);
+      }
+      if (conflicts.length > 0) {
+        const err = new Error(`Card already minted: ${conflicts[0].player} (${conflicts[0].season})`);
+        throw Object.assign(err, { conflicts });
+      }
+    });
+  } catch (err) {
+    if (err.conflicts) noteMinted(err.conflicts); // Minted elsewhere; keep the pickers off them
+    throw err;
+  }
+  noteMinted(players);
+}
+
+/**
+ * Put cards back into the pack pool (undoes reserveCards / mintCard when
+ * the rest of the mint could not go through)
+ */
+async function releaseCards(players) {
+  if (players.length === 0) return;
+  await db.query('DELETE FROM minted_cards WHERE player_key = ANY($1)', [players.map(getCardKey)]);
+  noteReleased(players);
+}
+
+/**
+ * Add keys minted inside another transaction (database-pg commitPackOpening) to the cache
+ */
+function noteMinted(players) {
+  if (mintedKeys === null) return;
+  for (const player of players) mintedKeys.add(getCardKey(player));
+}
+
+/**
+ * Drop keys released inside another transaction (database-pg retireCard) from the cache
+ */
+function noteReleased(players) {
+  if (mintedKeys === null) return;
+  for (const player of players) mintedKeys.delete(getCardKey(player));
 }
 
 async function getMintedCards() {
@@ -42,9 +118,8 @@ async function getMintedCards() {
   return ledger;
 }
 
-async function getMintedCount() {
-  const result = await db.query('SELECT COUNT(*) as count FROM minted_cards');
-  return parseInt(result.rows[0].count);
+function getMintedCount() {
+  return mintedKeys ? mintedKeys.size : 0;
 }
 
 async function getUserMintedCards(userId) {
@@ -55,8 +130,8 @@ async function getUserMintedCards(userId) {
   return result.rows;
 }
 
-async function getAvailabilityStats(totalPlayers = 122522) {
-  const minted = await getMintedCount();
+function getAvailabilityStats(totalPlayers = 122522) {
+  const minted = getMintedCount();
   return {
     totalCards: totalPlayers,
     mintedCards: minted,
@@ -67,18 +142,19 @@ async function getAvailabilityStats(totalPlayers = 122522) {
 
 async function resetLedger() {
   await db.query('DELETE FROM minted_cards');
+  mintedKeys = new Set();
   console.log('Minting ledger has been reset');
 }
 
-function loadLedger() {
-  return {};
-}
-
 module.exports = {
   loadLedger,
   getCardKey,
   isCardMinted,
   mintCard,
+  reserveCards,
+  releaseCards,
+  noteMinted,
+  noteReleased,
   getMintedCards,
   getMintedCount,
   getUserMintedCards,
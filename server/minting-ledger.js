@@ -3,8 +3,20 @@
  * ===============
  * Tracks which player/season cards have been minted.
  * Each card can only exist ONCE across all users.
+ * Uses Postgres when DATABASE_URL is set (minting-ledger-pg.js), otherwise
+ * minting-ledger.json. mintCard, getMintedCards, getUserMintedCards and
+ * resetLedger are async; the lookups are synchronous. reserveCards and
+ * releaseCards are synchronous here and async in Postgres (await either).
  */
 
+const dbPool = require('./db');
+if (dbPool.useDatabase()) {
+  module.exports = require('./minting-ledger-pg');
+  return;
+}
+
+// ========== JSON file-based implementation (when DATABASE_URL not set) ==========
+
 const fs = require('fs');
 const path = require('path');
 
@@ -65,12 +77,12 @@ function isCardMinted(player) {
 /**
  * Mark a card as minted
  */
-function mintCard(player, userId) {
+async function mintCard(player, userId) {
   loadLedger();
   const key = getCardKey(player);
   
   if (key in ledger) {
-    throw new Error(`Card already minted: ${player.player} (${player.season})`);
+    throw Object.assign(new Error(`Card already minted: ${player.player} (${player.season})`), { code: 'MINT_CONFLICT' });
   }
   
   ledger[key] = {
@@ -85,10 +97,37 @@ function mintCard(player, userId) {
   return true;
 }
 
+/**
+ * Mark a batch of cards as minted with one write (database.js commitPackOpening).
+ * Throws, reserving nothing, if any of them is already minted.
+ */
+function reserveCards(players, userId) {
+  loadLedger();
+  const taken = players.filter(p => getCardKey(p) in ledger);
+  if (taken.length > 0) {
+    throw new Error(`Card already minted: ${taken[0].player} (${taken[0].season})`);
+  }
+  const mintedAt = new Date().toISOString();
+  for (const player of players) {
+    ledger[getCardKey(player)] = { userId, mintedAt, player: player.player, season: player.season, tier: player.tier };
+  }
+  saveLedger();
+}
+
+/**
+ * Put cards back into the pack pool: undoes reserveCards when the rest of a
+ * pack opening could not be saved, and frees the key of a retired card
+ */
+function releaseCards(players) {
+  loadLedger();
+  for (const player of players) delete ledger[getCardKey(player)];
+  saveLedger();
+}
+
 /**
  * Get all minted cards
  */
-function getMintedCards() {
+async function getMintedCards() {
   loadLedger();
   return { ...ledger };
 }
@@ -104,7 +143,7 @@ function getMintedCount() {
 /**
  * Get cards minted by a specific user
  */
-function getUserMintedCards(userId) {
+async function getUserMintedCards(userId) {
   loadLedger();
   const userCards = [];
   
@@ -135,7 +174,7 @@ function getAvailabilityStats(totalPlayers = 122522) {
 /**
  * Reset ledger (admin only - use with caution!)
  */
-function resetLedger() {
+async function resetLedger() {
   ledger = {};
   saveLedger();
   console.log('Minting ledger has been reset');
@@ -146,6 +185,8 @@ module.exports = {
   getCardKey,
   isCardMinted,
   mintCard,
+  reserveCards,
+  releaseCards,
   getMintedCards,
   getMintedCount,
   getUserMintedCards,
@@ -0,0 +1,445 @@
+/**
+ * Pack Definitions
+ * =================
+ * Pack products as data: what a pack contains and the odds we publish for it.
+ * Storage lives in pack-products.js; this module is the shared shape,
+ * validation, defaults and odds math.
+ *
+ * A product:
+ * - slug, name, description
+ * - channel: where it is used
+ *     'starter' - a user's first packs, one per active product in sortOrder
+ *     'bonus'   - every pack after the starters (lowest sortOrder wins)
+ *     'single'  - the 1-card test pack (POST /api/packs/open-single)
+ *     'shop'    - packs bought on-chain (pack-fulfillment.js)
+ * - cardCount, tierWeights (relative, tier 1-11)
+ * - guaranteedSlots: [{ position?, minTier?, maxTier? }] filled first; the
+ *   rest of the pack rolls tierWeights
+ * - positions / seasons: filters every card must pass (null = any)
+ * - includeHof: whether Hall of Fame (tier 11) cards can drop
+ * - pity: { minTier, afterPacks } or null - bad-luck protection: once a user
+ *   has opened afterPacks packs in a row with nothing of minTier or better,
+ *   their next pack of this product guarantees one (pack-opening.js)
+ */
+
+const CHANNELS = ['starter', 'bonus', 'single', 'shop'];
+const POSITIONS = ['QB', 'RB', 'WR', 'TE', 'OL', 'DL', 'LB', 'DB', 'K', 'P'];
+const MIN_TIER = 1;
+const MAX_TIER = 11; // 11 = Hall of Fame
+const MAX_CARD_COUNT = 10;
+const MAX_NAME_LENGTH = 40;
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_PITY_PACKS = 100;
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+
+// Tier weights for pack opening (lower tiers more common)
+// These are relative weights, not percentages
+const DEFAULT_TIER_WEIGHTS = {
+  11: 0.5,    // Hall of Fame - ultra rare (only ~332 exist)
+  10: 1,      // Legendary - very rare
+  9: 3,       // Epic
+  8: 7,       // Ultra Rare
+  7: 12,      // Very Rare
+  6: 18,      // Rare
+  5: 22,      // Uncommon+
+  4: 20,      // Uncommon
+  3: 10,      // Common+
+  2: 5,       // Common
+  1: 2,       // Basic
+};
+
+// Starter packs guarantee all 11 roster positions across the first three packs
+const starterSlot = (position) => ({ position, minTier: 4, maxTier: 4 });
+
+// Products a fresh install starts with; they match the original hard-coded packs
+const DEFAULT_PRODUCTS = [
+  {
+    slug: 'starter-1',
+    name: 'Starter Pack 1',
+    description: 'Core offense: QB, RB, WR, TE and OL.',
+    channel: 'starter',
+    sortOrder: 1,
+    cardCount: 5,
+    guaranteedSlots: ['QB', 'RB', 'WR', 'TE', 'OL'].map(starterSlot),
+  },
+  {
+    slug: 'starter-2',
+    name: 'Starter Pack 2',
+    description: 'Defense and kicker: DL, LB, two DBs and K.',
+    channel: 'starter',
+    sortOrder: 2,
+    cardCount: 5,
+    guaranteedSlots: ['DL', 'LB', 'DB', 'DB', 'K'].map(starterSlot),
+  },
+  {
+    slug: 'starter-3',
+    name: 'Starter Pack 3',
+    description: 'Your second WR plus four random cards.',
+    channel: 'starter',
+    sortOrder: 3,
+    cardCount: 5,
+    guaranteedSlots: [starterSlot('WR')],
+  },
+  {
+    slug: 'standard',
+    name: 'Standard Pack',
+    description: 'Five random cards from every era.',
+    channel: 'bonus',
+    sortOrder: 1,
+    cardCount: 5,
+    pity: { minTier: 8, afterPacks: 5 },
+  },
+  {
+    slug: 'single',
+    name: 'Single Card',
+    description: 'One random card.',
+    channel: 'single',
+    sortOrder: 1,
+    cardCount: 1,
+  },
+  {
+    slug: 'shop',
+    name: 'Shop Pack',
+    description: 'Five random cards, minted as NFTs to your wallet.',
+    channel: 'shop',
+    sortOrder: 1,
+    cardCount: 5,
+  },
+];
+
+const BASE_PRODUCT = {
+  description: '',
+  sortOrder: 0,
+  cardCount: 5,
+  tierWeights: DEFAULT_TIER_WEIGHTS,
+  guaranteedSlots: [],
+  positions: null,
+  seasons: null,
+  includeHof: true,
+  pity: null,
+  active: true,
+};
+
+function parseTier(value, label) {
+  const tier = parseInt(value);
+  if (!Number.isInteger(tier) || tier < MIN_TIER || tier > MAX_TIER) {
+    throw new Error(`${label} must be a tier ${MIN_TIER}-${MAX_TIER}`);
+  }
+  return tier;
+}
+
+function normalizeTierWeights(weights) {
+  if (!weights || typeof weights !== 'object' || Array.isArray(weights)) {
+    throw new Error('tierWeights must be an object of tier: weight');
+  }
+  const out = {};
+  for (let tier = MIN_TIER; tier <= MAX_TIER; tier++) {
+    const weight = weights[tier] === undefined ? 0 : Number(weights[tier]);
+    if (!Number.isFinite(weight) || weight < 0) throw new Error(`Tier ${tier} weight must be a number >= 0`);
+    out[tier] = weight;
+  }
+  const unknown = Object.keys(weights).filter(k => !(k in out));
+  if (unknown.length > 0) throw new Error(`Unknown tier in tierWeights: ${unknown[0]}`);
+  return out;
+}
+
+function normalizeSlot(slot, positions) {
+  if (!slot || typeof slot !== 'object') throw new Error('Each guaranteed slot must be an object');
+  const out = {};
+  if (slot.position != null) {
+    if (!POSITIONS.includes(slot.position)) throw new Error(`Unknown position: ${slot.position}`);
+    if (positions && !positions.includes(slot.position)) {
+      throw new Error(`Guaranteed ${slot.position} is outside this pack's positions`);
+    }
+    out.position = slot.position;
+  }
+  if (slot.minTier != null) out.minTier = parseTier(slot.minTier, 'minTier');
+  if (slot.maxTier != null) out.maxTier = parseTier(slot.maxTier, 'maxTier');
+  if (out.minTier && out.maxTier && out.minTier > out.maxTier) throw new Error('minTier cannot be above maxTier');
+  if (!out.position && !out.minTier && !out.maxTier) {
+    throw new Error('A guaranteed slot needs a position, minTier or maxTier');
+  }
+  return out;
+}
+
+/**
+ * Validate a product, applying `changes` on top of `base` (an existing
+ * product when updating). Throws with a user-facing message.
+ */
+function normalizeProduct(changes = {}, base = null) {
+  const product = { ...BASE_PRODUCT, ...base };
+
+  if (!base) {
+    if (!SLUG_PATTERN.test(String(changes.slug || ''))) {
+      throw new Error('Slug must be 2-40 lowercase letters, numbers or dashes');
+    }
+    product.slug = changes.slug;
+  }
+
+  if (changes.name !== undefined || !base) {
+    const name = String(changes.name || '').trim();
+    if (!name || name.length > MAX_NAME_LENGTH) throw new Error(`Name must be 1-${MAX_NAME_LENGTH} characters`);
+    product.name = name;
+  }
+
+  if (changes.description !== undefined) {
+    const description = String(changes.description || '').trim();
+    if (description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new Error(`Description must be ${MAX_DESCRIPTION_LENGTH} characters or less`);
+    }
+    product.description = description;
+  }
+
+  if (changes.channel !== undefined || !base) {
+    if (!CHANNELS.includes(changes.channel)) throw new Error(`Channel must be one of: ${CHANNELS.join(', ')}`);
+    product.channel = changes.channel;
+  }
+
+  if (changes.sortOrder !== undefined) {
+    const sortOrder = parseInt(changes.sortOrder);
+    if (!Number.isInteger(sortOrder)) throw new Error('sortOrder must be a whole number');
+    product.sortOrder = sortOrder;
+  }
+
+  if (changes.cardCount !== undefined) {
+    const cardCount = parseInt(changes.cardCount);
+    if (!Number.isInteger(cardCount) || cardCount < 1 || cardCount > MAX_CARD_COUNT) {
+      throw new Error(`cardCount must be 1-${MAX_CARD_COUNT}`);
+    }
+    product.cardCount = cardCount;
+  }
+
+  if (changes.tierWeights !== undefined) product.tierWeights = changes.tierWeights;
+  product.tierWeights = normalizeTierWeights(product.tierWeights);
+
+  if (changes.includeHof !== undefined) {
+    product.includeHof = changes.includeHof === true || changes.includeHof === 'true';
+  }
+
+  if (changes.positions !== undefined) {
+    if (changes.positions === null || (Array.isArray(changes.positions) && changes.positions.length === 0)) {
+      product.positions = null;
+    } else {
+      if (!Array.isArray(changes.positions)) throw new Error('positions must be a list of positions');
+      const unknown = changes.positions.find(p => !POSITIONS.includes(p));
+      if (unknown) throw new Error(`Unknown position: ${unknown}`);
+      product.positions = [...new Set(changes.positions)];
+    }
+  }
+
+  if (changes.seasons !== undefined) {
+    if (changes.seasons === null) {
+      product.seasons = null;
+    } else {
+      const from = parseInt(changes.seasons?.from);
+      const to = parseInt(changes.seasons?.to);
+      if (!Number.isInteger(from) || !Number.isInteger(to) || from > to) {
+        throw new Error('seasons must be { from, to } with from <= to');
+      }
+      product.seasons = { from, to };
+    }
+  }
+
+  if (changes.guaranteedSlots !== undefined) product.guaranteedSlots = changes.guaranteedSlots;
+  if (!Array.isArray(product.guaranteedSlots)) throw new Error('guaranteedSlots must be a list');
+  product.guaranteedSlots = product.guaranteedSlots.map(slot => normalizeSlot(slot, product.positions));
+  if (product.guaranteedSlots.length > product.cardCount) {
+    throw new Error('More guaranteed slots than cards in the pack');
+  }
+
+  if (changes.pity !== undefined) {
+    if (changes.pity === null) {
+      product.pity = null;
+    } else {
+      const minTier = parseTier(changes.pity?.minTier, 'pity.minTier');
+      const afterPacks = parseInt(changes.pity?.afterPacks);
+      if (!Number.isInteger(afterPacks) || afterPacks < 1 || afterPacks > MAX_PITY_PACKS) {
+        throw new Error(`pity.afterPacks must be 1-${MAX_PITY_PACKS}`);
+      }
+      product.pity = { minTier, afterPacks };
+    }
+  }
+  if (product.pity && product.channel === 'shop') {
+    throw new Error('Shop packs are opened on-chain and have no pull history for a pity rule');
+  }
+  if (product.pity && product.pity.minTier === MAX_TIER && product.includeHof === false) {
+    throw new Error('A pity rule for Hall of Fame cards needs includeHof');
+  }
+
+  if (changes.active !== undefined) {
+    product.active = changes.active === true || changes.active === 'true';
+  }
+
+  const rollable = rollableTiers(product, MIN_TIER, MAX_TIER);
+  if (product.guaranteedSlots.length < product.cardCount && rollable.every(t => product.tierWeights[t] === 0)) {
+    throw new Error('At least one tier needs a weight above 0');
+  }
+
+  return product;
+}
+
+// Tiers a card in [minTier, maxTier] may come from
+function rollableTiers(product, minTier, maxTier) {
+  const top = product.includeHof ? maxTier : Math.min(maxTier, MAX_TIER - 1);
+  const tiers = [];
+  for (let tier = minTier; tier <= top; tier++) tiers.push(tier);
+  return tiers;
+}
+
+/**
+ * Chance of each tier for one card drawn with a tier range (even split when
+ * the range has no weight, e.g. a guaranteed tier-11 slot with HOF weight 0)
+ */
+function tierChances(product, minTier = MIN_TIER, maxTier = MAX_TIER) {
+  const tiers = rollableTiers(product, minTier, maxTier);
+  const total = tiers.reduce((sum, t) => sum + product.tierWeights[t], 0);
+  const chances = {};
+  for (const tier of tiers) {
+    chances[tier] = total > 0 ? product.tierWeights[tier] / total : 1 / tiers.length;
+  }
+  return chances;
+}
+
+function formatPercent(chance) {
+  return (chance * 100).toFixed(2) + '%';
+}
+
+/**
+ * Short label for a guaranteed slot, e.g. "QB · tier 4" or "Tier 8+ card"
+ */
+function describeSlot(slot) {
+  const { minTier, maxTier } = slot;
+  let tiers = null;
+  if (minTier && maxTier) tiers = minTier === maxTier ? `tier ${minTier}` : `tier ${minTier}-${maxTier}`;
+  else if (minTier) tiers = `tier ${minTier}+`;
+  else if (maxTier) tiers = `tier ${maxTier} or lower`;
+  if (slot.position) return tiers ? `${slot.position} · ${tiers}` : slot.position;
+  return `${tiers.charAt(0).toUpperCase()}${tiers.slice(1)} card`;
+}
+
+/**
+ * Published odds for a product
+ * - perCard: tier chances for each randomly rolled card
+ * - perPack: chance the pack holds at least one card of each tier
+ */
+function productOdds(product) {
+  const perCard = tierChances(product);
+  const slotChances = [
+    ...product.guaranteedSlots.map(s => tierChances(product, s.minTier || MIN_TIER, s.maxTier || MAX_TIER)),
+    ...Array(product.cardCount - product.guaranteedSlots.length).fill(perCard),
+  ];
+  const perPack = {};
+  for (let tier = MAX_TIER; tier >= MIN_TIER; tier--) {
+    const none = slotChances.reduce((p, chances) => p * (1 - (chances[tier] || 0)), 1);
+    if (none < 1) perPack[tier] = formatPercent(1 - none);
+  }
+  return {
+    perCard: Object.fromEntries(Object.entries(perCard).map(([tier, chance]) => [tier, formatPercent(chance)])),
+    perPack,
+  };
+}
+
+/**
+ * Packs in a row, newest first, without a card of minTier or better
+ * @param {Array<{ bestTier }>} pulls - the user's pull history, newest first
+ */
+function dryStreak(pulls, minTier) {
+  let streak = 0;
+  for (const pull of pulls) {
+    if (pull.bestTier >= minTier) break;
+    streak++;
+  }
+  return streak;
+}
+
+/**
+ * Where a user stands against a product's pity rule (null if it has none)
+ * @param {Array<{ bestTier }>} pulls - newest first
+ */
+function pityProgress(product, pulls) {
+  if (!product?.pity) return null;
+  const { minTier, afterPacks } = product.pity;
+  const dryPacks = dryStreak(pulls, minTier);
+  return {
+    minTier,
+    afterPacks,
+    dryPacks: Math.min(dryPacks, afterPacks),
+    packsUntilGuarantee: Math.max(0, afterPacks - dryPacks),
+    guaranteedNext: dryPacks >= afterPacks,
+  };
+}
+
+/**
+ * What players see about a product: description, guarantees and odds
+ */
+function publicProduct(product) {
+  return {
+    slug: product.slug,
+    name: product.name,
+    description: product.description,
+    channel: product.channel,
+    cardCount: product.cardCount,
+    guaranteed: product.guaranteedSlots.map(describeSlot),
+    positions: product.positions,
+    seasons: product.seasons,
+    includeHof: product.includeHof,
+    pity: product.pity || null,
+    odds: productOdds(product),
+  };
+}
+
+function sortProducts(products) {
+  return [...products].sort((a, b) => a.sortOrder - b.sortOrder || a.slug.localeCompare(b.slug));
+}
+
+/**
+ * Active products for a channel, in the order they are used
+ */
+function channelProducts(products, channel) {
+  return sortProducts(products.filter(p => p.active && p.channel === channel));
+}
+
+/**
+ * Product a user's pack opens as (packNum is 0-based): the starters in
+ * order, then the current bonus product
+ */
+function productForPack(products, packNum) {
+  const starters = channelProducts(products, 'starter');
+  if (packNum < starters.length) return starters[packNum];
+  return channelProducts(products, 'bonus')[0] || null;
+}
+
+/**
+ * Reject a catalog change that would leave bonus packs with nothing to open as
+ */
+function assertCatalog(products) {
+  if (channelProducts(products, 'bonus').length === 0) {
+    throw new Error('At least one active bonus pack is required');
+  }
+}
+
+/**
+ * Products as a fresh install has them
+ */
+function defaultProducts() {
+  return DEFAULT_PRODUCTS.map(p => normalizeProduct(p));
+}
+
+module.exports = {
+  CHANNELS,
+  POSITIONS,
+  DEFAULT_TIER_WEIGHTS,
+  normalizeProduct,
+  defaultProducts,
+  rollableTiers,
+  tierChances,
+  describeSlot,
+  productOdds,
+  dryStreak,
+  pityProgress,
+  publicProduct,
+  sortProducts,
+  channelProducts,
+  productForPack,
+  assertCatalog,
+};
@@ -1,14 +1,26 @@
 /**
  * Pack Fulfillment Service
  * ========================
- * Listens for PackPurchased events and fulfills packs by minting NFTs
+ * Listens for PackPurchased events and fulfills packs by minting NFTs.
+ * A fulfilled pack's tokens become game cards when its owner opens it
+ * (openPack); each blockchain_pack_cards row then points at its card.
+ * Transfer events keep the two in step: a card follows its token to the
+ * account that has the receiving wallet linked (or once it gets linked).
+ *
+ * Check with: node check-pack-fulfillment.js
  */
 
 const { ethers } = require('ethers');
 const db = require('./db');
 const packs = require('./packs');
+const packProducts = require('./pack-products');
 const mintingLedger = require('./minting-ledger');
 const database = require('./database');
+const push = require('./push');
+const packOpening = require('./pack-opening');
+const trades = require('./trades');
+const messages = require('./messages');
+const { BENCH_SLOTS } = require('./game-bridge');
 
 const CONTRACT_ADDRESS = process.env.NFT_CONTRACT_ADDRESS || '0x7Dc1a1e4240248B77BcE32DbFb39aB1b2b8007B3';
 const CHAIN_ID = parseInt(process.env.CHAIN_ID || '84532');
@@ -17,6 +29,7 @@ const RPC_URL = process.env.BASE_SEPOLIA_RPC_URL || 'https://sepolia.base.org';
 const CONTRACT_ABI = [
   'event PackPurchased(address indexed buyer, uint256 packId, uint256[] tokenIds, uint256 price)',
   'event CardMinted(uint256 indexed tokenId, address to, string playerId, uint16 season)',
+  'event Transfer(address indexed from, address indexed to, uint256 indexed tokenId)',
   'function fulfillPack(address to, string[] calldata playerIds, uint16[] calldata seasons) external',
   'function cardsPerPack() view returns (uint256)',
   'function totalPacksSold() view returns (uint256)',
@@ -27,14 +40,18 @@ let wallet = null;
 let contract = null;
 let isRunning = false;
 
-async function initialize() {
-  if (!process.env.PRIVATE_KEY) {
+/**
+ * @param {object} [options.provider] - Chain to watch (defaults to the Base RPC); a local stand-in works too
+ * @param {object} [options.signer] - Account that fulfills packs (defaults to PRIVATE_KEY's wallet)
+ */
+async function initialize({ provider: chainProvider, signer } = {}) {
+  if (!signer && !process.env.PRIVATE_KEY) {
     console.warn('PRIVATE_KEY not set - pack fulfillment disabled');
     return false;
   }
   try {
-    provider = new ethers.JsonRpcProvider(RPC_URL);
-    wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);
+    provider = chainProvider || new ethers.JsonRpcProvider(RPC_URL);
+    wallet = signer || new ethers.Wallet(process.env.PRIVATE_KEY, provider);
     contract = new ethers.Contract(CONTRACT_ADDRESS, CONTRACT_ABI, wallet);
     console.log('Pack fulfillment initialized:', CONTRACT_ADDRESS);
     return true;
@@ -44,6 +61,10 @@ async function initialize() {
   }
 }
 
+function fulfillmentError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
 async function getLastProcessedBlock() {
   const result = await db.query(
     'SELECT last_block FROM blockchain_sync_state WHERE chain_id = $1 AND contract_address = $2',
@@ -66,43 +87,32 @@ async function updateLastProcessedBlock(blockNumber) {
   );
 }
 
-function getPlayersByTier() {
-  const allPlayers = packs.loadPlayers();
-  const byTier = {};
-  for (let i = 1; i <= 11; i++) byTier[i] = [];
-  for (const p of allPlayers) {
-    const t = p.tier || 1;
-    if (byTier[t]) byTier[t].push(p);
-  }
-  return byTier;
+// On-chain packs open as the shop product (falling back to the bonus pack)
+async function getShopProduct() {
+  return (await packProducts.getChannelProduct('shop')) || packProducts.getChannelProduct('bonus');
 }
 
-function pickRandomFromTier(tier) {
-  const byTier = getPlayersByTier();
-  const arr = byTier[tier];
-  if (!arr || arr.length === 0) return null;
-  return arr[Math.floor(Math.random() * arr.length)];
-}
+// Packs drawn before giving up when someone else keeps minting our picks
+const MAX_PACK_DRAWS = 3;
 
-async function selectCardsForPack(userId) {
-  const allPlayers = packs.loadPlayers();
-  const cards = [];
-  for (let i = 0; i < 5; i++) {
-    const tier = packs.pickRandomTier();
-    let player = null;
-    for (let attempt = 0; attempt < 100 && !player; attempt++) {
-      const c = pickRandomFromTier(tier);
-      if (c && !(await mintingLedger.isCardMinted(c))) player = c;
-    }
-    if (!player) {
-      const shuffled = [...allPlayers].sort(() => Math.random() - 0.5);
-      for (const c of shuffled.slice(0, 500)) {
-        if (!(await mintingLedger.isCardMinted(c))) { player = c; break; }
-      }
+/**
+ * Draw a pack and reserve its ledger keys before anything goes on chain, so
+ * no token is minted for a card that already exists. Redraws on a conflict.
+ * @returns {Promise<Array|null>} - The reserved cards, or null if none could be
+ */
+async function reservePackCards(product, userId) {
+  for (let draw = 1; draw <= MAX_PACK_DRAWS; draw++) {
+    const cards = packs.openProductPack(product);
+    if (cards.length < product.cardCount) return null;
+    try {
+      await mintingLedger.reserveCards(cards, userId);
+      return cards;
+    } catch (err) {
+      if (!err.conflicts) throw err;
+      console.warn(`Pack draw ${draw} hit minted cards (${err.message}); redrawing`);
     }
-    if (player) cards.push({ ...player, pack_position: i + 1 });
   }
-  return cards;
+  return null;
 }
 
 async function processPackPurchase(event) {
@@ -128,18 +138,34 @@ async function processPackPurchase(event) {
     );
   }
 
-  const cards = await selectCardsForPack(userId);
-  if (cards.length < 5) {
-    await db.query('UPDATE blockchain_packs SET status = $1 WHERE chain_id = $2 AND contract_address = $3 AND pack_id = $4', ['failed', CHAIN_ID, CONTRACT_ADDRESS.toLowerCase(), packId.toString()]);
+  const markFailed = () => db.query('UPDATE blockchain_packs SET status = $1 WHERE chain_id = $2 AND contract_address = $3 AND pack_id = $4', ['failed', CHAIN_ID, CONTRACT_ADDRESS.toLowerCase(), packId.toString()]);
+
+  const product = await getShopProduct();
+  const cards = await reservePackCards(product, userId);
+  if (!cards) {
+    console.error(`Pack #${packId}: could not reserve a full pack of unminted cards`);
+    await markFailed();
     return;
   }
 
   const playerIds = cards.map(c => `${c.player}_${c.season}`);
   const seasons = cards.map(c => c.season);
 
+  let tx;
+  let receipt;
+  try {
+    tx = await contract.fulfillPack(buyer, playerIds, seasons);
+    receipt = await tx.wait();
+  } catch (err) {
+    console.error('Fulfill failed:', err.message);
+    // Put the cards back only if nothing can have been minted: never sent, or reverted
+    if (!tx || err.receipt?.status === 0) await mintingLedger.releaseCards(cards);
+    await markFailed();
+    return;
+  }
+
+  // The tokens exist from here on, so their ledger keys stay taken even if recording fails
   try {
-    const tx = await contract.fulfillPack(buyer, playerIds, seasons);
-    const receipt = await tx.wait();
     const tokenIds = [];
     for (const log of receipt.logs) {
       try {
@@ -153,7 +179,6 @@ async function processPackPurchase(event) {
 
     for (let i = 0; i < cards.length; i++) {
       const card = cards[i];
-      try { await mintingLedger.mintCard(card, userId); } catch (e) {}
       const tokenId = tokenIds[i] || (i + 1);
       await db.query(
         `INSERT INTO blockchain_pack_cards (pack_id, token_id, player_key, player_name, season, position, tier, mint_tx_hash)
@@ -164,12 +189,96 @@ async function processPackPurchase(event) {
 
     await db.query('UPDATE blockchain_packs SET status = $1, fulfilled_at = NOW() WHERE id = $2', ['fulfilled', dbPackId]);
     console.log('Pack #' + packId + ' fulfilled');
+    if (userId) {
+      push.publish(userId, push.EVENT_TYPES.PACK_FULFILLED, {
+        packId: packId.toString(),
+        cards: cards.map(c => ({ player: c.player, season: c.season, position: c.position, tier: c.tier })),
+      });
+    }
   } catch (err) {
-    console.error('Fulfill failed:', err.message);
-    await db.query('UPDATE blockchain_packs SET status = $1 WHERE chain_id = $2 AND contract_address = $3 AND pack_id = $4', ['failed', CHAIN_ID, CONTRACT_ADDRESS.toLowerCase(), packId.toString()]);
+    console.error(`Pack #${packId} minted in tx ${tx.hash} but could not be recorded:`, err.message);
+    await markFailed();
+  }
+}
+
+// Inbox notice (kept for users who weren't online), also pushed to open tabs
+async function notify(userId, content) {
+  try {
+    const message = await messages.sendSystemMessage(userId, content);
+    push.publish(userId, push.EVENT_TYPES.DIRECT_MESSAGE, { message: { ...message, ...messages.SYSTEM_SENDER } });
+  } catch (err) {
+    console.error(`Notice to user ${userId} failed:`, err.message);
   }
 }
 
+// What happened to the old owner's lineup, in words
+async function describeRosterRepair(card, rosterChanges) {
+  const slot = Object.keys(rosterChanges).find(key => !(key in BENCH_SLOTS));
+  if (!slot) return '';
+  if (rosterChanges[slot] == null) return ` Your ${card.position} spot is now empty: fill it before your next game.`;
+  const replacement = await database.getCard(rosterChanges[slot]);
+  return ` ${replacement?.player_name || 'Your best available backup'} takes over at ${card.position}.`;
+}
+
+/**
+ * Give a token's game card to the account linked to the wallet holding the
+ * token. The old owner's roster is patched with the closest replacement
+ * rather than blocking: the transfer already happened.
+ * @param {object} row - blockchain_pack_cards row
+ * @returns {Promise<{ cardId, fromUserId, toUserId } | null>} null when nothing moved
+ */
+async function syncTokenCard(row) {
+  if (!row.card_id || !row.owner_wallet) return null;
+  const holder = await database.getWalletByAddress(row.owner_wallet);
+  const card = await database.getCard(row.card_id);
+  if (!holder || !card || card.user_id === holder.user_id) return null;
+
+  const fromUserId = card.user_id;
+  const rosterChanges = (await trades.planRosterRepair(fromUserId, [card.id], [], { blocking: false })) || {};
+  const moved = await database.reassignCard(card.id, fromUserId, holder.user_id, rosterChanges);
+  console.log(`Token #${row.token_id}: card ${card.id} moved from user ${fromUserId} to user ${holder.user_id}`);
+
+  const summary = { id: moved.id, player_name: moved.player_name, season: moved.season, position: moved.position, tier: moved.tier };
+  const tokenId = String(row.token_id);
+  const label = `${moved.player_name} (${moved.season})`;
+  await notify(fromUserId, `${label} left your team: its NFT (token #${tokenId}) was transferred to another wallet.`
+    + await describeRosterRepair(moved, rosterChanges));
+  await notify(holder.user_id, `${label} joined your collection: you received its NFT (token #${tokenId}).`);
+  push.publish(fromUserId, push.EVENT_TYPES.CARD_TRANSFERRED, { direction: 'out', tokenId, card: summary, rosterChanges });
+  push.publish(holder.user_id, push.EVENT_TYPES.CARD_TRANSFERRED, { direction: 'in', tokenId, card: summary, rosterChanges: {} });
+  return { cardId: card.id, fromUserId, toUserId: holder.user_id };
+}
+
+async function processTransfer(event) {
+  const { from, to, tokenId } = event.args;
+  if (from === ethers.ZeroAddress) return; // Mints are recorded by processPackPurchase
+
+  const result = await db.query(
+    `UPDATE blockchain_pack_cards bpc SET owner_wallet = $1
+     FROM blockchain_packs bp
+     WHERE bpc.pack_id = bp.id AND bp.chain_id = $2 AND bp.contract_address = $3 AND bpc.token_id = $4
+     RETURNING bpc.*`,
+    [to, CHAIN_ID, CONTRACT_ADDRESS.toLowerCase(), tokenId.toString()]
+  );
+  for (const row of result.rows) await syncTokenCard(row);
+}
+
+/**
+ * Move the cards of every token a newly linked wallet holds to its account
+ * @returns {Promise<number>} cards moved
+ */
+async function syncWalletCards(address) {
+  const result = await db.query(
+    'SELECT * FROM blockchain_pack_cards WHERE LOWER(owner_wallet) = LOWER($1) AND card_id IS NOT NULL',
+    [address]
+  );
+  let moved = 0;
+  for (const row of result.rows) {
+    if (await syncTokenCard(row)) moved++;
+  }
+  return moved;
+}
+
 async function pollForEvents() {
   if (!contract || isRunning) return;
   isRunning = true;
@@ -182,6 +291,8 @@ async function pollForEvents() {
       const end = Math.min(start + chunkSize - 1, currentBlock);
       const events = await contract.queryFilter(contract.filters.PackPurchased(), start, end);
       for (const e of events) await processPackPurchase(e);
+      const transfers = await contract.queryFilter(contract.filters.Transfer(), start, end);
+      for (const e of transfers) await processTransfer(e);
       await updateLastProcessedBlock(end);
     }
   } catch (err) { console.error('Poll error:', err); }
@@ -194,9 +305,76 @@ async function start(intervalMs = 15000) {
   setInterval(pollForEvents, intervalMs);
 }
 
+// Player behind a minted token, from the player data (or the row alone if it's gone)
+function playerForPackCard(row) {
+  return packs.getPlayerByKey(`${row.player_name}_${row.season}`)
+    || { player: row.player_name, season: row.season, position: row.position, tier: row.tier };
+}
+
+/**
+ * Open a fulfilled on-chain pack: its tokens become game cards of the user
+ * whose linked wallet bought it, saved and linked to their tokens in one
+ * transaction (database commitChainPackOpening). Opening it again returns
+ * the cards the user still holds.
+ * @param {number} userId
+ * @param {string|number} packId - On-chain pack id
+ * @returns {Promise<{ packId, cards, imagesGenerating, replayed? }>}
+ */
+async function openPack(userId, packId) {
+  const result = await db.query(
+    'SELECT * FROM blockchain_packs WHERE chain_id = $1 AND contract_address = $2 AND pack_id = $3',
+    [CHAIN_ID, CONTRACT_ADDRESS.toLowerCase(), String(packId)]
+  );
+  const pack = result.rows[0];
+  const wallet = await database.getUserWallet(userId);
+  const owned = pack && (pack.user_id === userId
+    || (!pack.user_id && wallet && wallet.address.toLowerCase() === pack.buyer_wallet.toLowerCase()));
+  if (!owned) throw fulfillmentError(404, 'Pack not found');
+
+  // Cards whose tokens were sold on belong to someone else now
+  const replay = async () => {
+    const opened = await db.query('SELECT card_id FROM blockchain_pack_cards WHERE pack_id = $1 ORDER BY id', [pack.id]);
+    const cards = await Promise.all(opened.rows.map(row => database.getCard(row.card_id)));
+    return { packId: String(packId), cards: cards.filter(c => c && c.user_id === userId), imagesGenerating: false, replayed: true };
+  };
+  const notOpenable = (status) => {
+    if (status === 'purchased') return fulfillmentError(409, 'This pack is still being minted');
+    return fulfillmentError(409, 'This pack could not be minted');
+  };
+  if (pack.status === 'opened') return replay();
+  if (pack.status !== 'fulfilled' && pack.status !== 'opening') throw notOpenable(pack.status);
+
+  // Dress the cards first so the transaction only has to write them
+  const cardRows = await db.query('SELECT * FROM blockchain_pack_cards WHERE pack_id = $1 ORDER BY id', [pack.id]);
+  const dressed = new Map();
+  for (const row of cardRows.rows) {
+    if (!row.card_id) dressed.set(row.id, await packOpening.dressCard(playerForPackCard(row)));
+  }
+
+  const opening = await database.commitChainPackOpening(userId, pack.id, dressed);
+  if (!opening.opened) {
+    if (opening.status === 'opened') return replay(); // Another request opened it first
+    throw notOpenable(opening.status);
+  }
+  packOpening.generateImagesLater(opening.saved);
+
+  // Tokens sold on before the pack was opened go to whoever holds them now
+  const movedRows = await db.query('SELECT * FROM blockchain_pack_cards WHERE pack_id = $1 AND owner_wallet IS NOT NULL', [pack.id]);
+  const movedCardIds = new Set();
+  for (const row of movedRows.rows) {
+    const moved = await syncTokenCard(row).catch(err => console.error(`Token #${row.token_id} sync failed:`, err.message));
+    if (moved) movedCardIds.add(moved.cardId);
+  }
+
+  const saved = new Map(opening.saved.map(card => [card.id, card]));
+  const cardIds = opening.cardIds.filter(id => !movedCardIds.has(id));
+  const cards = (await Promise.all(cardIds.map(id => saved.get(id) || database.getCard(id)))).filter(Boolean);
+  return { packId: String(packId), cards, imagesGenerating: cards.some(c => c.image_pending) };
+}
+
 async function getPackStatus(packId) {
   const result = await db.query(
-    `SELECT bp.*, json_agg(json_build_object('token_id', bpc.token_id, 'player_name', bpc.player_name, 'season', bpc.season, 'position', bpc.position, 'tier', bpc.tier)) FILTER (WHERE bpc.id IS NOT NULL) as cards
+    `SELECT bp.*, json_agg(json_build_object('token_id', bpc.token_id, 'player_name', bpc.player_name, 'season', bpc.season, 'position', bpc.position, 'tier', bpc.tier, 'card_id', bpc.card_id)) FILTER (WHERE bpc.id IS NOT NULL) as cards
      FROM blockchain_packs bp LEFT JOIN blockchain_pack_cards bpc ON bpc.pack_id = bp.id
      WHERE bp.pack_id = $1 AND bp.chain_id = $2 AND bp.contract_address = $3 GROUP BY bp.id`,
     [packId, CHAIN_ID, CONTRACT_ADDRESS.toLowerCase()]
@@ -206,7 +384,7 @@ async function getPackStatus(packId) {
 
 async function getPacksForWallet(walletAddress) {
   const result = await db.query(
-    `SELECT bp.*, json_agg(json_build_object('token_id', bpc.token_id, 'player_name', bpc.player_name, 'season', bpc.season, 'position', bpc.position, 'tier', bpc.tier)) FILTER (WHERE bpc.id IS NOT NULL) as cards
+    `SELECT bp.*, json_agg(json_build_object('token_id', bpc.token_id, 'player_name', bpc.player_name, 'season', bpc.season, 'position', bpc.position, 'tier', bpc.tier, 'card_id', bpc.card_id)) FILTER (WHERE bpc.id IS NOT NULL) as cards
      FROM blockchain_packs bp LEFT JOIN blockchain_pack_cards bpc ON bpc.pack_id = bp.id
      WHERE LOWER(bp.buyer_wallet) = LOWER($1) GROUP BY bp.id ORDER BY bp.created_at DESC`,
     [walletAddress]
@@ -214,4 +392,4 @@ async function getPacksForWallet(walletAddress) {
   return result.rows;
 }
 
-module.exports = { initialize, start, pollForEvents, getPackStatus, getPacksForWallet, CONTRACT_ADDRESS, CHAIN_ID };
+module.exports = { initialize, start, pollForEvents, openPack, syncWalletCards, getPackStatus, getPacksForWallet, CONTRACT_ADDRESS, CHAIN_ID };
@@ -0,0 +1,366 @@
+/**
+ * Pack Opening
+ * =============
+ * The one path by which packs turn into cards, shared by POST /api/packs/open,
+ * /open-single and /open-all.
+ * - Each pack opens as a product from the catalog (pack-products.js): the
+ *   starters first, then the current bonus pack
+ * - Cards are picked and dressed (engine traits, card-back stats, image) first
+ * - db.commitPackOpening then reserves their ledger keys, saves them and bumps
+ *   packs_opened all-or-nothing, so a failure never leaves a card minted to
+ *   nobody or a pack spent without cards
+ * - Cards someone else minted in the meantime are swapped for fresh picks of
+ *   the same position and the commit retried
+ * - An idempotency key (the client's Idempotency-Key header) makes a repeated
+ *   request replay the first result instead of opening another pack
+ * - A guaranteed-tier promotion (promotions.js) puts its card in the first
+ *   pack; the grant is given back if the opening doesn't go through
+ * - A product's pity rule (pack-definitions.js) upgrades one card of a pack
+ *   once the user's pull history has gone long enough without a high tier
+ */
+
+const db = require('./database');
+const packs = require('./packs');
+const mintingLedger = require('./minting-ledger');
+const packProducts = require('./pack-products');
+const packDefinitions = require('./pack-definitions');
+const promotions = require('./promotions');
+const cardImageGenerator = require('./card-image-generator');
+const { buildEngineForCard } = require('./game-engine/player-traits');
+
+const MAX_COMMIT_ATTEMPTS = 8;
+const MAX_IDEMPOTENCY_KEY_LENGTH = 100;
+
+// Check if AI image generation is enabled
+const AI_ENABLED = !!process.env.OPENAI_API_KEY;
+
+function openingError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+/**
+ * Validate a client-supplied idempotency key (null when absent)
+ */
+function normalizeIdempotencyKey(key) {
+  if (key == null || key === '') return null;
+  if (typeof key !== 'string' || key.length > MAX_IDEMPOTENCY_KEY_LENGTH || !/^[\w\-:.]+$/.test(key)) {
+    throw openingError(400, 'Invalid idempotency key');
+  }
+  return key;
+}
+
+/**
+ * Product and raw players for one pack
+ * @param {'standard'|'single'} kind
+ * @param {number} packNum - 0-based index of this pack among the user's packs
+ */
+async function pickPack(kind, packNum) {
+  const product = kind === 'single'
+    ? await packProducts.getChannelProduct('single')
+    : await packProducts.productForPack(packNum);
+  if (!product) throw openingError(400, 'That pack is not available right now');
+  return { product, players: packs.openProductPack(product) };
+}
+
+// Another card for a slot whose first pick was taken, from the same pack pool
+function replacementFor(product, position) {
+  return packs.pickForSlot(product, { position }) || packs.pickForSlot(product);
+}
+
+/**
+ * Redeem the user's first guaranteed-tier grant that still has a card to give
+ * @returns {Promise<{ grantId, tier, position, player } | null>}
+ */
+async function claimGuaranteedCard(userId) {
+  for (const grant of await promotions.getUserGrants(userId, 'guaranteed_tier')) {
+    const { tier, position } = grant.params;
+    const player = await packs.pickExactTier(tier, position);
+    if (player && await promotions.redeemGrant(grant.id, userId)) {
+      return { grantId: grant.id, tier, position, player };
+    }
+  }
+  return null;
+}
+
+async function releaseGuaranteedCard(guarantee, userId) {
+  if (!guarantee) return;
+  await promotions.unredeemGrant(guarantee.grantId, userId)
+    .catch(err => console.error(`Could not give back promotion ${guarantee.grantId}:`, err.message));
+}
+
+// Slot a granted card takes: one of its position if the pack has it, else a random slot after the guaranteed ones
+function grantedSlot(product, players, position) {
+  const slots = [...Array(product.cardCount).keys()];
+  const samePosition = position ? slots.filter(i => players[i]?.position === position) : [];
+  const open = slots.filter(i => i >= product.guaranteedSlots.length);
+  const choices = samePosition.length > 0 ? samePosition : (open.length > 0 ? open : slots);
+  return choices[Math.floor(Math.random() * choices.length)];
+}
+
+// Slot a pity card takes: a random one the pack doesn't already guarantee
+function pitySlot(product, taken) {
+  const slots = [...Array(product.cardCount).keys()].filter(i => i !== taken);
+  const open = slots.filter(i => i >= product.guaranteedSlots.length);
+  const choices = open.length > 0 ? open : slots;
+  return choices[Math.floor(Math.random() * choices.length)];
+}
+
+/**
+ * Copy a picked player into a card ready to save: engine traits, stats and
+ * either its SVG image or the AI placeholder (generated after commit).
+ */
+async function dressCard(player) {
+  const card = { ...player };
+
+  // Attach stat-derived engine traits (for UI + simulation nuance)
+  const engine = buildEngineForCard({
+    player_name: card.player || card.player_name,
+    season: card.season,
+    position: card.position,
+    tier: card.tier,
+    composite_score: card.composite_score,
+  });
+  if (engine) {
+    card.engine_v = engine.engine_v;
+    card.engine_era = engine.engine_era;
+    card.engine_percentiles = engine.engine_percentiles;
+    card.engine_traits = engine.engine_traits;
+    card.engine_inferred = engine.engine_inferred;
+  }
+
+  // Get formatted stats for card back
+  card.stats = cardImageGenerator.getFormattedStats(card);
+
+  if (AI_ENABLED) {
+    card.image_url = '/cards/placeholder.svg';
+    card.image_pending = true;
+  } else {
+    // SVG is instant, generate now
+    card.image_url = await cardImageGenerator.getOrGenerateCardImage(card);
+    card.image_pending = false;
+  }
+  return card;
+}
+
+/**
+ * Build every pack of an opening, with no card repeated across the batch
+ * @param {Array<{ bestTier }>} pulls - the user's pull history, newest first
+ */
+async function buildPacks({ kind, firstPackNum, packCount, guarantee, pulls }) {
+  const keys = new Set();
+  const built = [];
+  const history = [...pulls];
+
+  // Pick a fresh (unrepeated) player for a slot, drawing until one fits
+  const fill = (first, draw) => {
+    let player = first || draw();
+    for (let attempt = 0; player && keys.has(mintingLedger.getCardKey(player)) && attempt < 200; attempt++) {
+      player = draw();
+    }
+    if (!player || keys.has(mintingLedger.getCardKey(player))) {
+      throw openingError(400, 'No cards available to mint');
+    }
+    return player;
+  };
+
+  for (let i = 0; i < packCount; i++) {
+    const { product, players } = await pickPack(kind, firstPackNum + i);
+    const guaranteeSlot = i === 0 && guarantee ? grantedSlot(product, players, guarantee.position) : null;
+    const picked = [];
+    for (let slot = 0; slot < product.cardCount; slot++) {
+      const override = slot === guaranteeSlot ? guarantee.player : null;
+      const position = players[slot]?.position || null;
+      const player = fill(override || players[slot], () => replacementFor(product, position));
+      keys.add(mintingLedger.getCardKey(player));
+      picked.push(player);
+    }
+
+    // Bad-luck protection: a dry enough streak turns one card into a high tier
+    let pity = null;
+    const rule = product.pity;
+    const bestTier = () => Math.max(...picked.map(p => p.tier || 1));
+    if (rule && bestTier() < rule.minTier && packDefinitions.dryStreak(history, rule.minTier) >= rule.afterPacks) {
+      const slot = pitySlot(product, guaranteeSlot);
+      const player = fill(null, () => packs.pickForSlot(product, { minTier: rule.minTier }));
+      if ((player.tier || 1) >= rule.minTier) {
+        keys.delete(mintingLedger.getCardKey(picked[slot]));
+        keys.add(mintingLedger.getCardKey(player));
+        picked[slot] = player;
+        pity = { slot, minTier: rule.minTier };
+      }
+    }
+    history.unshift({ bestTier: bestTier() });
+
+    const cards = [];
+    for (const player of picked) cards.push(await dressCard(player));
+    built.push({
+      packType: product.channel === 'starter' ? 'starter' : 'bonus',
+      product: { slug: product.slug, name: product.name },
+      definition: product,
+      guarantee: guaranteeSlot == null ? null : { ...guarantee, slot: guaranteeSlot },
+      pity,
+      cards,
+    });
+  }
+  return { built, keys };
+}
+
+/**
+ * Swap cards that lost the mint race for fresh picks of the same position
+ * (and, for a granted card, the same tier; for a pity card, a tier as high)
+ */
+async function replaceConflicts(built, keys, conflicts) {
+  const lost = new Set(conflicts.map(c => mintingLedger.getCardKey(c)));
+  for (const pack of built) {
+    for (let slot = 0; slot < pack.cards.length; slot++) {
+      const card = pack.cards[slot];
+      if (!lost.has(mintingLedger.getCardKey(card))) continue;
+      const granted = pack.guarantee?.slot === slot ? pack.guarantee : null;
+      const pity = pack.pity?.slot === slot ? pack.pity : null;
+      const pick = async () => (granted && await packs.pickExactTier(granted.tier, granted.position))
+        || (pity && packs.pickForSlot(pack.definition, { minTier: pity.minTier }))
+        || replacementFor(pack.definition, card.position);
+      let player = await pick();
+      for (let attempt = 0; player && keys.has(mintingLedger.getCardKey(player)) && attempt < 200; attempt++) {
+        player = await pick();
+      }
+      if (!player || keys.has(mintingLedger.getCardKey(player))) {
+        throw openingError(500, 'Could not mint a full pack. Please try again.');
+      }
+      keys.add(mintingLedger.getCardKey(player));
+      pack.cards[slot] = await dressCard(player);
+    }
+  }
+}
+
+/**
+ * Generate AI images for freshly saved cards in the background (don't wait)
+ */
+function generateImagesLater(cards) {
+  const pending = cards.filter(c => c.image_pending);
+  if (pending.length === 0) return;
+  setImmediate(async () => {
+    for (const card of pending) {
+      try {
+        console.log(`Background: Generating AI image for card ${card.id}...`);
+        const imageUrl = await cardImageGenerator.getOrGenerateCardImage(card);
+        await db.updateCardImage(card.id, imageUrl);
+        console.log(`Background: Card ${card.id} image ready: ${imageUrl}`);
+      } catch (err) {
+        console.error(`Background: Failed to generate image for card ${card.id}:`, err.message);
+      }
+    }
+  });
+}
+
+/**
+ * Open one or more of a user's packs.
+ * @param {number} userId
+ * @param {Object} options
+ * @param {'standard'|'single'|'all'} options.kind - a 5-card pack, a 1-card pack, or every remaining pack
+ * @param {string} [options.idempotencyKey] - repeat requests with the same key replay the first result
+ * @returns {Promise<{ packs: Array<{ packNumber, packType, pity, cards }>, packsRemaining: number, imagesGenerating: boolean, replayed?: boolean }>}
+ */
+async function openPacks(userId, { kind = 'standard', idempotencyKey = null } = {}) {
+  const key = normalizeIdempotencyKey(idempotencyKey);
+  let built = null;
+  let keys = null;
+  let packsOpened = null;
+  let guarantee; // Claimed with the first build
+
+  // Repeat of a finished opening (also catches a retry after the last pack was spent)
+  if (key) {
+    const prior = await db.getPackOpening(userId, key);
+    if (prior) {
+      if (prior.kind !== kind) throw openingError(409, 'Idempotency key was already used for a different request');
+      return { imagesGenerating: AI_ENABLED, ...prior.result, replayed: true };
+    }
+  }
+
+  try {
+    for (let attempt = 0; attempt < MAX_COMMIT_ATTEMPTS; attempt++) {
+      if (!built) {
+        const user = await db.getUser(userId);
+        if (!user) throw openingError(404, 'User not found');
+        const remaining = user.max_packs - user.packs_opened;
+        if (remaining <= 0) throw openingError(400, 'No packs remaining');
+        packsOpened = user.packs_opened;
+        if (guarantee === undefined) guarantee = await claimGuaranteedCard(userId);
+        ({ built, keys } = await buildPacks({
+          kind: kind === 'all' ? 'standard' : kind,
+          firstPackNum: packsOpened,
+          packCount: kind === 'all' ? remaining : 1,
+          guarantee,
+          pulls: await db.getPackPulls(userId),
+        }));
+      }
+
+      try {
+        const result = await commit(userId, kind, key, packsOpened, built);
+        if (result.replayed) {
+          await releaseGuaranteedCard(guarantee, userId); // A concurrent request with this key opened it
+        } else {
+          generateImagesLater(result.packs.flatMap(p => p.cards));
+        }
+        return result;
+      } catch (err) {
+        if (err.code === 'MINT_CONFLICT') {
+          await replaceConflicts(built, keys, err.conflicts);
+        } else if (err.code === 'PACKS_CHANGED') {
+          built = null; // Re-read the user and pick again (starter packs depend on the pack number)
+        } else if (err.code === 'IDEMPOTENCY_MISMATCH') {
+          throw openingError(409, err.message);
+        } else {
+          throw err;
+        }
+      }
+    }
+    throw openingError(500, 'Could not mint a full pack. Please try again.');
+  } catch (err) {
+    await releaseGuaranteedCard(guarantee, userId);
+    throw err;
+  }
+}
+
+/**
+ * Mint one card straight to a user, outside any pack (promotion card grants,
+ * crafting pulls). Throws 409 if someone minted the player first; if the card
+ * can't be saved, its ledger key is released again.
+ * @returns {Promise<Object>} the saved card, with its id
+ */
+async function grantCard(userId, player) {
+  try {
+    await mintingLedger.mintCard(player, userId);
+  } catch (err) {
+    throw err.code === 'MINT_CONFLICT' ? openingError(409, err.message) : err;
+  }
+  try {
+    return await saveMintedCard(userId, player);
+  } catch (err) {
+    await mintingLedger.releaseCards([player]);
+    throw err;
+  }
+}
+
+/**
+ * Save a card for a player already in the minting ledger
+ * @returns {Promise<Object>} the saved card, with its id
+ */
+async function saveMintedCard(userId, player) {
+  const card = await dressCard(player);
+  const id = await db.addCard(userId, card);
+  generateImagesLater([{ id, ...card }]);
+  return { id, ...card };
+}
+
+async function commit(userId, kind, idempotencyKey, expectedPacksOpened, built) {
+  const result = await db.commitPackOpening(userId, { kind, idempotencyKey, expectedPacksOpened, packs: built });
+  return { imagesGenerating: AI_ENABLED, ...result };
+}
+
+module.exports = {
+  openPacks,
+  grantCard,
+  dressCard,
+  generateImagesLater,
+};
@@ -0,0 +1,113 @@
+/**
+ * Pack Products (Postgres)
+ * =========================
+ * Used when DATABASE_URL is set. Same API as pack-products.js; table from
+ * migrations/15_pack_products.sql. Each row holds one product's definition
+ * as JSON; an empty table is seeded with the default catalog.
+ */
+
+const { query, transaction } = require('./db');
+const definitions = require('./pack-definitions');
+
+function rowToProduct(row) {
+  return { ...row.definition, slug: row.slug, createdAt: row.created_at, updatedAt: row.updated_at };
+}
+
+// Definition column: the product minus the fields that have their own columns
+function definitionOf(product) {
+  const { slug, createdAt, updatedAt, ...definition } = product;
+  return JSON.stringify(definition);
+}
+
+async function loadProducts(runner = { query }) {
+  let r = await runner.query('SELECT * FROM pack_products');
+  if (r.rows.length === 0) {
+    for (const product of definitions.defaultProducts()) {
+      await runner.query(
+        'INSERT INTO pack_products (slug, definition) VALUES ($1, $2) ON CONFLICT (slug) DO NOTHING',
+        [product.slug, definitionOf(product)]
+      );
+    }
+    r = await runner.query('SELECT * FROM pack_products');
+  }
+  return r.rows.map(rowToProduct);
+}
+
+/**
+ * Every product, active or not, in channel order
+ */
+async function listProducts() {
+  return definitions.sortProducts(await loadProducts());
+}
+
+async function getProduct(slug) {
+  const products = await loadProducts();
+  return products.find(p => p.slug === slug) || null;
+}
+
+async function createProduct(input) {
+  const product = definitions.normalizeProduct(input);
+  await loadProducts(); // seed first, so the new product doesn't replace the defaults
+  const r = await query(
+    'INSERT INTO pack_products (slug, definition) VALUES ($1, $2) ON CONFLICT (slug) DO NOTHING RETURNING *',
+    [product.slug, definitionOf(product)]
+  );
+  if (r.rows.length === 0) throw new Error(`A pack named "${product.slug}" already exists`);
+  return rowToProduct(r.rows[0]);
+}
+
+/**
+ * Apply changes to a product
+ * @returns {Promise<{ before, after }>}
+ */
+async function updateProduct(slug, changes) {
+  return transaction(async (client) => {
+    await client.query('LOCK TABLE pack_products IN SHARE ROW EXCLUSIVE MODE');
+    const products = await loadProducts(client);
+    const before = products.find(p => p.slug === slug);
+    if (!before) throw new Error('Pack not found');
+    const after = definitions.normalizeProduct(changes, before);
+    definitions.assertCatalog(products.map(p => (p.slug === slug ? after : p)));
+    const r = await client.query(
+      'UPDATE pack_products SET definition = $2, updated_at = NOW() WHERE slug = $1 RETURNING *',
+      [slug, definitionOf(after)]
+    );
+    return { before, after: rowToProduct(r.rows[0]) };
+  });
+}
+
+async function deleteProduct(slug) {
+  return transaction(async (client) => {
+    await client.query('LOCK TABLE pack_products IN SHARE ROW EXCLUSIVE MODE');
+    const products = await loadProducts(client);
+    const product = products.find(p => p.slug === slug);
+    if (!product) throw new Error('Pack not found');
+    definitions.assertCatalog(products.filter(p => p.slug !== slug));
+    await client.query('DELETE FROM pack_products WHERE slug = $1', [slug]);
+    return product;
+  });
+}
+
+/**
+ * Product a user's pack opens as (packNum is 0-based)
+ */
+async function productForPack(packNum) {
+  return definitions.productForPack(await loadProducts(), packNum);
+}
+
+/**
+ * Current product for a channel ('single', 'shop', ...), or null
+ */
+async function getChannelProduct(channel) {
+  return definitions.channelProducts(await loadProducts(), channel)[0] || null;
+}
+
+module.exports = {
+  listProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  productForPack,
+  getChannelProduct,
+};
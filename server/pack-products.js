@@ -0,0 +1,111 @@
+/**
+ * Pack Products
+ * ==============
+ * The pack catalog admins manage (see pack-definitions.js for the shape).
+ * Uses Postgres when DATABASE_URL is set (pack-products-pg.js), otherwise
+ * pack-products.json. A fresh install starts with defaultProducts().
+ * All functions are async.
+ */
+
+const dbPool = require('./db');
+if (dbPool.useDatabase()) {
+  module.exports = require('./pack-products-pg');
+  return;
+}
+
+// ========== JSON file-based implementation (when DATABASE_URL not set) ==========
+
+const fs = require('fs');
+const path = require('path');
+const definitions = require('./pack-definitions');
+
+// Use persistent disk in production, local file in development
+const DATA_DIR = fs.existsSync('/var/data') ? '/var/data' : __dirname;
+const PRODUCTS_FILE = path.join(DATA_DIR, 'pack-products.json');
+
+function loadCatalog() {
+  try {
+    if (fs.existsSync(PRODUCTS_FILE)) {
+      return JSON.parse(fs.readFileSync(PRODUCTS_FILE, 'utf8'));
+    }
+  } catch (e) {
+    console.error('Error loading pack products:', e);
+  }
+  const now = new Date().toISOString();
+  return { products: definitions.defaultProducts().map(p => ({ ...p, createdAt: now, updatedAt: now })) };
+}
+
+function saveCatalog(data) {
+  fs.writeFileSync(PRODUCTS_FILE, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Every product, active or not, in channel order
+ */
+async function listProducts() {
+  return definitions.sortProducts(loadCatalog().products);
+}
+
+async function getProduct(slug) {
+  return loadCatalog().products.find(p => p.slug === slug) || null;
+}
+
+async function createProduct(input) {
+  const data = loadCatalog();
+  const product = definitions.normalizeProduct(input);
+  if (data.products.some(p => p.slug === product.slug)) throw new Error(`A pack named "${product.slug}" already exists`);
+  const now = new Date().toISOString();
+  data.products.push({ ...product, createdAt: now, updatedAt: now });
+  saveCatalog(data);
+  return data.products[data.products.length - 1];
+}
+
+/**
+ * Apply changes to a product
+ * @returns {Promise<{ before, after }>}
+ */
+async function updateProduct(slug, changes) {
+  const data = loadCatalog();
+  const index = data.products.findIndex(p => p.slug === slug);
+  if (index === -1) throw new Error('Pack not found');
+  const before = data.products[index];
+  const after = { ...definitions.normalizeProduct(changes, before), updatedAt: new Date().toISOString() };
+  const products = data.products.map((p, i) => (i === index ? after : p));
+  definitions.assertCatalog(products);
+  saveCatalog({ ...data, products });
+  return { before, after };
+}
+
+async function deleteProduct(slug) {
+  const data = loadCatalog();
+  const product = data.products.find(p => p.slug === slug);
+  if (!product) throw new Error('Pack not found');
+  const products = data.products.filter(p => p.slug !== slug);
+  definitions.assertCatalog(products);
+  saveCatalog({ ...data, products });
+  return product;
+}
+
+/**
+ * Product a user's pack opens as (packNum is 0-based)
+ */
+async function productForPack(packNum) {
+  return definitions.productForPack(loadCatalog().products, packNum);
+}
+
+/**
+ * Current product for a channel ('single', 'shop', ...), or null
+ */
+async function getChannelProduct(channel) {
+  return definitions.channelProducts(loadCatalog().products, channel)[0] || null;
+}
+
+module.exports = {
+  listProducts,
+  getProduct,
+  createProduct,
+  updateProduct,
+  deleteProduct,
+  productForPack,
+  getChannelProduct,
+};
@@ -1,13 +1,15 @@
 /**
  * Pack Opening System
  * ====================
- * Tier-weighted random player selection from the normalized data
+ * Tier-weighted random player selection from the normalized data.
+ * What goes in a pack comes from its product (pack-definitions.js).
  */
 
 const fs = require('fs');
 const path = require('path');
 const { isCardMinted, mintCard, getAvailabilityStats } = require('./minting-ledger');
 const cardImageGenerator = require('./card-image-generator');
+const { tierChances } = require('./pack-definitions');
 
 let buildEngineForCard = null;
 function getBuildEngineForCard() {
@@ -153,41 +155,73 @@ function loadPlayers() {
   return allPlayers;
 }
 
-// Tier weights for pack opening (lower tiers more common)
-// These are relative weights, not percentages
-const TIER_WEIGHTS = {
-  11: 0.5,    // Hall of Fame - ultra rare (only ~332 exist)
-  10: 1,      // Legendary - very rare
-  9: 3,       // Epic
-  8: 7,       // Ultra Rare
-  7: 12,      // Very Rare
-  6: 18,      // Rare
-  5: 22,      // Uncommon+
-  4: 20,      // Uncommon
-  3: 10,      // Common+
-  2: 5,       // Common
-  1: 2,       // Basic
-};
+/**
+ * Pick a random tier from a product's weights, within [minTier, maxTier]
+ * (an even pick when that range has no weight)
+ */
+function pickRandomTier(product, minTier = 1, maxTier = 11) {
+  const chances = tierChances(product, minTier, maxTier);
+  const tiers = Object.keys(chances).map(Number).sort((a, b) => b - a);
+  let roll = Math.random();
+  for (const tier of tiers) {
+    roll -= chances[tier];
+    if (roll < 0) return tier;
+  }
+  return tiers[tiers.length - 1];
+}
 
-// Calculate total weight
-const TOTAL_WEIGHT = Object.values(TIER_WEIGHTS).reduce((a, b) => a + b, 0);
+/**
+ * Whether a player passes a pack's filters (plus an optional slot position)
+ */
+function fitsPack(player, product, position = null) {
+  if (!product.includeHof && (player.tier === 11 || player.isHOF)) return false;
+  if (position && player.position !== position) return false;
+  if (product.positions && !product.positions.includes(player.position)) return false;
+  if (product.seasons && (player.season < product.seasons.from || player.season > product.seasons.to)) return false;
+  return true;
+}
 
 /**
- * Pick a random tier based on weights
+ * Random unminted player from one tier that fits the pack
  */
-function pickRandomTier() {
-  const roll = Math.random() * TOTAL_WEIGHT;
-  let cumulative = 0;
-  
-  // Start from highest tier (11 = HOF) down to 1
-  for (let tier = 11; tier >= 1; tier--) {
-    cumulative += TIER_WEIGHTS[tier];
-    if (roll < cumulative) {
-      return tier;
-    }
+function pickFittingFromTier(tier, product, position, maxAttempts = 100) {
+  const tierPlayers = playersByTier[tier];
+  if (!tierPlayers || tierPlayers.length === 0) return null;
+  const fits = (p) => fitsPack(p, product, position) && !isCardMinted(p);
+
+  for (let i = 0; i < maxAttempts; i++) {
+    const player = tierPlayers[Math.floor(Math.random() * tierPlayers.length)];
+    if (fits(player)) return player;
   }
-  
-  return 5; // Fallback
+  const available = tierPlayers.filter(fits);
+  return available.length > 0 ? available[Math.floor(Math.random() * available.length)] : null;
+}
+
+/**
+ * Pick one card for a pack: roll a tier in the slot's range, then fall back to
+ * the rest of the range (lower tiers first), then to any tier if the whole
+ * range is sold out.
+ * @param {Object} product - pack product (see pack-definitions.js)
+ * @param {Object} [slot] - { position, minTier, maxTier }; omit for a random card
+ */
+function pickForSlot(product, slot = {}) {
+  loadPlayers();
+  const minTier = slot.minTier || 1;
+  const maxTier = slot.maxTier || 11;
+  const position = slot.position || null;
+  const rolled = pickRandomTier(product, minTier, maxTier);
+
+  const order = [rolled];
+  for (let t = rolled - 1; t >= minTier; t--) order.push(t);
+  for (let t = rolled + 1; t <= maxTier; t++) order.push(t);
+  for (let t = 11; t >= 1; t--) if (!order.includes(t)) order.push(t);
+
+  for (const tier of order) {
+    if (tier === 11 && !product.includeHof) continue;
+    const player = pickFittingFromTier(tier, product, position);
+    if (player) return player;
+  }
+  return null; // Nothing left that fits this pack
 }
 
 /**
@@ -255,6 +289,22 @@ async function pickRandomPlayerFromTierAndPosition(tier, position, maxAttempts =
   return null;
 }
 
+/**
+ * Pick a random unminted player of exactly this tier (and position, if given),
+ * or null. Unlike pickRandomPlayerFromTier, never falls back to another tier.
+ */
+async function pickExactTier(tier, position = null) {
+  if (position) return pickRandomPlayerFromTierAndPosition(tier, position);
+  loadPlayers();
+  const tierPlayers = playersByTier[tier] || [];
+  for (let i = 0; i < 100 && tierPlayers.length > 0; i++) {
+    const player = tierPlayers[Math.floor(Math.random() * tierPlayers.length)];
+    if (!isCardMinted(player)) return player;
+  }
+  const available = tierPlayers.filter(p => !isCardMinted(p));
+  return available.length > 0 ? available[Math.floor(Math.random() * available.length)] : null;
+}
+
 /**
  * Pick any available (unminted) player
  */
@@ -307,118 +357,22 @@ function pickRandomPlayerFromPosition(position, maxAttempts = 100) {
 }
 
 /**
- * Open a pack of cards
- * Returns 5 random AVAILABLE players with tier-weighted selection
+ * Open a pack product: its guaranteed slots first, then tier-weighted random
+ * cards. Only returns AVAILABLE (unminted) players that fit the pack; may
+ * return fewer than cardCount when the pack's pool is sold out.
  */
-function openPack() {
+function openProductPack(product) {
   loadPlayers();
   
   const cards = [];
-  
-  for (let i = 0; i < 5; i++) {
-    const tier = pickRandomTier();
-    const player = pickRandomPlayerFromTier(tier);
-    
-    if (player) {
-      cards.push({
-        ...player,
-        pack_position: i + 1,
-      });
-    }
+  for (const slot of product.guaranteedSlots) {
+    const player = pickForSlot(product, slot);
+    if (player) cards.push(player);
   }
-  
-  // If we couldn't get 5 cards, try to fill with any available
-  while (cards.length < 5) {
-    const player = pickAnyAvailablePlayer();
+  while (cards.length < product.cardCount) {
+    const player = pickForSlot(product);
     if (!player) break; // No more cards available
-    cards.push({
-      ...player,
-      pack_position: cards.length + 1,
-    });
-  }
-  
-  return cards;
-}
-
-/**
- * Open a single-card pack (for testing animations)
- * Returns 1 random AVAILABLE player
- */
-function openSingleCard() {
-  loadPlayers();
-  
-  const tier = pickRandomTier();
-  let player = pickRandomPlayerFromTier(tier);
-  
-  if (!player) {
-    player = pickAnyAvailablePlayer();
-  }
-  
-  if (!player) return [];
-  
-  return [{
-    ...player,
-    pack_position: 1,
-  }];
-}
-
-/**
- * Starter pack position assignments
- * Guarantees ALL 11 roster positions across 3 starter packs:
- * - Pack 1 (packNum 0): QB, RB, WR, TE, OL
- * - Pack 2 (packNum 1): DL, LB, DB, DB, K
- * - Pack 3 (packNum 2): WR (2nd), + 4 random bonus cards
- */
-const STARTER_PACK_POSITIONS = {
-  0: ['QB', 'RB', 'WR', 'TE', 'OL'],    // Pack 1: Core offense
-  1: ['DL', 'LB', 'DB', 'DB', 'K'],      // Pack 2: Defense + kicker
-  2: ['WR', null, null, null, null],     // Pack 3: 2nd WR + randoms
-};
-
-/**
- * Open a starter pack (guaranteed positions for a balanced start)
- * Ensures ALL 11 roster positions are covered across 3 starter packs
- * Only returns AVAILABLE (unminted) cards
- * @param {number} packNum - Which starter pack (0, 1, or 2)
- */
-function openStarterPack(packNum = 0) {
-  loadPlayers();
-  
-  const cards = [];
-  
-  // Helper to find available player at position and tier range
-  const findAvailableAtPosition = (position, minTier = 4, maxTier = 7) => {
-    for (let tier = minTier; tier <= maxTier; tier++) {
-      const tierPlayers = playersByTier[tier]?.filter(p => p.position === position && !isCardMinted(p));
-      if (tierPlayers && tierPlayers.length > 0) {
-        return tierPlayers[Math.floor(Math.random() * tierPlayers.length)];
-      }
-    }
-    // Fallback to any tier at this position
-    return pickRandomPlayerFromPosition(position);
-  };
-  
-  // Get position requirements for this pack
-  const positions = STARTER_PACK_POSITIONS[packNum] || STARTER_PACK_POSITIONS[0];
-  
-  for (const position of positions) {
-    if (position) {
-      // Guaranteed position card
-      const player = findAvailableAtPosition(position, 4, 7);
-      if (player) cards.push(player);
-    } else {
-      // Random card (null means random)
-      const randomTier = pickRandomTier();
-      const player = pickRandomPlayerFromTier(randomTier);
-      if (player) cards.push(player);
-    }
-  }
-  
-  // Fill remaining slots if we couldn't get all 5
-  while (cards.length < 5) {
-    const filler = pickAnyAvailablePlayer();
-    if (!filler) break;
-    cards.push(filler);
+    cards.push(player);
   }
   
   return cards.map((card, i) => ({ ...card, pack_position: i + 1 }));
@@ -438,13 +392,6 @@ function getPackStats() {
     byPosition: Object.fromEntries(
       Object.entries(playersByPosition).map(([pos, players]) => [pos, players.length])
     ),
-    weights: TIER_WEIGHTS,
-    expectedRates: Object.fromEntries(
-      Object.entries(TIER_WEIGHTS).map(([tier, weight]) => [
-        tier,
-        ((weight / TOTAL_WEIGHT) * 100).toFixed(2) + '%'
-      ])
-    ),
   };
 }
 
@@ -477,17 +424,16 @@ function getPlayerByKey(playerKey) {
 
 module.exports = {
   loadPlayers,
-  openPack,
-  openSingleCard,
-  openStarterPack,
+  openProductPack,
+  pickForSlot,
   pickRandomTier,
   pickRandomPlayerFromTier,
   pickRandomPlayerFromTierAndPosition,
+  pickExactTier,
   pickRandomPlayerFromPosition,
   pickAnyAvailablePlayer,
   getPackStats,
   searchPlayers,
   getPlayerByKey,
   getAvailabilityStats,
-  TIER_WEIGHTS,
 };
@@ -0,0 +1,84 @@
+/**
+ * Password Hashing
+ * =================
+ * Salted scrypt hashes stored as `scrypt$N$r$p$salt$hash` (base64 salt/hash).
+ * Accounts created before this still hold a bare SHA-256 hex digest; those
+ * verify here and report needsRehash so login can upgrade them in place.
+ */
+
+const crypto = require('crypto');
+const { promisify } = require('util');
+
+const scrypt = promisify(crypto.scrypt);
+
+// Cost parameters for new hashes. Raising them makes older hashes needsRehash.
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const LEGACY_SHA256 = /^[0-9a-f]{64}$/;
+
+/**
+ * Hash a password for storage
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P });
+  return ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), key.toString('base64')].join('$');
+}
+
+/**
+ * Check a password against a stored hash
+ * @returns {Promise<{ ok: boolean, needsRehash: boolean }>}
+ */
+async function verifyPassword(password, stored) {
+  if (typeof password !== 'string' || typeof stored !== 'string') return { ok: false, needsRehash: false };
+
+  if (LEGACY_SHA256.test(stored)) {
+    const digest = crypto.createHash('sha256').update(password).digest();
+    return { ok: crypto.timingSafeEqual(digest, Buffer.from(stored, 'hex')), needsRehash: true };
+  }
+
+  const [scheme, n, r, p, salt, hash] = stored.split('$');
+  if (scheme !== 'scrypt' || !hash) return { ok: false, needsRehash: false };
+  const expected = Buffer.from(hash, 'base64');
+  const N = Number(n);
+  const key = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, {
+    N, r: Number(r), p: Number(p), maxmem: 256 * N * Number(r),
+  });
+  return {
+    ok: crypto.timingSafeEqual(key, expected),
+    needsRehash: N !== SCRYPT_N || Number(r) !== SCRYPT_R || Number(p) !== SCRYPT_P || expected.length !== KEY_LENGTH,
+  };
+}
+
+/**
+ * New random session token (256 bits, hex)
+ */
+function createSessionToken() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * What the sessions table stores and looks tokens up by (SHA-256, hex); the raw token is only ever sent to the client
+ */
+function hashSessionToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Public id for a session, safe to show and revoke by (the token never leaves the login response)
+ */
+function createSessionId() {
+  return crypto.randomBytes(9).toString('base64url');
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  createSessionToken,
+  hashSessionToken,
+  createSessionId,
+};
@@ -0,0 +1,237 @@
+/**
+ * Post-Game Press Conference (Postgres)
+ * ======================================
+ * Used when DATABASE_URL is set. Same API as press-conference.js; tables from
+ * migrations/10_press_conferences.sql. All functions except isConferenceActive are async.
+ */
+
+const crypto = require('crypto');
+const { query, transaction } = require('./db');
+
+const CHAT_DURATION_MS = 30 * 60 * 1000; // 30 minutes
+
+function rowToMessage(row) {
+  return {
+    id: row.id,
+    senderId: row.sender_id,
+    senderName: row.sender_name,
+    content: row.content,
+    timestamp: new Date(row.sent_at).toISOString(),
+    readBy: row.read_by || [],
+  };
+}
+
+function rowToConference(row, messages = []) {
+  return {
+    id: row.id,
+    gameId: row.game_id,
+    players: row.players,
+    playerIds: row.player_ids,
+    messages,
+    createdAt: new Date(row.created_at).toISOString(),
+    expiresAt: new Date(row.expires_at).toISOString(),
+    active: row.active,
+  };
+}
+
+async function loadMessages(conferenceIds) {
+  if (conferenceIds.length === 0) return new Map();
+  const r = await query(
+    'SELECT * FROM press_conference_messages WHERE conference_id = ANY($1) ORDER BY sent_at, id',
+    [conferenceIds]
+  );
+  const byConference = new Map(conferenceIds.map(id => [id, []]));
+  for (const row of r.rows) byConference.get(row.conference_id).push(rowToMessage(row));
+  return byConference;
+}
+
+async function loadConference(conferenceId) {
+  const r = await query('SELECT * FROM press_conferences WHERE id = $1', [conferenceId]);
+  if (!r.rows[0]) return null;
+  const messages = await loadMessages([conferenceId]);
+  return rowToConference(r.rows[0], messages.get(conferenceId));
+}
+
+/**
+ * Create a press conference for a game
+ * Called automatically when a game ends
+ */
+async function createConference(gameId, player1Id, player2Id, player1Name, player2Name) {
+  const conferenceId = `conf_${gameId}`;
+  await query(
+    `INSERT INTO press_conferences (id, game_id, player_ids, players, expires_at)
+     VALUES ($1, $2, $3, $4, $5) ON CONFLICT (id) DO NOTHING`,
+    [
+      conferenceId,
+      gameId,
+      [player1Id, player2Id],
+      JSON.stringify({ [player1Id]: player1Name, [player2Id]: player2Name }),
+      new Date(Date.now() + CHAT_DURATION_MS),
+    ]
+  );
+  return loadConference(conferenceId);
+}
+
+/**
+ * Check if a conference is still active (within 30 min window)
+ */
+function isConferenceActive(conference) {
+  if (!conference || !conference.active) return false;
+  return new Date() < new Date(conference.expiresAt);
+}
+
+/**
+ * Get a conference by game ID
+ */
+async function getConferenceByGameId(gameId) {
+  const conference = await loadConference(`conf_${gameId}`);
+  if (!conference) return null;
+
+  // Check if expired
+  if (conference.active && !isConferenceActive(conference)) {
+    await query('UPDATE press_conferences SET active = FALSE WHERE id = $1', [conference.id]);
+    conference.active = false;
+  }
+  return conference;
+}
+
+function getUnreadCount(conference, userId) {
+  return conference.messages.filter(m =>
+    m.senderId !== userId && !m.readBy.includes(userId)
+  ).length;
+}
+
+/**
+ * Get all active conferences for a user
+ */
+async function getActiveConferencesForUser(userId) {
+  const r = await query(
+    `SELECT * FROM press_conferences
+     WHERE $1 = ANY(player_ids) AND active AND expires_at > NOW()
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+  const messages = await loadMessages(r.rows.map(row => row.id));
+  return r.rows.map(row => {
+    const conference = rowToConference(row, messages.get(row.id));
+    return {
+      ...conference,
+      timeRemaining: Math.max(0, new Date(conference.expiresAt) - new Date()),
+      unreadCount: getUnreadCount(conference, userId),
+    };
+  });
+}
+
+/**
+ * Send a message in a conference
+ */
+async function sendMessage(gameId, userId, userName, content) {
+  const conferenceId = `conf_${gameId}`;
+  const r = await query('SELECT * FROM press_conferences WHERE id = $1', [conferenceId]);
+  const conference = r.rows[0] ? rowToConference(r.rows[0]) : null;
+
+  if (!conference) {
+    return { error: 'Conference not found' };
+  }
+
+  if (!conference.playerIds.includes(userId)) {
+    return { error: 'You are not a participant in this game' };
+  }
+
+  if (!isConferenceActive(conference)) {
+    return { error: 'Press conference has ended (30 min limit)' };
+  }
+
+  // Sanitize content
+  const sanitizedContent = content
+    .trim()
+    .slice(0, 500) // Max 500 characters
+    .replace(/<[^>]*>/g, ''); // Remove HTML tags
+
+  if (!sanitizedContent) {
+    return { error: 'Message cannot be empty' };
+  }
+
+  const inserted = await query(
+    `INSERT INTO press_conference_messages (id, conference_id, sender_id, sender_name, content, read_by)
+     VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+    [`msg_${Date.now()}_${crypto.randomBytes(5).toString('hex')}`, conferenceId, userId, userName, sanitizedContent, [userId]]
+  );
+
+  return { success: true, message: rowToMessage(inserted.rows[0]) };
+}
+
+/**
+ * Get messages for a conference
+ */
+async function getMessages(gameId, userId, since = null) {
+  const conferenceId = `conf_${gameId}`;
+
+  const conference = await transaction(async (client) => {
+    const r = await client.query('SELECT * FROM press_conferences WHERE id = $1', [conferenceId]);
+    if (!r.rows[0]) return null;
+    const row = r.rows[0];
+    if (!row.player_ids.includes(userId)) return rowToConference(row);
+
+    // Mark messages as read
+    await client.query(
+      `UPDATE press_conference_messages SET read_by = array_append(read_by, $2)
+       WHERE conference_id = $1 AND NOT ($2 = ANY(read_by))`,
+      [conferenceId, userId]
+    );
+    const m = await client.query(
+      `SELECT * FROM press_conference_messages
+       WHERE conference_id = $1 AND ($2::timestamptz IS NULL OR sent_at > $2)
+       ORDER BY sent_at, id`,
+      [conferenceId, since ? new Date(since) : null]
+    );
+    return rowToConference(row, m.rows.map(rowToMessage));
+  });
+
+  if (!conference) {
+    return { error: 'Conference not found' };
+  }
+
+  if (!conference.playerIds.includes(userId)) {
+    return { error: 'You are not a participant in this game' };
+  }
+
+  // Get opponent info
+  const opponentId = conference.playerIds.find(id => id !== userId);
+  const opponentName = conference.players[opponentId];
+
+  return {
+    conferenceId,
+    gameId: conference.gameId,
+    active: isConferenceActive(conference),
+    expiresAt: conference.expiresAt,
+    timeRemaining: Math.max(0, new Date(conference.expiresAt) - new Date()),
+    opponent: {
+      id: opponentId,
+      name: opponentName,
+    },
+    messages: conference.messages,
+  };
+}
+
+/**
+ * Clean up expired conferences (keep for 24 hours after expiry for history)
+ */
+async function cleanupExpired() {
+  await query(`DELETE FROM press_conferences WHERE expires_at < NOW() - INTERVAL '24 hours'`);
+}
+
+// Run cleanup periodically
+setInterval(() => {
+  cleanupExpired().catch(err => console.error('Press conference cleanup error:', err));
+}, 60 * 60 * 1000); // Every hour
+
+module.exports = {
+  createConference,
+  getConferenceByGameId,
+  getActiveConferencesForUser,
+  sendMessage,
+  getMessages,
+  isConferenceActive,
+  CHAT_DURATION_MS,
+};
@@ -1,9 +1,19 @@
 /**
  * Post-Game Press Conference
  * ===========================
- * Allows two users who played each other to chat for 30 minutes after a game
+ * Allows two users who played each other to chat for 30 minutes after a game.
+ * Uses Postgres when DATABASE_URL is set (press-conference-pg.js), otherwise
+ * press-conferences.json. All functions except isConferenceActive are async.
  */
 
+const dbPool = require('./db');
+if (dbPool.useDatabase()) {
+  module.exports = require('./press-conference-pg');
+  return;
+}
+
+// ========== JSON file-based implementation (when DATABASE_URL not set) ==========
+
 const fs = require('fs');
 const path = require('path');
 
@@ -33,7 +43,7 @@ function saveChats(data) {
  * Create a press conference for a game
  * Called automatically when a game ends
  */
-function createConference(gameId, player1Id, player2Id, player1Name, player2Name) {
+async function createConference(gameId, player1Id, player2Id, player1Name, player2Name) {
   const data = loadChats();
   
   const conferenceId = `conf_${gameId}`;
@@ -68,7 +78,7 @@ function isConferenceActive(conference) {
 /**
  * Get a conference by game ID
  */
-function getConferenceByGameId(gameId) {
+async function getConferenceByGameId(gameId) {
   const data = loadChats();
   const conferenceId = `conf_${gameId}`;
   const conference = data.conferences[conferenceId];
@@ -87,7 +97,7 @@ function getConferenceByGameId(gameId) {
 /**
  * Get all active conferences for a user
  */
-function getActiveConferencesForUser(userId) {
+async function getActiveConferencesForUser(userId) {
   const data = loadChats();
   const activeConferences = [];
   
@@ -119,7 +129,7 @@ function getUnreadCount(conference, userId) {
 /**
  * Send a message in a conference
  */
-function sendMessage(gameId, userId, userName, content) {
+async function sendMessage(gameId, userId, userName, content) {
   const data = loadChats();
   const conferenceId = `conf_${gameId}`;
   const conference = data.conferences[conferenceId];
@@ -164,7 +174,7 @@ function sendMessage(gameId, userId, userName, content) {
 /**
  * Get messages for a conference
  */
-function getMessages(gameId, userId, since = null) {
+async function getMessages(gameId, userId, since = null) {
   const data = loadChats();
   const conferenceId = `conf_${gameId}`;
   const conference = data.conferences[conferenceId];
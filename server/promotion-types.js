@@ -0,0 +1,180 @@
+/**
+ * Promotion Types
+ * ================
+ * Grants admins give to specific users, instead of code that checks usernames.
+ * Storage lives in promotions.js; this module is the shared shape, validation
+ * and the rules for when a grant still applies.
+ *
+ * A grant:
+ * - type and params
+ *     'guaranteed_tier'    { tier, position?, packs? } - one card of that tier
+ *                          (and position) in each of the user's next `packs`
+ *                          openings; packs null = every pack until it expires
+ *     'bonus_packs'        { count } - extra packs, added once
+ *     'card'               { tier, position? } or { player, season } - one card,
+ *                          minted once
+ *     'schedule_exclusion' { leagueId? } - kept off the league's schedule while
+ *                          active; leagueId null = every league
+ * - userIds: the users it targets
+ * - expiresAt (null = never), revokedAt, note
+ * - source: set by startup migrations so they run once
+ * - redemptions: { userId: uses } (promotions.js fills this in)
+ */
+
+const { POSITIONS } = require('./pack-definitions');
+
+const GRANT_TYPES = ['guaranteed_tier', 'bonus_packs', 'card', 'schedule_exclusion'];
+const MIN_TIER = 1;
+const MAX_TIER = 11; // 11 = Hall of Fame
+const MAX_BONUS_PACKS = 50;
+const MAX_GUARANTEED_PACKS = 100;
+const MAX_TARGETS = 500;
+const MAX_NOTE_LENGTH = 200;
+
+function parseWhole(value, label, min, max) {
+  const n = parseInt(value);
+  if (!Number.isInteger(n) || n < min || n > max) throw new Error(`${label} must be a whole number ${min}-${max}`);
+  return n;
+}
+
+function parsePosition(value) {
+  if (value == null || value === '') return null;
+  if (!POSITIONS.includes(value)) throw new Error(`Unknown position: ${value}`);
+  return value;
+}
+
+function normalizeParams(type, params = {}) {
+  switch (type) {
+    case 'guaranteed_tier':
+      return {
+        tier: parseWhole(params.tier, 'tier', MIN_TIER, MAX_TIER),
+        position: parsePosition(params.position),
+        packs: params.packs === null ? null : parseWhole(params.packs ?? 1, 'packs', 1, MAX_GUARANTEED_PACKS),
+      };
+    case 'bonus_packs':
+      return { count: parseWhole(params.count, 'count', 1, MAX_BONUS_PACKS) };
+    case 'card':
+      if (params.player) {
+        const player = String(params.player).trim();
+        return { player, season: parseWhole(params.season, 'season', 1900, 2100) };
+      }
+      return { tier: parseWhole(params.tier, 'tier', MIN_TIER, MAX_TIER), position: parsePosition(params.position) };
+    case 'schedule_exclusion':
+      return { leagueId: params.leagueId == null || params.leagueId === '' ? null : parseWhole(params.leagueId, 'leagueId', 1, Number.MAX_SAFE_INTEGER) };
+    default:
+      throw new Error(`Type must be one of: ${GRANT_TYPES.join(', ')}`);
+  }
+}
+
+/**
+ * Validate a new grant. Targets are user ids (the route resolves usernames).
+ */
+function normalizeGrant(input = {}) {
+  const type = input.type;
+  if (!GRANT_TYPES.includes(type)) throw new Error(`Type must be one of: ${GRANT_TYPES.join(', ')}`);
+
+  const userIds = [...new Set((Array.isArray(input.userIds) ? input.userIds : []).map(id => parseInt(id)))];
+  if (userIds.length === 0 || userIds.some(id => !Number.isInteger(id) || id < 1)) {
+    throw new Error('At least one target user is required');
+  }
+  if (userIds.length > MAX_TARGETS) throw new Error(`At most ${MAX_TARGETS} target users per grant`);
+
+  let expiresAt = null;
+  if (input.expiresAt != null && input.expiresAt !== '') {
+    const at = new Date(input.expiresAt);
+    if (Number.isNaN(at.getTime())) throw new Error('expiresAt must be a date');
+    if (at.getTime() <= Date.now()) throw new Error('expiresAt must be in the future');
+    expiresAt = at.toISOString();
+  }
+
+  const note = String(input.note || '').trim();
+  if (note.length > MAX_NOTE_LENGTH) throw new Error(`Note must be ${MAX_NOTE_LENGTH} characters or less`);
+
+  return {
+    type,
+    params: normalizeParams(type, input.params || {}),
+    userIds,
+    note,
+    source: input.source || null,
+    expiresAt,
+  };
+}
+
+/**
+ * Not revoked and not expired
+ */
+function isActive(grant, now = Date.now()) {
+  if (grant.revokedAt) return false;
+  return !grant.expiresAt || new Date(grant.expiresAt).getTime() > now;
+}
+
+/**
+ * How many times one user can redeem the grant (Infinity = no limit)
+ */
+function allowedUses(grant) {
+  switch (grant.type) {
+    case 'guaranteed_tier': return grant.params.packs == null ? Infinity : grant.params.packs;
+    case 'bonus_packs':
+    case 'card': return 1;
+    default: return 0; // schedule_exclusion applies while active; nothing to redeem
+  }
+}
+
+function usesLeft(grant, userId) {
+  return allowedUses(grant) - ((grant.redemptions || {})[userId] || 0);
+}
+
+/**
+ * Does the grant still do something for this user?
+ */
+function appliesTo(grant, userId, now = Date.now()) {
+  if (!grant.userIds.includes(userId) || !isActive(grant, now)) return false;
+  return grant.type === 'schedule_exclusion' || usesLeft(grant, userId) > 0;
+}
+
+/**
+ * 'active', 'used' (every target redeemed it), 'expired' or 'revoked'
+ */
+function grantStatus(grant, now = Date.now()) {
+  if (grant.revokedAt) return 'revoked';
+  if (!isActive(grant, now)) return 'expired';
+  if (grant.type !== 'schedule_exclusion' && grant.userIds.every(id => usesLeft(grant, id) <= 0)) return 'used';
+  return 'active';
+}
+
+function tierLabel(tier) {
+  return tier === MAX_TIER ? 'Hall of Fame' : `Tier ${tier}`;
+}
+
+/**
+ * "Hall of Fame WR in the next 2 packs", "3 bonus packs", ...
+ */
+function describeGrant(grant) {
+  const p = grant.params;
+  switch (grant.type) {
+    case 'guaranteed_tier': {
+      const card = `${tierLabel(p.tier)}${p.position ? ` ${p.position}` : ' card'}`;
+      if (p.packs == null) return `${card} in every pack`;
+      return p.packs === 1 ? `${card} in the next pack` : `${card} in the next ${p.packs} packs`;
+    }
+    case 'bonus_packs':
+      return `${p.count} bonus pack${p.count === 1 ? '' : 's'}`;
+    case 'card':
+      return p.player ? `${p.player} (${p.season})` : `${tierLabel(p.tier)}${p.position ? ` ${p.position}` : ''} card`;
+    case 'schedule_exclusion':
+      return p.leagueId ? `Off the schedule in league ${p.leagueId}` : 'Off every league schedule';
+    default:
+      return grant.type;
+  }
+}
+
+module.exports = {
+  GRANT_TYPES,
+  normalizeGrant,
+  isActive,
+  allowedUses,
+  usesLeft,
+  appliesTo,
+  grantStatus,
+  describeGrant,
+};
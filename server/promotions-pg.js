@@ -0,0 +1,159 @@
+/**
+ * Promotions (Postgres)
+ * ======================
+ * Used when DATABASE_URL is set. Same API as promotions.js; tables from
+ * migrations/16_promotions.sql. All functions are async.
+ */
+
+const { query } = require('./db');
+const types = require('./promotion-types');
+
+const SELECT_GRANTS = `
+  SELECT p.*,
+    COALESCE((SELECT json_object_agg(r.user_id, r.uses) FROM promotion_redemptions r
+              WHERE r.promotion_id = p.id AND r.uses > 0), '{}') AS redemptions
+  FROM promotions p`;
+
+const ACTIVE = '(p.revoked_at IS NULL AND (p.expires_at IS NULL OR p.expires_at > NOW()))';
+
+function rowToGrant(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    params: row.params || {},
+    userIds: row.user_ids || [],
+    note: row.note || '',
+    source: row.source || null,
+    expiresAt: row.expires_at ? new Date(row.expires_at).toISOString() : null,
+    revokedAt: row.revoked_at ? new Date(row.revoked_at).toISOString() : null,
+    createdBy: row.created_by_user_id ? { id: row.created_by_user_id, username: row.created_by_username } : null,
+    createdAt: new Date(row.created_at).toISOString(),
+    redemptions: row.redemptions || {},
+  };
+}
+
+/**
+ * Newest first
+ * @param {object} filters - { includeInactive, userId, type }
+ */
+async function listGrants({ includeInactive = false, userId = null, type = null } = {}) {
+  const r = await query(
+    `${SELECT_GRANTS}
+     WHERE ($1::boolean OR ${ACTIVE}) AND ($2::int IS NULL OR $2 = ANY(p.user_ids)) AND ($3::text IS NULL OR p.type = $3)
+     ORDER BY p.id DESC`,
+    [includeInactive, userId, type]
+  );
+  return r.rows.map(rowToGrant);
+}
+
+async function getGrant(id) {
+  const r = await query(`${SELECT_GRANTS} WHERE p.id = $1`, [id]);
+  return r.rows[0] ? rowToGrant(r.rows[0]) : null;
+}
+
+/**
+ * @param {object} input - { type, params, userIds, expiresAt, note, source }
+ * @param {object|null} actor - { id, username } of the admin (null = the server)
+ */
+async function createGrant(input, actor = null) {
+  const grant = types.normalizeGrant(input);
+  const r = await query(
+    `INSERT INTO promotions (type, params, user_ids, note, source, expires_at, created_by_user_id, created_by_username)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *, '{}'::json AS redemptions`,
+    [
+      grant.type,
+      JSON.stringify(grant.params),
+      grant.userIds,
+      grant.note,
+      grant.source,
+      grant.expiresAt,
+      actor?.id ?? null,
+      actor?.username ?? null,
+    ]
+  );
+  return rowToGrant(r.rows[0]);
+}
+
+/**
+ * @returns {Promise<{ before, after } | null>} null when there's no such grant
+ */
+async function revokeGrant(id) {
+  const before = await getGrant(id);
+  if (!before) return null;
+  await query('UPDATE promotions SET revoked_at = COALESCE(revoked_at, NOW()) WHERE id = $1', [id]);
+  return { before, after: await getGrant(id) };
+}
+
+/**
+ * Grants of one type that still do something for the user, oldest first
+ */
+async function getUserGrants(userId, type) {
+  const r = await query(
+    `${SELECT_GRANTS} WHERE p.type = $1 AND $2 = ANY(p.user_ids) AND ${ACTIVE} ORDER BY p.id`,
+    [type, userId]
+  );
+  return r.rows.map(rowToGrant).filter(g => types.appliesTo(g, userId));
+}
+
+/**
+ * Use one redemption of a grant. False when the user has none left (or the
+ * grant expired); the conditional upsert keeps two requests from both
+ * claiming the last one.
+ */
+async function redeemGrant(id, userId) {
+  const grant = await getGrant(id);
+  if (!grant || !types.appliesTo(grant, userId) || grant.type === 'schedule_exclusion') return false;
+  const allowed = types.allowedUses(grant);
+  const r = await query(
+    `INSERT INTO promotion_redemptions (promotion_id, user_id, uses) VALUES ($1, $2, 1)
+     ON CONFLICT (promotion_id, user_id) DO UPDATE
+       SET uses = promotion_redemptions.uses + 1, last_redeemed_at = NOW()
+       WHERE $3::int IS NULL OR promotion_redemptions.uses < $3
+     RETURNING uses`,
+    [grant.id, userId, allowed === Infinity ? null : allowed]
+  );
+  return r.rows.length > 0;
+}
+
+/**
+ * Give back a redemption whose reward couldn't be delivered
+ */
+async function unredeemGrant(id, userId) {
+  await query(
+    'UPDATE promotion_redemptions SET uses = uses - 1 WHERE promotion_id = $1 AND user_id = $2 AND uses > 0',
+    [id, userId]
+  );
+}
+
+/**
+ * Users an active schedule exclusion keeps out of a league's schedule
+ */
+async function getExcludedUserIds(leagueId) {
+  const r = await query(
+    `SELECT DISTINCT unnest(p.user_ids) AS user_id FROM promotions p
+     WHERE p.type = 'schedule_exclusion' AND ${ACTIVE}
+       AND (p.params->>'leagueId' IS NULL OR (p.params->>'leagueId')::int = $1)`,
+    [leagueId]
+  );
+  return new Set(r.rows.map(row => row.user_id));
+}
+
+/**
+ * Has a grant with this source been created (revoked ones count)?
+ */
+async function hasSource(source) {
+  const r = await query('SELECT 1 FROM promotions WHERE source = $1 LIMIT 1', [source]);
+  return r.rows.length > 0;
+}
+
+module.exports = {
+  listGrants,
+  getGrant,
+  createGrant,
+  revokeGrant,
+  getUserGrants,
+  redeemGrant,
+  unredeemGrant,
+  getExcludedUserIds,
+  hasSource,
+};
@@ -0,0 +1,153 @@
+/**
+ * Promotions
+ * ===========
+ * Grants admins give to users (see promotion-types.js for the shape), and
+ * who has redeemed them. grants.js hands them out; the pack service and the
+ * scheduler read them here.
+ * Uses Postgres when DATABASE_URL is set (promotions-pg.js), otherwise
+ * promotions.json. All functions are async.
+ */
+
+const dbPool = require('./db');
+if (dbPool.useDatabase()) {
+  module.exports = require('./promotions-pg');
+  return;
+}
+
+// ========== JSON file-based implementation (when DATABASE_URL not set) ==========
+
+const fs = require('fs');
+const path = require('path');
+const types = require('./promotion-types');
+
+// Use persistent disk in production, local file in development
+const DATA_DIR = fs.existsSync('/var/data') ? '/var/data' : __dirname;
+const PROMOTIONS_FILE = path.join(DATA_DIR, 'promotions.json');
+
+function loadPromotions() {
+  try {
+    if (fs.existsSync(PROMOTIONS_FILE)) {
+      return JSON.parse(fs.readFileSync(PROMOTIONS_FILE, 'utf8'));
+    }
+  } catch (e) {
+    console.error('Error loading promotions:', e);
+  }
+  return { grants: [], nextId: 1 };
+}
+
+function savePromotions(data) {
+  fs.writeFileSync(PROMOTIONS_FILE, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Newest first
+ * @param {object} filters - { includeInactive, userId, type }
+ */
+async function listGrants({ includeInactive = false, userId = null, type = null } = {}) {
+  return loadPromotions().grants
+    .filter(g => (includeInactive || types.isActive(g))
+      && (userId == null || g.userIds.includes(userId))
+      && (!type || g.type === type))
+    .reverse();
+}
+
+async function getGrant(id) {
+  return loadPromotions().grants.find(g => g.id === Number(id)) || null;
+}
+
+/**
+ * @param {object} input - { type, params, userIds, expiresAt, note, source }
+ * @param {object|null} actor - { id, username } of the admin (null = the server)
+ */
+async function createGrant(input, actor = null) {
+  const data = loadPromotions();
+  const grant = {
+    id: data.nextId++,
+    ...types.normalizeGrant(input),
+    revokedAt: null,
+    createdBy: actor ? { id: actor.id, username: actor.username } : null,
+    createdAt: new Date().toISOString(),
+    redemptions: {},
+  };
+  data.grants.push(grant);
+  savePromotions(data);
+  return grant;
+}
+
+/**
+ * @returns {Promise<{ before, after } | null>} null when there's no such grant
+ */
+async function revokeGrant(id) {
+  const data = loadPromotions();
+  const grant = data.grants.find(g => g.id === Number(id));
+  if (!grant) return null;
+  const before = { ...grant };
+  if (!grant.revokedAt) grant.revokedAt = new Date().toISOString();
+  savePromotions(data);
+  return { before, after: grant };
+}
+
+/**
+ * Grants of one type that still do something for the user, oldest first
+ */
+async function getUserGrants(userId, type) {
+  const now = Date.now();
+  return loadPromotions().grants.filter(g => g.type === type && types.appliesTo(g, userId, now));
+}
+
+/**
+ * Use one redemption of a grant. False when the user has none left (or the
+ * grant expired), so two requests can't both claim the last one.
+ */
+async function redeemGrant(id, userId) {
+  const data = loadPromotions();
+  const grant = data.grants.find(g => g.id === Number(id));
+  if (!grant || !types.appliesTo(grant, userId) || grant.type === 'schedule_exclusion') return false;
+  grant.redemptions[userId] = (grant.redemptions[userId] || 0) + 1;
+  savePromotions(data);
+  return true;
+}
+
+/**
+ * Give back a redemption whose reward couldn't be delivered
+ */
+async function unredeemGrant(id, userId) {
+  const data = loadPromotions();
+  const grant = data.grants.find(g => g.id === Number(id));
+  if (!grant || !grant.redemptions[userId]) return;
+  grant.redemptions[userId] -= 1;
+  if (grant.redemptions[userId] === 0) delete grant.redemptions[userId];
+  savePromotions(data);
+}
+
+/**
+ * Users an active schedule exclusion keeps out of a league's schedule
+ */
+async function getExcludedUserIds(leagueId) {
+  const ids = new Set();
+  for (const grant of loadPromotions().grants) {
+    if (grant.type !== 'schedule_exclusion' || !types.isActive(grant)) continue;
+    if (grant.params.leagueId != null && grant.params.leagueId !== Number(leagueId)) continue;
+    grant.userIds.forEach(id => ids.add(id));
+  }
+  return ids;
+}
+
+/**
+ * Has a grant with this source been created (revoked ones count)?
+ */
+async function hasSource(source) {
+  return loadPromotions().grants.some(g => g.source === source);
+}
+
+module.exports = {
+  listGrants,
+  getGrant,
+  createGrant,
+  revokeGrant,
+  getUserGrants,
+  redeemGrant,
+  unredeemGrant,
+  getExcludedUserIds,
+  hasSource,
+};
@@ -0,0 +1,76 @@
+/**
+ * Push
+ * =====
+ * Server-to-client events over one authenticated stream per browser tab
+ * (GET /api/events, Server-Sent Events). Modules publish typed events to
+ * users; whoever is connected gets them, everyone else picks the state up
+ * the next time they load the page.
+ *
+ * In-process only: with several server processes a user only hears events
+ * published by the process their stream is connected to.
+ */
+
+const EVENT_TYPES = {
+  DIRECT_MESSAGE: 'direct_message',          // { message }
+  CONFERENCE_MESSAGE: 'conference_message',  // { gameId, message }
+  GAME_STARTED: 'game_started',              // { gameId, leagueId, scheduleGameId, liveUntil }
+  GAME_FINISHED: 'game_finished',            // { gameId, leagueId?, homeScore, awayScore, winner }
+  ROSTER_LOCK: 'roster_lock',                // checkRosterLock status ({ locked, ... })
+  PACK_FULFILLED: 'pack_fulfilled',          // { packId, cards }
+  CARD_TRANSFERRED: 'card_transferred',      // { direction: 'in'|'out', tokenId, card, rosterChanges }
+};
+
+const KNOWN_TYPES = new Set(Object.values(EVENT_TYPES));
+
+// userId -> Set of send(type, data) for each open stream
+const connections = new Map();
+
+/**
+ * Register a user's stream
+ * @param {number} userId
+ * @param {function} send - (type, data) => void
+ * @returns {function} - Disconnect
+ */
+function connect(userId, send) {
+  if (!connections.has(userId)) connections.set(userId, new Set());
+  connections.get(userId).add(send);
+  return () => {
+    const sends = connections.get(userId);
+    if (!sends) return;
+    sends.delete(send);
+    if (sends.size === 0) connections.delete(userId);
+  };
+}
+
+/**
+ * Send an event to every open stream of the given users
+ * @param {number|number[]} userIds
+ * @param {string} type - One of EVENT_TYPES
+ * @param {object} data
+ */
+function publish(userIds, type, data = {}) {
+  if (!KNOWN_TYPES.has(type)) throw new Error(`Unknown push event type: ${type}`);
+  for (const userId of [].concat(userIds)) {
+    for (const send of connections.get(userId) || []) {
+      try {
+        send(type, data);
+      } catch (err) {
+        console.error('Push send error:', err);
+      }
+    }
+  }
+}
+
+/**
+ * Users with at least one open stream
+ */
+function connectedUserIds() {
+  return [...connections.keys()];
+}
+
+module.exports = {
+  EVENT_TYPES,
+  connect,
+  publish,
+  connectedUserIds,
+};
@@ -4,12 +4,8 @@
  * Example: node reset-dev-password.js TestUser1
  */
 require('dotenv').config({ path: require('path').join(__dirname, '.env') });
-const crypto = require('crypto');
 const db = require('./db');
-
-function hashPassword(password) {
-  return crypto.createHash('sha256').update(password).digest('hex');
-}
+const { hashPassword } = require('./passwords');
 
 async function main() {
   const username = process.argv[2] || 'TestUser1';
@@ -17,7 +13,7 @@ async function main() {
     console.log('DATABASE_URL is not set.');
     process.exit(1);
   }
-  const hash = hashPassword('password');
+  const hash = await hashPassword('password');
   const r = await db.query(
     'UPDATE users SET password_hash = $1 WHERE LOWER(username) = LOWER($2) RETURNING id, username',
     [hash, username]
@@ -25,6 +21,7 @@ async function main() {
   if (r.rowCount === 0) {
     console.log(`No user found with username "${username}".`);
   } else {
+    await db.query('DELETE FROM sessions WHERE user_id = $1', [r.rows[0].id]);
     console.log(`Password for ${r.rows[0].username} reset to "password".`);
   }
   if (db.pool) await db.pool.end();
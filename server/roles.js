@@ -0,0 +1,25 @@
+/**
+ * User Roles
+ * ===========
+ * Stored on the user record. Every account starts as a player; users who run
+ * a league are commissioners; admins can use the /api/admin routes.
+ */
+
+const ROLES = ['player', 'commissioner', 'admin'];
+const DEFAULT_ROLE = 'player';
+
+/**
+ * Validate a role name (throws on anything unknown)
+ */
+function assertRole(role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  return role;
+}
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  assertRole,
+};
@@ -0,0 +1,170 @@
+/**
+ * Schedule Storage (Postgres)
+ * ============================
+ * Used when DATABASE_URL is set. Same API as schedule-store.js; tables from
+ * migrations/8_schedules.sql. All functions are async.
+ */
+
+const { query, transaction } = require('./db');
+
+// Schedule game field -> schedule_games column (and its type for jsonb_to_recordset)
+const GAME_COLUMNS = [
+  ['id', 'game_id', 'text'],
+  ['date', 'game_date', 'text'],
+  ['time', 'game_time', 'int'],
+  ['timeDisplay', 'time_display', 'text'],
+  ['homeUserId', 'home_user_id', 'int'],
+  ['awayUserId', 'away_user_id', 'int'],
+  ['status', 'status', 'text'],
+  ['result', 'result', 'jsonb'],
+  ['phase', 'phase', 'text'],
+  ['round', 'bracket_round', 'int'],
+  ['slot', 'bracket_slot', 'int'],
+  ['seedHome', 'seed_home', 'int'],
+  ['seedAway', 'seed_away', 'int'],
+  ['dbGameId', 'db_game_id', 'int'],
+];
+const COLUMN_FOR = Object.fromEntries(GAME_COLUMNS.map(([field, column]) => [field, column]));
+
+// Optional bracket/report fields are left off games that don't have them (as in the JSON files)
+const OPTIONAL_FIELDS = new Set(['round', 'slot', 'seedHome', 'seedAway', 'dbGameId']);
+
+function rowToGame(row) {
+  const game = {};
+  for (const [field, column] of GAME_COLUMNS) {
+    if (OPTIONAL_FIELDS.has(field) && row[column] == null) continue;
+    game[field] = row[column];
+  }
+  return game;
+}
+
+function gameToRecord(game) {
+  const record = {};
+  for (const [field, column] of GAME_COLUMNS) record[column] = game[field] ?? null;
+  if (!record.status) record.status = 'scheduled';
+  if (!record.phase) record.phase = 'regular';
+  return record;
+}
+
+/**
+ * Load a league's schedule
+ */
+async function loadSchedule(leagueId) {
+  const id = Number(leagueId);
+  const meta = await query('SELECT * FROM league_schedules WHERE league_id = $1', [id]);
+  const games = await query(
+    'SELECT * FROM schedule_games WHERE league_id = $1 ORDER BY game_date, game_time, game_id',
+    [id]
+  );
+  const row = meta.rows[0];
+  const schedule = {
+    leagueId: id,
+    seasonStart: row ? row.season_start : null,
+    currentWeek: row ? row.current_week : 0,
+    phase: row ? row.phase : 'regular',
+    games: games.rows.map(rowToGame),
+  };
+  if (row && row.config) schedule.config = row.config;
+  if (row && row.bracket) schedule.bracket = row.bracket;
+  return schedule;
+}
+
+/**
+ * Save a league's schedule (metadata + games)
+ * @param {object} schedule - As returned by loadSchedule
+ * @param {object} options - { reset: true } replaces every game (new season)
+ */
+async function saveSchedule(schedule, { reset = false } = {}) {
+  const leagueId = Number(schedule.leagueId);
+  const columns = GAME_COLUMNS.map(([, column]) => column);
+  const recordType = GAME_COLUMNS.map(([, column, type]) => `${column} ${type}`).join(', ');
+  const updates = columns.filter(c => c !== 'game_id').map(c => `${c} = EXCLUDED.${c}`).join(', ');
+
+  await transaction(async (client) => {
+    // Upserting the metadata row also serializes concurrent saves of this league
+    await client.query(
+      `INSERT INTO league_schedules (league_id, season_start, current_week, phase, config, bracket, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW())
+       ON CONFLICT (league_id) DO UPDATE SET season_start = EXCLUDED.season_start, current_week = EXCLUDED.current_week,
+         phase = EXCLUDED.phase, config = EXCLUDED.config, bracket = EXCLUDED.bracket, updated_at = NOW()`,
+      [
+        leagueId,
+        schedule.seasonStart || null,
+        schedule.currentWeek || 0,
+        schedule.phase || 'regular',
+        schedule.config ? JSON.stringify(schedule.config) : null,
+        schedule.bracket ? JSON.stringify(schedule.bracket) : null,
+      ]
+    );
+
+    const ids = schedule.games.map(g => g.id);
+    if (reset) {
+      await client.query('DELETE FROM schedule_games WHERE league_id = $1', [leagueId]);
+    } else {
+      // Only unplayed games can be dropped by a save
+      await client.query(
+        `DELETE FROM schedule_games WHERE league_id = $1 AND status = 'scheduled' AND NOT (game_id = ANY($2::text[]))`,
+        [leagueId, ids]
+      );
+    }
+    if (schedule.games.length === 0) return;
+
+    // Games that have left 'scheduled' since this copy was loaded win over it
+    await client.query(
+      `INSERT INTO schedule_games (league_id, ${columns.join(', ')})
+       SELECT $1, ${columns.join(', ')} FROM jsonb_to_recordset($2::jsonb) AS g(${recordType})
+       ON CONFLICT (league_id, game_id) DO UPDATE SET ${updates}
+       WHERE schedule_games.status = 'scheduled' OR EXCLUDED.status <> 'scheduled'`,
+      [leagueId, JSON.stringify(schedule.games.map(gameToRecord))]
+    );
+  });
+
+  return loadSchedule(leagueId);
+}
+
+/**
+ * Mark a scheduled game as being played. Returns the game, or null if it isn't
+ * 'scheduled' any more (someone else got to it first).
+ */
+async function claimGame(leagueId, gameId) {
+  const r = await query(
+    `UPDATE schedule_games SET status = 'in_progress'
+     WHERE league_id = $1 AND game_id = $2 AND status = 'scheduled' RETURNING *`,
+    [Number(leagueId), gameId]
+  );
+  return r.rows[0] ? rowToGame(r.rows[0]) : null;
+}
+
+/**
+ * Update fields on one game (status, result, dbGameId, ...)
+ */
+async function updateGame(leagueId, gameId, changes) {
+  const fields = Object.keys(changes).filter(f => COLUMN_FOR[f] && f !== 'id');
+  if (fields.length === 0) return null;
+  const sets = fields.map((f, i) => `${COLUMN_FOR[f]} = $${i + 3}`).join(', ');
+  const values = fields.map(f => (f === 'result' && changes[f] != null ? JSON.stringify(changes[f]) : changes[f] ?? null));
+  const r = await query(
+    `UPDATE schedule_games SET ${sets} WHERE league_id = $1 AND game_id = $2 RETURNING *`,
+    [Number(leagueId), gameId, ...values]
+  );
+  return r.rows[0] ? rowToGame(r.rows[0]) : null;
+}
+
+/**
+ * Put games left 'in_progress' by a crash or restart back on the schedule
+ */
+async function releaseClaimedGames(leagueIds) {
+  const r = await query(
+    `UPDATE schedule_games SET status = 'scheduled' WHERE status = 'in_progress' AND league_id = ANY($1::int[])`,
+    [leagueIds.map(Number)]
+  );
+  return r.rowCount;
+}
+
+module.exports = {
+  loadSchedule,
+  saveSchedule,
+  claimGame,
+  updateGame,
+  releaseClaimedGames,
+};
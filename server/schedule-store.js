@@ -0,0 +1,139 @@
+/**
+ * Schedule Storage
+ * =================
+ * One schedule per league: season metadata ({ seasonStart, currentWeek, phase,
+ * config, bracket }) plus its games. Uses Postgres when DATABASE_URL is set
+ * (schedule-store-pg.js), otherwise JSON files: schedule.json for the main
+ * league, schedule-league-<id>.json for the rest. All functions are async.
+ *
+ * Game results are written per game (claimGame / updateGame). Saving a whole
+ * schedule never undoes one: a game that started or finished after the
+ * schedule was loaded keeps its stored state.
+ */
+
+const dbPool = require('./db');
+if (dbPool.useDatabase()) {
+  module.exports = require('./schedule-store-pg');
+  return;
+}
+
+// ========== JSON file-based implementation (when DATABASE_URL not set) ==========
+
+const fs = require('fs');
+const path = require('path');
+const leagues = require('./leagues');
+
+// Use persistent disk in production, local file in development
+const DATA_DIR = fs.existsSync('/var/data') ? '/var/data' : __dirname;
+
+function schedulePath(leagueId) {
+  return Number(leagueId) === leagues.MAIN_LEAGUE_ID
+    ? path.join(DATA_DIR, 'schedule.json')
+    : path.join(DATA_DIR, `schedule-league-${Number(leagueId)}.json`);
+}
+
+function emptySchedule(leagueId) {
+  return {
+    leagueId: Number(leagueId),
+    seasonStart: null,
+    currentWeek: 0,
+    phase: 'regular', // 'regular' | 'playoffs' | 'superbowl'
+    games: [],
+  };
+}
+
+function readSchedule(leagueId) {
+  const file = schedulePath(leagueId);
+  try {
+    if (fs.existsSync(file)) {
+      return { ...JSON.parse(fs.readFileSync(file, 'utf-8')), leagueId: Number(leagueId) };
+    }
+  } catch (err) {
+    console.error('Failed to load schedule:', err);
+  }
+  return emptySchedule(leagueId);
+}
+
+function writeSchedule(schedule) {
+  fs.writeFileSync(schedulePath(schedule.leagueId), JSON.stringify(schedule, null, 2));
+}
+
+/**
+ * Load a league's schedule
+ */
+async function loadSchedule(leagueId) {
+  return readSchedule(leagueId);
+}
+
+/**
+ * Save a league's schedule (metadata + games)
+ * @param {object} schedule - As returned by loadSchedule
+ * @param {object} options - { reset: true } replaces every game (new season)
+ */
+async function saveSchedule(schedule, { reset = false } = {}) {
+  const leagueId = Number(schedule.leagueId);
+  const next = { ...schedule, leagueId };
+  if (!reset) {
+    // Games that have left 'scheduled' since this copy was loaded win over it
+    const stored = new Map(readSchedule(leagueId).games.map(g => [g.id, g]));
+    const ids = new Set(next.games.map(g => g.id));
+    next.games = next.games.map(g => {
+      const current = stored.get(g.id);
+      return current && current.status !== 'scheduled' && g.status === 'scheduled' ? current : g;
+    });
+    for (const g of stored.values()) {
+      if (!ids.has(g.id) && g.status !== 'scheduled') next.games.push(g);
+    }
+  }
+  writeSchedule(next);
+  return next;
+}
+
+/**
+ * Mark a scheduled game as being played. Returns the game, or null if it isn't
+ * 'scheduled' any more (someone else got to it first).
+ */
+async function claimGame(leagueId, gameId) {
+  const schedule = readSchedule(leagueId);
+  const game = schedule.games.find(g => g.id === gameId);
+  if (!game || game.status !== 'scheduled') return null;
+  game.status = 'in_progress';
+  writeSchedule(schedule);
+  return { ...game };
+}
+
+/**
+ * Update fields on one game (status, result, dbGameId, ...)
+ */
+async function updateGame(leagueId, gameId, changes) {
+  const schedule = readSchedule(leagueId);
+  const game = schedule.games.find(g => g.id === gameId);
+  if (!game) return null;
+  Object.assign(game, changes);
+  writeSchedule(schedule);
+  return { ...game };
+}
+
+/**
+ * Put games left 'in_progress' by a crash or restart back on the schedule
+ */
+async function releaseClaimedGames(leagueIds) {
+  let released = 0;
+  for (const leagueId of leagueIds) {
+    const schedule = readSchedule(leagueId);
+    const claimed = schedule.games.filter(g => g.status === 'in_progress');
+    if (claimed.length === 0) continue;
+    for (const g of claimed) g.status = 'scheduled';
+    writeSchedule(schedule);
+    released += claimed.length;
+  }
+  return released;
+}
+
+module.exports = {
+  loadSchedule,
+  saveSchedule,
+  claimGame,
+  updateGame,
+  releaseClaimedGames,
+};
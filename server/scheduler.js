@@ -1,28 +1,29 @@
 /**
  * Game Scheduler
  * ===============
- * NFL-style structure:
- * - Regular season: Monday–Friday only (7 PM & 9 PM EST)
- * - Playoffs: Saturday (semifinals, top 4 by record)
- * - Super Bowl: Sunday
- * Schedule is calculated daily (next week / playoffs added at midnight).
+ * NFL-style structure, shaped by each league's season config:
+ * - Regular season: Monday–Friday weeks (default 4 weeks, 7 PM & 9 PM EST)
+ * - Playoffs: single elimination, one round per day, top seeds get byes
+ *   (default: top 4, semifinals Saturday)
+ * - Super Bowl: the final round, plus an optional third-place game
+ * Schedule is calculated as the season goes (next week / next round added once due).
+ * Every league has its own schedule (see schedule-store.js for storage).
+ * The config is snapshotted into the schedule when a season starts.
  */
 
-const fs = require('fs');
-const path = require('path');
 const db = require('./database');
 const gameEngine = require('./game-bridge');
-
-// Use persistent disk in production, local file in development
-const DATA_DIR = fs.existsSync('/var/data') ? '/var/data' : __dirname;
-const SCHEDULE_PATH = path.join(DATA_DIR, 'schedule.json');
-
-// Game times in EST (24-hour format)
-const GAME_TIMES = [19, 21]; // 7 PM and 9 PM EST
-
-// Regular season = Mon–Fri only; then Saturday playoffs, Sunday Super Bowl
-const REGULAR_SEASON_WEEKS = 4;
-const PLAYOFF_TEAMS = 4; // top 4 by record get playoffs
+const cardStats = require('./card-stats');
+const injuries = require('./injuries');
+const liveGames = require('./live-games');
+const push = require('./push');
+const leagues = require('./leagues');
+const promotions = require('./promotions');
+const standingsTable = require('./standings');
+const scheduleStore = require('./schedule-store');
+
+// Season format defaults (weeks, game times, timezone, playoffs) live in leagues.js
+const DEFAULT_SEASON_CONFIG = leagues.DEFAULT_SEASON_CONFIG;
 
 // Required roster slots (11 total) as stored in DB rosters
 const REQUIRED_SLOT_KEYS = [
@@ -64,52 +65,111 @@ async function hasFullRoster(userId) {
   return true;
 }
 
-async function getEligibleUsers(users) {
-  const list = Array.isArray(users) ? users : [];
+/**
+ * League members with a full roster, minus anyone an active schedule-exclusion
+ * promotion keeps off this league's schedule
+ * @param {array} users - Candidate users
+ * @param {number} leagueId - League to filter by (defaults to the main league)
+ */
+async function getEligibleUsers(users, leagueId = leagues.MAIN_LEAGUE_ID) {
+  const league = leagues.getLeague(leagueId);
+  const excluded = await promotions.getExcludedUserIds(leagueId);
+  const list = leagues.filterMembers(league, Array.isArray(users) ? users : []).filter(u => !excluded.has(u.id));
   const results = await Promise.all(list.map(async (user) => ({ user, ok: await hasFullRoster(user.id) })));
-  const eligible = results.filter(r => r.ok).map(r => r.user);
-  // Exclude Nick! from schedule pool (John! is swapped in for him)
-  return eligible.filter(u => String(u.username || '').toLowerCase() !== 'nick!');
+  return results.filter(r => r.ok).map(r => r.user);
+}
+
+async function getLeagueEligibleUsers(leagueId) {
+  const allUsersRaw = await db.getAllUsers();
+  const allUsers = Array.isArray(allUsersRaw) ? allUsersRaw : [];
+  return { allUsers, eligibleUsers: await getEligibleUsers(allUsers, leagueId) };
 }
 
 /**
- * Load schedule from file
+ * Load a league's schedule
  */
-function loadSchedule() {
-  try {
-    if (fs.existsSync(SCHEDULE_PATH)) {
-      return JSON.parse(fs.readFileSync(SCHEDULE_PATH, 'utf-8'));
+async function loadSchedule(leagueId = leagues.MAIN_LEAGUE_ID) {
+  return scheduleStore.loadSchedule(leagueId);
+}
+
+/**
+ * Save a league's schedule. Games played since it was loaded keep their results.
+ * @param {object} options - { reset: true } when starting a new season
+ */
+async function saveSchedule(schedule, options = {}) {
+  if (schedule.leagueId == null) schedule.leagueId = leagues.MAIN_LEAGUE_ID;
+  return scheduleStore.saveSchedule(schedule, options);
+}
+
+/**
+ * Run fn for every league, isolating failures so one league can't stall the rest
+ */
+async function forEachLeague(fn, label) {
+  for (const league of leagues.getLeagues()) {
+    try {
+      await fn(league);
+    } catch (err) {
+      console.error(`${label} error (league ${league.id}):`, err);
     }
-  } catch (err) {
-    console.error('Failed to load schedule:', err);
   }
-  
-  return {
-    seasonStart: null,
-    currentWeek: 0,
-    phase: 'regular', // 'regular' | 'playoffs' | 'superbowl'
-    games: [],
-    completedGames: [],
-  };
 }
 
 /**
- * Save schedule to file
+ * Current wall-clock time in a timezone, as a Date whose local getters
+ * (getHours, getDate, ...) read in that zone
+ * @param {string} timezone - IANA zone name
  */
-function saveSchedule(schedule) {
-  fs.writeFileSync(SCHEDULE_PATH, JSON.stringify(schedule, null, 2));
+function getZonedDate(timezone = DEFAULT_SEASON_CONFIG.timezone) {
+  const now = new Date();
+  const parts = {};
+  const formatter = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  });
+  for (const part of formatter.formatToParts(now)) parts[part.type] = Number(part.value);
+  const zoneAsUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const zoneOffset = Math.round((zoneAsUTC - now.getTime()) / 60000); // minutes
+  const utcOffset = now.getTimezoneOffset(); // minutes
+  return new Date(now.getTime() + (utcOffset + zoneOffset) * 60000);
 }
 
 /**
  * Get current date in EST
  */
 function getESTDate() {
-  const now = new Date();
-  // Convert to EST (UTC-5)
-  const estOffset = -5 * 60; // minutes
-  const utcOffset = now.getTimezoneOffset(); // minutes
-  const estTime = new Date(now.getTime() + (utcOffset + estOffset) * 60000);
-  return estTime;
+  return getZonedDate('EST');
+}
+
+/**
+ * Season config for a schedule: the snapshot taken at season start, else the league's
+ */
+function getScheduleConfig(schedule) {
+  if (schedule && schedule.config) return leagues.normalizeSeasonConfig({}, schedule.config);
+  return leagues.getSeasonConfig(leagues.getLeague(schedule?.leagueId ?? leagues.MAIN_LEAGUE_ID));
+}
+
+/**
+ * Current date/time in a league's timezone
+ */
+async function getLeagueDate(leagueId = leagues.MAIN_LEAGUE_ID) {
+  return getZonedDate(getScheduleConfig(await loadSchedule(leagueId)).timezone);
+}
+
+function timezoneLabel(timezone, dateStr) {
+  const when = dateStr ? new Date(dateStr + 'T12:00:00Z') : new Date();
+  const part = new Intl.DateTimeFormat('en-US', { timeZone: timezone, timeZoneName: 'short' })
+    .formatToParts(when)
+    .find(p => p.type === 'timeZoneName');
+  return part ? part.value : timezone;
+}
+
+/**
+ * e.g. (19, 'EST') => '7:00 PM EST'. Pass the game date so DST zones get the right label.
+ */
+function formatGameTime(hour, timezone = DEFAULT_SEASON_CONFIG.timezone, dateStr = null) {
+  const h12 = hour % 12 === 0 ? 12 : hour % 12;
+  return `${h12}:00 ${hour < 12 ? 'AM' : 'PM'} ${timezoneLabel(timezone, dateStr)}`;
 }
 
 /**
@@ -168,45 +228,52 @@ function generateMatchups(userIds) {
 }
 
 /**
- * Compute standings from completed games (regular season only).
- * Returns array of { userId, wins, losses, user } sorted by wins desc, then losses asc.
+ * Standings from completed regular-season games, with tiebreakers applied
+ * (see standings.js). Rows carry PF/PA, streak, last 5 and clinch/eliminated flags.
+ * Returns array of { rank, userId, wins, losses, ties, ..., user } best first.
+ * Pass options.hideLive for players: games still on the air are left out.
  */
-async function getStandings(schedule) {
-  const wins = new Map();
+async function getStandings(schedule, { hideLive = false } = {}) {
   const users = await db.getAllUsers();
   const userMap = {};
   for (const u of users) userMap[u.id] = u;
 
-  for (const g of schedule.games) {
-    if (g.status !== 'completed' || (g.phase && g.phase !== 'regular')) continue;
-    const r = g.result;
-    if (!r || r.type === 'bye') continue;
-    const homeId = g.homeUserId;
-    const awayId = g.awayUserId;
-    if (!wins.has(homeId)) wins.set(homeId, { wins: 0, losses: 0 });
-    if (awayId && !wins.has(awayId)) wins.set(awayId, { wins: 0, losses: 0 });
-    if (r.winner === 'home') {
-      wins.get(homeId).wins++;
-      if (awayId) wins.get(awayId).losses++;
-    } else if (r.winner === 'away') {
-      wins.get(awayId).wins++;
-      wins.get(homeId).losses++;
-    }
-  }
+  // What players see: games still on the air count once their broadcast ends
+  const games = hideLive
+    ? schedule.games.map(g => (liveGames.isOnAir(g.result?.liveUntil) ? { ...g, status: 'scheduled', result: null } : g))
+    : schedule.games;
 
-  const list = [];
-  for (const [userId, rec] of wins) {
-    list.push({ userId, wins: rec.wins, losses: rec.losses, user: userMap[userId] || null });
-  }
-  list.sort((a, b) => b.wins - a.wins || a.losses - b.losses);
-  return list;
+  const config = getScheduleConfig(schedule);
+  const teamIds = new Set(
+    games
+      .filter(g => (g.phase || 'regular') === 'regular')
+      .flatMap(g => [g.homeUserId, g.awayUserId].filter(Boolean))
+  );
+
+  // Games left = unplayed games on the schedule + weeks not generated yet (at most
+  // one game per time slot, Mon–Fri)
+  const weeksLeft = schedule.phase === 'regular' || !schedule.phase
+    ? Math.max(0, config.regularSeasonWeeks - (schedule.currentWeek || 1))
+    : 0;
+  const gamesRemaining = (userId) => weeksLeft * 5 * config.gameTimes.length + games.filter(g =>
+    g.status === 'scheduled' && (g.phase || 'regular') === 'regular' && g.awayUserId &&
+    (g.homeUserId === userId || g.awayUserId === userId)
+  ).length;
+
+  const rows = standingsTable.computeStandings(games, {
+    coinSeed: `${schedule.leagueId}:${schedule.seasonStart}`,
+    playoffTeams: playoffFieldSize(config.playoffTeams, teamIds.size),
+    gamesRemaining,
+    bracket: schedule.bracket || null,
+  });
+  return rows.map(row => ({ ...row, user: userMap[row.userId] || null }));
 }
 
 /**
  * Generate a daily schedule
- * Each user gets 2 games per day (one at 7 PM, one at 9 PM)
+ * Each user gets one game per configured time slot (default 7 PM and 9 PM)
  */
-function generateDailySchedule(date, users, phase = 'regular') {
+function generateDailySchedule(date, users, phase = 'regular', config = DEFAULT_SEASON_CONFIG) {
   const games = [];
   const userIds = users.map(u => u.id);
   
@@ -221,7 +288,7 @@ function generateDailySchedule(date, users, phase = 'regular') {
   const dateStr = formatDate(date);
   
   // Generate pairings for each time slot
-  for (const hour of GAME_TIMES) {
+  for (const hour of config.gameTimes) {
     const usedUsersThisSlot = new Set();
     const slotGames = [];
     const shuffled = shuffleCopy(userIds);
@@ -273,7 +340,7 @@ function generateDailySchedule(date, users, phase = 'regular') {
           id: `${dateStr}_${hour}_${a}_bye`,
           date: dateStr,
           time: hour,
-          timeDisplay: hour === 19 ? '7:00 PM EST' : '9:00 PM EST',
+          timeDisplay: formatGameTime(hour, config.timezone, dateStr),
           homeUserId: a,
           awayUserId: null,
           status: 'bye',
@@ -296,7 +363,7 @@ function generateDailySchedule(date, users, phase = 'regular') {
         id: `${dateStr}_${hour}_${homeUserId}_${awayUserId}`,
         date: dateStr,
         time: hour,
-        timeDisplay: hour === 19 ? '7:00 PM EST' : '9:00 PM EST',
+        timeDisplay: formatGameTime(hour, config.timezone, dateStr),
         homeUserId,
         awayUserId,
         status: 'scheduled',
@@ -318,11 +385,11 @@ function generateDailySchedule(date, users, phase = 'regular') {
 /**
  * Regular season: Monday–Friday only (5 days)
  */
-function generateRegularSeasonWeekSchedule(weekStart, users) {
+function generateRegularSeasonWeekSchedule(weekStart, users, config = DEFAULT_SEASON_CONFIG) {
   const schedule = [];
   const date = new Date(weekStart);
   for (let day = 0; day < 5; day++) {
-    const dayGames = generateDailySchedule(date, users, 'regular');
+    const dayGames = generateDailySchedule(date, users, 'regular', config);
     schedule.push(...dayGames);
     date.setDate(date.getDate() + 1);
   }
@@ -332,110 +399,210 @@ function generateRegularSeasonWeekSchedule(weekStart, users) {
 /**
  * Generate schedule for a full week (all 7 days) - used only for legacy/init fallback
  */
-function generateWeekSchedule(startDate, users) {
+function generateWeekSchedule(startDate, users, config = DEFAULT_SEASON_CONFIG) {
   const schedule = [];
   const date = new Date(startDate);
   for (let day = 0; day < 7; day++) {
-    const dayGames = generateDailySchedule(date, users, 'regular');
+    const dayGames = generateDailySchedule(date, users, 'regular', config);
     schedule.push(...dayGames);
     date.setDate(date.getDate() + 1);
   }
   return schedule;
 }
 
+// =============================================================================
+// PLAYOFF BRACKET
+// =============================================================================
+
 /**
- * Playoff Saturday: top 4 by standings, 1 vs 4 and 2 vs 3 (7 PM and 9 PM)
- */
-function generatePlayoffSaturday(saturdayDateStr, standings) {
-  const top4 = standings.slice(0, PLAYOFF_TEAMS).map(s => s.userId);
-  if (top4.length < 4) return [];
-  const games = [
-    {
-      id: `playoff_semi_1_${saturdayDateStr}`,
-      date: saturdayDateStr,
-      time: 19,
-      timeDisplay: '7:00 PM EST',
-      homeUserId: top4[0],
-      awayUserId: top4[3],
-      status: 'scheduled',
-      result: null,
-      phase: 'playoff_semi',
-      seedHome: 1,
-      seedAway: 4,
-    },
-    {
-      id: `playoff_semi_2_${saturdayDateStr}`,
-      date: saturdayDateStr,
-      time: 21,
-      timeDisplay: '9:00 PM EST',
-      homeUserId: top4[1],
-      awayUserId: top4[2],
-      status: 'scheduled',
-      result: null,
-      phase: 'playoff_semi',
-      seedHome: 2,
-      seedAway: 3,
-    },
-  ];
-  return games;
+ * Seed order for a single-elimination bracket so the top seeds meet as late as
+ * possible: 2 => [1, 2], 4 => [1, 4, 2, 3], 8 => [1, 8, 4, 5, 2, 7, 3, 6]
+ */
+function bracketOrder(size) {
+  let order = [1];
+  while (order.length < size) {
+    const n = order.length * 2;
+    order = order.flatMap(seed => [seed, n + 1 - seed]);
+  }
+  return order;
 }
 
 /**
- * Super Bowl Sunday: winners of the two semifinal games (single game, 7 PM)
+ * Largest allowed playoff field that fits the configured size and the teams available
  */
-function generateSuperBowlSunday(sundayDateStr, schedule) {
-  const semis = schedule.games.filter(g => g.phase === 'playoff_semi' && g.status === 'completed');
-  if (semis.length < 2) return [];
-  const winner1 = semis[0].result?.winner === 'home' ? semis[0].homeUserId : semis[0].awayUserId;
-  const winner2 = semis[1].result?.winner === 'home' ? semis[1].homeUserId : semis[1].awayUserId;
-  return [
-    {
-      id: `superbowl_${sundayDateStr}`,
-      date: sundayDateStr,
-      time: 19,
-      timeDisplay: '7:00 PM EST',
-      homeUserId: winner1,
-      awayUserId: winner2,
-      status: 'scheduled',
-      result: null,
-      phase: 'superbowl',
-    },
-  ];
+function playoffFieldSize(configuredTeams, availableTeams) {
+  const fits = leagues.PLAYOFF_SIZES.filter(n => n <= configuredTeams && n <= availableTeams);
+  return fits.length ? fits[fits.length - 1] : 0;
+}
+
+/**
+ * Seed a bracket from standings. Fields that aren't a power of two give byes to
+ * the top seeds (6 teams => seeds 1 and 2 skip the first round).
+ */
+function createBracket(standings, teams) {
+  let size = 2;
+  while (size < teams) size *= 2;
+  return {
+    teams,
+    size,
+    rounds: Math.log2(size),
+    seeds: standings.slice(0, teams).map(s => s.userId),
+  };
+}
+
+function roundPhase(round, rounds) {
+  if (round === rounds) return 'superbowl';
+  if (round === rounds - 1) return 'playoff_semi';
+  return `playoff_round_${round}`;
+}
+
+// Higher seed hosts, so a tie (or a game that errored) sends the home team through
+function playoffWinner(game) {
+  return game.result?.winner === 'away' ? game.awayUserId : game.homeUserId;
+}
+
+function playoffLoser(game) {
+  return playoffWinner(game) === game.homeUserId ? game.awayUserId : game.homeUserId;
+}
+
+/**
+ * Generate the next playoff round, or [] if the current round is still being played
+ * (or the champion is decided). Rounds are stored on games as `round` and `slot`.
+ * @param {object} schedule - League schedule with a `bracket`
+ * @param {string} dateStr - Date the new round is played
+ * @param {object} config - Season config (game times, timezone, third-place game)
+ */
+function generateBracketRound(schedule, dateStr, config = DEFAULT_SEASON_CONFIG) {
+  const bracket = schedule.bracket;
+  if (!bracket) return [];
+  const seedOf = (userId) => bracket.seeds.indexOf(userId) + 1;
+  const bracketGames = (round) => schedule.games.filter(g => g.round === round && g.phase !== 'playoff_third');
+
+  let entrants = bracketOrder(bracket.size).map(seed => bracket.seeds[seed - 1] ?? null);
+
+  for (let round = 1; round <= bracket.rounds; round++) {
+    const pairs = [];
+    for (let i = 0; i < entrants.length; i += 2) pairs.push([entrants[i], entrants[i + 1]]);
+    const played = bracketGames(round);
+
+    if (played.length === 0) {
+      const phase = roundPhase(round, bracket.rounds);
+      const games = [];
+      pairs.forEach(([a, b], slot) => {
+        if (a == null || b == null) return; // bye
+        const [home, away] = seedOf(a) < seedOf(b) ? [a, b] : [b, a];
+        games.push({
+          id: `${phase}_${slot + 1}_${dateStr}`,
+          date: dateStr,
+          homeUserId: home,
+          awayUserId: away,
+          status: 'scheduled',
+          result: null,
+          phase,
+          round,
+          slot,
+          seedHome: seedOf(home),
+          seedAway: seedOf(away),
+        });
+      });
+
+      // Third-place game: semifinal losers, played before the final
+      const semis = round === bracket.rounds && round > 1 ? bracketGames(round - 1) : [];
+      if (config.thirdPlaceGame && semis.length === 2) {
+        const [x, y] = semis.map(playoffLoser);
+        const [home, away] = seedOf(x) < seedOf(y) ? [x, y] : [y, x];
+        games.unshift({
+          id: `playoff_third_${dateStr}`,
+          date: dateStr,
+          homeUserId: home,
+          awayUserId: away,
+          status: 'scheduled',
+          result: null,
+          phase: 'playoff_third',
+          round,
+          slot: null,
+          seedHome: seedOf(home),
+          seedAway: seedOf(away),
+        });
+      }
+
+      // Spread the round over the day's time slots; the final gets the last slot
+      games.forEach((game, i) => {
+        const hour = games.length === 1 ? config.gameTimes[0] : config.gameTimes[Math.min(i, config.gameTimes.length - 1)];
+        game.time = hour;
+        game.timeDisplay = formatGameTime(hour, config.timezone, dateStr);
+      });
+      return games;
+    }
+
+    if (played.some(g => g.status === 'scheduled')) return [];
+
+    entrants = pairs.map(([a, b], slot) => {
+      if (a == null) return b;
+      if (b == null) return a;
+      const game = played.find(g => g.slot === slot);
+      return game ? playoffWinner(game) : null;
+    });
+  }
+
+  return [];
+}
+
+/**
+ * Seasons started before brackets existed have two `playoff_semi` games with
+ * seeds but no bracket; rebuild it so the final can be generated.
+ */
+function upgradeLegacyBracket(schedule) {
+  if (schedule.bracket) return;
+  const semis = schedule.games.filter(g => g.phase === 'playoff_semi');
+  if (semis.length !== 2) return;
+  const seeds = [];
+  for (const g of semis) {
+    seeds[g.seedHome - 1] = g.homeUserId;
+    seeds[g.seedAway - 1] = g.awayUserId;
+  }
+  schedule.bracket = { teams: 4, size: 4, rounds: 2, seeds };
+  for (const g of semis) {
+    g.round = 1;
+    g.slot = g.seedHome === 1 ? 0 : 1;
+  }
 }
 
 /**
  * Initialize or update the season schedule
  */
-async function initializeSchedule(forceReset = false) {
-  let schedule = loadSchedule();
-  const allUsersRaw = await db.getAllUsers();
-  const allUsers = Array.isArray(allUsersRaw) ? allUsersRaw : [];
-  const eligibleUsers = await getEligibleUsers(allUsers);
+async function initializeSchedule(forceReset = false, leagueId = leagues.MAIN_LEAGUE_ID) {
+  let schedule = await loadSchedule(leagueId);
+  if (schedule.seasonStart && !forceReset) return schedule;
+  
+  const { allUsers, eligibleUsers } = await getLeagueEligibleUsers(leagueId);
   
-  console.log(`Scheduling: ${eligibleUsers.length}/${allUsers.length} users have full rosters`);
+  console.log(`Scheduling league ${leagueId}: ${eligibleUsers.length}/${allUsers.length} users are members with full rosters`);
   
   if (eligibleUsers.length < 2) {
-    console.log('Not enough users with full rosters to generate schedule (need at least 2)');
+    console.log(`League ${leagueId}: not enough members with full rosters to generate schedule (need at least 2)`);
     return schedule;
   }
   
-  const now = getESTDate();
+  // New season: take the league's current format
+  const config = leagues.getSeasonConfig(leagues.getLeague(leagueId));
+  const now = getZonedDate(config.timezone);
   if (!schedule.phase) schedule.phase = 'regular';
 
   // If no season start or force reset: regular season Mon–Fri only, start this week
   if (!schedule.seasonStart || forceReset) {
     const weekStart = getThisMonday(now);
     schedule.seasonStart = formatDate(weekStart);
+    schedule.config = config;
     schedule.currentWeek = 1;
     schedule.phase = 'regular';
-    schedule.games = [];
-    schedule.completedGames = [];
+    delete schedule.bracket;
 
     // Week 1 only (Mon–Fri); more weeks added daily by checkAndGenerateNextWeek
-    schedule.games = generateRegularSeasonWeekSchedule(weekStart, eligibleUsers);
+    schedule.games = generateRegularSeasonWeekSchedule(weekStart, eligibleUsers, config);
 
-    saveSchedule(schedule);
-    console.log(`Season (re)initialized. Regular season week 1 (Mon–Fri), ${schedule.games.length} games`);
+    schedule = await saveSchedule(schedule, { reset: true });
+    console.log(`League ${leagueId} season (re)initialized. Regular season week 1 (Mon–Fri), ${schedule.games.length} games`);
   }
   
   return schedule;
@@ -444,9 +611,9 @@ async function initializeSchedule(forceReset = false) {
 /**
  * Get tomorrow's schedule (released a day in advance)
  */
-function getTomorrowSchedule() {
-  const schedule = loadSchedule();
-  const tomorrow = getESTDate();
+async function getTomorrowSchedule(leagueId = leagues.MAIN_LEAGUE_ID) {
+  const schedule = await loadSchedule(leagueId);
+  const tomorrow = getZonedDate(getScheduleConfig(schedule).timezone);
   tomorrow.setDate(tomorrow.getDate() + 1);
   const tomorrowStr = formatDate(tomorrow);
   
@@ -456,9 +623,9 @@ function getTomorrowSchedule() {
 /**
  * Get today's schedule
  */
-function getTodaySchedule() {
-  const schedule = loadSchedule();
-  const today = formatDate(getESTDate());
+async function getTodaySchedule(leagueId = leagues.MAIN_LEAGUE_ID) {
+  const schedule = await loadSchedule(leagueId);
+  const today = formatDate(getZonedDate(getScheduleConfig(schedule).timezone));
   
   return schedule.games.filter(g => g.date === today);
 }
@@ -466,9 +633,9 @@ function getTodaySchedule() {
 /**
  * Get games that should be run now
  */
-function getGamesToRun() {
-  const schedule = loadSchedule();
-  const now = getESTDate();
+async function getGamesToRun(leagueId = leagues.MAIN_LEAGUE_ID) {
+  const schedule = await loadSchedule(leagueId);
+  const now = getZonedDate(getScheduleConfig(schedule).timezone);
   const today = formatDate(now);
   const currentHour = now.getHours();
   
@@ -479,62 +646,122 @@ function getGamesToRun() {
   );
 }
 
+// Roster lock: check if user's roster is locked for upcoming games in any of
+// their leagues. Each league sets its own window (default 10 minutes before game time).
+const ROSTER_LOCK_MINUTES = leagues.DEFAULT_ROSTER_LOCK_MINUTES;
+
+async function checkRosterLock(userId) {
+  for (const league of leagues.getUserLeagues(userId)) {
+    const lockMinutes = league.rosterLockMinutes ?? ROSTER_LOCK_MINUTES;
+    
+    // Load today's schedule for this league (in the league's timezone)
+    const schedule = await loadSchedule(league.id);
+    const config = getScheduleConfig(schedule);
+    const now = getZonedDate(config.timezone);
+    const today = formatDate(now);
+    const currentHour = now.getHours();
+    const currentMinute = now.getMinutes();
+    const todayGames = schedule.games.filter(g => 
+      g.date === today && 
+      g.status === 'scheduled' &&
+      (g.homeUserId === userId || g.awayUserId === userId)
+    );
+    
+    // Check each game to see if we're within lock window
+    for (const game of todayGames) {
+      const gameHour = game.time; // e.g. 19 or 21
+      
+      // Calculate minutes until game
+      const minutesUntilGame = (gameHour - currentHour) * 60 + (0 - currentMinute);
+      
+      // If we're within the league's lock window (or past game time), roster is locked
+      if (minutesUntilGame <= lockMinutes && minutesUntilGame > -60) {
+        const gameNum = config.gameTimes.indexOf(game.time) + 1 || 1;
+        const gameTimeStr = formatGameTime(game.time, config.timezone, game.date);
+        return {
+          locked: true,
+          leagueId: league.id,
+          leagueName: league.name,
+          gameId: game.id,
+          gameNum,
+          gameTime: gameTimeStr,
+          minutesUntilGame: Math.max(0, minutesUntilGame),
+          message: `Roster locked for ${league.name} Game ${gameNum} (${gameTimeStr}). Rosters lock ${lockMinutes} minutes before game time.`
+        };
+      }
+    }
+  }
+  
+  return { locked: false };
+}
+
 /**
- * Run a scheduled game
+ * Does the user have an unplayed game on any league's schedule?
  */
-async function runScheduledGame(game) {
-  const schedule = loadSchedule();
-  
-  // Find the game in schedule
-  const gameIndex = schedule.games.findIndex(g => g.id === game.id);
-  if (gameIndex === -1) {
-    console.error('Game not found in schedule:', game.id);
+async function hasUpcomingGame(userId) {
+  for (const league of leagues.getUserLeagues(userId)) {
+    const schedule = await loadSchedule(league.id);
+    if (schedule.games.some(g =>
+      g.status === 'scheduled' && (g.homeUserId === userId || g.awayUserId === userId)
+    )) return true;
+  }
+  return false;
+}
+
+/**
+ * Run a scheduled game. The game is claimed first so two runners can't both play it.
+ */
+async function runScheduledGame(game, leagueId = leagues.MAIN_LEAGUE_ID) {
+  const claimed = await scheduleStore.claimGame(leagueId, game.id);
+  if (!claimed) {
+    console.error('Game not found in schedule or already played:', game.id);
     return null;
   }
+  game = claimed;
   
   // Handle bye games
-  if (game.status === 'bye' || !game.awayUserId) {
-    schedule.games[gameIndex].status = 'completed';
-    schedule.games[gameIndex].result = { type: 'bye' };
-    saveSchedule(schedule);
+  if (!game.awayUserId) {
+    await scheduleStore.updateGame(leagueId, game.id, { status: 'completed', result: { type: 'bye' } });
     return { type: 'bye', userId: game.homeUserId };
   }
   
-  // Get rosters
-  const homeRoster = await db.getFullRoster(game.homeUserId);
-  const awayRoster = await db.getFullRoster(game.awayUserId);
-  
-  // Check if rosters are set
-  if (!homeRoster || Object.keys(homeRoster.cards).length === 0) {
-    schedule.games[gameIndex].status = 'forfeit';
-    schedule.games[gameIndex].result = { 
-      winner: 'away', 
-      reason: 'Home team has no roster',
-      homeScore: 0,
-      awayScore: 1,
-    };
-    saveSchedule(schedule);
+  try {
+    // Get rosters
+    const homeRoster = await db.getFullRoster(game.homeUserId);
+    const awayRoster = await db.getFullRoster(game.awayUserId);
     
-    await db.recordGame(game.homeUserId, game.awayUserId, 0, 1, game.awayUserId, []);
-    return schedule.games[gameIndex].result;
-  }
-  
-  if (!awayRoster || Object.keys(awayRoster.cards).length === 0) {
-    schedule.games[gameIndex].status = 'forfeit';
-    schedule.games[gameIndex].result = { 
-      winner: 'home', 
-      reason: 'Away team has no roster',
-      homeScore: 1,
-      awayScore: 0,
-    };
-    saveSchedule(schedule);
+    // Check if rosters are set
+    if (!homeRoster || Object.keys(homeRoster.cards).length === 0) {
+      const result = { 
+        winner: 'away', 
+        reason: 'Home team has no roster',
+        homeScore: 0,
+        awayScore: 1,
+      };
+      await scheduleStore.updateGame(leagueId, game.id, { status: 'forfeit', result });
+      const gameId = await db.recordGame(game.homeUserId, game.awayUserId, 0, 1, game.awayUserId, []);
+      announceFinished(leagueId, game, gameId, result);
+      await injuries.recordGameInjuries(null, [game.homeUserId, game.awayUserId])
+        .catch(err => console.error('Error healing injuries:', err));
+      return result;
+    }
     
-    await db.recordGame(game.homeUserId, game.awayUserId, 1, 0, game.homeUserId, []);
-    return schedule.games[gameIndex].result;
-  }
-  
-  // Run the simulation
-  try {
+    if (!awayRoster || Object.keys(awayRoster.cards).length === 0) {
+      const result = { 
+        winner: 'home', 
+        reason: 'Away team has no roster',
+        homeScore: 1,
+        awayScore: 0,
+      };
+      await scheduleStore.updateGame(leagueId, game.id, { status: 'forfeit', result });
+      const gameId = await db.recordGame(game.homeUserId, game.awayUserId, 1, 0, game.homeUserId, []);
+      announceFinished(leagueId, game, gameId, result);
+      await injuries.recordGameInjuries(null, [game.homeUserId, game.awayUserId])
+        .catch(err => console.error('Error healing injuries:', err));
+      return result;
+    }
+    
+    // Run the simulation
     const result = gameEngine.simulateGameFromDB(homeRoster, awayRoster);
     
     // Determine winner
@@ -545,12 +772,13 @@ async function runScheduledGame(game) {
       winnerId = game.awayUserId;
     }
     
-    // Update schedule
-    schedule.games[gameIndex].status = 'completed';
-    schedule.games[gameIndex].result = {
+    const scheduleResult = {
       homeScore: result.homeScore,
       awayScore: result.awayScore,
       winner: winnerId === game.homeUserId ? 'home' : winnerId === game.awayUserId ? 'away' : 'tie',
+      seed: result.seed,
+      // Broadcast play by play from now until then (see live-games.js)
+      liveUntil: liveGames.broadcastEnd(new Date(), result.plays).toISOString(),
     };
     
     const gameId = await db.recordGame(
@@ -559,44 +787,107 @@ async function runScheduledGame(game) {
       result.homeScore,
       result.awayScore,
       winnerId,
-      result.plays
+      result.plays,
+      { seed: result.seed, rosters: result.rosters, playHash: result.playHash, boxScore: result.boxScore, liveUntil: scheduleResult.liveUntil }
     );
     
-    schedule.games[gameIndex].dbGameId = gameId;
-    saveSchedule(schedule);
+    // Update schedule
+    await scheduleStore.updateGame(leagueId, game.id, { status: 'completed', result: scheduleResult, dbGameId: gameId });
+    announceGame(leagueId, game, gameId, scheduleResult);
+    
+    // Card stat ledger (a failure here shouldn't void the game)
+    const { seasonStart } = await loadSchedule(leagueId);
+    await cardStats.recordGameStats(result, { source: 'league', season: seasonStart })
+      .catch(err => console.error('Error recording card stats:', err));
+    await injuries.recordGameInjuries(result, [game.homeUserId, game.awayUserId])
+      .catch(err => console.error('Error recording injuries:', err));
     
     console.log(`Game completed: ${game.id} - ${result.homeScore} to ${result.awayScore}`);
     
-    return schedule.games[gameIndex].result;
+    return scheduleResult;
   } catch (err) {
     console.error('Error running game:', err);
-    schedule.games[gameIndex].status = 'error';
-    schedule.games[gameIndex].result = { error: err.message };
-    saveSchedule(schedule);
+    await scheduleStore.updateGame(leagueId, game.id, { status: 'error', result: { error: err.message } });
     return null;
   }
 }
 
+function announceFinished(leagueId, game, gameId, result) {
+  push.publish([game.homeUserId, game.awayUserId], push.EVENT_TYPES.GAME_FINISHED, {
+    gameId,
+    leagueId,
+    scheduleGameId: game.id,
+    homeScore: result.homeScore,
+    awayScore: result.awayScore,
+    winner: result.winner,
+  });
+}
+
+/**
+ * Tell both coaches their game is on the air, and again once the broadcast ends
+ */
+function announceGame(leagueId, game, gameId, scheduleResult) {
+  push.publish([game.homeUserId, game.awayUserId], push.EVENT_TYPES.GAME_STARTED, {
+    gameId,
+    leagueId,
+    scheduleGameId: game.id,
+    liveUntil: scheduleResult.liveUntil,
+  });
+  const untilFinal = new Date(scheduleResult.liveUntil) - Date.now();
+  setTimeout(() => announceFinished(leagueId, game, gameId, scheduleResult), Math.max(0, untilFinal)).unref();
+}
+
+// Last roster lock pushed to each connected user ('unlocked' or league:game)
+const pushedLocks = new Map();
+
+/**
+ * Push roster lock/unlock to connected users whose lock changed since the last
+ * check. Locks move with the clock and with games being played, so this runs
+ * every minute after due games.
+ */
+async function pushRosterLocks() {
+  const connected = push.connectedUserIds();
+  for (const userId of pushedLocks.keys()) {
+    if (!connected.includes(userId)) pushedLocks.delete(userId);
+  }
+  for (const userId of connected) {
+    const status = await checkRosterLock(userId);
+    const key = status.locked ? `${status.leagueId}:${status.gameId}` : 'unlocked';
+    if (pushedLocks.get(userId) === key) continue;
+    pushedLocks.set(userId, key);
+    push.publish(userId, push.EVENT_TYPES.ROSTER_LOCK, status);
+  }
+}
+
 /**
- * Run all pending games for the current time slot
+ * Run all pending games for the current time slot, across every league
  */
 async function runPendingGames() {
-  const games = getGamesToRun();
   const results = [];
-  console.log(`Running ${games.length} pending games...`);
-  for (const game of games) {
-    const result = await runScheduledGame(game);
-    results.push({ gameId: game.id, result });
-  }
+  await forEachLeague(async (league) => {
+    const games = await getGamesToRun(league.id);
+    if (games.length === 0) return;
+    console.log(`Running ${games.length} pending games in ${league.name}...`);
+    for (const game of games) {
+      const result = await runScheduledGame(game, league.id);
+      results.push({ leagueId: league.id, gameId: game.id, result });
+    }
+  }, 'runPendingGames');
   return results;
 }
 
 /**
- * Daily: add next regular week, or playoff Saturday, or Super Bowl Sunday
+ * Hourly: add the next regular week, seed the playoff bracket once the regular
+ * season is in, or add the next playoff round once the previous one is played
+ * @param {number|null} leagueId - One league, or null for every league
  */
-async function checkAndGenerateNextWeek() {
-  const schedule = loadSchedule();
-  const now = getESTDate();
+async function checkAndGenerateNextWeek(leagueId = null) {
+  if (leagueId == null) {
+    return forEachLeague(league => checkAndGenerateNextWeek(league.id), 'checkAndGenerateNextWeek');
+  }
+  const schedule = await loadSchedule(leagueId);
+  const config = getScheduleConfig(schedule);
+  const now = getZonedDate(config.timezone);
   const today = formatDate(now);
   if (!schedule.phase) schedule.phase = 'regular';
 
@@ -610,9 +901,7 @@ async function checkAndGenerateNextWeek() {
 
   if (daysRemaining > 2) return;
 
-  const allUsersRaw = await db.getAllUsers();
-  const allUsers = Array.isArray(allUsersRaw) ? allUsersRaw : [];
-  const eligibleUsers = await getEligibleUsers(allUsers);
+  const { eligibleUsers } = await getLeagueEligibleUsers(leagueId);
   if (eligibleUsers.length < 2) return;
 
   // Next calendar day after lastDate
@@ -621,60 +910,87 @@ async function checkAndGenerateNextWeek() {
   const nextDayStr = formatDate(nextDay);
 
   if (schedule.phase === 'regular') {
-    if (schedule.currentWeek < REGULAR_SEASON_WEEKS) {
+    if (schedule.currentWeek < config.regularSeasonWeeks) {
       // Next Monday after lastDate (day 0=Sun -> +1, 1=Mon -> +7, ..., 5=Fri -> +3)
       const dayOfWeek = lastDateObj.getDay();
       const daysToNextMonday = dayOfWeek === 0 ? 1 : (8 - dayOfWeek) % 7 || 7;
       const nextMonday = new Date(lastDateObj);
       nextMonday.setDate(nextMonday.getDate() + daysToNextMonday);
-      const newGames = generateRegularSeasonWeekSchedule(nextMonday, eligibleUsers);
+      const newGames = generateRegularSeasonWeekSchedule(nextMonday, eligibleUsers, config);
       schedule.games.push(...newGames);
       schedule.currentWeek++;
-      saveSchedule(schedule);
-      console.log(`Generated regular season week ${schedule.currentWeek} (Mon–Fri)`);
-    } else {
-      const standings = await getStandings(schedule);
-      if (standings.length < 4) {
-        console.log('Not enough teams (4) for playoffs; skipping playoff week');
-        return;
-      }
-      const playoffGames = generatePlayoffSaturday(nextDayStr, standings);
-      schedule.games.push(...playoffGames);
-      schedule.phase = 'playoffs';
-      saveSchedule(schedule);
-      console.log(`Generated playoff Saturday (top 4 by record)`);
+      await saveSchedule(schedule);
+      console.log(`League ${leagueId}: generated regular season week ${schedule.currentWeek} (Mon–Fri)`);
+      return;
     }
+
+    // Seed from final standings only
+    if (schedule.games.some(g => g.status === 'scheduled' && (g.phase || 'regular') === 'regular')) return;
+    const standings = await getStandings(schedule);
+    const teams = playoffFieldSize(config.playoffTeams, standings.length);
+    if (!teams) {
+      console.log(`League ${leagueId}: not enough teams for playoffs; skipping playoffs`);
+      return;
+    }
+    schedule.bracket = createBracket(standings, teams);
+    const firstRound = generateBracketRound(schedule, nextDayStr, config);
+    schedule.games.push(...firstRound);
+    schedule.phase = firstRound.some(g => g.phase === 'superbowl') ? 'superbowl' : 'playoffs';
+    await saveSchedule(schedule);
+    console.log(`League ${leagueId}: seeded ${teams}-team playoff bracket (${firstRound.length} game(s) on ${nextDayStr})`);
     return;
   }
 
   if (schedule.phase === 'playoffs') {
-    const semis = schedule.games.filter(g => g.phase === 'playoff_semi' && g.status === 'completed');
-    if (semis.length < 2) return;
-    const superBowlGames = generateSuperBowlSunday(nextDayStr, schedule);
-    if (superBowlGames.length === 0) return;
-    schedule.games.push(...superBowlGames);
-    schedule.phase = 'superbowl';
-    saveSchedule(schedule);
-    console.log('Generated Super Bowl Sunday');
+    upgradeLegacyBracket(schedule);
+    const roundGames = generateBracketRound(schedule, nextDayStr, config);
+    if (roundGames.length === 0) return;
+    schedule.games.push(...roundGames);
+    if (roundGames.some(g => g.phase === 'superbowl')) schedule.phase = 'superbowl';
+    await saveSchedule(schedule);
+    console.log(`League ${leagueId}: generated playoff round ${roundGames[roundGames.length - 1].round} on ${nextDayStr}`);
   }
 }
 
+/**
+ * Apply a league's updated season config to its season in progress, when the
+ * season can still take it: during the regular season, and not shorter than
+ * the weeks already generated. Otherwise it takes effect next season.
+ * @returns {'current'|'next'}
+ */
+async function applySeasonConfig(leagueId) {
+  const schedule = await loadSchedule(leagueId);
+  const config = leagues.getSeasonConfig(leagues.getLeague(leagueId));
+  if (!schedule.seasonStart) return 'next';
+  if (schedule.phase !== 'regular' || config.regularSeasonWeeks < (schedule.currentWeek || 1)) return 'next';
+  schedule.config = config;
+  await saveSchedule(schedule);
+  return 'current';
+}
+
 /**
  * Integrate new users into the schedule.
  * Detects eligible users who have no future games and injects matchups for
  * them on every upcoming scheduled date. Called on server boot, hourly, and
- * whenever a user updates their roster.
+ * whenever a user updates their roster or joins a league.
+ * A league without a season yet gets one started once it has two eligible members.
+ * @param {number|null} leagueId - One league, or null for every league
  */
-async function integrateNewUsers() {
-  const schedule = loadSchedule();
-  if (!schedule.seasonStart) return;
+async function integrateNewUsers(leagueId = null) {
+  if (leagueId == null) {
+    return forEachLeague(league => integrateNewUsers(league.id), 'integrateNewUsers');
+  }
+  const schedule = await loadSchedule(leagueId);
+  if (!schedule.seasonStart) {
+    await initializeSchedule(false, leagueId);
+    return;
+  }
 
-  const allUsersRaw = await db.getAllUsers();
-  const allUsers = Array.isArray(allUsersRaw) ? allUsersRaw : [];
-  const eligibleUsers = await getEligibleUsers(allUsers);
+  const { eligibleUsers } = await getLeagueEligibleUsers(leagueId);
   if (eligibleUsers.length < 2) return;
 
-  const now = getESTDate();
+  const config = getScheduleConfig(schedule);
+  const now = getZonedDate(config.timezone);
   const today = formatDate(now);
 
   // Collect future scheduled dates (today + beyond, only unplayed games)
@@ -698,12 +1014,12 @@ async function integrateNewUsers() {
   const newUsers = eligibleUsers.filter(u => !usersInFuture.has(u.id));
   if (newUsers.length === 0) return;
 
-  console.log(`Integrating ${newUsers.length} new user(s) into schedule: ${newUsers.map(u => u.username).join(', ')}`);
+  console.log(`Integrating ${newUsers.length} new user(s) into league ${leagueId} schedule: ${newUsers.map(u => u.username).join(', ')}`);
 
   let added = 0;
   for (const dateStr of futureDates) {
     for (const newUser of newUsers) {
-      for (const hour of GAME_TIMES) {
+      for (const hour of config.gameTimes) {
         // Find users already playing in this time slot on this date
         const busyInSlot = new Set(
           schedule.games
@@ -726,7 +1042,7 @@ async function integrateNewUsers() {
           id: `${dateStr}_${hour}_${homeUserId}_${awayUserId}_int`,
           date: dateStr,
           time: hour,
-          timeDisplay: hour === 19 ? '7:00 PM EST' : '9:00 PM EST',
+          timeDisplay: formatGameTime(hour, config.timezone, dateStr),
           homeUserId,
           awayUserId,
           status: 'scheduled',
@@ -739,16 +1055,30 @@ async function integrateNewUsers() {
   }
 
   if (added > 0) {
-    saveSchedule(schedule);
+    await saveSchedule(schedule);
     console.log(`Added ${added} games for new users across ${futureDates.length} date(s)`);
   }
 }
 
+/**
+ * Drop a user's unplayed games from a league schedule (e.g. after they leave)
+ */
+async function removeUserFromSchedule(leagueId, userId) {
+  const schedule = await loadSchedule(leagueId);
+  const before = schedule.games.length;
+  schedule.games = schedule.games.filter(g =>
+    g.status !== 'scheduled' || (g.homeUserId !== userId && g.awayUserId !== userId)
+  );
+  const removed = before - schedule.games.length;
+  if (removed > 0) await saveSchedule(schedule);
+  return removed;
+}
+
 /**
  * Get full schedule with user details
  */
-async function getScheduleWithDetails() {
-  const schedule = loadSchedule();
+async function getScheduleWithDetails(leagueId = leagues.MAIN_LEAGUE_ID) {
+  const schedule = await loadSchedule(leagueId);
   const users = await db.getAllUsers();
   const userMap = {};
   
@@ -767,20 +1097,20 @@ async function getScheduleWithDetails() {
 }
 
 /**
- * Swap one user for another in the entire schedule (e.g. John! for Nick!).
- * Updates schedule.json in place; run once to apply.
- * @param {string} fromUsername - e.g. 'Nick!'
- * @param {string} toUsername - e.g. 'John!'
+ * Swap one user for another in the entire schedule.
+ * Updates the league's schedule in place; run once to apply.
+ * @param {string} fromUsername
+ * @param {string} toUsername
  * @returns {{ swapped: number, message: string }}
  */
-async function swapUserInSchedule(fromUsername, toUsername) {
+async function swapUserInSchedule(fromUsername, toUsername, leagueId = leagues.MAIN_LEAGUE_ID) {
   const fromUser = await db.getUserByUsernameCaseInsensitive(fromUsername);
   const toUser = await db.getUserByUsernameCaseInsensitive(toUsername);
   if (!fromUser) throw new Error(`User "${fromUsername}" not found`);
   if (!toUser) throw new Error(`User "${toUsername}" not found`);
   const fromId = fromUser.id;
   const toId = toUser.id;
-  const schedule = loadSchedule();
+  const schedule = await loadSchedule(leagueId);
   let swapped = 0;
   for (const g of schedule.games) {
     if (g.homeUserId === fromId) {
@@ -792,33 +1122,41 @@ async function swapUserInSchedule(fromUsername, toUsername) {
       swapped++;
     }
   }
-  saveSchedule(schedule);
+  if (swapped > 0) await saveSchedule(schedule);
   return { swapped, message: `Replaced ${fromUsername} with ${toUsername} in ${swapped} slot(s)` };
 }
 
+// One runPendingGames at a time, so a slow run can't start the same game twice
+let pendingRun = null;
+function runDueGames() {
+  if (pendingRun) return pendingRun;
+  pendingRun = runPendingGames()
+    .catch(err => console.error('runPendingGames error:', err))
+    .finally(() => { pendingRun = null; });
+  return pendingRun;
+}
+
 /**
  * Start the scheduler (runs every minute to check for games)
  */
 function startScheduler() {
   console.log('Game scheduler started');
-  initializeSchedule()
-    .then(() => swapUserInSchedule('Nick!', 'John!'))
-    .then((r) => { if (r.swapped) console.log('Schedule: swapped Nick! for John! in', r.swapped, 'slot(s)'); })
+  forEachLeague(league => initializeSchedule(false, league.id), 'initializeSchedule')
     .then(() => integrateNewUsers())
-    .catch((err) => { if (err.message && !err.message.includes('not found')) console.error('Schedule init/swap error:', err); });
+    .catch((err) => console.error('integrateNewUsers error:', err));
   
-  // Check every minute for games to run
+  // Check every minute for games to run. Leagues keep their own game times and
+  // timezones, so each league's due games are picked up by getGamesToRun.
   setInterval(() => {
-    const now = getESTDate();
-    const minute = now.getMinutes();
+    const minute = new Date().getMinutes();
     
-    // Run games at the top of each game hour (7 PM, 9 PM)
-    if (minute === 0 && GAME_TIMES.includes(now.getHours())) {
-      console.log(`Game time! Running scheduled games at ${now.getHours()}:00 EST`);
-      runPendingGames().catch(err => console.error('runPendingGames error:', err));
-    }
-    // Midnight: generate next week + integrate any new users
-    if (now.getHours() === 0 && minute === 0) {
+    // Reload leagues first: other servers may have changed them (Postgres)
+    Promise.resolve(leagues.loadLeagues())
+      .then(() => runDueGames())
+      .then(() => pushRosterLocks())
+      .catch(err => console.error('Scheduler tick error:', err));
+    // Hourly: generate next week / next playoff round once due + integrate any new users
+    if (minute === 0) {
       checkAndGenerateNextWeek()
         .then(() => integrateNewUsers())
         .catch(err => console.error('checkAndGenerateNextWeek error:', err));
@@ -828,7 +1166,12 @@ function startScheduler() {
       integrateNewUsers().catch(err => console.error('integrateNewUsers error:', err));
     }
   }, 60000);
-  runPendingGames().catch(err => console.error('runPendingGames error:', err));
+
+  // Games a previous process was in the middle of playing go back on the schedule
+  scheduleStore.releaseClaimedGames(leagues.getLeagues().map(l => l.id))
+    .then((released) => { if (released) console.log(`Schedule: re-queued ${released} interrupted game(s)`); })
+    .catch((err) => console.error('releaseClaimedGames error:', err))
+    .then(() => runDueGames());
 }
 
 module.exports = {
@@ -846,11 +1189,21 @@ module.exports = {
   runPendingGames,
   getScheduleWithDetails,
   checkAndGenerateNextWeek,
+  applySeasonConfig,
+  generateBracketRound,
   startScheduler,
   getESTDate,
+  getZonedDate,
+  getLeagueDate,
+  getScheduleConfig,
+  formatGameTime,
   formatDate,
+  checkRosterLock,
+  hasUpcomingGame,
   hasFullRoster,
+  REQUIRED_SLOT_KEYS,
   getEligibleUsers,
   swapUserInSchedule,
   integrateNewUsers,
+  removeUserFromSchedule,
 };
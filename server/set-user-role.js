@@ -0,0 +1,36 @@
+/**
+ * Set a user's role from the command line (how the first admin gets made).
+ * Usage: node set-user-role.js <username> <player|commissioner|admin>
+ * Example: node set-user-role.js TestUser1 admin
+ *
+ * With JSON storage, stop the server first and start it again afterwards: it
+ * keeps data.json in memory and its next save would write the old role back.
+ */
+require('dotenv').config({ path: require('path').join(__dirname, '.env') });
+const db = require('./database');
+const dbPool = require('./db');
+const auditLog = require('./audit-log');
+const roles = require('./roles');
+
+async function main() {
+  const [username, role] = process.argv.slice(2);
+  if (!username || !roles.ROLES.includes(role)) {
+    console.log(`Usage: node set-user-role.js <username> <${roles.ROLES.join('|')}>`);
+    process.exit(1);
+  }
+  const before = await db.getUserByUsernameCaseInsensitive(username);
+  if (!before) {
+    console.log(`No user found with username "${username}".`);
+    process.exit(1);
+  }
+  const user = await db.setUserRole(before.id, role);
+  await auditLog.record({ actor: null, action: 'set_role', target: user, before: { role: before.role }, after: { role } });
+  console.log(`${user.username} is now ${role} (was ${before.role}).`);
+  if (!dbPool.useDatabase()) console.log('JSON storage: (re)start the server now so it picks up the new role.');
+  if (dbPool.pool) await dbPool.pool.end();
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -0,0 +1,234 @@
+/**
+ * League Standings
+ * =================
+ * Regular-season records with NFL-style tiebreakers, applied in order:
+ * head-to-head, point differential, points for, strength of victory, then a
+ * deterministic coin flip. When a step splits a tied group, every subgroup
+ * that is still tied starts over from head-to-head.
+ */
+
+const crypto = require('crypto');
+
+function isRegularSeason(game) {
+  return (game.phase || 'regular') === 'regular';
+}
+
+// Ties count as half a win
+function winPct(rec) {
+  const games = rec.wins + rec.losses + rec.ties;
+  return games > 0 ? (rec.wins + rec.ties / 2) / games : 0;
+}
+
+function newRecord(userId) {
+  return { userId, wins: 0, losses: 0, ties: 0, pointsFor: 0, pointsAgainst: 0, results: [] };
+}
+
+/**
+ * Records for every team on the regular-season schedule (teams without a
+ * completed game yet show up as 0-0)
+ */
+function buildRecords(games) {
+  const records = new Map();
+  const recordFor = (userId) => {
+    if (!records.has(userId)) records.set(userId, newRecord(userId));
+    return records.get(userId);
+  };
+
+  const regular = games.filter(isRegularSeason);
+  for (const g of regular) {
+    recordFor(g.homeUserId);
+    if (g.awayUserId) recordFor(g.awayUserId);
+  }
+
+  const played = regular
+    .filter(g => g.status === 'completed' && g.awayUserId && g.result && g.result.type !== 'bye')
+    .sort((a, b) => a.date.localeCompare(b.date) || (a.time || 0) - (b.time || 0));
+
+  for (const g of played) {
+    const { homeScore = 0, awayScore = 0, winner } = g.result;
+    const sides = [
+      [recordFor(g.homeUserId), g.awayUserId, homeScore, awayScore, winner === 'home' ? 'W' : winner === 'away' ? 'L' : 'T'],
+      [recordFor(g.awayUserId), g.homeUserId, awayScore, homeScore, winner === 'away' ? 'W' : winner === 'home' ? 'L' : 'T'],
+    ];
+    for (const [rec, opponent, pf, pa, outcome] of sides) {
+      rec.pointsFor += pf;
+      rec.pointsAgainst += pa;
+      if (outcome === 'W') rec.wins++;
+      else if (outcome === 'L') rec.losses++;
+      else rec.ties++;
+      rec.results.push({ opponent, outcome });
+    }
+  }
+
+  return records;
+}
+
+function headToHead(group) {
+  const ids = new Set(group.map(t => t.userId));
+  const values = new Map();
+  for (const team of group) {
+    const h2h = { wins: 0, losses: 0, ties: 0 };
+    for (const r of team.results) {
+      if (!ids.has(r.opponent)) continue;
+      if (r.outcome === 'W') h2h.wins++;
+      else if (r.outcome === 'L') h2h.losses++;
+      else h2h.ties++;
+    }
+    // Only applies once every tied team has played at least one of the others
+    if (h2h.wins + h2h.losses + h2h.ties === 0) return null;
+    values.set(team.userId, winPct(h2h));
+  }
+  return values;
+}
+
+// Combined record of the teams you beat
+function strengthOfVictory(group, records) {
+  const values = new Map();
+  for (const team of group) {
+    const beaten = { wins: 0, losses: 0, ties: 0 };
+    for (const r of team.results) {
+      if (r.outcome !== 'W') continue;
+      const opp = records.get(r.opponent);
+      beaten.wins += opp.wins;
+      beaten.losses += opp.losses;
+      beaten.ties += opp.ties;
+    }
+    values.set(team.userId, winPct(beaten));
+  }
+  return values;
+}
+
+// Stable per season, so re-running standings never reshuffles a tie
+function coinFlip(group, coinSeed) {
+  const values = new Map();
+  for (const team of group) {
+    const hash = crypto.createHash('sha256').update(`${coinSeed}:${team.userId}`).digest('hex');
+    values.set(team.userId, parseInt(hash.slice(0, 12), 16));
+  }
+  return values;
+}
+
+const TIEBREAKERS = [
+  { name: 'Head-to-head', values: (group) => headToHead(group) },
+  { name: 'Point differential', values: (group) => new Map(group.map(t => [t.userId, t.pointsFor - t.pointsAgainst])) },
+  { name: 'Points for', values: (group) => new Map(group.map(t => [t.userId, t.pointsFor])) },
+  { name: 'Strength of victory', values: (group, ctx) => strengthOfVictory(group, ctx.records) },
+  { name: 'Coin flip', values: (group, ctx) => coinFlip(group, ctx.coinSeed) },
+];
+
+// Split a sorted list into runs with the same value
+function runs(sorted, valueOf) {
+  const out = [];
+  for (const team of sorted) {
+    const last = out[out.length - 1];
+    if (last && valueOf(last[0]) === valueOf(team)) last.push(team);
+    else out.push([team]);
+  }
+  return out;
+}
+
+/**
+ * Order teams with the same win percentage
+ */
+function breakTie(group, ctx) {
+  if (group.length < 2) return group;
+  for (const step of TIEBREAKERS) {
+    const values = step.values(group, ctx);
+    if (!values) continue;
+    const sorted = [...group].sort((a, b) => values.get(b.userId) - values.get(a.userId));
+    const tiers = runs(sorted, t => values.get(t.userId));
+    if (tiers.length < 2) continue;
+    for (const team of group) team.tiebreaker = step.name;
+    return tiers.flatMap(tier => breakTie(tier, ctx));
+  }
+  return group;
+}
+
+function streakOf(results) {
+  if (results.length === 0) return '';
+  const last = results[results.length - 1].outcome;
+  let n = 0;
+  for (let i = results.length - 1; i >= 0 && results[i].outcome === last; i--) n++;
+  return `${last}${n}`;
+}
+
+/**
+ * Full standings table for a league season
+ * @param {array} games - Schedule games (only regular-season games count)
+ * @param {object} options
+ * @param {string} options.coinSeed - Seeds the coin-flip tiebreaker (e.g. league + season)
+ * @param {number} options.playoffTeams - Playoff field size for this season (0 = none)
+ * @param {function} options.gamesRemaining - userId => regular-season games left (upper bound)
+ * @param {object} options.bracket - Seeded bracket once the playoffs have started
+ * @returns {array} - Ranked rows (best first)
+ */
+function computeStandings(games, { coinSeed = '', playoffTeams = 0, gamesRemaining = () => 0, bracket = null } = {}) {
+  const records = buildRecords(games);
+  const ctx = { records, coinSeed };
+
+  const byPct = [...records.values()].sort((a, b) => winPct(b) - winPct(a));
+  const ordered = runs(byPct, winPct).flatMap(group => breakTie(group, ctx));
+
+  const rows = ordered.map((rec, i) => ({
+    rank: i + 1,
+    userId: rec.userId,
+    wins: rec.wins,
+    losses: rec.losses,
+    ties: rec.ties,
+    winPct: Math.round(winPct(rec) * 1000) / 1000,
+    pointsFor: rec.pointsFor,
+    pointsAgainst: rec.pointsAgainst,
+    pointDiff: rec.pointsFor - rec.pointsAgainst,
+    streak: streakOf(rec.results),
+    last5: rec.results.slice(-5).map(r => r.outcome),
+    gamesRemaining: bracket ? 0 : gamesRemaining(rec.userId),
+    tiebreaker: rec.tiebreaker || null,
+    seed: null,
+    clinched: false,
+    eliminated: false,
+  }));
+
+  if (bracket) {
+    for (const row of rows) {
+      const seed = bracket.seeds.indexOf(row.userId) + 1;
+      row.seed = seed || null;
+      row.clinched = !!seed;
+      row.eliminated = !seed;
+    }
+    return rows;
+  }
+
+  // Clinched: fewer than `playoffTeams` others can still reach your win total.
+  // Eliminated: at least `playoffTeams` others already have more wins than you can reach.
+  // Ties count as half a win, as in the win percentage. Reaching a tie counts against
+  // clinching and for staying alive, since tiebreakers could go either way - until the
+  // regular season is over and the tiebreakers have decided it.
+  // Without a playoff field there is nothing to clinch or be eliminated from.
+  if (playoffTeams <= 0) return rows;
+
+  const final = rows.length > 0 && rows.every(r => r.gamesRemaining === 0);
+  if (final) {
+    for (const row of rows) {
+      row.seed = row.rank <= playoffTeams ? row.rank : null;
+      row.clinched = !!row.seed;
+      row.eliminated = !row.seed;
+    }
+  } else {
+    // In half wins, so a tie is 1 and a win is 2
+    const halfWins = (r) => 2 * r.wins + r.ties;
+    const maxHalfWins = (r) => halfWins(r) + 2 * r.gamesRemaining;
+    for (const row of rows) {
+      const others = rows.filter(r => r.userId !== row.userId);
+      row.clinched = others.filter(r => maxHalfWins(r) >= halfWins(row)).length < playoffTeams;
+      row.eliminated = others.filter(r => halfWins(r) > maxHalfWins(row)).length >= playoffTeams;
+      if (row.rank <= playoffTeams) row.seed = row.rank;
+    }
+  }
+
+  return rows;
+}
+
+module.exports = {
+  TIEBREAKERS: TIEBREAKERS.map(t => t.name),
+  computeStandings,
+};
@@ -0,0 +1,300 @@
+/**
+ * Card Trading
+ * =============
+ * Player-to-player trades of cards and unopened packs.
+ * - A proposal offers cards/packs and requests cards/packs from another user
+ * - The recipient can accept, decline or counter (a counter is a new proposal
+ *   in the other direction that replaces the original)
+ * - Offered cards are escrowed: they cannot be put in a roster while pending
+ * - Cards from on-chain packs can't be traded: they follow their NFT instead
+ * - The ownership swap is done atomically by db.executeTrade
+ */
+
+const db = require('./database');
+const scheduler = require('./scheduler');
+const { BENCH_SLOTS, isInjured } = require('./game-bridge');
+
+const MAX_CARDS_PER_SIDE = 10;
+const MAX_MESSAGE_LENGTH = 280;
+
+const SLOT_POSITIONS = {
+  qb_card_id: 'QB', rb_card_id: 'RB', wr1_card_id: 'WR', wr2_card_id: 'WR',
+  te_card_id: 'TE', ol_card_id: 'OL', dl_card_id: 'DL', lb_card_id: 'LB',
+  db1_card_id: 'DB', db2_card_id: 'DB', k_card_id: 'K', p_card_id: 'P',
+};
+
+function normalizeCardIds(ids, label) {
+  if (ids == null) return [];
+  if (!Array.isArray(ids)) throw new Error(`${label} must be an array of card IDs`);
+  const out = [];
+  for (const raw of ids) {
+    const id = parseInt(raw);
+    if (!Number.isInteger(id) || id <= 0) throw new Error(`Invalid card ID in ${label}: ${raw}`);
+    if (!out.includes(id)) out.push(id);
+  }
+  if (out.length > MAX_CARDS_PER_SIDE) throw new Error(`Max ${MAX_CARDS_PER_SIDE} cards per side`);
+  return out;
+}
+
+function normalizePacks(value, label) {
+  if (value == null || value === '') return 0;
+  const n = parseInt(value);
+  if (!Number.isInteger(n) || n < 0) throw new Error(`${label} must be a non-negative whole number`);
+  return n;
+}
+
+function packsRemaining(user) {
+  return (user.max_packs ?? 13) - (user.packs_opened ?? 0);
+}
+
+/**
+ * Card IDs the user has put up in their own pending offers
+ */
+async function getLockedCardIds(userId) {
+  return db.getTradeLockedCardIds(userId);
+}
+
+/**
+ * Validate one side of a trade: the cards belong to the user and the packs exist
+ */
+async function validateSide(user, cardIds, packs, { checkEscrow }) {
+  const locked = checkEscrow ? new Set(await db.getTradeLockedCardIds(user.id)) : new Set();
+  const onChain = new Set(await db.getTokenBackedCardIds(cardIds));
+  for (const id of cardIds) {
+    const card = await db.getCard(id);
+    if (!card || card.user_id !== user.id) {
+      throw new Error(`Card ${id} is not owned by ${user.username}`);
+    }
+    if (locked.has(id)) {
+      throw new Error(`${card.player_name} is already offered in another pending trade`);
+    }
+    // The card follows its NFT, so trading it off-chain could be undone by moving the token
+    if (onChain.has(id)) {
+      throw new Error(`${card.player_name} is from an on-chain pack; transfer the NFT instead`);
+    }
+  }
+  if (packs > packsRemaining(user)) {
+    throw new Error(`${user.username} only has ${Math.max(0, packsRemaining(user))} unopened pack(s)`);
+  }
+}
+
+/**
+ * Propose a trade
+ * @param {number} proposerId
+ * @param {object} terms - { recipientUserId, offerCardIds, requestCardIds, offerPacks, requestPacks, message }
+ * @param {number|null} parentTradeId - Set when this proposal is a counter
+ */
+async function proposeTrade(proposerId, terms, parentTradeId = null) {
+  const recipientUserId = parseInt(terms.recipientUserId);
+  if (!recipientUserId) throw new Error('Recipient required');
+  if (recipientUserId === proposerId) throw new Error('Cannot trade with yourself');
+
+  const proposer = await db.getUser(proposerId);
+  const recipient = await db.getUser(recipientUserId);
+  if (!proposer) throw new Error('User not found');
+  if (!recipient) throw new Error('Recipient not found');
+
+  const offerCardIds = normalizeCardIds(terms.offerCardIds, 'offer_card_ids');
+  const requestCardIds = normalizeCardIds(terms.requestCardIds, 'request_card_ids');
+  const offerPacks = normalizePacks(terms.offerPacks, 'offer_packs');
+  const requestPacks = normalizePacks(terms.requestPacks, 'request_packs');
+
+  if (offerCardIds.length === 0 && offerPacks === 0) throw new Error('You must offer at least one card or pack');
+  if (requestCardIds.length === 0 && requestPacks === 0) throw new Error('You must request at least one card or pack');
+
+  const message = terms.message ? String(terms.message).trim() : null;
+  if (message && message.length > MAX_MESSAGE_LENGTH) {
+    throw new Error(`Message too long (max ${MAX_MESSAGE_LENGTH} characters)`);
+  }
+
+  await validateSide(proposer, offerCardIds, offerPacks, { checkEscrow: true });
+  await validateSide(recipient, requestCardIds, requestPacks, { checkEscrow: false });
+
+  return db.createTrade({
+    proposerUserId: proposerId,
+    recipientUserId,
+    proposerCardIds: offerCardIds,
+    recipientCardIds: requestCardIds,
+    proposerPacks: offerPacks,
+    recipientPacks: requestPacks,
+    message: message || null,
+    parentTradeId,
+  });
+}
+
+async function getPendingTradeFor(userId, tradeId, role) {
+  const trade = await db.getTrade(tradeId);
+  if (!trade) throw new Error('Trade not found');
+  const ownerId = role === 'proposer' ? trade.proposer_user_id : trade.recipient_user_id;
+  if (ownerId !== userId) throw new Error(`Only the ${role} can do that`);
+  if (trade.status !== 'pending') throw new Error(`Trade is already ${trade.status}`);
+  return trade;
+}
+
+/**
+ * Counter a trade you received. The original is marked countered and a new
+ * proposal goes back to the original proposer.
+ */
+async function counterTrade(userId, tradeId, terms) {
+  const original = await getPendingTradeFor(userId, tradeId, 'recipient');
+
+  const counter = await proposeTrade(userId, {
+    ...terms,
+    recipientUserId: original.proposer_user_id,
+  }, original.id);
+
+  const updated = await db.updateTradeStatus(original.id, 'countered');
+  if (!updated) {
+    // Original was resolved while we were building the counter
+    await db.updateTradeStatus(counter.id, 'cancelled');
+    throw new Error('Trade is no longer pending');
+  }
+
+  return counter;
+}
+
+/**
+ * Work out roster changes needed after a trade. Rostered cards leaving a team are
+ * replaced by the closest-tier card of the same position the user will own (cards
+ * coming in on this trade preferred; a backup taken from the bench leaves it). A user with a scheduled game who can't field
+ * a full roster - or whose roster is already locked - blocks the trade.
+ */
+async function planRosterRepairs(trade) {
+  const changes = {};
+  const sides = [
+    { userId: trade.proposer_user_id, givenIds: trade.proposer_card_ids, receivedIds: trade.recipient_card_ids },
+    { userId: trade.recipient_user_id, givenIds: trade.recipient_card_ids, receivedIds: trade.proposer_card_ids },
+  ];
+
+  for (const { userId, givenIds, receivedIds } of sides) {
+    const slots = await planRosterRepair(userId, givenIds, receivedIds);
+    if (slots) changes[userId] = slots;
+  }
+
+  return changes;
+}
+
+/**
+ * Roster changes for one user giving up `givenIds` and getting `receivedIds`,
+ * or null when none of the given cards is rostered.
+ * @param {boolean} [options.blocking] - Throw when the roster is locked or a
+ *   position can't be refilled (trades); otherwise fill what can be filled and
+ *   leave the rest empty (on-chain transfers, which can't be refused)
+ */
+async function planRosterRepair(userId, givenIds, receivedIds = [], { blocking = true } = {}) {
+  const full = await db.getFullRoster(userId);
+  const roster = full?.roster || {};
+  const emptied = Object.keys(SLOT_POSITIONS).filter(key => givenIds.includes(roster[key]));
+  if (emptied.length === 0) return null;
+
+  const user = await db.getUser(userId);
+  if (blocking) {
+    const lockStatus = await scheduler.checkRosterLock(userId);
+    if (lockStatus.locked) {
+      throw new Error(`${user.username}'s roster is locked for an upcoming game; rostered cards can't be traded until it unlocks`);
+    }
+  }
+
+  const rosteredIds = new Set(Object.keys(SLOT_POSITIONS).map(key => roster[key]).filter(Boolean));
+  const escrowed = new Set(await db.getTradeLockedCardIds(userId));
+  const received = [];
+  for (const id of receivedIds) {
+    const card = await db.getCard(id);
+    if (card && !isInjured(card)) received.push({ ...card, incoming: true });
+  }
+  let pool = [
+    ...received,
+    ...(await db.getUserCards(userId)).filter(c =>
+      !givenIds.includes(c.id) && !rosteredIds.has(c.id) && !escrowed.has(c.id) && !isInjured(c)
+    ),
+  ];
+
+  const slots = {};
+  const scheduled = blocking && await scheduler.hasUpcomingGame(userId);
+  for (const key of emptied) {
+    const outgoing = full.cards?.[key];
+    const position = SLOT_POSITIONS[key];
+    const candidates = pool
+      .filter(c => c.position === position)
+      .sort((a, b) =>
+        (b.incoming ? 1 : 0) - (a.incoming ? 1 : 0) ||
+        Math.abs((a.tier || 0) - (outgoing?.tier || 0)) - Math.abs((b.tier || 0) - (outgoing?.tier || 0))
+      );
+    const pick = candidates[0] || null;
+    // The punter slot is optional: the engine's default punter fills in
+    if (!pick && scheduled && key !== 'p_card_id') {
+      throw new Error(`Trade would leave ${user.username} without a ${position} for their scheduled game`);
+    }
+    slots[key] = pick ? pick.id : null;
+    if (pick) pool = pool.filter(c => c.id !== pick.id);
+    // A backup moving up leaves the bench
+    const benchKey = pick && Object.keys(BENCH_SLOTS).find(k => roster[k] === pick.id);
+    if (benchKey) slots[benchKey] = null;
+  }
+  return slots;
+}
+
+/**
+ * Accept a trade you received
+ */
+async function acceptTrade(userId, tradeId) {
+  const trade = await getPendingTradeFor(userId, tradeId, 'recipient');
+  const rosterChanges = await planRosterRepairs(trade);
+  const accepted = await db.executeTrade(trade.id, rosterChanges);
+
+  // Rosters changed - let users that now have a full roster join the schedule
+  scheduler.integrateNewUsers().catch(err => console.error('integrateNewUsers error:', err));
+
+  return { trade: accepted, rosterChanges };
+}
+
+async function declineTrade(userId, tradeId) {
+  await getPendingTradeFor(userId, tradeId, 'recipient');
+  const trade = await db.updateTradeStatus(tradeId, 'declined');
+  if (!trade) throw new Error('Trade is no longer pending');
+  return trade;
+}
+
+async function cancelTrade(userId, tradeId) {
+  await getPendingTradeFor(userId, tradeId, 'proposer');
+  const trade = await db.updateTradeStatus(tradeId, 'cancelled');
+  if (!trade) throw new Error('Trade is no longer pending');
+  return trade;
+}
+
+/**
+ * Attach usernames and card details for display
+ */
+async function withDetails(trade) {
+  const proposer = await db.getUser(trade.proposer_user_id);
+  const recipient = await db.getUser(trade.recipient_user_id);
+  const loadCards = async (ids) => (await Promise.all(ids.map(id => db.getCard(id)))).filter(Boolean);
+  return {
+    ...trade,
+    proposer_username: proposer?.username,
+    proposer_team_name: proposer?.team_name,
+    recipient_username: recipient?.username,
+    recipient_team_name: recipient?.team_name,
+    proposer_cards: await loadCards(trade.proposer_card_ids),
+    recipient_cards: await loadCards(trade.recipient_card_ids),
+  };
+}
+
+async function getTradesForUser(userId, status = null) {
+  const trades = await db.getUserTrades(userId, status);
+  return Promise.all(trades.map(withDetails));
+}
+
+module.exports = {
+  MAX_CARDS_PER_SIDE,
+  getLockedCardIds,
+  proposeTrade,
+  counterTrade,
+  acceptTrade,
+  declineTrade,
+  cancelTrade,
+  planRosterRepairs,
+  planRosterRepair,
+  withDetails,
+  getTradesForUser,
+};
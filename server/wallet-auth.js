@@ -0,0 +1,221 @@
+/**
+ * Wallet Auth
+ * ============
+ * Sign-In with Ethereum (EIP-4361) for linking a wallet to an account. The
+ * server issues a message carrying a single-use nonce that expires; the
+ * wallet signs it; the link only goes through if the signature belongs to
+ * the address in the message. Plain accounts are checked by recovering the
+ * signer. Smart-contract wallets (Web3Auth and Farcaster smart accounts)
+ * are asked whether the signature is theirs (EIP-1271 isValidSignature).
+ *
+ * Some smart wallets wrap their signatures for counterfactual (not yet
+ * deployed) accounts (ERC-6492). Once the wallet is deployed the wrapper is
+ * stripped and the inner signature checked as above; undeployed wallets are
+ * rejected, since checking them means running the wallet's factory.
+ *
+ * Check with: node check-wallet-auth.js
+ */
+
+const crypto = require('crypto');
+const { ethers } = require('ethers');
+const db = require('./database');
+
+const CHAIN_ID = parseInt(process.env.CHAIN_ID || '84532');
+const RPC_URL = process.env.BASE_SEPOLIA_RPC_URL || 'https://sepolia.base.org';
+
+// How long a sign-in message can be used for
+const NONCE_TTL_MS = 10 * 60 * 1000;
+
+const STATEMENT = 'Link this wallet to your First & 10 account.';
+
+const EIP1271_MAGIC_VALUE = '0x1626ba7e';
+const EIP1271 = new ethers.Interface([
+  'function isValidSignature(bytes32 hash, bytes signature) view returns (bytes4)',
+]);
+
+// ERC-6492: abi.encode(factory, factoryCalldata, signature) followed by this suffix
+const ERC6492_MAGIC_SUFFIX = '0x' + '6492'.repeat(16);
+
+function walletAuthError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+let defaultProvider = null;
+function getProvider() {
+  if (!defaultProvider) defaultProvider = new ethers.JsonRpcProvider(RPC_URL, CHAIN_ID, { staticNetwork: true });
+  return defaultProvider;
+}
+
+/**
+ * EIP-4361 message text
+ */
+function buildSignInMessage({ domain, address, uri, chainId, nonce, issuedAt, expirationTime }) {
+  return [
+    `${domain} wants you to sign in with your Ethereum account:`,
+    address,
+    '',
+    STATEMENT,
+    '',
+    `URI: ${uri}`,
+    'Version: 1',
+    `Chain ID: ${chainId}`,
+    `Nonce: ${nonce}`,
+    `Issued At: ${issuedAt}`,
+    `Expiration Time: ${expirationTime}`,
+  ].join('\n');
+}
+
+/**
+ * Fields of an EIP-4361 message, or null if it isn't one
+ */
+function parseSignInMessage(message) {
+  const lines = String(message || '').split('\n');
+  const header = lines[0].match(/^(\S+) wants you to sign in with your Ethereum account:$/);
+  if (!header || !ethers.isAddress(lines[1])) return null;
+
+  const fields = {};
+  for (const line of lines.slice(2)) {
+    const match = line.match(/^([A-Za-z ]+): (.+)$/);
+    if (match) fields[match[1]] = match[2];
+  }
+  return {
+    domain: header[1],
+    address: lines[1],
+    uri: fields.URI,
+    version: fields.Version,
+    chainId: Number(fields['Chain ID']),
+    nonce: fields.Nonce,
+    issuedAt: fields['Issued At'],
+    expirationTime: fields['Expiration Time'],
+  };
+}
+
+/**
+ * Is this an ERC-6492 (counterfactual wallet) signature?
+ */
+function isErc6492Signature(signature) {
+  return ethers.isHexString(signature) && signature.toLowerCase().endsWith(ERC6492_MAGIC_SUFFIX.slice(2));
+}
+
+// The signature inside an ERC-6492 wrapper, or null if it can't be decoded
+function unwrapErc6492Signature(signature) {
+  try {
+    const [, , inner] = ethers.AbiCoder.defaultAbiCoder().decode(
+      ['address', 'bytes', 'bytes'],
+      ethers.dataSlice(signature, 0, ethers.dataLength(signature) - 32)
+    );
+    return inner;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Does `signature` over `message` belong to `address`?
+ * @param {object} [provider] - For smart-contract wallets: anything with getCode(address) and call({ to, data })
+ */
+async function isValidSignature(address, message, signature, provider) {
+  // Plain account: recover the signer
+  try {
+    if (ethers.verifyMessage(message, signature).toLowerCase() === address.toLowerCase()) return true;
+  } catch (err) {
+    // Not an ECDSA signature; smart wallets sign in their own formats
+  }
+
+  // Smart-contract wallet: ask the contract (EIP-1271)
+  if (!provider) return false;
+  const code = await provider.getCode(address);
+  if (!code || code === '0x') return false;
+  if (isErc6492Signature(signature)) {
+    signature = unwrapErc6492Signature(signature);
+    if (!signature) return false;
+  }
+  try {
+    const result = await provider.call({
+      to: address,
+      data: EIP1271.encodeFunctionData('isValidSignature', [ethers.hashMessage(message), signature]),
+    });
+    const [magicValue] = EIP1271.decodeFunctionResult('isValidSignature', result);
+    return magicValue.toLowerCase() === EIP1271_MAGIC_VALUE;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Issue a sign-in message for the user to sign with `address`
+ * @param {number} userId
+ * @param {string} address - Wallet to link
+ * @param {string} origin - Site the user is on, e.g. https://firstand10.app
+ * @returns {Promise<{ message, nonce, expiresAt }>}
+ */
+async function createSignInMessage(userId, address, origin) {
+  if (typeof address !== 'string' || !ethers.isAddress(address)) {
+    throw walletAuthError(400, 'A valid wallet address is required');
+  }
+  let site;
+  try {
+    site = new URL(origin);
+  } catch (err) {
+    site = new URL('http://localhost:3000');
+  }
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const issuedAt = new Date();
+  const expiresAt = new Date(issuedAt.getTime() + NONCE_TTL_MS);
+  const message = buildSignInMessage({
+    domain: site.host,
+    address: ethers.getAddress(address),
+    uri: site.origin,
+    chainId: CHAIN_ID,
+    nonce,
+    issuedAt: issuedAt.toISOString(),
+    expirationTime: expiresAt.toISOString(),
+  });
+
+  await db.createWalletNonce(userId, nonce, message, expiresAt.toISOString());
+  return { message, nonce, expiresAt: expiresAt.toISOString() };
+}
+
+/**
+ * Check a signed sign-in message. The nonce is used up whether or not the
+ * signature checks out, so a message can only ever be tried once.
+ * @param {number} userId - Who is linking
+ * @param {object} body - { message, signature }
+ * @param {object} [options.provider] - Chain access for EIP-1271 (defaults to the Base RPC)
+ * @returns {Promise<{ address, chainId }>} - The verified (checksummed) address
+ */
+async function verifySignIn(userId, { message, signature } = {}, { provider = getProvider() } = {}) {
+  const fields = parseSignInMessage(message);
+  if (!fields || !fields.nonce) throw walletAuthError(400, 'Not a sign-in message');
+  if (typeof signature !== 'string' || !ethers.isHexString(signature)) {
+    throw walletAuthError(400, 'signature must be a hex string');
+  }
+
+  const issued = await db.consumeWalletNonce(fields.nonce);
+  if (!issued) throw walletAuthError(401, 'Sign-in message was already used or never issued; request a new one');
+  if (issued.user_id !== userId) throw walletAuthError(401, 'Sign-in message was issued to another account');
+  if (issued.message !== message) throw walletAuthError(401, 'Sign-in message does not match the one issued');
+  if (new Date(issued.expires_at).getTime() <= Date.now()) {
+    throw walletAuthError(401, 'Sign-in message has expired; request a new one');
+  }
+
+  if (!(await isValidSignature(fields.address, message, signature, provider))) {
+    if (isErc6492Signature(signature)) {
+      throw walletAuthError(401, 'Signature does not match the wallet address. Smart wallets must be deployed before they can link; send one transaction from it first');
+    }
+    throw walletAuthError(401, 'Signature does not match the wallet address');
+  }
+  return { address: ethers.getAddress(fields.address), chainId: fields.chainId };
+}
+
+module.exports = {
+  CHAIN_ID,
+  NONCE_TTL_MS,
+  buildSignInMessage,
+  parseSignInMessage,
+  isErc6492Signature,
+  isValidSignature,
+  createSignInMessage,
+  verifySignIn,
+};